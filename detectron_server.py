@@ -12,6 +12,7 @@ from PIL import Image
 import time
 import logging
 import os
+import hashlib
 
 # Configure logging
 logging.basicConfig(level=logging.INFO)
@@ -40,6 +41,9 @@ class GrapeDiseaseDetector:
         self.threshold = threshold
         self.predictor = None
         self.detectron2_loaded = False
+        # Reported with every result so the app can tell model versions apart
+        self.model_sha256 = None
+        self.model_version = os.getenv('DETECTRON_MODEL_VERSION')
         
         # EXACT same classes as your training
         self.class_names = [
@@ -127,6 +131,15 @@ class GrapeDiseaseDetector:
                 logger.error(f"❌ Fallback config also failed: {e2}")
                 return None, False
     
+    @staticmethod
+    def file_sha256(path):
+        """SHA-256 of the weights file (identifies the trained model)"""
+        digest = hashlib.sha256()
+        with open(path, 'rb') as f:
+            for chunk in iter(lambda: f.read(1024 * 1024), b''):
+                digest.update(chunk)
+        return digest.hexdigest()
+
     def load_model(self):
         """Load your trained model with correct config"""
         if not DETECTRON2_AVAILABLE:
@@ -158,6 +171,9 @@ class GrapeDiseaseDetector:
             logger.info("🚀 Creating predictor with your trained weights...")
             self.predictor = DefaultPredictor(cfg)
             self.cfg = cfg
+            self.model_sha256 = self.file_sha256(self.model_path)
+            self.model_version = self.model_version or self.model_sha256[:12]
+            logger.info(f"🏷️ Model version: {self.model_version}")
             
             # Test the model
             logger.info("🧪 Testing your model...")
@@ -298,6 +314,8 @@ class GrapeDiseaseDetector:
                     "num_classes": 5,
                     "threshold": self.threshold,
                     "config": "mask_rcnn_R_50_FPN_3x.yaml",
+                    "model_version": self.model_version,
+                    "model_sha256": self.model_sha256,
                     "training_matched": True
                 }
             }
@@ -342,7 +360,9 @@ def health_check():
         "device": "cuda" if torch.cuda.is_available() else "cpu",
         "classes": detector.class_names,
         "threshold": detector.threshold,
-        "config_used": "mask_rcnn_R_50_FPN_3x.yaml (matching training)"
+        "config_used": "mask_rcnn_R_50_FPN_3x.yaml (matching training)",
+        "model_version": detector.model_version,
+        "model_sha256": detector.model_sha256
     })
 
 @app.route('/predict', methods=['POST'])
@@ -385,6 +405,8 @@ def model_info():
     return jsonify({
         "model_path": detector.model_path,
         "model_exists": os.path.exists(detector.model_path),
+        "model_version": detector.model_version,
+        "model_sha256": detector.model_sha256,
         "threshold": detector.threshold,
         "classes": detector.class_names,
         "device": "cuda" if torch.cuda.is_available() else "cpu",
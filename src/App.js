@@ -14,6 +14,7 @@ import HomePage from './components/HomePage'; // New import
 import DashboardHome from './components/DashboardHome';
 import DiseaseDetection from './components/detection/DiseaseDetection';
 import DiseaseInfo from './components/detection/DiseaseInfo';
+import ModelEvaluation from './components/evaluation/ModelEvaluation';
 import Alerts from './components/alerts/Alerts';
 import Profile from './components/profile/Profile';
 import Settings from './components/settings/Settings';
@@ -93,6 +94,7 @@ function App() {
                   <Route path="dashboard" element={<DashboardHome />} />
                   <Route path="diseases" element={<DiseaseInfo />} />
                   <Route path="detection" element={<DiseaseDetection />} />
+                  <Route path="evaluation" element={<ModelEvaluation />} />
                   <Route path="alerts" element={<Alerts />} />
                   <Route path="profile" element={<Profile />} />
                   <Route path="settings" element={<Settings />} />
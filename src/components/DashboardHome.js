@@ -31,14 +31,18 @@ import { useSensorData } from '../hooks/useSensorData';
 import { useTranslation } from '../context/LanguageContext';
 import SensorChart from './dashboard/SensorChart';
 import { useFirebaseChartData } from '../hooks/useFirebaseChartData';
+import { useDiseaseModels } from '../hooks/useDiseaseModels';
+import DiseaseModelPanel from './dashboard/DiseaseModelPanel';
 
 function DashboardHome() {
-  const { sensorData, loading, error, refreshData } = useSensorData();
+  const { sensorData, loading, error, refreshData, connection, stale } = useSensorData();
   const { t, formatSensorValue } = useTranslation();
   const [selectedChart, setSelectedChart] = useState('temperature');
+  const [selectedWindow, setSelectedWindow] = useState('24h');
 
-  // Get chart data from Firebase
-  const { chartData, loading: chartLoading, error: chartError } = useFirebaseChartData(selectedChart);
+  // Get chart data from Firebase (downsampled min/avg/max for the selected window)
+  const { chartData, loading: chartLoading, error: chartError } = useFirebaseChartData(selectedChart, selectedWindow);
+  const { models, loading: modelsLoading, error: modelsError } = useDiseaseModels();
 
   // Generate chart configuration based on selected sensor
   const getChartConfig = (sensorType) => {
@@ -174,6 +178,17 @@ function DashboardHome() {
 
   return (
     <div style={{ padding: '0', backgroundColor: '#f8fafc' }}>
+      {/* Realtime feed status: readings below stop updating when the ESP32 goes quiet */}
+      {sensorData && (connection === 'disconnected' || stale) && (
+        <Alert
+          severity={connection === 'disconnected' ? 'error' : 'warning'}
+          action={<Button color="inherit" size="small" onClick={refreshData}>{t('refresh')}</Button>}
+          style={{ marginBottom: '1.5rem' }}
+        >
+          {connection === 'disconnected' ? t('sensorsDisconnectedDescription') : t('sensorFeedStaleDescription')}
+        </Alert>
+      )}
+
       {/* Main Environmental Sensors */}
       <Box display="flex" alignItems="center" style={{ marginBottom: '1.5rem' }}>
         <TrendingUpIcon style={{ color: '#22c55e', marginRight: '0.5rem', fontSize: '1.5rem' }} />
@@ -222,6 +237,11 @@ function DashboardHome() {
         )}
       </Grid>
 
+      {/* Degree days and infection models from sensor history */}
+      <Box style={{ marginBottom: '2rem' }}>
+        <DiseaseModelPanel models={models} loading={modelsLoading} error={modelsError} />
+      </Box>
+
       {/* Interactive Sensor Trends */}
       <Box display="flex" alignItems="center" style={{ marginBottom: '1.5rem' }}>
         <TrendingUpIcon style={{ color: '#22c55e', marginRight: '0.5rem', fontSize: '1.5rem' }} />
@@ -286,6 +306,8 @@ function DashboardHome() {
                 dataKeys={chartConfig.dataKeys}
                 colors={chartConfig.colors}
                 unit={chartConfig.unit}
+                windowId={selectedWindow}
+                onWindowChange={setSelectedWindow}
               />
             )}
           </Box>
@@ -24,6 +24,7 @@ import {
   Home as HomeIcon, // Add Home icon
   Dashboard as DashboardIcon,
   BugReport as DiseaseIcon,
+  Assessment as EvaluationIcon,
   Warning as AlertsIcon,
   Person as ProfileIcon,
   Settings as SettingsIcon,
@@ -76,6 +77,7 @@ function DashboardLayout() {
     { text: t('home') || 'Home', icon: HomeIcon, path: '/' }, // Add Home as first item
     { text: t('dashboard'), icon: DashboardIcon, path: '/dashboard' },
     { text: t('diseaseDetection'), icon: DiseaseIcon, path: '/detection' },
+    { text: t('modelEvaluation'), icon: EvaluationIcon, path: '/evaluation' },
     { text: t('alerts'), icon: AlertsIcon, path: '/alerts' },
     { text: t('profile'), icon: ProfileIcon, path: '/profile' },
     { text: t('settings'), icon: SettingsIcon, path: '/settings' },
@@ -90,6 +92,7 @@ function DashboardLayout() {
       '/home': 'Welcome to GrapeGuard???',
       '/dashboard': t('dashboard'),
       '/detection': t('diseaseDetection'),
+      '/evaluation': t('modelEvaluation'),
       '/alerts': t('alerts'),
       '/profile': t('profile'),
       '/settings': t('settings'),
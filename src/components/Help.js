@@ -22,11 +22,21 @@ import {
   Settings as SettingsIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../context/LanguageContext';
+import { DISEASE_CATALOG } from '../services/DiseaseCatalogService';
 
 export default function Help() {
-  const { t, formatSensorValue } = useTranslation();
+  const { t, language, formatSensorValue } = useTranslation();
   const [expandedCategory, setExpandedCategory] = useState(t('gettingStarted'));
 
+  // "1) Karpa (Anthracnose) (कर्पा रोग), 2) ..." from the disease catalog, Marathi name alongside
+  const detectableDiseases = DISEASE_CATALOG
+    .filter(disease => disease.severity !== 'None')
+    .map((disease, i) => {
+      const name = disease.names[language] || disease.name;
+      return `${i + 1}) ${name === disease.names.marathi ? name : `${name} (${disease.names.marathi})`}`;
+    })
+    .join(', ');
+
   const handleCategoryChange = (category) => {
     setExpandedCategory(expandedCategory === category ? '' : category);
   };
@@ -65,7 +75,7 @@ export default function Help() {
         },
         {
           question: t('diseasesDetected'),
-          answer: t('diseasesDetectedAnswer'),
+          answer: `${t('diseasesDetectedAnswer')} ${detectableDiseases}. ${t('diseasesDetectedTreatmentNote')}`,
           tags: [t('diseases'), t('detection')]
         },
         {
@@ -1,7 +1,7 @@
 // Updated HomePage.js - 4 Card Layout with improved Alert Summary
 // src/components/HomePage.js
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Card,
   CardContent,
@@ -24,18 +24,24 @@ import { useNavigate } from 'react-router-dom';
 import { useTranslation } from '../context/LanguageContext';
 import { useSensorData } from '../hooks/useSensorData';
 import { useAlerts } from '../hooks/useAlerts';
+import { useFarmHealth } from '../hooks/useFarmHealth';
 import { fetchWeatherAuto } from '../services/WeatherService';
-import { computeFarmHealth } from '../services/FarmHealthService';
+import FarmHealthBreakdown from './dashboard/FarmHealthBreakdown';
 
 export default function HomePage() {
   const navigate = useNavigate();
   const { t, currentLanguage } = useTranslation();
-  const { sensorData, loading, lastUpdated, refreshData } = useSensorData();
+  const { loading, lastUpdated, refreshData, connection, stale } = useSensorData();
   const alertsData = useAlerts();
+  const detectionAlerts = useMemo(
+    () => [...(alertsData.manualDetectionAlerts || []), ...(alertsData.liveDetectionAlerts || [])],
+    [alertsData.manualDetectionAlerts, alertsData.liveDetectionAlerts]
+  );
+  const { health: farmHealth, trend: farmHealthTrend } = useFarmHealth({ alerts: detectionAlerts });
   
   const [weather, setWeather] = useState(null);
   const [locationLabel, setLocationLabel] = useState('');
-  const [farmHealth, setFarmHealth] = useState({ score: 88, label: 'Excellent' });
+  const [showHealthBreakdown, setShowHealthBreakdown] = useState(false);
 
   // Helper function to format numbers based on language
   const formatNumber = (num) => {
@@ -123,48 +129,7 @@ export default function HomePage() {
 
   const alertCounts = getAlertCounts();
 
-  // Calculate Farm Health based on alerts and sensor conditions
-  const calculateFarmHealth = () => {
-    let baseScore = 100;
-    
-    // Reduce score based on critical alerts (each critical alert reduces score by 15)
-    baseScore -= (alertCounts.critical * 15);
-    
-    // Reduce score based on warning alerts (each warning alert reduces score by 5)
-    baseScore -= (alertCounts.warning * 5);
-    
-    // Sensor health factor
-    const sensorUptime = sensorData ? 95 : 80; // Assume 95% if connected, 80% if not
-    baseScore -= ((100 - sensorUptime) * 0.3);
-    
-    // Environmental conditions factor
-    if (typeof sensorData?.temperature?.value === 'number') {
-      const temp = sensorData.temperature.value;
-      if (temp < 15 || temp > 35) {
-        baseScore -= 10; // Temperature out of optimal range
-      }
-    }
-    
-    if (typeof sensorData?.soilMoisture?.value === 'number') {
-      const moisture = sensorData.soilMoisture.value;
-      if (moisture < 30 || moisture > 80) {
-        baseScore -= 10; // Moisture out of optimal range
-      }
-    }
-    
-    // Ensure score is between 0 and 100
-    baseScore = Math.max(0, Math.min(100, Math.round(baseScore)));
-    
-    let label = 'excellent';
-    if (baseScore >= 85) label = 'excellent';
-    else if (baseScore >= 70) label = 'good';
-    else if (baseScore >= 50) label = 'fair';
-    else label = 'poor';
-    
-    return { score: baseScore, label };
-  };
-
-  // Load weather and compute farm health
+  // Load weather
   useEffect(() => {
     let mounted = true;
     (async () => {
@@ -180,13 +145,9 @@ export default function HomePage() {
       } catch (e) {
         // ignore; will show fallback
       }
-
-      // Calculate farm health based on alerts and sensor data
-      const fh = calculateFarmHealth();
-      if (mounted) setFarmHealth(fh);
     })();
     return () => { mounted = false; };
-  }, [sensorData, alertsData, currentLanguage]);
+  }, [currentLanguage]);
 
   if (loading) {
     return (
@@ -249,9 +210,17 @@ export default function HomePage() {
         <Card elevation={1} style={{ backgroundColor: 'white', borderRadius: '8px', flex: '1', minWidth: '220px' }}>
           <CardContent style={{ padding: '0.75rem' }}>
             <Box display="flex" alignItems="center" mb={0.5}>
-              <CheckCircleIcon style={{ color: '#22c55e', marginRight: '0.5rem', fontSize: '1rem' }} />
+              {connection === 'disconnected' ? (
+                <WarningIcon style={{ color: '#dc2626', marginRight: '0.5rem', fontSize: '1rem' }} />
+              ) : stale ? (
+                <WarningIcon style={{ color: '#f59e0b', marginRight: '0.5rem', fontSize: '1rem' }} />
+              ) : (
+                <CheckCircleIcon style={{ color: '#22c55e', marginRight: '0.5rem', fontSize: '1rem' }} />
+              )}
               <Typography variant="body2" style={{ fontWeight: 600, color: '#1f2937' }}>
-                {t('connectedToSensors')}
+                {connection === 'disconnected'
+                  ? t('sensorsDisconnected')
+                  : stale ? t('sensorFeedStale') : t('connectedToSensors')}
               </Typography>
             </Box>
             <Typography variant="caption" color="textSecondary" style={{ marginBottom: '0.5rem', display: 'block' }}>
@@ -276,16 +245,19 @@ export default function HomePage() {
         </Card>
 
         {/* Farm Health Card */}
-        <Card elevation={1} style={{ backgroundColor: 'white', borderRadius: '8px', border: '2px solid #22c55e', flex: '1', minWidth: '160px' }}>
+        <Card elevation={1} style={{ backgroundColor: 'white', borderRadius: '8px', border: '2px solid #22c55e', flex: '1', minWidth: '160px', cursor: 'pointer' }} onClick={() => setShowHealthBreakdown(true)}>
           <CardContent style={{ padding: '0.75rem', textAlign: 'center' }}>
             <Typography variant="body2" style={{ fontWeight: 600, marginBottom: '0.5rem', color: '#1f2937' }}>
               {t('farmHealth')}
             </Typography>
             <Typography variant="h4" style={{ fontWeight: 'bold', color: '#22c55e', marginBottom: '0.25rem' }}>
-              {formatNumber(farmHealth.score)}%
+              {farmHealth?.score === null || farmHealth?.score === undefined ? '—' : `${formatNumber(farmHealth.score)}%`}
             </Typography>
             <Typography variant="caption" style={{ color: '#22c55e', fontWeight: 600 }}>
-              {t(farmHealth.label.toLowerCase())}
+              {t((farmHealth?.label || 'Unknown').toLowerCase())}
+            </Typography>
+            <Typography variant="caption" display="block" style={{ color: '#6b7280' }}>
+              {t('viewHealthBreakdown')}
             </Typography>
           </CardContent>
         </Card>
@@ -452,6 +424,13 @@ export default function HomePage() {
           </Card>
         </Grid>
       </Grid>
+
+      <FarmHealthBreakdown
+        open={showHealthBreakdown}
+        onClose={() => setShowHealthBreakdown(false)}
+        health={farmHealth}
+        trend={farmHealthTrend}
+      />
     </div>
   );
 }
@@ -20,6 +20,7 @@ import {
   Launch as RedirectIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext';
+import { getDiseaseDisplayName } from '../../services/DiseaseCatalogService';
 
 export default function AlertCard({ 
   alert, 
@@ -40,59 +41,6 @@ export default function AlertCard({
     }
   };
 
-  // FIXED: Disease name mapping with multilingual support
-  const getDiseaseDisplayName = (disease, currentLanguage) => {
-    const diseaseMap = {
-      'Karpa (Anthracnose)': {
-        english: 'Karpa (Anthracnose)',
-        marathi: 'कर्पा रोग',
-        hindi: 'कर्पा (एंथ्रैक्नोस)'
-      },
-      'Bhuri (Powdery Mildew)': {
-        english: 'Bhuri (Powdery Mildew)',
-        marathi: 'भुरी रोग',
-        hindi: 'भुरी (पाउडरी मिल्ड्यू)'
-      },
-      'Bokadlela (Borer Infestation)': {
-        english: 'Bokadlela (Borer Infestation)',
-        marathi: 'बोकाडलेला',
-        hindi: 'बोकाडलेला (बोरर संक्रमण)'
-      },
-      'Davnya (Downy Mildew)': {
-        english: 'Davnya (Downy Mildew)',
-        marathi: 'दवयाचा रोग',
-        hindi: 'दवयाचा (डाउनी मिल्ड्यू)'
-      },
-      'Healthy': {
-        english: 'Healthy Grapes',
-        marathi: 'निरोगी द्राक्षे',
-        hindi: 'स्वस्थ अंगूर'
-      }
-    };
-
-    const diseaseInfo = diseaseMap[disease] || { 
-      english: disease, 
-      marathi: disease, 
-      hindi: disease 
-    };
-
-    if (currentLanguage === 'marathi') {
-      return {
-        primary: diseaseInfo.marathi,
-        secondary: diseaseInfo.english !== diseaseInfo.marathi ? diseaseInfo.english : null
-      };
-    } else if (currentLanguage === 'hindi') {
-      return {
-        primary: diseaseInfo.hindi,
-        secondary: diseaseInfo.english !== diseaseInfo.hindi ? diseaseInfo.english : null
-      };
-    } else {
-      return {
-        primary: diseaseInfo.english,
-        secondary: null
-      };
-    }
-  };
 
   // FIXED: Get translated alert title - prioritize disease names for detection alerts
   const getTranslatedTitle = (alert) => {
@@ -0,0 +1,185 @@
+// Disease Model Panel - degree days, downy mildew 3-10 rule and powdery mildew index
+// src/components/dashboard/DiseaseModelPanel.js
+
+import React from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  Box,
+  Chip,
+  LinearProgress,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Science as ModelIcon } from '@mui/icons-material';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { useTranslation } from '../../context/LanguageContext';
+import { MODEL_DAYS } from '../../services/DiseaseModelService';
+
+const STATE_STYLES = {
+  low: { labelKey: 'riskLow', color: '#166534', background: '#dcfce7' },
+  watch: { labelKey: 'riskWatch', color: '#92400e', background: '#fef3c7' },
+  moderate: { labelKey: 'riskModerate', color: '#92400e', background: '#fef3c7' },
+  high: { labelKey: 'riskHigh', color: '#991b1b', background: '#fecaca' },
+  infection: { labelKey: 'riskInfection', color: '#991b1b', background: '#fecaca' }
+};
+
+const StateChip = ({ state }) => {
+  const { t } = useTranslation();
+  const style = STATE_STYLES[state] || STATE_STYLES.low;
+  return (
+    <Chip
+      label={t(style.labelKey)}
+      size="small"
+      style={{ backgroundColor: style.background, color: style.color, fontWeight: 'bold' }}
+    />
+  );
+};
+
+// Day label for the x axis: DD/MM
+const dayLabel = (date) => `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+
+export default function DiseaseModelPanel({ models, loading, error }) {
+  const { t, formatSensorValue } = useTranslation();
+
+  const header = (
+    <>
+      <Box display="flex" alignItems="center" mb={0.5}>
+        <ModelIcon style={{ color: '#8b5cf6', marginRight: '0.5rem' }} />
+        <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937' }}>
+          {t('diseaseModels')}
+        </Typography>
+      </Box>
+      <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1.5rem' }}>
+        {t('diseaseModelsDescription')}
+      </Typography>
+    </>
+  );
+
+  if (loading || error || !models || models.riskPct === null) {
+    return (
+      <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px' }}>
+        <CardContent style={{ padding: '2rem' }}>
+          {header}
+          {loading ? (
+            <Box display="flex" justifyContent="center" alignItems="center" height="120px">
+              <CircularProgress style={{ color: '#22c55e' }} />
+            </Box>
+          ) : error ? (
+            <Alert severity="error">{error}</Alert>
+          ) : (
+            <Alert severity="info">{t('noModelData')}</Alert>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { gdd, downyMildew, powderyMildew, daily } = models;
+  const chartData = daily.map(day => ({
+    label: dayLabel(day.date),
+    gdd: day.gdd,
+    pmi: day.pmi,
+    primaryInfection: day.primaryInfection
+  }));
+
+  return (
+    <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px' }}>
+      <CardContent style={{ padding: '2rem' }}>
+        {header}
+
+        <Grid container spacing={3} style={{ marginBottom: '1.5rem' }}>
+          {/* Growing degree days */}
+          <Grid item xs={12} md={4}>
+            <Typography variant="subtitle2" style={{ fontWeight: 600, color: '#1f2937' }}>
+              {t('growingDegreeDays')} (base {gdd.base}°C)
+            </Typography>
+            <Typography variant="h4" style={{ fontWeight: 'bold', color: '#f59e0b' }}>
+              {formatSensorValue(gdd.cumulative)}
+            </Typography>
+            <Typography variant="caption" color="textSecondary">
+              {formatSensorValue(MODEL_DAYS, 0)} {t('days')} • {t('today')}: {gdd.today === null ? '—' : formatSensorValue(gdd.today)}
+            </Typography>
+          </Grid>
+
+          {/* Downy mildew 3-10 rule */}
+          <Grid item xs={12} md={4}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" mb={1}>
+              <Typography variant="subtitle2" style={{ fontWeight: 600, color: '#1f2937' }}>
+                {t('downyMildew310Rule')}
+              </Typography>
+              <StateChip state={downyMildew.state} />
+            </Box>
+            <Typography variant="body2" color="textSecondary">
+              {t('lastPrimaryInfection')}: {downyMildew.lastInfectionDate ? dayLabel(downyMildew.lastInfectionDate) : '—'}
+            </Typography>
+            {downyMildew.shootLengthAssumed && (
+              <Typography variant="caption" color="textSecondary">
+                {t('shootLengthAssumed')}
+              </Typography>
+            )}
+          </Grid>
+
+          {/* Powdery mildew risk index */}
+          <Grid item xs={12} md={4}>
+            <Box display="flex" alignItems="center" justifyContent="space-between" mb={1}>
+              <Typography variant="subtitle2" style={{ fontWeight: 600, color: '#1f2937' }}>
+                {t('powderyMildewIndex')}
+              </Typography>
+              <StateChip state={powderyMildew.state} />
+            </Box>
+            {powderyMildew.started ? (
+              <>
+                <LinearProgress
+                  variant="determinate"
+                  value={powderyMildew.index}
+                  color={powderyMildew.state === 'high' ? 'error' : powderyMildew.state === 'moderate' ? 'warning' : 'success'}
+                  style={{ height: '8px', borderRadius: '4px', marginBottom: '0.25rem' }}
+                />
+                <Typography variant="body2" color="textSecondary">
+                  {formatSensorValue(powderyMildew.index, 0)} / 100
+                </Typography>
+              </>
+            ) : (
+              <Typography variant="body2" color="textSecondary">
+                {t('pmiNotStarted')} ({powderyMildew.favourableStreak}/3)
+              </Typography>
+            )}
+          </Grid>
+        </Grid>
+
+        {/* Daily series */}
+        <Box style={{ height: '260px', width: '100%' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="gdd" tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="pmi" orientation="right" domain={[0, 100]} tick={{ fontSize: 12 }} />
+              <Tooltip />
+              <Legend />
+              <Bar yAxisId="gdd" dataKey="gdd" name={t('dailyGdd')} fill="#fbbf24" radius={[4, 4, 0, 0]} />
+              <Line yAxisId="pmi" dataKey="pmi" name={t('powderyMildewIndex')} stroke="#8b5cf6" strokeWidth={2} connectNulls dot={false} />
+              {chartData.filter(day => day.primaryInfection).map(day => (
+                <ReferenceLine key={day.label} yAxisId="gdd" x={day.label} stroke="#dc2626" strokeDasharray="4 2" label={{ value: t('primaryInfection'), fontSize: 10, fill: '#dc2626', position: 'top' }} />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+}
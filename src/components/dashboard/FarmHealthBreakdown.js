@@ -0,0 +1,147 @@
+// Farm Health Breakdown - per-component contributions and the 30-day score trend
+// src/components/dashboard/FarmHealthBreakdown.js
+
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  LinearProgress,
+  Alert
+} from '@mui/material';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { useTranslation } from '../../context/LanguageContext';
+import { TREND_DAYS } from '../../services/FarmHealthService';
+
+const COMPONENT_LABEL_KEYS = {
+  diseaseRisk: 'healthDiseaseRisk',
+  sensorUptime: 'healthSensorUptime',
+  envSuitability: 'healthEnvSuitability',
+  irrigationBalance: 'healthIrrigationBalance',
+  alertLoad: 'healthAlertLoad'
+};
+
+// Day label for the x axis: DD/MM
+const dayLabel = (date) => `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+
+export default function FarmHealthBreakdown({ open, onClose, health, trend }) {
+  const { t, formatSensorValue } = useTranslation();
+
+  const chartData = (trend || []).map(day => ({ label: dayLabel(day.date), score: day.score }));
+  const firstScored = chartData.find(day => day.score !== null);
+  const change = firstScored && health?.score !== null && health?.score !== undefined
+    ? health.score - firstScored.score
+    : null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle style={{ fontWeight: 600, color: '#1f2937' }}>
+        {t('farmHealth')}: {health?.score === null || health?.score === undefined ? '—' : `${formatSensorValue(health.score, 0)}%`}
+        {health && (
+          <Typography variant="body2" color="textSecondary">
+            {t(health.label.toLowerCase())}
+            {change !== null && ` • ${change >= 0 ? '+' : ''}${formatSensorValue(change, 0)} (${formatSensorValue(TREND_DAYS, 0)} ${t('days')})`}
+          </Typography>
+        )}
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {!health || health.breakdown.length === 0 ? (
+          <Alert severity="info">{t('noDataAvailable')}</Alert>
+        ) : (
+          <>
+            <Typography variant="subtitle2" style={{ fontWeight: 600, color: '#1f2937', marginBottom: '0.5rem' }}>
+              {t('healthBreakdown')}
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('healthComponent')}</TableCell>
+                  <TableCell align="right">{t('measuredValue')}</TableCell>
+                  <TableCell align="right">{t('healthWeight')}</TableCell>
+                  <TableCell align="right">{t('pointsEarned')}</TableCell>
+                  <TableCell align="right">{t('pointsLost')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {health.breakdown.map(item => (
+                  <TableRow key={item.key}>
+                    <TableCell>
+                      {t(COMPONENT_LABEL_KEYS[item.key])}
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {t(item.lowerIsBetter ? 'lowerIsBetter' : 'higherIsBetter')}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right" style={{ minWidth: '120px' }}>
+                      {formatSensorValue(item.value)}%
+                      <LinearProgress
+                        variant="determinate"
+                        value={item.value}
+                        color={(item.lowerIsBetter ? 100 - item.value : item.value) >= 70 ? 'success' : 'warning'}
+                        style={{ height: '4px', borderRadius: '2px', marginTop: '4px' }}
+                      />
+                    </TableCell>
+                    <TableCell align="right">{formatSensorValue(item.weight, 0)}%</TableCell>
+                    <TableCell align="right" style={{ color: '#16a34a', fontWeight: 600 }}>
+                      +{formatSensorValue(item.contribution)}
+                    </TableCell>
+                    <TableCell align="right" style={{ color: item.lost > 0 ? '#dc2626' : '#6b7280' }}>
+                      −{formatSensorValue(item.lost)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {health.missing.length > 0 && (
+              <Typography variant="caption" color="textSecondary" display="block" style={{ marginTop: '0.5rem' }}>
+                {t('healthNotMeasured')}: {health.missing.map(key => t(COMPONENT_LABEL_KEYS[key])).join(', ')}
+              </Typography>
+            )}
+          </>
+        )}
+
+        <Typography variant="subtitle2" style={{ fontWeight: 600, color: '#1f2937', margin: '1.5rem 0 0.5rem' }}>
+          {t('healthTrend')} ({formatSensorValue(TREND_DAYS, 0)} {t('days')})
+        </Typography>
+        <Box style={{ height: '220px', width: '100%' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} />
+              <Tooltip />
+              <ReferenceLine y={85} stroke="#22c55e" strokeDasharray="4 2" />
+              <ReferenceLine y={55} stroke="#f59e0b" strokeDasharray="4 2" />
+              <Line dataKey="score" name={t('farmHealth')} stroke="#22c55e" strokeWidth={2} connectNulls dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </Box>
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} style={{ color: '#22c55e' }}>
+          {t('close')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -6,11 +6,14 @@ import {
   Card,
   CardContent,
   Typography,
-  Box
+  Box,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import {
-  LineChart,
+  ComposedChart,
   Line,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -19,6 +22,22 @@ import {
   ResponsiveContainer
 } from 'recharts';
 import { useTranslation } from '../../context/LanguageContext'; // Add this import
+import { SENSOR_WINDOWS } from '../../services/SensorHistoryService';
+
+const WINDOW_LABEL_KEYS = {
+  '1h': 'lastHour',
+  '24h': 'last24Hours',
+  '7d': 'last7Days',
+  '30d': 'last30Days'
+};
+
+// Formats a tooltip value; min–max bands arrive as [min, max]
+const formatTooltipValue = (value, formatSensorValue) => {
+  if (Array.isArray(value)) {
+    return value.map(v => (typeof v === 'number' ? formatSensorValue(v) : v)).join(' – ');
+  }
+  return typeof value === 'number' ? formatSensorValue(value) : value;
+};
 
 // Update SensorChart.js CustomTooltip component
 // Replace the CustomTooltip component with this updated version:
@@ -44,7 +63,7 @@ const CustomTooltip = ({ active, payload, label }) => {
             fontSize: '14px',
             margin: '2px 0'
           }}>
-            {`${entry.name}: ${typeof entry.value === 'number' ? formatSensorValue(entry.value) : entry.value}${entry.payload.unit || ''}`}
+            {`${entry.name}: ${formatTooltipValue(entry.value, formatSensorValue)}${entry.payload.unit || ''}`}
           </p>
         ))}
       </div>
@@ -53,10 +72,33 @@ const CustomTooltip = ({ active, payload, label }) => {
   return null;
 };
 
-export default function SensorChart({ title, data, dataKeys, colors, unit }) {
+export default function SensorChart({ title, data, dataKeys, colors, unit, windowId = null, onWindowChange = null }) {
   const { t } = useTranslation(); // Add translation hook
   
-  console.log('📊 SensorChart Props:', { title, data, dataKeys, colors, unit });
+  console.log('📊 SensorChart Props:', { title, data, dataKeys, colors, unit, windowId });
+
+  // Window selector (1h / 24h / 7d / 30d) shown when the parent lets the user switch
+  const header = (
+    <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1} style={{ marginBottom: '1rem' }}>
+      <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937' }}>
+        {title}
+      </Typography>
+      {onWindowChange && (
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={windowId}
+          onChange={(e, value) => value && onWindowChange(value)}
+        >
+          {Object.keys(SENSOR_WINDOWS).map(id => (
+            <ToggleButton key={id} value={id} style={{ textTransform: 'none', padding: '2px 10px' }}>
+              {t(WINDOW_LABEL_KEYS[id])}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      )}
+    </Box>
+  );
   
   // Handle empty or invalid data
   if (!data || !Array.isArray(data) || data.length === 0) {
@@ -64,9 +106,7 @@ export default function SensorChart({ title, data, dataKeys, colors, unit }) {
     return (
       <Card elevation={2} style={{ height: '400px', backgroundColor: 'white', borderRadius: '12px' }}>
         <CardContent style={{ padding: '1.5rem', height: '100%' }}>
-          <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937', marginBottom: '1rem' }}>
-            {title}
-          </Typography>
+          {header}
           
           <Box style={{ 
             height: '300px', 
@@ -117,13 +157,11 @@ export default function SensorChart({ title, data, dataKeys, colors, unit }) {
   return (
     <Card elevation={2} style={{ height: '400px', backgroundColor: 'white', borderRadius: '12px' }}>
       <CardContent style={{ padding: '1.5rem', height: '100%' }}>
-        <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937', marginBottom: '1rem' }}>
-          {title}
-        </Typography>
+        {header}
         
         <Box style={{ height: '320px' }}>
           <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <ComposedChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
               <XAxis 
                 dataKey="time" 
@@ -147,22 +185,37 @@ export default function SensorChart({ title, data, dataKeys, colors, unit }) {
                 // Translate the sensor name using translation keys
                 const translatedName = t(key) || key.charAt(0).toUpperCase() + key.slice(1);
                 const displayName = `${translatedName}${unitLabel ? ` (${unitLabel})` : ''}`;
+                // Downsampled data carries a [min, max] band per bucket
+                const hasRange = data.some(point => Array.isArray(point[`${key}Range`]));
                 
                 return (
-                  <Line
-                    key={key}
-                    type="monotone"
-                    dataKey={key}
-                    stroke={color}
-                    strokeWidth={3}
-                    dot={{ fill: color, strokeWidth: 2, r: 4 }}
-                    activeDot={{ r: 6, stroke: color, strokeWidth: 2, fill: 'white' }}
-                    name={displayName}
-                    connectNulls={false}
-                  />
+                  <React.Fragment key={key}>
+                    {hasRange && (
+                      <Area
+                        type="monotone"
+                        dataKey={`${key}Range`}
+                        stroke="none"
+                        fill={color}
+                        fillOpacity={0.15}
+                        name={`${translatedName} ${t('minMaxRange')}`}
+                        connectNulls={false}
+                        isAnimationActive={false}
+                      />
+                    )}
+                    <Line
+                      type="monotone"
+                      dataKey={key}
+                      stroke={color}
+                      strokeWidth={3}
+                      dot={data.length > 60 ? false : { fill: color, strokeWidth: 2, r: 4 }}
+                      activeDot={{ r: 6, stroke: color, strokeWidth: 2, fill: 'white' }}
+                      name={hasRange ? `${displayName} ${t('average')}` : displayName}
+                      connectNulls={false}
+                    />
+                  </React.Fragment>
                 );
               })}
-            </LineChart>
+            </ComposedChart>
           </ResponsiveContainer>
         </Box>
       </CardContent>
@@ -17,17 +17,27 @@ import {
 import {
   History as HistoryIcon,
   Delete as DeleteIcon,
-  Camera as CameraIcon
+  Camera as CameraIcon,
+  Edit as EditIcon,
+  Dataset as DatasetIcon,
+  Compare as CompareIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext';
+import { getDiseaseDisplayName } from '../../services/DiseaseCatalogService';
 import AnalysisHistoryService from '../../services/AnalysisHistoryService';
+import { getDiseaseBreakdown } from '../../services/DetectionBreakdownService';
+import { applyCorrection } from '../../services/DetectionCorrectionService';
 
 export default function AnalysisHistory({ 
   analysisHistory: analysisHistoryProp, 
   setAnalysisHistory: setAnalysisHistoryProp, 
   autoLoadFromCloud = true, 
   userId = null, 
-  limit = 10 
+  limit = 10,
+  onCorrect = null,
+  accuracyStats = [],
+  onExportDataset = null,
+  onCompareModels = null
 }) {
   // Allow component to self-manage and auto-load from GCS if props not supplied
   const [internalHistory, setInternalHistory] = useState([]);
@@ -75,59 +85,6 @@ export default function AnalysisHistory({
     }
   };
 
-  // Disease name mapping with proper language handling
-  const getDiseaseDisplayName = (disease, currentLanguage) => {
-    const diseaseMap = {
-      'Karpa (Anthracnose)': {
-        english: 'Karpa (Anthracnose)',
-        marathi: 'कर्पा रोग',
-        hindi: 'कर्पा (एंथ्रैक्नोस)'
-      },
-      'Bhuri (Powdery Mildew)': {
-        english: 'Bhuri (Powdery Mildew)',
-        marathi: 'भुरी रोग',
-        hindi: 'भुरी (पाउडरी मिल्ड्यू)'
-      },
-      'Bokadlela (Borer Infestation)': {
-        english: 'Bokadlela (Borer Infestation)',
-        marathi: 'बोकाडलेला',
-        hindi: 'बोकाडलेला (बोरर संक्रमण)'
-      },
-      'Davnya (Downy Mildew)': {
-        english: 'Davnya (Downy Mildew)',
-        marathi: 'दवन्याचा रोग',
-        hindi: 'दवन्याचा (डाउनी मिल्ड्यू)'
-      },
-      'Healthy': {
-        english: 'Healthy',
-        marathi: 'निरोगी',
-        hindi: 'स्वस्थ'
-      }
-    };
-
-    const diseaseInfo = diseaseMap[disease] || { 
-      english: disease, 
-      marathi: disease, 
-      hindi: disease 
-    };
-
-    if (currentLanguage === 'marathi') {
-      return {
-        primary: diseaseInfo.marathi,
-        secondary: diseaseInfo.english
-      };
-    } else if (currentLanguage === 'hindi') {
-      return {
-        primary: diseaseInfo.hindi,
-        secondary: diseaseInfo.english
-      };
-    } else {
-      return {
-        primary: diseaseInfo.english,
-        secondary: null
-      };
-    }
-  };
 
   return (
     <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px' }}>
@@ -142,18 +99,40 @@ export default function AnalysisHistory({
               </Badge>
             </Typography>
           </Box>
-          {analysisHistory.length > 0 && (
-            <Button
-              size="small"
-              onClick={clearHistory}
-              startIcon={<DeleteIcon />}
-              style={{ color: '#ef4444' }}
-            >
-              {t('clearHistory')}
-            </Button>
-          )}
+          <Box display="flex" gap={1}>
+            {onCompareModels && (
+              <Button size="small" onClick={onCompareModels} startIcon={<CompareIcon />}>
+                {t('compareModels')}
+              </Button>
+            )}
+            {onExportDataset && (
+              <Button size="small" onClick={onExportDataset} startIcon={<DatasetIcon />}>
+                {t('exportDataset')}
+              </Button>
+            )}
+            {analysisHistory.length > 0 && (
+              <Button
+                size="small"
+                onClick={clearHistory}
+                startIcon={<DeleteIcon />}
+                style={{ color: '#ef4444' }}
+              >
+                {t('clearHistory')}
+              </Button>
+            )}
+          </Box>
         </Box>
         
+        {/* Model accuracy from the grower's reviews */}
+        {accuracyStats.length > 0 && (
+          <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginBottom: '1rem' }}>
+            {t('modelAccuracyFromReviews')}:{' '}
+            {accuracyStats.map(stats => (
+              `${stats.modelVersion} ${formatSensorValue(stats.accuracy, 1)}% (${formatSensorValue(stats.correct, 0)}/${formatSensorValue(stats.reviewed, 0)} ${t('reviewed')})`
+            )).join(' • ')}
+          </Typography>
+        )}
+
         {analysisHistory.length === 0 ? (
           <Box style={{ 
             textAlign: 'center', 
@@ -173,8 +152,14 @@ export default function AnalysisHistory({
         ) : (
           <Grid container spacing={2}>
             {analysisHistory.map((item) => {
+              // Grower's correction wins over the model's class
+              const shown = applyCorrection(item);
               // Get disease names using current language
-              const diseaseNames = getDiseaseDisplayName(item.disease, language);
+              const diseaseNames = getDiseaseDisplayName(shown.disease, language);
+              // Other diseases found on the same leaf
+              const otherDiseases = getDiseaseBreakdown(item)
+                .filter(d => d.name !== item.disease && d.name !== shown.disease)
+                .map(d => getDiseaseDisplayName(d.name, language).primary);
               
               return (
                 <Grid item xs={12} sm={6} md={4} lg={2.4} key={item.id}>
@@ -195,15 +180,33 @@ export default function AnalysisHistory({
                       e.currentTarget.style.boxShadow = '0 1px 3px rgba(0, 0, 0, 0.1)';
                     }}
                   >
-                    {/* Delete button overlay */}
+                    {/* Correct / delete button overlay */}
                     <Box
                       style={{
                         position: 'absolute',
                         top: '0.5rem',
                         right: '0.5rem',
-                        zIndex: 1
+                        zIndex: 1,
+                        display: 'flex',
+                        gap: '0.25rem'
                       }}
                     >
+                      {onCorrect && (
+                        <Tooltip title={t('correctResult')}>
+                          <IconButton
+                            size="small"
+                            onClick={() => onCorrect(item)}
+                            style={{ 
+                              backgroundColor: 'rgba(59, 130, 246, 0.9)',
+                              color: 'white',
+                              width: '24px',
+                              height: '24px'
+                            }}
+                          >
+                            <EditIcon style={{ fontSize: '0.75rem' }} />
+                          </IconButton>
+                        </Tooltip>
+                      )}
                       <Tooltip title={t('deleteThisAnalysis')}>
                         <IconButton
                           size="small"
@@ -308,6 +311,16 @@ export default function AnalysisHistory({
                           {diseaseNames.secondary}
                         </Typography>
                       )}
+                      {shown.corrected && (
+                        <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginBottom: '0.25rem', textDecoration: 'line-through' }}>
+                          {t('modelSaid')}: {getDiseaseDisplayName(shown.originalDisease, language).primary}
+                        </Typography>
+                      )}
+                      {otherDiseases.length > 0 && (
+                        <Typography variant="caption" style={{ display: 'block', marginBottom: '0.25rem', color: '#dc2626' }}>
+                          + {otherDiseases.join(', ')}
+                        </Typography>
+                      )}
                       
                       <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginBottom: '0.25rem' }}>
                         {formatSensorValue(item.confidence, 1)}% {t('confidence')}
@@ -319,20 +332,62 @@ export default function AnalysisHistory({
                       <Box display="flex" gap={0.5} flexWrap="wrap" style={{ marginTop: '0' }}>
                         {/* Use translated severity label */}
                         <Chip
-                          label={getSeverityLabel(item.severity)}
+                          label={getSeverityLabel(shown.severity)}
                           size="small"
                           color={
-                            item.severity === 'High' ? 'error' :
-                            item.severity === 'Medium' ? 'warning' :
-                            item.severity === 'None' ? 'success' : 'default'
+                            shown.severity === 'High' ? 'error' :
+                            shown.severity === 'Medium' ? 'warning' :
+                            shown.severity === 'None' ? 'success' : 'default'
                           }
                         />
+                        {item.correction && (
+                          <Chip
+                            label={shown.corrected ? t('corrected') : t('confirmedByGrower')}
+                            size="small"
+                            color={shown.corrected ? 'primary' : 'success'}
+                            variant="outlined"
+                            style={{ fontSize: '0.7rem' }}
+                          />
+                        )}
                         <Chip
-                          label="AI"
+                          label={item.lowTrust ? t('lowTrust') : 'AI'}
                           size="small"
                           variant="outlined"
+                          color={item.lowTrust ? 'warning' : 'default'}
                           style={{ fontSize: '0.7rem' }}
                         />
+                        {item.needsReview && !item.correction && (
+                          <Chip label={t('needsReview')} size="small" variant="outlined" color="warning" style={{ fontSize: '0.7rem' }} />
+                        )}
+                        {item.cached && (
+                          <Chip label={t('cached')} size="small" variant="outlined" color="info" style={{ fontSize: '0.7rem' }} />
+                        )}
+                        {Number.isInteger(item.severityScore?.grade) && (
+                          <Chip
+                            label={`${t('severityGrade')} ${formatSensorValue(item.severityScore.grade, 0)}/5`}
+                            size="small"
+                            variant="outlined"
+                            style={{ fontSize: '0.7rem' }}
+                          />
+                        )}
+                        {item.coInfection && (
+                          <Chip
+                            label={t('coInfection')}
+                            size="small"
+                            color="error"
+                            variant="outlined"
+                            style={{ fontSize: '0.7rem' }}
+                          />
+                        )}
+                        {item.batchSessionId && (
+                          <Chip
+                            label={t('batch')}
+                            size="small"
+                            variant="outlined"
+                            color="secondary"
+                            style={{ fontSize: '0.7rem' }}
+                          />
+                        )}
                       </Box>
                     </CardContent>
                   </Card>
@@ -0,0 +1,229 @@
+// Batch Analysis Section - per-image queue status and batch summary
+// src/components/detection/BatchAnalysisSection.js
+
+import React from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Box,
+  Chip,
+  Alert,
+  IconButton,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip
+} from '@mui/material';
+import {
+  Replay as RetryIcon,
+  Stop as StopIcon,
+  Close as CloseIcon,
+  CloudDone as SavedIcon
+} from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  running: 'info',
+  done: 'success',
+  failed: 'error'
+};
+
+const severityColor = (severity) => (
+  severity === 'High' ? 'error' :
+  severity === 'Medium' ? 'warning' :
+  severity === 'None' ? 'success' : 'default'
+);
+
+export default function BatchAnalysisSection({
+  items,
+  summary,
+  running,
+  overallProgress,
+  saveState,
+  onRetryItem,
+  onRetryFailed,
+  onCancel,
+  onClose
+}) {
+  const { t, getSeverityLabel, formatSensorValue } = useTranslation();
+
+  const statusLabels = {
+    pending: t('batchPending'),
+    running: t('batchRunning'),
+    done: t('batchDone'),
+    failed: t('batchFailed')
+  };
+
+  return (
+    <Card elevation={2} sx={{ backgroundColor: 'white', borderRadius: '12px', marginBottom: '2rem' }}>
+      <CardContent sx={{ padding: '1.5rem' }}>
+        {/* Header */}
+        <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={1} mb={2}>
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 600, color: '#1f2937' }}>
+              {t('batchAnalysis')}
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              {summary.completed} / {summary.total} {t('imagesAnalyzed')}
+              {summary.failed > 0 && ` • ${summary.failed} ${t('batchFailed').toLowerCase()}`}
+            </Typography>
+          </Box>
+          <Box display="flex" gap={1}>
+            {summary.failed > 0 && !running && (
+              <Button size="small" variant="outlined" startIcon={<RetryIcon />} onClick={onRetryFailed}>
+                {t('retryFailed')}
+              </Button>
+            )}
+            {running && (
+              <Button size="small" variant="outlined" color="warning" startIcon={<StopIcon />} onClick={onCancel}>
+                {t('cancelBatch')}
+              </Button>
+            )}
+            <Button size="small" variant="outlined" startIcon={<CloseIcon />} onClick={onClose} disabled={running}>
+              {t('close')}
+            </Button>
+          </Box>
+        </Box>
+
+        <LinearProgress
+          variant="determinate"
+          value={overallProgress}
+          style={{ height: '6px', borderRadius: '3px', marginBottom: '1.5rem' }}
+        />
+
+        {/* Per-image queue */}
+        <Box sx={{ maxHeight: '420px', overflowY: 'auto', marginBottom: '1.5rem' }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell />
+                <TableCell>{t('fileName')}</TableCell>
+                <TableCell>{t('status')}</TableCell>
+                <TableCell>{t('disease')}</TableCell>
+                <TableCell align="right">{t('confidence')}</TableCell>
+                <TableCell>{t('severity')}</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {items.map(item => (
+                <TableRow key={item.id}>
+                  <TableCell style={{ width: '56px' }}>
+                    {item.dataUrl ? (
+                      <img
+                        src={item.dataUrl}
+                        alt={item.name}
+                        style={{ width: '48px', height: '48px', objectFit: 'cover', borderRadius: '6px' }}
+                      />
+                    ) : (
+                      <Box style={{ width: '48px', height: '48px', borderRadius: '6px', backgroundColor: '#f3f4f6' }} />
+                    )}
+                  </TableCell>
+                  <TableCell style={{ maxWidth: '220px', wordBreak: 'break-all' }}>
+                    <Typography variant="body2">{item.name}</Typography>
+                    {item.status === 'running' && (
+                      <LinearProgress variant="determinate" value={item.progress} style={{ marginTop: '0.25rem' }} />
+                    )}
+                    {item.quality?.status === 'reject' ? (
+                      <Typography variant="caption" color="error" component="div">
+                        {t('imageQualityTooLow')}: {item.quality.issues.map(issue => t(issue.messageKey)).join(', ')}
+                      </Typography>
+                    ) : item.error && (
+                      <Typography variant="caption" color="error">{item.error}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={item.attempts > 1 && item.status !== 'done'
+                        ? `${statusLabels[item.status]} (${item.attempts})`
+                        : statusLabels[item.status]}
+                      color={STATUS_COLORS[item.status]}
+                      variant={item.status === 'pending' ? 'outlined' : 'filled'}
+                    />
+                  </TableCell>
+                  <TableCell>{item.result?.disease || '—'}</TableCell>
+                  <TableCell align="right">
+                    {item.result ? `${formatSensorValue(item.result.confidence, 1)}%` : '—'}
+                  </TableCell>
+                  <TableCell>
+                    {item.result ? (
+                      <Chip size="small" label={getSeverityLabel(item.result.severity)} color={severityColor(item.result.severity)} />
+                    ) : '—'}
+                  </TableCell>
+                  <TableCell align="right" style={{ width: '48px' }}>
+                    {item.status === 'failed' && !running && item.quality?.status !== 'reject' && (
+                      <Tooltip title={t('retry')}>
+                        <IconButton size="small" onClick={() => onRetryItem(item.id)}>
+                          <RetryIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    {item.saved && <SavedIcon fontSize="small" style={{ color: '#22c55e' }} />}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+
+        {/* Batch summary */}
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, color: '#1f2937', marginBottom: '0.5rem' }}>
+          {t('batchSummary')}
+        </Typography>
+        {summary.completed === 0 ? (
+          <Typography variant="body2" color="textSecondary">{t('noBatchResultsYet')}</Typography>
+        ) : (
+          <Box display="flex" gap={3} flexWrap="wrap" alignItems="flex-start">
+            <Table size="small" style={{ flex: 1, minWidth: '320px' }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('diseaseDistribution')}</TableCell>
+                  <TableCell align="right">{t('images')}</TableCell>
+                  <TableCell align="right">%</TableCell>
+                  <TableCell align="right">{t('avgConfidence')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {summary.distribution.map(row => (
+                  <TableRow key={row.disease}>
+                    <TableCell>{row.disease}</TableCell>
+                    <TableCell align="right">{row.count}</TableCell>
+                    <TableCell align="right">{formatSensorValue(row.percentage, 1)}</TableCell>
+                    <TableCell align="right">{formatSensorValue(row.avgConfidence, 1)}%</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <Box>
+              <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginBottom: '0.25rem' }}>
+                {t('worstSeverity')}
+              </Typography>
+              <Chip label={getSeverityLabel(summary.worstSeverity)} color={severityColor(summary.worstSeverity)} />
+            </Box>
+          </Box>
+        )}
+
+        {saveState?.status === 'saving' && (
+          <Alert severity="info" style={{ marginTop: '1rem' }}>{t('batchSessionSaving')}</Alert>
+        )}
+        {saveState?.status === 'saved' && (
+          <Alert severity="success" style={{ marginTop: '1rem' }}>
+            {t('batchSessionSaved')} ({saveState.savedCount})
+          </Alert>
+        )}
+        {saveState?.status === 'error' && (
+          <Alert severity="warning" style={{ marginTop: '1rem' }}>
+            {t('batchSessionSaveFailed')}: {saveState.message}
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,380 @@
+// Camera Capture - shoot leaves straight into the detection flow
+// src/components/detection/CameraCapture.js
+//
+// getUserMedia preview with rear-camera selection, torch toggle, a leaf
+// framing guide and a live quality check (same gate as uploads). Single
+// shots and bursts collect in a tray; the chosen frames are handed back as
+// JPEG Files so they go through the normal upload/batch path.
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  Select,
+  Tooltip,
+  Typography,
+  Alert,
+  useMediaQuery
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  PhotoCamera as ShutterIcon,
+  BurstMode as BurstIcon,
+  FlashOn as TorchOnIcon,
+  FlashOff as TorchOffIcon,
+  CheckCircle as SelectedIcon
+} from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+import { assessImageElementQuality } from '../../services/ImageQualityService';
+
+const BURST_COUNT = 5;
+const BURST_INTERVAL_MS = 250;
+const LIVE_CHECK_MS = 800;
+const JPEG_QUALITY = 0.92;
+
+const STATUS_COLORS = { pass: '#22c55e', warn: '#f59e0b', reject: '#ef4444' };
+
+const isRearCamera = (device) => /back|rear|environment/i.test(device.label || '');
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const isCameraCaptureSupported = () =>
+  typeof navigator !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+export default function CameraCapture({ open, onClose, onCapture }) {
+  const { t, formatSensorValue } = useTranslation();
+  const fullScreen = useMediaQuery('(max-width:600px)');
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const framesRef = useRef([]);
+  const requestRef = useRef(0); // bumps on every start/stop so late getUserMedia results are dropped
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState('');
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null); // translation key
+  const [torchSupported, setTorchSupported] = useState(false);
+  const [torchOn, setTorchOn] = useState(false);
+  const [liveQuality, setLiveQuality] = useState(null);
+  const [frames, setFrames] = useState([]); // [{ id, blob, url, quality, selected }]
+  const [capturing, setCapturing] = useState(false);
+
+  framesRef.current = frames;
+
+  const stopCamera = useCallback(() => {
+    requestRef.current++;
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+  }, []);
+
+  const startCamera = useCallback(async (requestedDeviceId) => {
+    stopCamera();
+    const request = requestRef.current;
+    setStarting(true);
+    setError(null);
+    setLiveQuality(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: {
+          ...(requestedDeviceId ? { deviceId: { exact: requestedDeviceId } } : { facingMode: { ideal: 'environment' } }),
+          width: { ideal: 1920 },
+          height: { ideal: 1080 }
+        }
+      });
+      if (request !== requestRef.current) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      streamRef.current = stream;
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play().catch(() => {});
+      }
+
+      const track = stream.getVideoTracks()[0];
+      const capabilities = track?.getCapabilities?.() || {};
+      setTorchSupported(!!capabilities.torch);
+      setTorchOn(false);
+
+      // Labels are only filled in once permission is granted
+      const videoInputs = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+      setDevices(videoInputs);
+      const activeId = track?.getSettings?.().deviceId || '';
+      const rear = videoInputs.find(isRearCamera);
+      if (!requestedDeviceId && rear && rear.deviceId !== activeId) {
+        // facingMode was ignored (common on laptops with external cameras); switch explicitly
+        setDeviceId(rear.deviceId);
+        await startCamera(rear.deviceId);
+        return;
+      }
+      setDeviceId(activeId);
+      console.log('📷 Camera started:', track?.label);
+    } catch (err) {
+      console.error('Camera start failed:', err);
+      setError(err?.name === 'NotAllowedError' ? 'cameraPermissionDenied' : 'cameraUnavailable');
+    } finally {
+      setStarting(false);
+    }
+  }, [stopCamera]);
+
+  // Start on open, release the camera and thumbnails on close
+  useEffect(() => {
+    if (!open) return undefined;
+    startCamera(null);
+    return () => {
+      stopCamera();
+      framesRef.current.forEach(frame => URL.revokeObjectURL(frame.url));
+      setFrames([]);
+    };
+  }, [open, startCamera, stopCamera]);
+
+  // Instant quality check on the preview
+  useEffect(() => {
+    if (!open || starting || error) return undefined;
+    const timer = setInterval(() => {
+      const video = videoRef.current;
+      if (!video || video.readyState < 2 || !video.videoWidth) return;
+      try {
+        setLiveQuality(assessImageElementQuality(video));
+      } catch (_) {}
+    }, LIVE_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [open, starting, error]);
+
+  const toggleTorch = async () => {
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    try {
+      await track.applyConstraints({ advanced: [{ torch: !torchOn }] });
+      setTorchOn(!torchOn);
+    } catch (err) {
+      console.warn('Torch toggle failed:', err);
+      setTorchSupported(false);
+    }
+  };
+
+  // Full-resolution still of the current preview frame
+  const grabFrame = async () => {
+    const video = videoRef.current;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    const quality = assessImageElementQuality(canvas);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+    return { id: `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`, blob, url: URL.createObjectURL(blob), quality };
+  };
+
+  const takePhoto = async () => {
+    setCapturing(true);
+    try {
+      const frame = await grabFrame();
+      setFrames(prev => [...prev, { ...frame, selected: frame.quality.status !== 'reject' }]);
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  // Several frames in quick succession; the sharpest usable one is pre-selected
+  const takeBurst = async () => {
+    setCapturing(true);
+    try {
+      const burst = [];
+      for (let i = 0; i < BURST_COUNT; i++) {
+        burst.push(await grabFrame());
+        if (i < BURST_COUNT - 1) await wait(BURST_INTERVAL_MS);
+      }
+      const best = burst
+        .filter(frame => frame.quality.status !== 'reject')
+        .sort((a, b) => b.quality.metrics.sharpness - a.quality.metrics.sharpness)[0];
+      setFrames(prev => [...prev, ...burst.map(frame => ({ ...frame, selected: frame === best }))]);
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const toggleFrame = (id) => {
+    setFrames(prev => prev.map(frame =>
+      frame.id === id && frame.quality.status !== 'reject' ? { ...frame, selected: !frame.selected } : frame
+    ));
+  };
+
+  const selectedFrames = frames.filter(frame => frame.selected);
+
+  const handleUse = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const files = selectedFrames.map((frame, index) =>
+      new File([frame.blob], `capture_${stamp}_${index + 1}.jpg`, { type: 'image/jpeg' })
+    );
+    onCapture(files);
+    onClose();
+  };
+
+  const guideColor = STATUS_COLORS[liveQuality?.status] || 'white';
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen={fullScreen} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" justifyContent="space-between" gap={1}>
+          <Typography variant="h6">{t('takePhoto')}</Typography>
+          <Box display="flex" alignItems="center" gap={1}>
+            {devices.length > 1 && (
+              <Select size="small" value={deviceId} onChange={(event) => startCamera(event.target.value)} style={{ maxWidth: '180px' }}>
+                {devices.map((device, index) => (
+                  <MenuItem key={device.deviceId} value={device.deviceId}>
+                    {device.label || `${t('camera')} ${index + 1}`}
+                  </MenuItem>
+                ))}
+              </Select>
+            )}
+            {torchSupported && (
+              <Tooltip title={t('torch')}>
+                <IconButton onClick={toggleTorch} style={{ color: torchOn ? '#f59e0b' : undefined }}>
+                  {torchOn ? <TorchOnIcon /> : <TorchOffIcon />}
+                </IconButton>
+              </Tooltip>
+            )}
+            <IconButton onClick={onClose}>
+              <CloseIcon />
+            </IconButton>
+          </Box>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {error ? (
+          <Alert severity="error" style={{ borderRadius: '8px' }}>{t(error)}</Alert>
+        ) : (
+          <Box style={{ position: 'relative', backgroundColor: '#111827', borderRadius: '8px', overflow: 'hidden' }}>
+            <video
+              ref={videoRef}
+              playsInline
+              muted
+              style={{ display: 'block', width: '100%', maxHeight: fullScreen ? '60vh' : '420px', objectFit: 'contain' }}
+            />
+
+            {/* Leaf framing guide, tinted by the live quality check */}
+            <svg
+              viewBox="0 0 100 100"
+              preserveAspectRatio="none"
+              style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+            >
+              <defs>
+                <mask id="leaf-guide-mask">
+                  <rect x="0" y="0" width="100" height="100" fill="white" />
+                  <ellipse cx="50" cy="50" rx="34" ry="40" fill="black" />
+                </mask>
+              </defs>
+              <rect x="0" y="0" width="100" height="100" fill="rgba(0,0,0,0.35)" mask="url(#leaf-guide-mask)" />
+              <ellipse
+                cx="50"
+                cy="50"
+                rx="34"
+                ry="40"
+                fill="none"
+                stroke={guideColor}
+                strokeWidth="2"
+                strokeDasharray="6 4"
+                vectorEffect="non-scaling-stroke"
+              />
+            </svg>
+
+            <Typography
+              variant="caption"
+              style={{ position: 'absolute', top: '0.5rem', left: 0, right: 0, textAlign: 'center', color: 'white', textShadow: '0 1px 2px black' }}
+            >
+              {t('cameraFramingHint')}
+            </Typography>
+
+            {/* Live quality issues */}
+            <Box style={{ position: 'absolute', bottom: '0.5rem', left: '0.5rem', right: '0.5rem', display: 'flex', flexWrap: 'wrap', gap: '0.25rem', justifyContent: 'center' }}>
+              {liveQuality?.status === 'pass' && (
+                <Chip size="small" label={t('cameraQualityGood')} style={{ backgroundColor: STATUS_COLORS.pass, color: 'white' }} />
+              )}
+              {liveQuality?.issues.map(issue => (
+                <Chip
+                  key={issue.code}
+                  size="small"
+                  label={t(issue.messageKey)}
+                  style={{ backgroundColor: STATUS_COLORS[issue.level], color: 'white' }}
+                />
+              ))}
+            </Box>
+
+            {starting && (
+              <Box style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <CircularProgress style={{ color: 'white' }} />
+              </Box>
+            )}
+          </Box>
+        )}
+
+        {/* Captured frames: tap to (de)select, rejected frames can't be used */}
+        {frames.length > 0 && (
+          <Box display="flex" gap={1} mt={2} style={{ overflowX: 'auto', paddingBottom: '0.25rem' }}>
+            {frames.map(frame => (
+              <Tooltip
+                key={frame.id}
+                title={frame.quality.issues.length > 0
+                  ? frame.quality.issues.map(issue => t(issue.messageKey)).join(', ')
+                  : t('cameraQualityGood')}
+              >
+                <Box
+                  onClick={() => toggleFrame(frame.id)}
+                  style={{
+                    position: 'relative',
+                    flex: '0 0 auto',
+                    cursor: frame.quality.status === 'reject' ? 'not-allowed' : 'pointer',
+                    border: `3px solid ${frame.selected ? '#8b5cf6' : STATUS_COLORS[frame.quality.status]}`,
+                    borderRadius: '8px',
+                    opacity: frame.quality.status === 'reject' ? 0.5 : 1
+                  }}
+                >
+                  <img src={frame.url} alt="Capture" style={{ display: 'block', width: '72px', height: '72px', objectFit: 'cover', borderRadius: '5px' }} />
+                  {frame.selected && (
+                    <SelectedIcon fontSize="small" style={{ position: 'absolute', top: 2, right: 2, color: '#8b5cf6', backgroundColor: 'white', borderRadius: '50%' }} />
+                  )}
+                </Box>
+              </Tooltip>
+            ))}
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions style={{ justifyContent: 'space-between', padding: '0.75rem 1.5rem' }}>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="contained"
+            startIcon={capturing ? <CircularProgress size={18} color="inherit" /> : <ShutterIcon />}
+            onClick={takePhoto}
+            disabled={!!error || starting || capturing}
+            style={{ background: 'linear-gradient(135deg, #8b5cf6, #22c55e)', color: 'white' }}
+          >
+            {t('capture')}
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<BurstIcon />}
+            onClick={takeBurst}
+            disabled={!!error || starting || capturing}
+            style={{ borderColor: '#8b5cf6', color: '#8b5cf6' }}
+          >
+            {t('burstCapture')} ×{formatSensorValue(BURST_COUNT, 0)}
+          </Button>
+        </Box>
+        <Button variant="contained" color="success" onClick={handleUse} disabled={selectedFrames.length === 0}>
+          {t('useCapturedPhotos')} ({formatSensorValue(selectedFrames.length, 0)})
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
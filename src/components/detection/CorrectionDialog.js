@@ -0,0 +1,292 @@
+// Correction Dialog - grower picks the true class, fixes boxes and adds notes
+// src/components/detection/CorrectionDialog.js
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  Restore as RestoreIcon
+} from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+import { adjustBox, getDiseaseColor, parseImageSize } from '../../services/DetectionOverlayService';
+import { buildCorrection } from '../../services/DetectionCorrectionService';
+
+// Boxes over the photo: drag a box to move it, drag its corner handle to resize
+function BoxEditor({ imageSrc, frameSize, boxes, selected, onSelect, onChange, onImageSize }) {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const toFramePoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  const startDrag = (event, index, mode) => {
+    event.stopPropagation();
+    svgRef.current.setPointerCapture?.(event.pointerId);
+    dragRef.current = { index, mode, start: toFramePoint(event), bbox: boxes[index].bbox };
+    onSelect(index);
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toFramePoint(event);
+    onChange(drag.index, adjustBox(drag.bbox, drag.mode, point.x - drag.start.x, point.y - drag.start.y, frameSize));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const handleSize = frameSize ? Math.max(frameSize.width, frameSize.height) / 50 : 0;
+
+  return (
+    <div style={{ position: 'relative', borderRadius: '8px', overflow: 'hidden', border: '1px solid #e5e7eb', backgroundColor: '#111827' }}>
+      <img
+        src={imageSrc}
+        alt="Correction"
+        draggable={false}
+        onLoad={(event) => onImageSize({ width: event.target.naturalWidth, height: event.target.naturalHeight })}
+        style={{ display: 'block', width: '100%' }}
+      />
+      {frameSize && (
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${frameSize.width} ${frameSize.height}`}
+          preserveAspectRatio="none"
+          onPointerMove={handlePointerMove}
+          onPointerUp={endDrag}
+          onPointerCancel={endDrag}
+          onPointerDown={() => onSelect(null)}
+          style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', touchAction: 'none' }}
+        >
+          {boxes.map((box, index) => {
+            if (box.deleted) return null;
+            const [x1, y1, x2, y2] = box.bbox;
+            const color = getDiseaseColor(box.class_name);
+            const isSelected = index === selected;
+            return (
+              <g key={index}>
+                <rect
+                  x={x1}
+                  y={y1}
+                  width={x2 - x1}
+                  height={y2 - y1}
+                  fill={color}
+                  fillOpacity={isSelected ? 0.2 : 0.08}
+                  stroke={color}
+                  strokeWidth={isSelected ? 3 : 2}
+                  strokeDasharray={isSelected ? '6 3' : undefined}
+                  vectorEffect="non-scaling-stroke"
+                  style={{ cursor: 'move' }}
+                  onPointerDown={(event) => startDrag(event, index, 'move')}
+                />
+                {isSelected && (
+                  <rect
+                    x={x2 - handleSize / 2}
+                    y={y2 - handleSize / 2}
+                    width={handleSize}
+                    height={handleSize}
+                    fill="white"
+                    stroke={color}
+                    strokeWidth={2}
+                    vectorEffect="non-scaling-stroke"
+                    style={{ cursor: 'nwse-resize' }}
+                    onPointerDown={(event) => startDrag(event, index, 'resize')}
+                  />
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+export default function CorrectionDialog({ open, item, classes = [], userId = null, saving = false, error = null, onClose, onSave }) {
+  const { t, formatSensorValue } = useTranslation();
+  const [disease, setDisease] = useState('');
+  const [boxes, setBoxes] = useState([]); // model boxes plus a `deleted` flag
+  const [notes, setNotes] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [naturalSize, setNaturalSize] = useState(null);
+
+  // Start from the previous correction when the item already has one
+  useEffect(() => {
+    if (!open || !item) return;
+    const previous = item.correction;
+    setDisease(previous?.disease || item.disease || '');
+    setBoxes((previous?.boxes || item.detectionDetails?.boundingBoxes || item.boundingBoxes || [])
+      .filter(box => Array.isArray(box.bbox) && box.bbox.every(Number.isFinite))
+      .map(box => ({ ...box, deleted: false })));
+    setNotes(previous?.notes || '');
+    setSelected(null);
+    setNaturalSize(null);
+  }, [open, item]);
+
+  if (!item) return null;
+
+  const imageSrc = item.currentImage || item.originalImage || item.image || null;
+  const frameSize = parseImageSize(item.detectionDetails?.imageSize) || naturalSize;
+  const originalDisease = item.correction?.originalDisease || item.disease;
+  const originalConfidence = item.correction?.originalConfidence ?? item.confidence;
+  const boxClasses = classes.filter(cls => cls.severity !== 'None');
+  const hasBoxes = boxes.length > 0;
+
+  const updateBox = (index, patch) => {
+    setBoxes(prev => prev.map((box, i) => (i === index ? { ...box, ...patch } : box)));
+  };
+
+  const handleSave = () => {
+    const cls = classes.find(c => c.name === disease);
+    onSave(buildCorrection(item, {
+      disease,
+      severity: cls?.severity || null,
+      boxes: hasBoxes ? boxes.filter(box => !box.deleted) : null,
+      notes,
+      userId
+    }));
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{t('correctResult')}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1rem' }}>
+          {t('modelSaid')}: <strong>{originalDisease}</strong>
+          {Number.isFinite(Number(originalConfidence)) && ` • ${formatSensorValue(Number(originalConfidence), 1)}% ${t('confidence')}`}
+        </Typography>
+
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label={t('actualDisease')}
+          value={classes.some(cls => cls.name === disease) ? disease : ''}
+          onChange={(event) => setDisease(event.target.value)}
+          style={{ marginBottom: '1rem' }}
+        >
+          {classes.map(cls => (
+            <MenuItem key={cls.name} value={cls.name}>{cls.name}</MenuItem>
+          ))}
+        </TextField>
+
+        {hasBoxes && imageSrc && (
+          <Box mb={2}>
+            <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginBottom: '0.5rem' }}>
+              {t('correctionBoxesHint')}
+            </Typography>
+            <BoxEditor
+              imageSrc={imageSrc}
+              frameSize={frameSize}
+              boxes={boxes}
+              selected={selected}
+              onSelect={setSelected}
+              onChange={(index, bbox) => updateBox(index, { bbox })}
+              onImageSize={setNaturalSize}
+            />
+            <Box display="flex" flexDirection="column" gap={0.5} mt={1}>
+              {boxes.map((box, index) => (
+                <Box
+                  key={index}
+                  display="flex"
+                  alignItems="center"
+                  gap={1}
+                  onClick={() => !box.deleted && setSelected(index)}
+                  style={{
+                    padding: '0.25rem 0.5rem',
+                    borderRadius: '6px',
+                    backgroundColor: index === selected ? '#f3f4f6' : 'transparent',
+                    opacity: box.deleted ? 0.5 : 1
+                  }}
+                >
+                  <span style={{ width: 12, height: 12, borderRadius: 2, backgroundColor: getDiseaseColor(box.class_name), flexShrink: 0 }} />
+                  <TextField
+                    select
+                    size="small"
+                    variant="standard"
+                    value={boxClasses.some(cls => cls.name === box.class_name) ? box.class_name : ''}
+                    onChange={(event) => {
+                      const cls = boxClasses.find(c => c.name === event.target.value);
+                      updateBox(index, { class_name: cls.name, class_id: cls.id ?? box.class_id });
+                    }}
+                    disabled={box.deleted}
+                    style={{ flex: 1, textDecoration: box.deleted ? 'line-through' : 'none' }}
+                  >
+                    {boxClasses.map(cls => (
+                      <MenuItem key={cls.name} value={cls.name}>{cls.name}</MenuItem>
+                    ))}
+                  </TextField>
+                  {Number.isFinite(box.confidence) && (
+                    <Typography variant="caption" color="textSecondary">
+                      {formatSensorValue(box.confidence, 1)}%
+                    </Typography>
+                  )}
+                  <Tooltip title={box.deleted ? t('restoreBox') : t('deleteBox')}>
+                    <IconButton
+                      size="small"
+                      onClick={(event) => {
+                        event.stopPropagation();
+                        updateBox(index, { deleted: !box.deleted });
+                        if (index === selected) setSelected(null);
+                      }}
+                    >
+                      {box.deleted ? <RestoreIcon fontSize="small" /> : <DeleteIcon fontSize="small" />}
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          size="small"
+          label={t('correctionNotes')}
+          placeholder={t('correctionNotesPlaceholder')}
+          value={notes}
+          onChange={(event) => setNotes(event.target.value)}
+        />
+
+        {error && (
+          <Alert severity="error" style={{ marginTop: '1rem' }}>
+            {t('correctionSaveFailed')}: {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>{t('cancel')}</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving || !disease}
+          startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {t('saveCorrection')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
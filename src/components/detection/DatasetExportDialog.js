@@ -0,0 +1,220 @@
+// Dataset Export Dialog - download labelled detections as a COCO / YOLO training set
+// src/components/detection/DatasetExportDialog.js
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Grid,
+  LinearProgress,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+import { buildClassMap, DEFAULT_VAL_FRACTION, exportDataset } from '../../services/DatasetExportService';
+import { isAbortError } from '../../services/InferenceClient';
+
+const STAGE_KEYS = { collect: 'datasetCollecting', images: 'datasetDownloadingImages', archive: 'datasetWritingArchive' };
+const REVIEW_KEYS = { all: 'datasetAllResults', reviewed: 'datasetReviewedOnly', unreviewed: 'datasetUnreviewedOnly' };
+
+export default function DatasetExportDialog({ open, onClose, userId = null, diseaseMapping }) {
+  const { t, formatSensorValue } = useTranslation();
+  const classMap = buildClassMap(diseaseMapping);
+  const [format, setFormat] = useState('coco');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [classIds, setClassIds] = useState(() => classMap.map(cls => cls.id));
+  const [minConfidence, setMinConfidence] = useState(50);
+  const [reviewed, setReviewed] = useState('all');
+  const [valPct, setValPct] = useState(DEFAULT_VAL_FRACTION * 100);
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop a running export when the dialog goes away
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const exporting = !!progress;
+
+  const toggleClass = (id) => {
+    setClassIds(prev => (prev.includes(id) ? prev.filter(classId => classId !== id) : [...prev, id]));
+  };
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setSummary(null);
+    setError(null);
+    setProgress({ stage: 'collect', done: 0, total: 0 });
+    try {
+      const { blob, fileName, stats } = await exportDataset({
+        userId,
+        format,
+        diseaseMapping,
+        valFraction: Math.min(0.9, Math.max(0, Number(valPct) / 100)),
+        filters: {
+          from: from ? `${from}T00:00:00` : null,
+          to: to ? `${to}T23:59:59.999` : null,
+          classIds,
+          minConfidence: Number(minConfidence) || 0,
+          reviewed
+        },
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      setSummary(stats);
+    } catch (exportError) {
+      if (!isAbortError(exportError)) {
+        console.error('Dataset export failed:', exportError);
+        setError(exportError.message || 'Export failed');
+      }
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    controllerRef.current?.abort();
+    onClose();
+  };
+
+  const progressPct = progress?.stage === 'images' && progress.total > 0 ? (progress.done / progress.total) * 100 : null;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{t('exportTrainingDataset')}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1rem' }}>
+          {t('exportTrainingDatasetDescription')}
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField select fullWidth size="small" label={t('datasetFormat')} value={format} onChange={(e) => setFormat(e.target.value)} disabled={exporting}>
+              <MenuItem value="coco">COCO (JSON)</MenuItem>
+              <MenuItem value="yolo">YOLO (txt)</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField select fullWidth size="small" label={t('datasetReviewStatus')} value={reviewed} onChange={(e) => setReviewed(e.target.value)} disabled={exporting}>
+              {Object.entries(REVIEW_KEYS).map(([value, key]) => (
+                <MenuItem key={value} value={value}>{t(key)}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6}>
+            <TextField type="date" fullWidth size="small" label={t('fromDate')} value={from} onChange={(e) => setFrom(e.target.value)} InputLabelProps={{ shrink: true }} disabled={exporting} />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField type="date" fullWidth size="small" label={t('toDate')} value={to} onChange={(e) => setTo(e.target.value)} InputLabelProps={{ shrink: true }} disabled={exporting} />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              type="number"
+              fullWidth
+              size="small"
+              label={t('datasetMinConfidence')}
+              value={minConfidence}
+              onChange={(e) => setMinConfidence(e.target.value)}
+              inputProps={{ min: 0, max: 100 }}
+              helperText={t('datasetMinConfidenceHint')}
+              disabled={exporting}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              type="number"
+              fullWidth
+              size="small"
+              label={t('datasetValidationSplit')}
+              value={valPct}
+              onChange={(e) => setValPct(e.target.value)}
+              inputProps={{ min: 0, max: 90 }}
+              disabled={exporting}
+            />
+          </Grid>
+        </Grid>
+
+        <Typography variant="subtitle2" style={{ marginTop: '1rem', fontWeight: 600 }}>
+          {t('datasetClasses')}
+        </Typography>
+        <Box display="flex" flexWrap="wrap">
+          {classMap.map(cls => (
+            <FormControlLabel
+              key={cls.id}
+              control={<Checkbox size="small" checked={classIds.includes(cls.id)} onChange={() => toggleClass(cls.id)} disabled={exporting} />}
+              label={<Typography variant="body2">{cls.name}</Typography>}
+            />
+          ))}
+        </Box>
+
+        {progress && (
+          <Box mt={2}>
+            <Typography variant="caption" color="textSecondary">
+              {t(STAGE_KEYS[progress.stage])}
+              {progress.stage === 'images' && ` (${formatSensorValue(progress.done, 0)}/${formatSensorValue(progress.total, 0)})`}
+            </Typography>
+            <LinearProgress variant={progressPct === null ? 'indeterminate' : 'determinate'} value={progressPct ?? 0} />
+          </Box>
+        )}
+
+        {summary && (
+          <Alert severity={summary.images > 0 ? 'success' : 'warning'} style={{ marginTop: '1rem' }}>
+            <Typography variant="body2" style={{ fontWeight: 600 }}>
+              {summary.images > 0 ? t('datasetExported') : t('datasetEmpty')}
+            </Typography>
+            <Typography variant="caption" style={{ display: 'block' }}>
+              {formatSensorValue(summary.images, 0)} {t('images')} ({formatSensorValue(summary.train, 0)} train / {formatSensorValue(summary.val, 0)} val)
+              {' • '}{formatSensorValue(summary.annotations, 0)} {t('regions')}
+            </Typography>
+            {Object.entries(summary.perClass).map(([name, count]) => (
+              <Typography key={name} variant="caption" style={{ display: 'block' }}>
+                {name}: {formatSensorValue(count, 0)}
+              </Typography>
+            ))}
+            <Typography variant="caption" color="textSecondary" style={{ display: 'block' }}>
+              {t('datasetSkipped')}: {formatSensorValue(summary.skipped.filtered + summary.skipped.noBoxes, 0)}
+              {' • '}{t('datasetDuplicates')}: {formatSensorValue(summary.skipped.duplicates, 0)}
+              {' • '}{t('datasetDownloadFailed')}: {formatSensorValue(summary.skipped.failed, 0)}
+            </Typography>
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" style={{ marginTop: '1rem' }}>
+            {t('datasetExportFailed')}: {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{exporting ? t('cancel') : t('close')}</Button>
+        <Button
+          variant="contained"
+          startIcon={<DownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting || classIds.length === 0}
+        >
+          {t('exportDataset')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
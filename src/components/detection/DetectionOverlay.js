@@ -0,0 +1,273 @@
+// Detection Overlay - interactive boxes and masks over the original photo
+// src/components/detection/DetectionOverlay.js
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Box,
+  Chip,
+  FormControlLabel,
+  IconButton,
+  Slider,
+  Switch,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  ZoomIn as ZoomInIcon,
+  ZoomOut as ZoomOutIcon,
+  CenterFocusStrong as ResetViewIcon
+} from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+import {
+  maskToShapes,
+  overlayClasses,
+  parseImageSize,
+  visibleBoxes
+} from '../../services/DetectionOverlayService';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 6;
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+export default function DetectionOverlay({ imageSrc, detectionDetails, height = 260 }) {
+  const { t, formatSensorValue } = useTranslation();
+  const boxes = useMemo(() => detectionDetails?.boundingBoxes || [], [detectionDetails]);
+  const classes = useMemo(() => overlayClasses(boxes), [boxes]);
+
+  const [hiddenClasses, setHiddenClasses] = useState([]);
+  const [minConfidence, setMinConfidence] = useState(0);
+  const [showMasks, setShowMasks] = useState(true);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 }); // scale and pan offset in px
+  const [dragging, setDragging] = useState(false);
+  const [naturalSize, setNaturalSize] = useState(null);
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Box coordinates refer to the frame sent to the model; fall back to the photo's own size
+  const frameSize = useMemo(
+    () => parseImageSize(detectionDetails?.imageSize) || naturalSize,
+    [detectionDetails, naturalSize]
+  );
+  const shown = visibleBoxes(boxes, { hiddenClasses, minConfidence });
+  const hasMasks = boxes.some(box => box.mask);
+  const active = !!imageSrc && boxes.length > 0;
+  const colorOf = (box) => classes.find(cls => cls.classId === box.class_id)?.color;
+
+  // box → { index, shapes }; masks are converted once, not on every slider move
+  const boxInfo = useMemo(
+    () => new Map(boxes.map((box, index) => [box, { index, shapes: box.mask ? maskToShapes(box.mask, frameSize) : null }])),
+    [boxes, frameSize]
+  );
+
+  // Zoom towards the cursor; React's onWheel is passive, so listen natively to stop page scroll
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return undefined;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const rect = viewport.getBoundingClientRect();
+      const cx = event.clientX - rect.left;
+      const cy = event.clientY - rect.top;
+      setView(prev => {
+        const zoom = clampZoom(prev.zoom * (event.deltaY < 0 ? 1.2 : 1 / 1.2));
+        if (zoom === 1) return { zoom, x: 0, y: 0 };
+        return {
+          zoom,
+          x: cx - ((cx - prev.x) * zoom) / prev.zoom,
+          y: cy - ((cy - prev.y) * zoom) / prev.zoom
+        };
+      });
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, [active]);
+
+  // Button zoom keeps the top-left corner in place
+  const zoomBy = (factor) => {
+    setView(prev => {
+      const zoom = clampZoom(prev.zoom * factor);
+      return zoom === 1 ? { zoom, x: 0, y: 0 } : { ...prev, zoom };
+    });
+  };
+
+  const resetView = () => setView({ zoom: 1, x: 0, y: 0 });
+
+  const handleMouseDown = (event) => {
+    if (view.zoom === 1) return;
+    dragRef.current = { startX: event.clientX, startY: event.clientY, x: view.x, y: view.y };
+    setDragging(true);
+  };
+
+  const handleMouseMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView(prev => ({ ...prev, x: drag.x + event.clientX - drag.startX, y: drag.y + event.clientY - drag.startY }));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+    setDragging(false);
+  };
+
+  const toggleClass = (classId) => {
+    setHiddenClasses(prev => (prev.includes(classId) ? prev.filter(id => id !== classId) : [...prev, classId]));
+  };
+
+  if (!active) return null;
+
+  return (
+    <Box>
+      {/* Class toggles */}
+      <Box display="flex" flexWrap="wrap" gap={0.5} mb={1}>
+        {classes.map(cls => {
+          const hidden = hiddenClasses.includes(cls.classId);
+          return (
+            <Chip
+              key={cls.classId}
+              size="small"
+              label={`${cls.name} (${formatSensorValue(cls.count, 0)})`}
+              onClick={() => toggleClass(cls.classId)}
+              variant={hidden ? 'outlined' : 'filled'}
+              style={{
+                backgroundColor: hidden ? 'transparent' : cls.color,
+                color: hidden ? '#6b7280' : 'white',
+                borderColor: cls.color,
+                textDecoration: hidden ? 'line-through' : 'none'
+              }}
+            />
+          );
+        })}
+      </Box>
+
+      {/* Viewport: drag to pan, wheel or buttons to zoom */}
+      <div
+        ref={viewportRef}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={endDrag}
+        onMouseLeave={endDrag}
+        style={{
+          position: 'relative',
+          height: `${height}px`,
+          overflow: 'hidden',
+          borderRadius: '8px',
+          border: '1px solid #e5e7eb',
+          backgroundColor: '#111827',
+          cursor: view.zoom > 1 ? (dragging ? 'grabbing' : 'grab') : 'default',
+          userSelect: 'none'
+        }}
+      >
+        <div
+          style={{
+            position: 'relative',
+            width: '100%',
+            transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+            transformOrigin: '0 0'
+          }}
+        >
+          <img
+            src={imageSrc}
+            alt="Detections"
+            draggable={false}
+            onLoad={(event) => setNaturalSize({ width: event.target.naturalWidth, height: event.target.naturalHeight })}
+            style={{ display: 'block', width: '100%' }}
+          />
+          {frameSize && (
+            <svg
+              viewBox={`0 0 ${frameSize.width} ${frameSize.height}`}
+              preserveAspectRatio="none"
+              style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%' }}
+            >
+              {showMasks && shown.map(box => {
+                const { index, shapes } = boxInfo.get(box);
+                if (!shapes) return null;
+                return (
+                  <g key={`mask_${index}`} fill={colorOf(box)} fillOpacity={0.35} style={{ pointerEvents: 'none' }}>
+                    {shapes.rects.map((r, i) => <rect key={`r${i}`} x={r.x} y={r.y} width={r.width} height={r.height} />)}
+                    {shapes.polygons.map((points, i) => <polygon key={`p${i}`} points={points.join(' ')} />)}
+                  </g>
+                );
+              })}
+              {shown.map(box => {
+                const [x1, y1, x2, y2] = box.bbox || [];
+                if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+                const color = colorOf(box);
+                return (
+                  <Tooltip
+                    key={`box_${boxInfo.get(box).index}`}
+                    title={`${box.class_name} • ${formatSensorValue(box.confidence, 1)}% ${t('confidence')}`}
+                    followCursor
+                  >
+                    <rect
+                      x={x1}
+                      y={y1}
+                      width={x2 - x1}
+                      height={y2 - y1}
+                      fill={color}
+                      fillOpacity={0.08}
+                      stroke={color}
+                      strokeWidth={2}
+                      vectorEffect="non-scaling-stroke"
+                    />
+                  </Tooltip>
+                );
+              })}
+            </svg>
+          )}
+        </div>
+
+        {/* Zoom controls */}
+        <Box
+          style={{ position: 'absolute', right: '0.5rem', bottom: '0.5rem', backgroundColor: 'rgba(255,255,255,0.9)', borderRadius: '6px' }}
+          onMouseDown={(event) => event.stopPropagation()}
+        >
+          <Tooltip title={t('zoomIn')}>
+            <span>
+              <IconButton size="small" onClick={() => zoomBy(1.5)} disabled={view.zoom >= MAX_ZOOM}>
+                <ZoomInIcon fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('zoomOut')}>
+            <span>
+              <IconButton size="small" onClick={() => zoomBy(1 / 1.5)} disabled={view.zoom <= MIN_ZOOM}>
+                <ZoomOutIcon fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('resetView')}>
+            <IconButton size="small" onClick={resetView}>
+              <ResetViewIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </div>
+
+      {/* Confidence filter and mask toggle */}
+      <Box display="flex" alignItems="center" gap={2} mt={1}>
+        <Typography variant="caption" style={{ whiteSpace: 'nowrap' }}>
+          {t('minConfidence')}: {formatSensorValue(minConfidence, 0)}%
+        </Typography>
+        <Slider
+          size="small"
+          value={minConfidence}
+          onChange={(event, value) => setMinConfidence(value)}
+          min={0}
+          max={100}
+          step={5}
+          style={{ flex: 1 }}
+        />
+        {hasMasks && (
+          <FormControlLabel
+            control={<Switch size="small" checked={showMasks} onChange={(event) => setShowMasks(event.target.checked)} />}
+            label={<Typography variant="caption">{t('showMasks')}</Typography>}
+            style={{ marginRight: 0 }}
+          />
+        )}
+      </Box>
+      <Typography variant="caption" color="textSecondary">
+        {formatSensorValue(shown.length, 0)}/{formatSensorValue(boxes.length, 0)} {t('regions')} • {t('overlayHint')}
+      </Typography>
+    </Box>
+  );
+}
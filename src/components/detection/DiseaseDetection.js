@@ -1,7 +1,7 @@
 // COMPLETELY FIXED DiseaseDetection.js - Removed CQ.listLiveHistory Error
 // src/components/detection/DiseaseDetection.js
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   Card,
   CardContent,
@@ -12,7 +12,10 @@ import {
   CircularProgress,
   LinearProgress,
   Tabs,
-  Tab
+  Tab,
+  Switch,
+  FormControlLabel,
+  Tooltip
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
@@ -26,17 +29,57 @@ import { useTranslation } from '../../context/LanguageContext';
 import DetectronDiseaseService from '../../services/DetectronDiseaseService';
 import ImageUploadSection from './ImageUploadSection';
 import ResultsSection from './ResultsSection';
+import { assessImageElementQuality } from '../../services/ImageQualityService';
+import BatchAnalysisSection from './BatchAnalysisSection';
+import ModelStatusBanner from './ModelStatusBanner';
+import CorrectionDialog from './CorrectionDialog';
+import DatasetExportDialog from './DatasetExportDialog';
+import ModelComparisonDialog from './ModelComparisonDialog';
+import { modelAccuracyStats } from '../../services/DetectionCorrectionService';
+import { isAbortError } from '../../services/InferenceClient';
+import { ANALYSIS_MODES } from '../../services/TiledInferenceService';
 import AnalysisHistory from './AnalysisHistory';
 import LiveCameraFeed from '../live-monitoring/LiveCameraFeed';
 import { useStorageManager } from './hooks/useStorageManager';
+import { useBatchAnalysis } from './hooks/useBatchAnalysis';
+import { useDetectionStatus } from './hooks/useDetectionStatus';
+import { useDetectionCorrection } from './hooks/useDetectionCorrection';
 import { useAuth } from '../../context/AuthContext';
 import analysisSupabaseService from '../../services/AnalysisSupabaseService';
 
 export default function DiseaseDetection() {
   const location = useLocation();
   const { t } = useTranslation();
-  const { currentUser } = useAuth();
+  const { currentUser, userProfile } = useAuth();
+  const backendOrder = userProfile?.detectionBackends || null;
+
+  // Offline mode: in-browser TensorFlow.js (+ color fallback) only. Follows connectivity unless toggled.
+  const [offlineMode, setOfflineMode] = useState(() => typeof navigator !== 'undefined' && navigator.onLine === false);
+
+  useEffect(() => {
+    const goOffline = () => setOfflineMode(true);
+    const goOnline = () => setOfflineMode(false);
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', goOnline);
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', goOnline);
+    };
+  }, []);
   
+  // Fast: one 800 px copy of the photo; detailed: full-resolution tiles (slower, finds small lesions);
+  // ensemble: votes over flipped / rotated / rescaled copies, optionally across every available backend
+  const [analysisMode, setAnalysisMode] = useState(() => {
+    const saved = localStorage.getItem('grapeGuardAnalysisMode');
+    return ANALYSIS_MODES.includes(saved) ? saved : 'fast';
+  });
+  const [ensembleBackends, setEnsembleBackends] = useState(() =>
+    (localStorage.getItem('grapeGuardEnsembleBackends') === 'available' ? 'available' : 'active'));
+  useEffect(() => {
+    localStorage.setItem('grapeGuardAnalysisMode', analysisMode);
+    localStorage.setItem('grapeGuardEnsembleBackends', ensembleBackends);
+  }, [analysisMode, ensembleBackends]);
+
   // Support tab navigation from alerts
   const [activeTab, setActiveTab] = useState(() => {
     if (location.state?.tab !== undefined) {
@@ -46,6 +89,7 @@ export default function DiseaseDetection() {
   });
   
   const [selectedImage, setSelectedImage] = useState(null);
+  const [imageQuality, setImageQuality] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
   const [results, setResults] = useState(null);
   
@@ -69,19 +113,53 @@ export default function DiseaseDetection() {
   const [modelLoaded, setModelLoaded] = useState(false);
   const [modelError, setModelError] = useState(null);
   const [detectionService] = useState(new DetectronDiseaseService());
+  const modelStatus = useDetectionStatus(detectionService);
+  const analysisControllerRef = useRef(null); // cancels the running single-image analysis
   const [modelInfo, setModelInfo] = useState(null);
   const [analysisProgress, setAnalysisProgress] = useState(0);
   const [refreshingModel, setRefreshingModel] = useState(false);
 
-  const { saveToHistory } = useStorageManager(analysisHistory, setAnalysisHistory);
+  const { saveToHistory, updateHistoryItems } = useStorageManager(analysisHistory, setAnalysisHistory);
+
+  // Batch mode: several images selected at once are queued instead of analyzed one by one
+  const [batchSaveState, setBatchSaveState] = useState(null);
+
+  const saveBatch = async (items, summary, sessionId) => {
+    if (!currentUser?.uid) return;
+    if (!items.some(item => item.status === 'done' && !item.saved)) return;
+
+    setBatchSaveState({ status: 'saving' });
+    try {
+      const { saved, failed } = await analysisSupabaseService.saveBatchSession(currentUser.uid, {
+        sessionId,
+        items,
+        summary
+      });
+      batch.markSaved(saved.map(entry => entry.itemId));
+      setBatchSaveState(failed.length > 0
+        ? { status: 'error', message: `${failed.length} / ${saved.length + failed.length}` }
+        : { status: 'saved', savedCount: saved.length });
+      loadCloudHistory(currentUser.uid);
+    } catch (error) {
+      console.error('Failed to save batch session to Supabase:', error);
+      setBatchSaveState({ status: 'error', message: error.message });
+    }
+  };
+
+  const batch = useBatchAnalysis(detectionService, { concurrency: 2, maxRetries: 2, onBatchComplete: saveBatch });
+  const batchMode = batch.items.length > 0;
 
   // FIXED: Load cloud history (Supabase) per user - REMOVED problematic CQ.listLiveHistory call
   const [cloudHistory, setCloudHistory] = useState([]);
+  const [reviewedItems, setReviewedItems] = useState([]);
+  const [datasetExportOpen, setDatasetExportOpen] = useState(false);
+  const [comparisonOpen, setComparisonOpen] = useState(false);
 
   const loadCloudHistory = async (uid) => {
     try {
       if (!uid) { 
         setCloudHistory([]); 
+        setReviewedItems([]);
         return; 
       }
       console.log('Loading cloud history for user:', uid);
@@ -90,6 +168,7 @@ export default function DiseaseDetection() {
       const items = await analysisSupabaseService.listUserAnalyses(uid, 10);
       console.log('Loaded cloud history items:', items.length);
       setCloudHistory(items);
+      setReviewedItems(await analysisSupabaseService.listCorrections(uid));
     } catch (e) {
       console.error('Failed to load Supabase history:', e);
       // Don't crash the app, just log the error
@@ -103,18 +182,53 @@ export default function DiseaseDetection() {
       loadCloudHistory(currentUser.uid);
     } else {
       setCloudHistory([]);
+      setReviewedItems([]);
     }
   }, [currentUser?.uid]);
 
+  // Grower corrections: the dialog target, and accuracy per model version from reviewed results
+  const correctionClasses = useMemo(() => Object.entries(detectionService.getAllDiseases())
+    .map(([id, disease]) => ({ id: Number(id), name: disease.name, severity: disease.severity })), [detectionService]);
+  const {
+    correctionTarget,
+    correctionSaving,
+    correctionError,
+    openCorrection,
+    closeCorrection,
+    saveCorrection
+  } = useDetectionCorrection({
+    userId: currentUser?.uid,
+    updateHistoryItems,
+    onSaved: (target, correction) => {
+      const sameResult = (item) => !!item && (
+        (target.historyId && item.historyId === target.historyId) ||
+        (target.supabaseId && item.supabaseId === target.supabaseId)
+      );
+      setResults(prev => (sameResult(prev) ? { ...prev, correction } : prev));
+      setCloudHistory(prev => prev.map(item => (item.id === target.supabaseId ? { ...item, correction } : item)));
+      if (currentUser?.uid) {
+        analysisSupabaseService.listCorrections(currentUser.uid).then(setReviewedItems).catch(() => {});
+      }
+    }
+  });
+  const accuracyStats = useMemo(
+    () => modelAccuracyStats(currentUser?.uid ? reviewedItems : analysisHistory),
+    [currentUser?.uid, reviewedItems, analysisHistory]
+  );
+
   // Load AI model on component mount
   useEffect(() => {
+    const controller = new AbortController();
     const initializeModel = async () => {
-      console.log('🔄 Initializing AI service (HF Space)...');
+      console.log('🔄 Initializing AI detection backends...');
       setAnalysisProgress(10);
       setModelError(null);
       
       try {
-        const loaded = await detectionService.loadModel();
+        detectionService.configureBackends({ order: backendOrder, offline: offlineMode });
+        const loaded = await detectionService.loadModel({ signal: controller.signal });
+        // Settings changed (or unmounted) while loading: the next run reports instead
+        if (controller.signal.aborted) return;
         setModelLoaded(loaded);
         setAnalysisProgress(100);
         
@@ -124,7 +238,9 @@ export default function DiseaseDetection() {
           console.log('✅ Detection service ready:', info);
           setModelError(null);
         } else {
-          setModelError('AI service unavailable. Please check your internet and try again.');
+          setModelError(offlineMode
+            ? 'Offline model not available. Open this page once while online to download it.'
+            : 'AI service unavailable. Please check your internet and try again.');
           console.error('❌ AI model failed to load');
         }
       } catch (error) {
@@ -137,7 +253,25 @@ export default function DiseaseDetection() {
     };
 
     initializeModel();
-  }, [detectionService]);
+    return () => controller.abort();
+  }, [detectionService, backendOrder, offlineMode]);
+
+  // Backend changed in the background (fallback after errors, primary back after a re-probe)
+  useEffect(() => {
+    if (modelStatus.state === 'ready' || modelStatus.state === 'degraded') {
+      setModelInfo(detectionService.getModelInfo());
+    }
+  }, [detectionService, modelStatus]);
+
+  // Share cached results across this user's devices
+  useEffect(() => {
+    detectionService.configureResultCache({ userId: currentUser?.uid });
+    // GCS copies go under the user's prefix so they can be exported as training data
+    detectionService.configureHistorySave({ userId: currentUser?.uid });
+  }, [detectionService, currentUser?.uid]);
+
+  // Stop re-probing the primary backend once the page is gone
+  useEffect(() => () => detectionService.dispose(), [detectionService]);
 
   const refreshModel = async () => {
     setRefreshingModel(true);
@@ -169,36 +303,44 @@ export default function DiseaseDetection() {
     }
   };
 
+  // Error result shown when analysis is asked for before the model is ready
+  const showModelNotReady = () => {
+    setResults({
+      disease: t('modelNotAvailable'),
+      confidence: 0,
+      severity: "Error",
+      marathi: "मॉडेल उपलब्ध नाही",
+      recommendations: [
+        "Check your internet connection",
+        "Refresh the model status",
+        "Try again in a few minutes",
+        "Contact support if problem persists"
+      ],
+      detectedRegions: 0,
+      healthyArea: 0,
+      visualizationImage: null,
+      detectionDetails: {
+        error: modelError || "Model not loaded",
+        modelInfo: null
+      }
+    });
+  };
+
   // Enhanced AI analysis - only if model is loaded
-  const runAnalysis = async () => {
+  // skipCache: run the model even if this photo has a cached result
+  const runAnalysis = async ({ skipCache = false } = {}) => {
     if (!selectedImage) return;
     
     // Block analysis if model not loaded
     if (!modelLoaded || modelError) {
-      setResults({
-        disease: t('modelNotAvailable'),
-        confidence: 0,
-        severity: "Error",
-        marathi: "मॉडेल उपलब्ध नाही",
-        recommendations: [
-          "Check your internet connection",
-          "Refresh the model status",
-          "Try again in a few minutes",
-          "Contact support if problem persists"
-        ],
-        detectedRegions: 0,
-        healthyArea: 0,
-        visualizationImage: null,
-        detectionDetails: {
-          error: modelError || "Model not loaded",
-          modelInfo: null
-        }
-      });
+      showModelNotReady();
       return;
     }
     
     setAnalyzing(true);
     setAnalysisProgress(0);
+    const controller = new AbortController();
+    analysisControllerRef.current = controller;
     
     try {
       const img = new Image();
@@ -216,7 +358,13 @@ export default function DiseaseDetection() {
             await new Promise(resolve => setTimeout(resolve, 500));
             
             setAnalysisProgress(60);
-            const result = await detectionService.predict(img, true);
+            const result = await detectionService.predict(img, true, {
+              signal: controller.signal,
+              skipCache,
+              mode: analysisMode,
+              ensembleBackends,
+              onProgress: ({ done, total }) => setAnalysisProgress(60 + Math.round((30 * done) / Math.max(1, total)))
+            });
             
             setAnalysisProgress(90);
             await new Promise(resolve => setTimeout(resolve, 300));
@@ -244,17 +392,27 @@ export default function DiseaseDetection() {
       };
       
       setResults(finalResult);
-      saveToHistory(result, selectedImage, modelInfo);
+
+      // Rejected by the quality gate: show the guidance, but it's not a diagnosis worth keeping
+      if (result.qualityRejected) return;
+
+      // Remember where the result was stored so a correction can find it later
+      const historyId = await saveToHistory(result, selectedImage, modelInfo);
+      setResults(prev => (prev === finalResult ? { ...prev, historyId } : prev));
 
       // Save to Supabase (Storage + Database) for the logged-in user
       try {
         if (currentUser?.uid) {
-          await analysisSupabaseService.uploadImagesAndSave(currentUser.uid, {
+          const saved = await analysisSupabaseService.uploadImagesAndSave(currentUser.uid, {
             originalImageDataUrl: selectedImage,
             visualizationImageDataUrl: result.visualizationImage || null,
             result: finalResult,
             context: 'manual'
           });
+          if (saved?.id && historyId) {
+            updateHistoryItems(item => item.id === historyId, { supabaseId: saved.id });
+            setResults(prev => (prev?.historyId === historyId ? { ...prev, supabaseId: saved.id } : prev));
+          }
           // Refresh cloud history after save
           loadCloudHistory(currentUser.uid);
         }
@@ -263,6 +421,11 @@ export default function DiseaseDetection() {
       }
       
     } catch (error) {
+      // Cancelled by the user: nothing to show or save
+      if (isAbortError(error)) {
+        console.log('⏹ Analysis cancelled');
+        return;
+      }
       console.error('Analysis failed:', error);
       
       const errorResult = {
@@ -298,12 +461,32 @@ export default function DiseaseDetection() {
         }
       } catch (_) {}
     } finally {
+      analysisControllerRef.current = null;
       setAnalyzing(false);
       setAnalysisProgress(0);
     }
   };
 
-  const handleImageUpload = (file) => {
+  const cancelAnalysis = () => {
+    analysisControllerRef.current?.abort();
+  };
+
+  const handleImageUpload = (files) => {
+    const fileList = Array.isArray(files) ? files : [files];
+    if (fileList.length > 1) {
+      setSelectedImage(null);
+      setImageQuality(null);
+      setBatchSaveState(null);
+      if (!modelLoaded || modelError) {
+        showModelNotReady();
+        return;
+      }
+      setResults(null);
+      batch.startBatch(fileList);
+      return;
+    }
+
+    const file = fileList[0];
     if (file && file.type.startsWith('image/')) {
       if (file.size > 5 * 1024 * 1024) {
         alert('Image too large! Please use an image smaller than 5MB.');
@@ -312,8 +495,21 @@ export default function DiseaseDetection() {
       
       const reader = new FileReader();
       reader.onload = (e) => {
-        setSelectedImage(e.target.result);
+        const dataUrl = e.target.result;
+        setSelectedImage(dataUrl);
+        setImageQuality(null);
         setResults(null);
+
+        // Check the photo right away so the grower can retake it before analyzing
+        const img = new Image();
+        img.onload = () => {
+          try {
+            setImageQuality(assessImageElementQuality(img));
+          } catch (qualityError) {
+            console.warn('Image quality check failed:', qualityError);
+          }
+        };
+        img.src = dataUrl;
       };
       reader.readAsDataURL(file);
     }
@@ -323,7 +519,9 @@ export default function DiseaseDetection() {
     setActiveTab(newValue);
     if (newValue === 1) {
       setSelectedImage(null);
+      setImageQuality(null);
       setResults(null);
+      batch.clear();
     }
   };
 
@@ -372,7 +570,7 @@ export default function DiseaseDetection() {
                 
                 <Box>
                   <Typography variant="body2" style={{ fontWeight: 600, color: '#1f2937' }}>
-                    {modelLoaded ? 'Detectron2 Model' : (modelInfo?.type || t('detectronModel'))}
+                    {modelLoaded ? (modelInfo?.type || 'Detectron2 Model') : (modelInfo?.type || t('detectronModel'))}
                   </Typography>
                   <Typography variant="caption" color="textSecondary">
                     {modelLoaded ? 'Ready for Detection' : t('aiModelLoading')}
@@ -380,6 +578,21 @@ export default function DiseaseDetection() {
                 </Box>
               </Box>
               
+              <Tooltip title={t('offlineModeDescription')}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      size="small"
+                      checked={offlineMode}
+                      onChange={(e) => setOfflineMode(e.target.checked)}
+                      disabled={refreshingModel || analyzing || batch.running}
+                    />
+                  }
+                  label={<Typography variant="caption">{t('offlineMode')}</Typography>}
+                  style={{ marginRight: 0 }}
+                />
+              </Tooltip>
+
               <Button
                 size="small"
                 onClick={refreshModel}
@@ -433,37 +646,107 @@ export default function DiseaseDetection() {
         </Alert>
       )}
 
+      {/* Waking Space / fallback notice */}
+      {activeTab === 0 && (
+        <ModelStatusBanner
+          status={modelStatus}
+          onUseFallback={() => detectionService.skipCurrentBackend()}
+          onCheckPrimary={() => detectionService.probePrimaryBackend()}
+        />
+      )}
+
       {/* Tab Content */}
       {activeTab === 0 ? (
         <>
           {/* Manual Upload Mode */}
-          <Box sx={{ display: 'flex', gap: 3, marginBottom: '2rem', height: '700px' }}>
-            <ImageUploadSection 
-              selectedImage={selectedImage}
-              onImageUpload={handleImageUpload}
-              onImageClear={() => setSelectedImage(null)}
-              onRunAnalysis={runAnalysis}
-              analyzing={analyzing}
-              modelLoaded={modelLoaded}
-              results={results}
-              modelError={modelError}
+          {batchMode ? (
+            <BatchAnalysisSection
+              items={batch.items}
+              summary={batch.summary}
+              running={batch.running}
+              overallProgress={batch.overallProgress}
+              saveState={batchSaveState}
+              onRetryItem={(id) => batch.retryItems([id])}
+              onRetryFailed={batch.retryFailed}
+              onCancel={batch.cancel}
+              onClose={() => {
+                batch.clear();
+                setBatchSaveState(null);
+              }}
             />
+          ) : (
+            <Box sx={{ display: 'flex', gap: 3, marginBottom: '2rem', height: '700px' }}>
+              <ImageUploadSection 
+                selectedImage={selectedImage}
+                onImageUpload={handleImageUpload}
+                onImageClear={() => {
+                  setSelectedImage(null);
+                  setImageQuality(null);
+                }}
+                onRunAnalysis={runAnalysis}
+                analyzing={analyzing}
+                modelLoaded={modelLoaded}
+                results={results}
+                modelError={modelError}
+                quality={imageQuality}
+                onCancelAnalysis={cancelAnalysis}
+                analysisMode={analysisMode}
+                onAnalysisModeChange={setAnalysisMode}
+                ensembleBackends={ensembleBackends}
+                onEnsembleBackendsChange={setEnsembleBackends}
+              />
 
-            <ResultsSection 
-              selectedImage={selectedImage}
-              analyzing={analyzing}
-              results={results}
-              modelInfo={modelInfo}
-              showVisualization={true}
-              modelError={modelError}
-            />
-          </Box>
+              <ResultsSection 
+                selectedImage={selectedImage}
+                analyzing={analyzing}
+                results={results}
+                modelInfo={modelInfo}
+                showVisualization={true}
+                modelError={modelError}
+                onReanalyze={() => runAnalysis({ skipCache: true })}
+                onCorrect={() => openCorrection(results)}
+              />
+            </Box>
+          )}
 
           {/* Show per-user cloud history from Supabase */}
           <AnalysisHistory 
             analysisHistory={cloudHistory}
             setAnalysisHistory={setCloudHistory}
             autoLoadFromCloud={false}
+            onCorrect={(item) => openCorrection({ ...item, supabaseId: item.id })}
+            accuracyStats={accuracyStats}
+            onExportDataset={currentUser?.uid ? () => setDatasetExportOpen(true) : null}
+            onCompareModels={() => setComparisonOpen(true)}
+          />
+
+          {datasetExportOpen && (
+            <DatasetExportDialog
+              open
+              onClose={() => setDatasetExportOpen(false)}
+              userId={currentUser?.uid}
+              diseaseMapping={detectionService.getAllDiseases()}
+            />
+          )}
+
+          {comparisonOpen && (
+            <ModelComparisonDialog
+              open
+              onClose={() => setComparisonOpen(false)}
+              detectionService={detectionService}
+              loadHistory={currentUser?.uid ? (limit) => analysisSupabaseService.listUserAnalyses(currentUser.uid, limit) : null}
+            />
+          )}
+
+          <CorrectionDialog
+            open={!!correctionTarget}
+            item={correctionTarget}
+            classes={correctionClasses}
+            userId={currentUser?.uid || null}
+            saving={correctionSaving}
+            error={correctionError}
+            onClose={closeCorrection}
+            onSave={saveCorrection}
           />
         </>
       ) : (
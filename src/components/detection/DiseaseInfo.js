@@ -6,84 +6,24 @@ import { Card, CardContent, Typography, Grid, Box, Chip } from '@mui/material';
 import { ArrowBack as BackIcon } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { useTranslation } from '../../context/LanguageContext';
+import { diseasesByStage } from '../../services/DiseaseCatalogService';
 
 export default function DiseaseInfo() {
   const navigate = useNavigate();
-  const { t } = useTranslation();
+  const { t, language } = useTranslation();
 
-  const diseasesByStage = [
-    {
-      stage: t('seedlingStage'),
-      diseases: [
-        {
-          id: 'davnya-seedling',
-          name: t('davnya'),
-          fullName: t('downyMildewDavnya'),
-          image: '/images/davnya.jpg',
-          symptoms: [
-            t('yellowOilyPatches'),
-            t('whiteCottonLayer')
-          ],
-          description: t('davnyaDescription')
-        }
-      ]
-    },
-    {
-      stage: t('vegetativeStage'), 
-      diseases: [
-        {
-          id: 'karpa-vegetative',
-          name: t('karpa'),
-          fullName: t('anthracnoseKarpa'),
-          image: '/images/karpa.jpg',
-          symptoms: [
-            t('darkSpotsLightCenters'),
-            t('cracksOnStems')
-          ],
-          description: t('karpaDescription')
-        }
-      ]
-    },
-    {
-      stage: t('floweringStage'),
-      diseases: [
-        {
-          id: 'bokadlela-flowering',
-          name: t('bokadlela'), 
-          fullName: t('borerInfestationBokadlela'),
-          image: '/images/bokadlela.jpg',
-          symptoms: [
-            t('smallHolesInStems'),
-            t('dustLikePowder')
-          ],
-          description: t('bokadlelaDescription')
-        }
-      ]
-    },
-    {
-      stage: t('maturityStage'),
-      diseases: [
-        {
-          id: 'bhuri-maturity',
-          name: t('bhuri'),
-          fullName: t('powderyMildewBhuri'), 
-          image: '/images/bhuri.jpg',
-          symptoms: [
-            t('whitePowderOnLeaves'),
-            t('twistedCurledLeaves')
-          ],
-          description: t('bhuriDescription')
-        }
-      ]
-    }
-  ];
-
-  const sampleImages = {
-    '/images/davnya.jpg': '/images/davnya.jpg',
-    '/images/karpa.jpg': '/images/karpa.jpg', 
-    '/images/bokadlela.jpg': '/images/bokadlela.jpg',
-    '/images/bhuri.jpg': '/images/bhuri.jpg'
-  };
+  // Catalog diseases grouped by the growth stages they appear in
+  const stageGroups = diseasesByStage().map(({ stage, diseases }) => ({
+    stage: t(`${stage}Stage`),
+    diseases: diseases.map(disease => ({
+      id: `${disease.key}-${stage}`,
+      name: disease.shortNames[language] || disease.shortNames.english,
+      fullName: disease.names[language] || disease.names.english,
+      image: disease.image,
+      symptoms: disease.symptoms.map(key => t(key)),
+      description: disease.description ? t(disease.description) : ''
+    }))
+  }));
 
   return (
     <div style={{ padding: '1rem', backgroundColor: '#f8fafc', minHeight: '100vh' }}>
@@ -110,7 +50,7 @@ export default function DiseaseInfo() {
       </Box>
 
       {/* Disease Stages */}
-      {diseasesByStage.map((stageData, stageIndex) => (
+      {stageGroups.map((stageData, stageIndex) => (
         <div key={stageIndex} style={{ marginBottom: '2rem' }}>
           {/* Stage Title */}
           <Typography 
@@ -147,7 +87,7 @@ export default function DiseaseInfo() {
                             width: '100%',
                             height: '200px',
                             borderRadius: '8px',
-                            backgroundImage: `url(${sampleImages[disease.image]})`,
+                            backgroundImage: `url(${disease.image})`,
                             backgroundSize: 'cover',
                             backgroundPosition: 'center',
                             position: 'relative',
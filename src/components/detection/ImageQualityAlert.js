@@ -0,0 +1,26 @@
+// Image Quality Alert - localized guidance from the pre-inference quality gate
+// src/components/detection/ImageQualityAlert.js
+
+import React from 'react';
+import { Alert, Typography } from '@mui/material';
+import { useTranslation } from '../../context/LanguageContext';
+
+export default function ImageQualityAlert({ quality, style }) {
+  const { t } = useTranslation();
+
+  if (!quality || quality.status === 'pass' || quality.issues.length === 0) return null;
+  const rejected = quality.status === 'reject';
+
+  return (
+    <Alert severity={rejected ? 'error' : 'warning'} style={{ borderRadius: '8px', textAlign: 'left', ...style }}>
+      <Typography variant="body2" style={{ fontWeight: 600, marginBottom: '0.25rem' }}>
+        {rejected ? t('imageQualityRejected') : t('imageQualityWarning')}
+      </Typography>
+      {quality.issues.map(issue => (
+        <Typography key={issue.code} variant="caption" component="div">
+          • <strong>{t(issue.messageKey)}</strong> — {t(issue.tipKey)}
+        </Typography>
+      ))}
+    </Alert>
+  );
+}
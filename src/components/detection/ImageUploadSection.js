@@ -10,15 +10,77 @@ import {
   Box,
   CircularProgress,
   Tooltip,
-  Alert
+  Alert,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
 import {
   CloudUpload as UploadIcon,
   Camera as CameraIcon,
+  FolderOpen as FolderIcon,
   Analytics as AnalysisIcon,
-  Error as ErrorIcon
+  Error as ErrorIcon,
+  PhotoCamera as CaptureIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext'; // Add translation support
+import ImageQualityAlert from './ImageQualityAlert';
+import CameraCapture, { isCameraCaptureSupported } from './CameraCapture';
+
+const isImageFile = (file) => file && file.type.startsWith('image/');
+
+const MODE_HINT_KEYS = { fast: 'fastAnalysisHint', detailed: 'detailedAnalysisHint', ensemble: 'ensembleAnalysisHint' };
+
+// Read every file below a dropped directory entry (readEntries returns chunks of ~100)
+const readDirectoryEntry = (entry) => new Promise((resolve) => {
+  const reader = entry.createReader();
+  const collected = [];
+  const readChunk = () => {
+    reader.readEntries(async (entries) => {
+      if (entries.length === 0) {
+        resolve(collected);
+        return;
+      }
+      for (const child of entries) {
+        collected.push(...await readEntry(child));
+      }
+      readChunk();
+    }, () => resolve(collected));
+  };
+  readChunk();
+});
+
+const readEntry = (entry) => {
+  if (entry.isFile) {
+    return new Promise((resolve) => entry.file(file => resolve([file]), () => resolve([])));
+  }
+  if (entry.isDirectory) {
+    return readDirectoryEntry(entry);
+  }
+  return Promise.resolve([]);
+};
+
+const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...await readEntry(entry));
+  }
+  return files;
+};
+
+// Keep a scouting run in shooting order (IMG_0001, IMG_0002, ...)
+const sortByName = (files) => files.sort((a, b) =>
+  (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true })
+);
 
 export default function ImageUploadSection({ 
   selectedImage, 
@@ -28,21 +90,31 @@ export default function ImageUploadSection({
   analyzing, 
   modelLoaded,
   results,
-  modelError
+  modelError,
+  quality,
+  onCancelAnalysis,
+  analysisMode = 'fast',
+  onAnalysisModeChange,
+  ensembleBackends = 'active',
+  onEnsembleBackendsChange
 }) {
   const [dragOver, setDragOver] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
   const { t } = useTranslation(); // Add translation hook
 
+  // Always hands an array of image files to the parent; one file keeps the single-image flow
   const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    onImageUpload(file);
+    const files = sortByName(Array.from(event.target.files || []).filter(isImageFile));
+    event.target.value = ''; // Allow picking the same files again
+    if (files.length > 0) onImageUpload(files);
   };
 
-  const handleDrop = (event) => {
+  const handleDrop = async (event) => {
     event.preventDefault();
     setDragOver(false);
-    const file = event.dataTransfer.files[0];
-    onImageUpload(file);
+    const dropped = await collectDroppedFiles(event.dataTransfer);
+    const files = sortByName(dropped.filter(isImageFile));
+    if (files.length > 0) onImageUpload(files);
   };
 
   const handleDragOver = (event) => {
@@ -162,20 +234,55 @@ export default function ImageUploadSection({
                   <input
                     type="file"
                     accept="image/*"
+                    multiple
                     onChange={handleFileSelect}
                     style={{ display: 'none' }}
                     id="image-upload"
                   />
-                  <label htmlFor="image-upload">
-                    <Button
-                      variant="contained"
-                      component="span"
-                      startIcon={<CameraIcon />}
-                      style={{ background: 'linear-gradient(135deg, #8b5cf6, #22c55e)', color: 'white' }}
-                    >
-                      {t('selectImage')}
-                    </Button>
-                  </label>
+                  <input
+                    type="file"
+                    accept="image/*"
+                    webkitdirectory=""
+                    directory=""
+                    onChange={handleFileSelect}
+                    style={{ display: 'none' }}
+                    id="folder-upload"
+                  />
+                  <Box display="flex" gap={1} flexWrap="wrap" justifyContent="center">
+                    <label htmlFor="image-upload">
+                      <Button
+                        variant="contained"
+                        component="span"
+                        startIcon={<CameraIcon />}
+                        style={{ background: 'linear-gradient(135deg, #8b5cf6, #22c55e)', color: 'white' }}
+                      >
+                        {t('selectImages')}
+                      </Button>
+                    </label>
+                    {isCameraCaptureSupported() && (
+                      <Button
+                        variant="outlined"
+                        startIcon={<CaptureIcon />}
+                        onClick={() => setCameraOpen(true)}
+                        style={{ borderColor: '#22c55e', color: '#16a34a' }}
+                      >
+                        {t('takePhoto')}
+                      </Button>
+                    )}
+                    <label htmlFor="folder-upload">
+                      <Button
+                        variant="outlined"
+                        component="span"
+                        startIcon={<FolderIcon />}
+                        style={{ borderColor: '#8b5cf6', color: '#8b5cf6' }}
+                      >
+                        {t('selectFolder')}
+                      </Button>
+                    </label>
+                  </Box>
+                  <Typography variant="caption" color="textSecondary" style={{ marginTop: '0.75rem' }}>
+                    {t('batchUploadHint')}
+                  </Typography>
                 </>
               )}
             </>
@@ -184,6 +291,39 @@ export default function ImageUploadSection({
 
         {selectedImage && (
           <Box sx={{ mt: 'auto', pt: 2 }}>
+            <ImageQualityAlert quality={quality} style={{ marginBottom: '0.75rem' }} />
+            {onAnalysisModeChange && (
+              <Box mb={1.5}>
+                <ToggleButtonGroup
+                  exclusive
+                  fullWidth
+                  size="small"
+                  value={analysisMode}
+                  onChange={(event, mode) => mode && onAnalysisModeChange(mode)}
+                  disabled={analyzing}
+                >
+                  <ToggleButton value="fast">{t('fastAnalysis')}</ToggleButton>
+                  <ToggleButton value="detailed">{t('detailedAnalysis')}</ToggleButton>
+                  <ToggleButton value="ensemble">{t('ensembleAnalysis')}</ToggleButton>
+                </ToggleButtonGroup>
+                <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginTop: '0.25rem' }}>
+                  {t(MODE_HINT_KEYS[analysisMode] || 'fastAnalysisHint')}
+                </Typography>
+                {analysisMode === 'ensemble' && onEnsembleBackendsChange && (
+                  <FormControlLabel
+                    control={(
+                      <Checkbox
+                        size="small"
+                        checked={ensembleBackends === 'available'}
+                        onChange={(event) => onEnsembleBackendsChange(event.target.checked ? 'available' : 'active')}
+                        disabled={analyzing}
+                      />
+                    )}
+                    label={<Typography variant="caption">{t('ensembleAllBackends')}</Typography>}
+                  />
+                )}
+              </Box>
+            )}
             {isAnalysisBlocked ? (
               <Tooltip title="AI model unavailable. Please try again later.">
                 <div>
@@ -203,6 +343,17 @@ export default function ImageUploadSection({
                   </Button>
                 </div>
               </Tooltip>
+            ) : quality?.status === 'reject' ? (
+              <Button
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={true}
+                startIcon={<ErrorIcon />}
+                style={{ backgroundColor: '#f59e0b', color: 'white', opacity: 0.7 }}
+              >
+                {t('imageQualityTooLow')}
+              </Button>
             ) : (
               <Button
                 fullWidth
@@ -219,9 +370,26 @@ export default function ImageUploadSection({
                 {analyzing ? t('analyzingWithAI') : t('runAIAnalysis')}
               </Button>
             )}
+            {analyzing && onCancelAnalysis && (
+              <Button
+                fullWidth
+                size="small"
+                onClick={onCancelAnalysis}
+                style={{ marginTop: '0.5rem', color: '#6b7280' }}
+              >
+                {t('cancel')}
+              </Button>
+            )}
           </Box>
         )}
       </CardContent>
+
+      {/* Captured frames go through the same path as picked files */}
+      <CameraCapture
+        open={cameraOpen}
+        onClose={() => setCameraOpen(false)}
+        onCapture={(files) => onImageUpload(files)}
+      />
     </Card>
   );
 }
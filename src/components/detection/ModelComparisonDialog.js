@@ -0,0 +1,317 @@
+// Model Comparison Dialog - run the same images through two models side by side
+// src/components/detection/ModelComparisonDialog.js
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  LinearProgress,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Compare as CompareIcon } from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+import { loadImageElement, modelLabel, runComparison, sameModel } from '../../services/ModelVersionService';
+import { isAbortError } from '../../services/InferenceClient';
+
+const MAX_HISTORY_ITEMS = 50;
+
+const shiftColor = (shift) => {
+  if (shift === null || Math.abs(shift) < 5) return '#6b7280';
+  return shift > 0 ? '#16a34a' : '#dc2626';
+};
+
+export default function ModelComparisonDialog({ open, onClose, detectionService, loadHistory = null }) {
+  const { t, formatSensorValue } = useTranslation();
+  const backends = detectionService.listBackends().filter(backend => backend.configured);
+  const [backendA, setBackendA] = useState(() => backends[0]?.id || '');
+  const [backendB, setBackendB] = useState(() => backends[1]?.id || 'candidate');
+  const [candidateKind, setCandidateKind] = useState('gradio');
+  const [candidateEndpoint, setCandidateEndpoint] = useState('');
+  const [source, setSource] = useState(loadHistory ? 'history' : 'files');
+  const [historyCount, setHistoryCount] = useState(20);
+  const [files, setFiles] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop a running comparison and drop the candidate backend when the dialog goes away
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    detectionService.setCandidateBackend(null);
+  }, [detectionService]);
+
+  const running = !!progress;
+  const usesCandidate = backendA === 'candidate' || backendB === 'candidate';
+  const canRun = !running && backendA && backendB && backendA !== backendB &&
+    (!usesCandidate || candidateEndpoint.trim()) &&
+    (source === 'history' || files.length > 0);
+
+  const collectItems = async () => {
+    if (source === 'files') {
+      return files.map((file, i) => ({ id: `${i + 1}. ${file.name}`, src: URL.createObjectURL(file) }));
+    }
+    const limit = Math.min(MAX_HISTORY_ITEMS, Math.max(1, Number(historyCount) || 1));
+    const history = await loadHistory(limit);
+    return history
+      .filter(item => item.originalImage)
+      .map(item => ({ id: `${item.disease || '?'} • ${new Date(item.timestamp).toLocaleString()}`, src: item.originalImage }));
+  };
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setComparison(null);
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+    let items = [];
+    try {
+      detectionService.setCandidateBackend(usesCandidate ? { kind: candidateKind, endpoint: candidateEndpoint.trim() } : null);
+      items = await collectItems();
+      if (items.length === 0) throw new Error(t('comparisonNoImages'));
+
+      const result = await runComparison({
+        items,
+        predictA: (image, options) => detectionService.predictWithBackend(backendA, image, options),
+        predictB: (image, options) => detectionService.predictWithBackend(backendB, image, options),
+        loadImage: loadImageElement,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      setComparison(result);
+    } catch (runError) {
+      if (!isAbortError(runError)) {
+        console.error('Model comparison failed:', runError);
+        setError(runError.message || 'Comparison failed');
+      }
+    } finally {
+      if (source === 'files') items.forEach(item => URL.revokeObjectURL(item.src));
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    controllerRef.current?.abort();
+    onClose();
+  };
+
+  const backendOptions = [
+    ...backends.map(backend => <MenuItem key={backend.id} value={backend.id}>{backend.label}</MenuItem>),
+    <MenuItem key="candidate" value="candidate">{t('candidateModel')}</MenuItem>
+  ];
+  const report = comparison?.report;
+  const progressPct = progress?.total > 0 ? (progress.done / progress.total) * 100 : null;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>{t('compareModels')}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1rem' }}>
+          {t('compareModelsDescription')}
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField select fullWidth size="small" label={t('modelA')} value={backendA} onChange={(e) => setBackendA(e.target.value)} disabled={running}>
+              {backendOptions}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField select fullWidth size="small" label={t('modelB')} value={backendB} onChange={(e) => setBackendB(e.target.value)} disabled={running}>
+              {backendOptions}
+            </TextField>
+          </Grid>
+          {usesCandidate && (
+            <>
+              <Grid item xs={12} sm={4}>
+                <TextField select fullWidth size="small" label={t('candidateType')} value={candidateKind} onChange={(e) => setCandidateKind(e.target.value)} disabled={running}>
+                  <MenuItem value="gradio">Hugging Face Space</MenuItem>
+                  <MenuItem value="rest">REST (Detectron2 server)</MenuItem>
+                </TextField>
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={t('candidateEndpoint')}
+                  placeholder={candidateKind === 'gradio' ? 'owner/space-name' : 'http://localhost:5000'}
+                  value={candidateEndpoint}
+                  onChange={(e) => setCandidateEndpoint(e.target.value)}
+                  disabled={running}
+                />
+              </Grid>
+            </>
+          )}
+          <Grid item xs={12} sm={6}>
+            <TextField select fullWidth size="small" label={t('comparisonSource')} value={source} onChange={(e) => setSource(e.target.value)} disabled={running}>
+              {loadHistory && <MenuItem value="history">{t('comparisonFromHistory')}</MenuItem>}
+              <MenuItem value="files">{t('comparisonFromFiles')}</MenuItem>
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            {source === 'history' ? (
+              <TextField
+                type="number"
+                fullWidth
+                size="small"
+                label={t('comparisonHistoryCount')}
+                value={historyCount}
+                onChange={(e) => setHistoryCount(e.target.value)}
+                inputProps={{ min: 1, max: MAX_HISTORY_ITEMS }}
+                disabled={running}
+              />
+            ) : (
+              <Button component="label" variant="outlined" fullWidth disabled={running}>
+                {files.length > 0 ? `${formatSensorValue(files.length, 0)} ${t('images')}` : t('chooseImages')}
+                <input type="file" accept="image/*" multiple hidden onChange={(e) => setFiles(Array.from(e.target.files || []))} />
+              </Button>
+            )}
+          </Grid>
+        </Grid>
+
+        {backendA && backendA === backendB && (
+          <Alert severity="warning" style={{ marginTop: '1rem' }}>{t('comparisonSameBackend')}</Alert>
+        )}
+
+        {progress && (
+          <Box mt={2}>
+            <Typography variant="caption" color="textSecondary">
+              {t('comparisonRunning')}
+              {progress.total > 0 && ` (${formatSensorValue(progress.done, 0)}/${formatSensorValue(progress.total, 0)})`}
+            </Typography>
+            <LinearProgress variant={progressPct === null ? 'indeterminate' : 'determinate'} value={progressPct ?? 0} />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" style={{ marginTop: '1rem' }}>
+            {t('comparisonFailed')}: {error}
+          </Alert>
+        )}
+
+        {report && (
+          <Box mt={2}>
+            <Typography variant="caption" style={{ display: 'block', wordBreak: 'break-all' }}>
+              <strong>A:</strong> {modelLabel(comparison.modelA)}
+            </Typography>
+            <Typography variant="caption" style={{ display: 'block', wordBreak: 'break-all' }}>
+              <strong>B:</strong> {modelLabel(comparison.modelB)}
+            </Typography>
+            {sameModel(comparison.modelA, comparison.modelB) && (
+              <Alert severity="info" style={{ marginTop: '0.5rem' }}>{t('comparisonIdenticalModels')}</Alert>
+            )}
+
+            <Alert severity={report.agreementRate === null || report.agreementRate >= 90 ? 'success' : 'warning'} style={{ marginTop: '1rem' }}>
+              <Typography variant="body2" style={{ fontWeight: 600 }}>
+                {t('agreementRate')}: {report.agreementRate === null ? '—' : `${formatSensorValue(report.agreementRate, 1)}%`}
+              </Typography>
+              <Typography variant="caption" style={{ display: 'block' }}>
+                {formatSensorValue(report.agreements, 0)}/{formatSensorValue(report.compared, 0)} {t('images')}
+                {report.failed > 0 && ` • ${t('comparisonNotCompared')}: ${formatSensorValue(report.failed, 0)}`}
+              </Typography>
+            </Alert>
+
+            {report.confusion.labels.length > 0 && (
+              <>
+                <Typography variant="subtitle2" style={{ marginTop: '1rem', fontWeight: 600 }}>
+                  {t('comparisonConfusion')}
+                </Typography>
+                <Box style={{ overflowX: 'auto' }}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>A \ B</TableCell>
+                        {report.confusion.labels.map(label => <TableCell key={label} align="center">{label}</TableCell>)}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {report.confusion.labels.map((label, i) => (
+                        <TableRow key={label}>
+                          <TableCell component="th" scope="row">{label}</TableCell>
+                          {report.confusion.matrix[i].map((count, j) => (
+                            <TableCell
+                              key={j}
+                              align="center"
+                              style={{ fontWeight: i === j ? 600 : 400, color: count > 0 && i !== j ? '#dc2626' : undefined }}
+                            >
+                              {formatSensorValue(count, 0)}
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </Box>
+              </>
+            )}
+
+            {report.perClass.length > 0 && (
+              <>
+                <Typography variant="subtitle2" style={{ marginTop: '1rem', fontWeight: 600 }}>
+                  {t('comparisonConfidenceShift')}
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{t('disease')}</TableCell>
+                      <TableCell align="right">{t('detectedBy')} A / B</TableCell>
+                      <TableCell align="right">{t('confidence')} A</TableCell>
+                      <TableCell align="right">{t('confidence')} B</TableCell>
+                      <TableCell align="right">{t('comparisonShift')}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.perClass.map(row => (
+                      <TableRow key={row.name}>
+                        <TableCell>{row.name}</TableCell>
+                        <TableCell align="right">{formatSensorValue(row.detectedA, 0)} / {formatSensorValue(row.detectedB, 0)}</TableCell>
+                        <TableCell align="right">{row.meanConfidenceA === null ? '—' : `${formatSensorValue(row.meanConfidenceA, 1)}%`}</TableCell>
+                        <TableCell align="right">{row.meanConfidenceB === null ? '—' : `${formatSensorValue(row.meanConfidenceB, 1)}%`}</TableCell>
+                        <TableCell align="right" style={{ color: shiftColor(row.meanShift), fontWeight: 600 }}>
+                          {row.meanShift === null ? '—' : `${row.meanShift > 0 ? '+' : ''}${formatSensorValue(row.meanShift, 1)}`}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+
+            {report.disagreements.length > 0 && (
+              <>
+                <Typography variant="subtitle2" style={{ marginTop: '1rem', fontWeight: 600 }}>
+                  {t('comparisonDisagreements')}
+                </Typography>
+                {report.disagreements.map(({ id, a, b }, i) => (
+                  <Typography key={i} variant="caption" style={{ display: 'block' }}>
+                    {id}: A {a.disease} ({formatSensorValue(a.confidence || 0, 1)}%) → B {b.disease} ({formatSensorValue(b.confidence || 0, 1)}%)
+                  </Typography>
+                ))}
+              </>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{running ? t('cancel') : t('close')}</Button>
+        <Button variant="contained" startIcon={<CompareIcon />} onClick={handleRun} disabled={!canRun}>
+          {t('runComparison')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,64 @@
+// Model Status Banner - "waking up model" and fallback notices from the detection service
+// src/components/detection/ModelStatusBanner.js
+
+import React from 'react';
+import { Alert, Box, Button, LinearProgress, Typography } from '@mui/material';
+import { useTranslation } from '../../context/LanguageContext';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default function ModelStatusBanner({ status, onUseFallback, onCheckPrimary, style }) {
+  const { t } = useTranslation();
+
+  if (status?.state === 'waking') {
+    return (
+      <Alert
+        severity="info"
+        style={{ marginBottom: '2rem', ...style }}
+        action={onUseFallback && (
+          <Button color="inherit" size="small" onClick={onUseFallback}>
+            {t('useFallbackNow')}
+          </Button>
+        )}
+      >
+        <Typography variant="body2" style={{ fontWeight: 600 }}>
+          {t('modelWakingUp')}{status.label ? ` (${status.label})` : ''}
+        </Typography>
+        <Typography variant="body2">{t('modelWakingUpDescription')}</Typography>
+        {status.attempt > 1 && (
+          <Typography variant="caption" color="textSecondary">
+            {t('connectionAttempt')} {status.attempt}/{status.maxAttempts}
+          </Typography>
+        )}
+        <Box mt={1}>
+          <LinearProgress style={{ height: '4px', borderRadius: '2px' }} />
+        </Box>
+      </Alert>
+    );
+  }
+
+  if (status?.state === 'degraded') {
+    return (
+      <Alert
+        severity="warning"
+        style={{ marginBottom: '2rem', ...style }}
+        action={onCheckPrimary && (
+          <Button color="inherit" size="small" onClick={onCheckPrimary}>
+            {t('checkNow')}
+          </Button>
+        )}
+      >
+        <Typography variant="body2" style={{ fontWeight: 600 }}>
+          {t('usingFallbackModel')}: {status.label}
+        </Typography>
+        <Typography variant="body2">
+          {t('primaryModelUnavailable')}
+          {status.nextProbeAt ? ` ${t('nextModelCheckAt')} ${formatTime(status.nextProbeAt)}.` : ''}
+        </Typography>
+      </Alert>
+    );
+  }
+
+  return null;
+}
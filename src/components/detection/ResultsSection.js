@@ -16,7 +16,8 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  Button
+  Button,
+  Chip
 } from '@mui/material';
 import {
   Analytics as AnalysisIcon,
@@ -27,20 +28,43 @@ import {
   Download as DownloadIcon,
   ZoomIn as ZoomInIcon,
   Compare as CompareIcon,
-  Close as CloseIcon
+  Close as CloseIcon,
+  Edit as EditIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext';
+import { getDiseaseBreakdown, mergeRecommendations } from '../../services/DetectionBreakdownService';
+import { getGradeInfo, SEVERITY_SCALE } from '../../services/SeverityScoringService';
+import { modelLabel } from '../../services/ModelVersionService';
+import ImageQualityAlert from './ImageQualityAlert';
+import DetectionOverlay from './DetectionOverlay';
+
+const GRADE_COLORS = ['#22c55e', '#84cc16', '#eab308', '#f59e0b', '#ef4444', '#991b1b'];
+const GRADE_SOURCE_KEYS = { masks: 'gradeFromMasks', boxes: 'gradeFromBoxes', color: 'gradeFromColor' };
 
 export default function ResultsSection({ 
   selectedImage, 
   analyzing, 
   results, 
   modelInfo, 
-  showVisualization 
+  showVisualization,
+  onReanalyze,
+  onCorrect
 }) {
   
   const [imageComparisonOpen, setImageComparisonOpen] = useState(false);
   const { t, getSeverityLabel, getTreatmentRecommendations, formatSensorValue } = useTranslation();
+
+  // Every detected disease, worst first (single entry for single-label results)
+  const diseaseBreakdown = getDiseaseBreakdown(results);
+  const detectedDiseases = diseaseBreakdown.filter(d => d.severity !== 'None' && d.maxConfidence > 0);
+  const recommendations = mergeRecommendations(
+    (diseaseBreakdown.length > 0 ? diseaseBreakdown : [{ name: results?.disease }])
+      .map(d => getTreatmentRecommendations(d.name))
+  );
+
+  // Vector overlay needs the untouched photo and the raw boxes
+  const originalImage = results?.currentImage || selectedImage;
+  const hasOverlay = !!originalImage && (results?.detectionDetails?.boundingBoxes?.length || 0) > 0;
   
   const getSeverityIcon = (severity) => {
     switch (severity) {
@@ -159,8 +183,194 @@ export default function ResultsSection({
                 )}
               </Alert>
 
+              {/* Grower's correction, kept next to the model's answer */}
+              {results.correction && (
+                <Alert severity={results.correction.agreed ? 'success' : 'info'} style={{ borderRadius: '8px' }}>
+                  <Typography variant="body2" style={{ fontWeight: 600 }}>
+                    {results.correction.agreed
+                      ? t('confirmedByGrower')
+                      : `${t('correctedByGrower')}: ${results.correction.originalDisease} → ${results.correction.disease}`}
+                  </Typography>
+                  {results.correction.notes && (
+                    <Typography variant="caption">{results.correction.notes}</Typography>
+                  )}
+                </Alert>
+              )}
+
+              {onCorrect && !results.qualityRejected && !results.detectionDetails?.error && (
+                <Box display="flex" justifyContent="flex-end">
+                  <Button size="small" startIcon={<EditIcon />} onClick={onCorrect} disabled={analyzing}>
+                    {t('correctResult')}
+                  </Button>
+                </Box>
+              )}
+
+              {/* Color heuristic result - not from an AI model */}
+              {results.lowTrust && (
+                <Alert severity="warning" style={{ borderRadius: '8px' }}>
+                  <Typography variant="body2" style={{ fontWeight: 600 }}>
+                    {t('lowTrustResult')}
+                  </Typography>
+                  <Typography variant="caption">
+                    {t('lowTrustResultDescription')}
+                  </Typography>
+                </Alert>
+              )}
+
+              {/* Served from the result cache instead of running the model */}
+              {results.cached && (
+                <Alert
+                  severity="info"
+                  style={{ borderRadius: '8px' }}
+                  action={onReanalyze && (
+                    <Button color="inherit" size="small" onClick={onReanalyze} disabled={analyzing}>
+                      {t('reanalyze')}
+                    </Button>
+                  )}
+                >
+                  <Typography variant="body2" style={{ fontWeight: 600 }}>
+                    {t('cachedResult')}
+                  </Typography>
+                  <Typography variant="caption">
+                    {results.cached.match === 'exact' ? t('cachedResultExact') : t('cachedResultSimilar')}
+                    {results.cached.cachedAt ? ` (${new Date(results.cached.cachedAt).toLocaleString()})` : ''}
+                  </Typography>
+                </Alert>
+              )}
+
+              {/* Detailed mode: analyzed in full-resolution tiles */}
+              {results.detectionDetails?.tiling && (
+                <Alert severity="info" style={{ borderRadius: '8px' }}>
+                  <Typography variant="body2" style={{ fontWeight: 600 }}>
+                    {t('detailedAnalysisResult')}
+                  </Typography>
+                  <Typography variant="caption">
+                    {formatSensorValue(results.detectionDetails.tiling.tiles, 0)} {t('tilesAnalyzed')}
+                    {Number.isFinite(results.detectionDetails.tiling.diseasedTiles) &&
+                      ` • ${formatSensorValue(results.detectionDetails.tiling.diseasedTiles, 0)} ${t('tilesWithDisease')}`}
+                  </Typography>
+                </Alert>
+              )}
+
+              {/* Ensemble mode: how far the augmented passes agree */}
+              {results.ensemble && (
+                <Alert
+                  severity={results.needsReview ? 'warning' : 'info'}
+                  style={{ borderRadius: '8px' }}
+                  action={results.needsReview && onCorrect && !results.correction && (
+                    <Button color="inherit" size="small" onClick={onCorrect} disabled={analyzing}>
+                      {t('reviewResult')}
+                    </Button>
+                  )}
+                >
+                  <Typography variant="body2" style={{ fontWeight: 600 }}>
+                    {results.needsReview ? t('ensembleNeedsReview') : t('ensembleResult')}
+                  </Typography>
+                  <Typography variant="caption" style={{ display: 'block' }}>
+                    {formatSensorValue(results.ensemble.votes[0]?.passes ?? 0, 0)}/{formatSensorValue(results.ensemble.voters, 0)} {t('ensemblePassesAgree')}
+                    {` • ${t('ensembleUncertainty')} ${formatSensorValue(results.ensemble.uncertainty * 100, 0)}%`}
+                  </Typography>
+                  {results.ensemble.votes.length > 1 && (
+                    <Typography variant="caption" style={{ display: 'block' }}>
+                      {results.ensemble.votes.map(vote => `${vote.disease} ${formatSensorValue(vote.share * 100, 0)}%`).join(' • ')}
+                    </Typography>
+                  )}
+                </Alert>
+              )}
+
+              {/* Photo quality problems found before inference */}
+              <ImageQualityAlert quality={results.quality} />
+
+              {/* Co-infection: more than one disease on the same leaf */}
+              {results.coInfection && (
+                <Alert severity="error" style={{ borderRadius: '8px' }}>
+                  <Typography variant="body2" style={{ fontWeight: 600 }}>
+                    {t('coInfectionDetected')} ({formatSensorValue(detectedDiseases.length, 0)})
+                  </Typography>
+                  <Typography variant="caption">
+                    {t('coInfectionDescription')}
+                  </Typography>
+                </Alert>
+              )}
+
+              {/* Lesion-area severity grade (0-5) */}
+              {Number.isInteger(results.severityScore?.grade) && (
+                <Box>
+                  <Box display="flex" alignItems="center" justifyContent="space-between" mb={0.5}>
+                    <Typography variant="subtitle2" style={{ fontWeight: 600, color: '#1f2937' }}>
+                      {t('severityGrade')}: {formatSensorValue(results.severityScore.grade, 0)}/5
+                    </Typography>
+                    <Typography variant="caption" style={{ fontWeight: 600, color: GRADE_COLORS[results.severityScore.grade] }}>
+                      {t(getGradeInfo(results.severityScore.grade).labelKey)}
+                    </Typography>
+                  </Box>
+                  <Box display="flex" gap="4px">
+                    {SEVERITY_SCALE.filter(step => step.grade > 0).map(step => (
+                      <Box
+                        key={step.grade}
+                        style={{
+                          flex: 1,
+                          height: '8px',
+                          borderRadius: '4px',
+                          backgroundColor: step.grade <= results.severityScore.grade ? GRADE_COLORS[results.severityScore.grade] : '#e5e7eb'
+                        }}
+                      />
+                    ))}
+                  </Box>
+                  <Typography variant="caption" color="textSecondary">
+                    {formatSensorValue(results.severityScore.affectedPct, 1)}% {t('leafAreaAffected')}
+                    {GRADE_SOURCE_KEYS[results.severityScore.source] && ` • ${t(GRADE_SOURCE_KEYS[results.severityScore.source])}`}
+                  </Typography>
+                </Box>
+              )}
+
+              {/* Per-disease breakdown */}
+              {detectedDiseases.length > 0 && (
+                <Box>
+                  <Typography variant="subtitle2" style={{ fontWeight: 600, marginBottom: '0.5rem', color: '#1f2937' }}>
+                    {t('detectedDiseases')}
+                  </Typography>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    {detectedDiseases.map(d => (
+                      <Box
+                        key={d.name}
+                        style={{ padding: '0.5rem', backgroundColor: '#f9fafb', borderRadius: '6px', border: '1px solid #e5e7eb' }}
+                      >
+                        <Box display="flex" alignItems="center" justifyContent="space-between">
+                          <Typography variant="body2" style={{ fontWeight: 600 }}>
+                            {d.name}
+                          </Typography>
+                          <Chip
+                            label={getSeverityLabel(d.severity)}
+                            size="small"
+                            color={d.severity === 'High' ? 'error' : d.severity === 'Medium' ? 'warning' : 'default'}
+                          />
+                        </Box>
+                        <Typography variant="caption" color="textSecondary">
+                          {formatSensorValue(d.count, 0)} {t('regions')}
+                          {d.maxConfidence !== null && ` • ${t('maxConfidence')} ${formatSensorValue(d.maxConfidence, 1)}%`}
+                          {d.meanConfidence !== null && d.count > 1 && ` • ${t('meanConfidence')} ${formatSensorValue(d.meanConfidence, 1)}%`}
+                          {d.areaPct !== null && ` • ${t('affectedArea')} ${formatSensorValue(d.areaPct, 1)}%`}
+                          {Number.isInteger(d.severityGrade) && ` • ${t('severityGrade')} ${formatSensorValue(d.severityGrade, 0)}/5`}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </div>
+                </Box>
+              )}
+
+              {/* Interactive overlay when the backend returned boxes, else the baked visualization */}
+              {hasOverlay && showVisualization && (
+                <Box>
+                  <Typography variant="subtitle2" style={{ fontWeight: 600, marginBottom: '0.5rem', color: '#1f2937' }}>
+                    {t('aiDetectionVisualization')}
+                  </Typography>
+                  <DetectionOverlay imageSrc={originalImage} detectionDetails={results.detectionDetails} />
+                </Box>
+              )}
+
               {/* AI Visualization - NON-CLICKABLE */}
-              {(results.visualizationImage || results.currentVisualization) && showVisualization && (
+              {!hasOverlay && (results.visualizationImage || results.currentVisualization) && showVisualization && (
                 <Box>
                   <Typography variant="subtitle2" style={{ fontWeight: 600, marginBottom: '0.5rem', color: '#1f2937' }}>
                     {t('aiDetectionVisualization')}
@@ -191,7 +401,7 @@ export default function ResultsSection({
                   {t('treatmentRecommendations')}
                 </Typography>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', maxHeight: '120px', overflowY: 'auto' }}>
-                  {getTreatmentRecommendations(results.disease).slice(0, 4).map((rec, index) => (
+                  {recommendations.map((rec, index) => (
                     <Typography 
                       key={index} 
                       variant="body2" 
@@ -294,7 +504,7 @@ export default function ResultsSection({
               <Grid container spacing={2}>
                 <Grid item xs={6}>
                   <Typography variant="body2">
-                    <strong>{t('disease')}:</strong> {results.disease}
+                    <strong>{t('disease')}:</strong> {detectedDiseases.length > 1 ? detectedDiseases.map(d => d.name).join(', ') : results.disease}
                   </Typography>
                   <Typography variant="body2">
                     <strong>{t('confidence')}:</strong> {formatSensorValue(results.confidence || 0, 1)}%
@@ -310,6 +520,11 @@ export default function ResultsSection({
                   <Typography variant="body2">
                     <strong>{t('model')}:</strong> {modelInfo?.type || 'Unknown'}
                   </Typography>
+                  {results.model && (
+                    <Typography variant="caption" color="textSecondary" style={{ display: 'block', wordBreak: 'break-all' }}>
+                      {modelLabel(results.model)}
+                    </Typography>
+                  )}
                   <Typography variant="body2">
                     <strong>{t('storage')}:</strong> {t('optimized')}
                   </Typography>
@@ -0,0 +1,224 @@
+// Batch Analysis Hook - queue of images run through the detection service
+// src/components/detection/hooks/useBatchAnalysis.js
+
+import { useState, useRef, useCallback, useMemo } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import { isAbortError } from '../../../services/InferenceClient';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // Same limit as single uploads
+
+const SEVERITY_RANK = { None: 0, Low: 1, Medium: 2, High: 3 };
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error('Failed to read file'));
+  reader.readAsDataURL(file);
+});
+
+const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Failed to load image'));
+  img.src = dataUrl;
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Disease distribution and worst severity over the completed items
+export function summarizeBatch(items) {
+  const done = items.filter(item => item.status === 'done' && item.result);
+  const distribution = {};
+  let worstSeverity = null;
+
+  done.forEach(({ result }) => {
+    const disease = result.disease || 'Unknown';
+    if (!distribution[disease]) {
+      distribution[disease] = { disease, count: 0, severity: result.severity, totalConfidence: 0 };
+    }
+    distribution[disease].count += 1;
+    distribution[disease].totalConfidence += Number(result.confidence) || 0;
+
+    const rank = SEVERITY_RANK[result.severity] ?? -1;
+    if (worstSeverity === null || rank > (SEVERITY_RANK[worstSeverity] ?? -1)) {
+      worstSeverity = result.severity;
+    }
+  });
+
+  return {
+    total: items.length,
+    completed: done.length,
+    failed: items.filter(item => item.status === 'failed').length,
+    pending: items.filter(item => item.status === 'pending' || item.status === 'running').length,
+    worstSeverity,
+    distribution: Object.values(distribution)
+      .map(entry => ({
+        disease: entry.disease,
+        count: entry.count,
+        severity: entry.severity,
+        percentage: Math.round((entry.count / done.length) * 1000) / 10,
+        avgConfidence: Math.round((entry.totalConfidence / entry.count) * 10) / 10
+      }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+export const useBatchAnalysis = (detectionService, { concurrency = 2, maxRetries = 2, onItemComplete = null, onBatchComplete = null } = {}) => {
+  const [sessionId, setSessionId] = useState(null);
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const runningRef = useRef(false); // `running` for callbacks, without waiting for a render
+  const itemsRef = useRef([]); // Source of truth for the queue (state mirrors it for rendering)
+  const cancelledRef = useRef(false);
+  const abortRef = useRef(null); // aborts in-flight predictions on cancel
+  const sessionIdRef = useRef(null);
+
+  const updateItem = useCallback((id, patch) => {
+    itemsRef.current = itemsRef.current.map(item => (item.id === id ? { ...item, ...patch } : item));
+    setItems(itemsRef.current);
+  }, []);
+
+  const analyzeItem = useCallback(async (item) => {
+    for (let attempt = (item.attempts || 0) + 1; attempt <= maxRetries + 1; attempt++) {
+      if (cancelledRef.current) {
+        updateItem(item.id, { status: 'pending', progress: 0 });
+        return;
+      }
+      try {
+        updateItem(item.id, { status: 'running', progress: 10, attempts: attempt, error: null });
+        const dataUrl = item.dataUrl || await readFileAsDataUrl(item.file);
+        updateItem(item.id, { dataUrl, progress: 30 });
+
+        const img = await loadImage(dataUrl);
+        updateItem(item.id, { progress: 60 });
+
+        const result = await detectionService.predict(img, true, { signal: abortRef.current?.signal });
+        // Retrying the same photo won't fix blur or exposure, so fail it for good
+        if (result?.qualityRejected) {
+          updateItem(item.id, { status: 'failed', progress: 0, error: 'Image quality too low', quality: result.quality });
+          return;
+        }
+        // predict() reports failures as an error result rather than throwing
+        if (result?.detectionDetails?.error) {
+          throw new Error(result.detectionDetails.error);
+        }
+
+        updateItem(item.id, { status: 'done', progress: 100, result });
+        if (onItemComplete) onItemComplete(itemsRef.current.find(i => i.id === item.id));
+        return;
+      } catch (error) {
+        if (isAbortError(error)) {
+          updateItem(item.id, { status: 'pending', progress: 0, attempts: attempt - 1 });
+          return;
+        }
+        console.warn(`⚠ Batch item ${item.name} failed (attempt ${attempt}):`, error.message);
+        updateItem(item.id, { status: 'failed', progress: 0, error: error.message });
+        if (attempt <= maxRetries) {
+          await wait(1000 * 2 ** (attempt - 1)); // 1s, 2s, ... between retries
+        }
+      }
+    }
+  }, [detectionService, maxRetries, onItemComplete, updateItem]);
+
+  // Work through the given ids with at most `concurrency` analyses in flight
+  const runQueue = useCallback(async (ids) => {
+    cancelledRef.current = false;
+    abortRef.current = new AbortController();
+    runningRef.current = true;
+    setRunning(true);
+    const queue = [...ids];
+
+    const worker = async () => {
+      while (queue.length > 0 && !cancelledRef.current) {
+        const id = queue.shift();
+        const item = itemsRef.current.find(i => i.id === id);
+        if (item) await analyzeItem(item);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, ids.length)) }, worker));
+    runningRef.current = false;
+    setRunning(false);
+    if (!cancelledRef.current && onBatchComplete) {
+      onBatchComplete(itemsRef.current, summarizeBatch(itemsRef.current), sessionIdRef.current);
+    }
+  }, [analyzeItem, concurrency, onBatchComplete]);
+
+  const startBatch = useCallback((files) => {
+    const newItems = files.map((file, index) => {
+      const tooLarge = file.size > MAX_FILE_SIZE;
+      return {
+        id: `${Date.now()}_${index}`,
+        index,
+        name: file.webkitRelativePath || file.name,
+        file,
+        dataUrl: null,
+        status: tooLarge ? 'failed' : 'pending',
+        progress: 0,
+        attempts: tooLarge ? maxRetries + 1 : 0,
+        error: tooLarge ? 'Image too large (max 5MB)' : null,
+        result: null,
+        saved: false
+      };
+    });
+
+    itemsRef.current = newItems;
+    setItems(newItems);
+    sessionIdRef.current = uuidv4();
+    setSessionId(sessionIdRef.current);
+    runQueue(newItems.filter(item => item.status === 'pending').map(item => item.id));
+  }, [maxRetries, runQueue]);
+
+  // No-op while a run is in progress: a second runQueue would start another set of workers
+  const retryItems = useCallback((ids) => {
+    if (runningRef.current) return;
+    const retryable = itemsRef.current.filter(item =>
+      ids.includes(item.id) && item.file.size <= MAX_FILE_SIZE && item.quality?.status !== 'reject');
+    retryable.forEach(item => updateItem(item.id, { status: 'pending', attempts: 0, error: null }));
+    if (retryable.length > 0) runQueue(retryable.map(item => item.id));
+  }, [runQueue, updateItem]);
+
+  const retryFailed = useCallback(() => {
+    retryItems(itemsRef.current.filter(item => item.status === 'failed').map(item => item.id));
+  }, [retryItems]);
+
+  const markSaved = useCallback((ids) => {
+    ids.forEach(id => updateItem(id, { saved: true }));
+  }, [updateItem]);
+
+  const cancel = useCallback(() => {
+    cancelledRef.current = true;
+    abortRef.current?.abort();
+  }, []);
+
+  const clear = useCallback(() => {
+    cancelledRef.current = true;
+    abortRef.current?.abort();
+    itemsRef.current = [];
+    setItems([]);
+    sessionIdRef.current = null;
+    setSessionId(null);
+    runningRef.current = false;
+    setRunning(false);
+  }, []);
+
+  const summary = useMemo(() => summarizeBatch(items), [items]);
+  const overallProgress = items.length > 0
+    ? Math.round(items.reduce((sum, item) => sum + (item.status === 'failed' ? 100 : item.progress), 0) / items.length)
+    : 0;
+
+  return {
+    sessionId,
+    items,
+    running,
+    summary,
+    overallProgress,
+    startBatch,
+    retryItems,
+    retryFailed,
+    markSaved,
+    cancel,
+    clear
+  };
+};
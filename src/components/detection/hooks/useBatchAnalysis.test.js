@@ -0,0 +1,58 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useBatchAnalysis } from './useBatchAnalysis';
+
+// jsdom never fires image loads; decode every data URL straight away
+class MockImage {
+  set src(value) {
+    this.currentSrc = value;
+    setTimeout(() => this.onload?.(), 0);
+  }
+}
+
+// predict() calls wait on the test to settle them, one deferred per call
+const mockPredictions = [];
+const detectionService = { predict: jest.fn() };
+
+const photo = (name) => new File(['leaf'], name, { type: 'image/jpeg' });
+const failed = { detectionDetails: { error: 'Backend unavailable' } };
+const healthy = { disease: 'Healthy', severity: 'None', confidence: 90 };
+
+describe('useBatchAnalysis', () => {
+  const originalImage = global.Image;
+
+  beforeEach(() => {
+    global.Image = MockImage;
+    mockPredictions.length = 0;
+    detectionService.predict.mockImplementation(() => new Promise((resolve) => mockPredictions.push(resolve)));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.Image = originalImage;
+    jest.restoreAllMocks();
+  });
+
+  test('retrying failed items while the batch runs starts no second queue', async () => {
+    const { result } = renderHook(() => useBatchAnalysis(detectionService, { concurrency: 1, maxRetries: 0 }));
+
+    act(() => result.current.startBatch([photo('a.jpg'), photo('b.jpg')]));
+    await waitFor(() => expect(mockPredictions).toHaveLength(1));
+    await act(async () => mockPredictions[0](failed));
+    await waitFor(() => expect(mockPredictions).toHaveLength(2)); // b.jpg in flight
+    expect(result.current.items[0].status).toBe('failed');
+
+    act(() => result.current.retryFailed());
+    act(() => result.current.retryItems([result.current.items[0].id]));
+    expect(result.current.items[0].status).toBe('failed');
+
+    await act(async () => mockPredictions[1](healthy));
+    await waitFor(() => expect(result.current.running).toBe(false));
+    expect(detectionService.predict).toHaveBeenCalledTimes(2);
+
+    // once the run has finished the retry goes through
+    act(() => result.current.retryFailed());
+    await waitFor(() => expect(mockPredictions).toHaveLength(3));
+    await act(async () => mockPredictions[2](healthy));
+    await waitFor(() => expect(result.current.summary.completed).toBe(2));
+  });
+});
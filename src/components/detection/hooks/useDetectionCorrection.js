@@ -0,0 +1,67 @@
+// Detection Correction Hook - open the correction dialog for a result and save what the grower says
+// src/components/detection/hooks/useDetectionCorrection.js
+
+import { useState, useCallback } from 'react';
+import analysisSupabaseService from '../../../services/AnalysisSupabaseService';
+import {
+  applyCorrectionToLiveHistory,
+  notifyCorrectionsChanged
+} from '../../../services/DetectionCorrectionService';
+
+/**
+ * @param {Object} options - { userId, updateHistoryItems (from useStorageManager), onSaved(target, correction) }
+ * Targets carry `historyId` (local history) and/or `supabaseId` (detections row).
+ */
+export const useDetectionCorrection = ({ userId = null, updateHistoryItems, onSaved = null } = {}) => {
+  const [target, setTarget] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const openCorrection = useCallback((item) => {
+    setTarget(item);
+    setError(null);
+  }, []);
+
+  const closeCorrection = useCallback(() => {
+    setTarget(null);
+    setError(null);
+  }, []);
+
+  const saveCorrection = useCallback(async (correction) => {
+    if (!target) return;
+    const { historyId = null, supabaseId = null } = target;
+    setSaving(true);
+    setError(null);
+    try {
+      if (userId && supabaseId) {
+        await analysisSupabaseService.saveCorrection(userId, supabaseId, correction);
+      }
+      if (updateHistoryItems && (historyId || supabaseId)) {
+        updateHistoryItems(
+          item => (historyId && item.id === historyId) || (supabaseId && item.supabaseId === supabaseId),
+          { correction }
+        );
+      }
+      applyCorrectionToLiveHistory(supabaseId, correction);
+      notifyCorrectionsChanged();
+      console.log(`✏️ Correction saved: ${correction.originalDisease} → ${correction.disease}`);
+
+      if (onSaved) onSaved(target, correction);
+      setTarget(null);
+    } catch (saveError) {
+      console.error('Failed to save correction:', saveError);
+      setError(saveError.message || 'Failed to save correction');
+    } finally {
+      setSaving(false);
+    }
+  }, [target, userId, updateHistoryItems, onSaved]);
+
+  return {
+    correctionTarget: target,
+    correctionSaving: saving,
+    correctionError: error,
+    openCorrection,
+    closeCorrection,
+    saveCorrection
+  };
+};
@@ -0,0 +1,12 @@
+// Detection Status Hook - backend status (waking Space, fallback active) from the detection service
+// src/components/detection/hooks/useDetectionStatus.js
+
+import { useState, useEffect } from 'react';
+
+export const useDetectionStatus = (detectionService) => {
+  const [status, setStatus] = useState(() => detectionService.getStatus());
+
+  useEffect(() => detectionService.onStatusChange(setStatus), [detectionService]);
+
+  return status;
+};
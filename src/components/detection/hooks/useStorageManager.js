@@ -2,6 +2,51 @@
 // src/components/detection/hooks/useStorageManager.js
 
 import { useCallback } from 'react';
+import imageWorkerPool from '../../../services/ImageWorkerPool';
+
+const PREVIEW_MAX_SIZE = 300;
+const PREVIEW_JPEG_QUALITY = 0.7;
+
+// Main-thread version of the worker's compress task
+const compressImageOnMainThread = (imageDataUrl) => {
+  return new Promise((resolve) => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const img = new Image();
+    // Attempt to avoid taint when possible
+    try { img.crossOrigin = 'anonymous'; } catch (_) {}
+    
+    img.onload = () => {
+      // Compress to 300x300 for history preview
+      const maxSize = PREVIEW_MAX_SIZE;
+      let { width, height } = img;
+      
+      if (width > height) {
+        if (width > maxSize) {
+          height = (height * maxSize) / width;
+          width = maxSize;
+        }
+      } else {
+        if (height > maxSize) {
+          width = (width * maxSize) / height;
+          height = maxSize;
+        }
+      }
+      
+      canvas.width = width;
+      canvas.height = height;
+      
+      ctx.drawImage(img, 0, 0, width, height);
+      
+      // Compress to JPEG with 70% quality
+      const compressedDataUrl = canvas.toDataURL('image/jpeg', PREVIEW_JPEG_QUALITY);
+      resolve(compressedDataUrl);
+    };
+    
+    img.onerror = () => resolve(null);
+    img.src = imageDataUrl;
+  });
+};
 
 export const useStorageManager = (analysisHistory, setAnalysisHistory) => {
   
@@ -23,46 +68,12 @@ export const useStorageManager = (analysisHistory, setAnalysisHistory) => {
     return (currentSize + newDataSize) > maxSize;
   };
 
-  // FIXED: Store ACTUAL images but compress them for storage
-  const compressImage = (imageDataUrl) => {
-    return new Promise((resolve) => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
-      // Attempt to avoid taint when possible
-      try { img.crossOrigin = 'anonymous'; } catch (_) {}
-      
-      img.onload = () => {
-        // Compress to 300x300 for history preview
-        const maxSize = 300;
-        let { width, height } = img;
-        
-        if (width > height) {
-          if (width > maxSize) {
-            height = (height * maxSize) / width;
-            width = maxSize;
-          }
-        } else {
-          if (height > maxSize) {
-            width = (width * maxSize) / height;
-            height = maxSize;
-          }
-        }
-        
-        canvas.width = width;
-        canvas.height = height;
-        
-        ctx.drawImage(img, 0, 0, width, height);
-        
-        // Compress to JPEG with 70% quality
-        const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.7);
-        resolve(compressedDataUrl);
-      };
-      
-      img.onerror = () => resolve(null);
-      img.src = imageDataUrl;
-    });
-  };
+  // FIXED: Store ACTUAL images but compress them for storage (decoded and resized in a worker)
+  const compressImage = (imageDataUrl) => imageWorkerPool.runOrFallback(
+    'compress',
+    async () => ({ payload: { source: imageDataUrl, maxSize: PREVIEW_MAX_SIZE, jpegQuality: PREVIEW_JPEG_QUALITY } }),
+    () => compressImageOnMainThread(imageDataUrl)
+  );
 
   const compressHistoryItem = async (item) => {
     // FIXED: Compress but KEEP the actual images for display
@@ -75,7 +86,14 @@ export const useStorageManager = (analysisHistory, setAnalysisHistory) => {
       timestamp: item.timestamp,
       detectedRegions: item.detectedRegions,
       healthyArea: item.healthyArea,
-      modelType: item.modelInfo?.type || 'Unknown',
+      modelType: item.modelType || item.modelInfo?.type || 'Unknown',
+      backend: item.backend || null,
+      model: item.model || null,
+      lowTrust: !!item.lowTrust,
+      needsReview: !!item.needsReview,
+      cached: item.cached || null,
+      supabaseId: item.supabaseId || null,
+      correction: item.correction || null,
       detectionDetails: {
         processingTime: item.detectionDetails?.processingTime || 0,
         modelVersion: item.detectionDetails?.modelVersion || '1.0.0',
@@ -166,6 +184,7 @@ export const useStorageManager = (analysisHistory, setAnalysisHistory) => {
       }
       
       console.log('✅ Successfully saved to manual detection history with actual images');
+      return compressedItem.id;
       
     } catch (error) {
       if (error.name === 'QuotaExceededError') {
@@ -192,8 +211,21 @@ export const useStorageManager = (analysisHistory, setAnalysisHistory) => {
     }
   }, [analysisHistory, setAnalysisHistory]);
 
+  // Patch saved items (e.g. link the Supabase row, store a correction); localStorage is the source of truth
+  const updateHistoryItems = useCallback((matches, patch) => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('diseaseAnalysisHistory') || '[]');
+      const updated = stored.map(item => (matches(item) ? { ...item, ...patch } : item));
+      localStorage.setItem('diseaseAnalysisHistory', JSON.stringify(updated));
+      setAnalysisHistory(updated);
+    } catch (error) {
+      console.error('Failed to update history items:', error);
+    }
+  }, [setAnalysisHistory]);
+
   return {
     saveToHistory,
+    updateHistoryItems,
     compressHistoryItem,
     getStorageSize,
     isStorageQuotaExceeded
@@ -0,0 +1,418 @@
+// Model Evaluation - score a detection backend on a labelled image set and track runs over time
+// src/components/evaluation/ModelEvaluation.js
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  IconButton,
+  LinearProgress,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip as MuiTooltip,
+  Typography
+} from '@mui/material';
+import {
+  Assessment as EvaluationIcon,
+  Delete as DeleteIcon,
+  FolderOpen as FolderIcon,
+  PlayArrow as RunIcon,
+  Visibility as ViewIcon
+} from '@mui/icons-material';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { useAuth } from '../../context/AuthContext';
+import { useTranslation } from '../../context/LanguageContext';
+import DetectronDiseaseService from '../../services/DetectronDiseaseService';
+import { buildClassMap, collectTrainingRecords } from '../../services/DatasetExportService';
+import {
+  evaluateBackend,
+  evaluationRunStore,
+  labelledSetFromFiles,
+  labelledSetFromHistory,
+  runTrend
+} from '../../services/ModelEvaluationService';
+import { modelLabel } from '../../services/ModelVersionService';
+import { isAbortError } from '../../services/InferenceClient';
+
+const SOURCE_KEYS = { folder: 'evaluationFromFolder', history: 'evaluationFromReviewed' };
+
+export default function ModelEvaluation() {
+  const { t, formatSensorValue } = useTranslation();
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid || null;
+  const [detectionService] = useState(() => new DetectronDiseaseService());
+  const [backends] = useState(() => detectionService.listBackends().filter(backend => backend.configured));
+  const [backendId, setBackendId] = useState(() => backends[0]?.id || '');
+  const [source, setSource] = useState('folder');
+  const [folderSet, setFolderSet] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const controllerRef = useRef(null);
+
+  const classMap = buildClassMap(detectionService.getAllDiseases());
+
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    detectionService.dispose();
+  }, [detectionService]);
+
+  useEffect(() => {
+    let cancelled = false;
+    evaluationRunStore.list(userId).then(list => {
+      if (!cancelled) setRuns(list);
+    });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const running = !!progress;
+  const canRun = !running && backendId && (source === 'history' ? !!userId : folderSet?.items.length > 0);
+
+  const handleFolder = (event) => {
+    setFolderSet(labelledSetFromFiles(event.target.files, classMap));
+    setError(null);
+  };
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+    try {
+      const items = source === 'history'
+        ? labelledSetFromHistory(await collectTrainingRecords(userId, { sources: { supabase: true, gcs: false } }))
+        : folderSet.items;
+      if (items.length === 0) throw new Error(t('evaluationNoLabelledImages'));
+
+      const run = await evaluateBackend({
+        detectionService,
+        backendId,
+        items,
+        source,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      console.log(`✅ Evaluation (${run.backend}): ${run.summary.evaluated}/${run.summary.images} images, accuracy ${run.summary.accuracy}`);
+      await evaluationRunStore.save(run, userId);
+      setRuns(await evaluationRunStore.list(userId));
+      setSelectedRun(run);
+    } catch (runError) {
+      if (!isAbortError(runError)) {
+        console.error('Model evaluation failed:', runError);
+        setError(runError.message || 'Evaluation failed');
+      }
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleDelete = async (run) => {
+    await evaluationRunStore.remove(run.id, userId);
+    setRuns(prev => prev.filter(existing => existing.id !== run.id));
+    if (selectedRun?.id === run.id) setSelectedRun(null);
+  };
+
+  const pct = (value) => (value === null || value === undefined ? '—' : `${formatSensorValue(value * 100, 1)}%`);
+  const ms = (value) => (value === null || value === undefined ? '—' : `${formatSensorValue(value, 0)} ms`);
+  const delta = (value) => {
+    if (value === null || value === undefined) return null;
+    const points = value * 100;
+    return (
+      <span style={{ color: Math.abs(points) < 0.5 ? '#6b7280' : points > 0 ? '#16a34a' : '#dc2626', marginLeft: '0.25rem' }}>
+        ({points > 0 ? '+' : ''}{formatSensorValue(points, 1)})
+      </span>
+    );
+  };
+
+  const trend = runTrend(runs);
+  const trendChart = trend.map(({ run }) => ({
+    label: new Date(run.createdAt).toLocaleDateString(),
+    accuracy: run.summary.accuracy === null ? null : run.summary.accuracy * 100,
+    macroF1: run.summary.macroF1 === null ? null : run.summary.macroF1 * 100
+  }));
+  const deltaById = new Map(trend.map(({ run, delta: change }) => [run.id, change]));
+  const progressPct = progress?.total > 0 ? (progress.done / progress.total) * 100 : null;
+
+  return (
+    <Box>
+      <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px', marginBottom: '1.5rem' }}>
+        <CardContent style={{ padding: '1.5rem' }}>
+          <Box display="flex" alignItems="center" mb={1}>
+            <EvaluationIcon style={{ color: '#8b5cf6', marginRight: '0.5rem' }} />
+            <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937' }}>
+              {t('modelEvaluation')}
+            </Typography>
+          </Box>
+          <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1rem' }}>
+            {t('modelEvaluationDescription')}
+          </Typography>
+
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} sm={4}>
+              <TextField select fullWidth size="small" label={t('detectionBackend')} value={backendId} onChange={(e) => setBackendId(e.target.value)} disabled={running}>
+                {backends.map(backend => <MenuItem key={backend.id} value={backend.id}>{backend.label}</MenuItem>)}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField select fullWidth size="small" label={t('evaluationImageSet')} value={source} onChange={(e) => setSource(e.target.value)} disabled={running}>
+                {Object.entries(SOURCE_KEYS).map(([value, key]) => (
+                  <MenuItem key={value} value={value} disabled={value === 'history' && !userId}>{t(key)}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              {source === 'folder' ? (
+                <Button component="label" variant="outlined" fullWidth startIcon={<FolderIcon />} disabled={running}>
+                  {folderSet ? `${formatSensorValue(folderSet.items.length, 0)} ${t('images')}` : t('chooseLabelledFolder')}
+                  <input type="file" accept="image/*" multiple hidden webkitdirectory="" directory="" onChange={handleFolder} />
+                </Button>
+              ) : (
+                <Typography variant="caption" color="textSecondary">{t('evaluationReviewedHint')}</Typography>
+              )}
+            </Grid>
+          </Grid>
+
+          {source === 'folder' && (
+            <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginTop: '0.5rem' }}>
+              {t('evaluationFolderHint')}
+              {folderSet?.unlabelled.length > 0 && ` • ${t('evaluationUnlabelled')}: ${formatSensorValue(folderSet.unlabelled.length, 0)}`}
+            </Typography>
+          )}
+
+          {progress && (
+            <Box mt={2}>
+              <Typography variant="caption" color="textSecondary">
+                {t('evaluationRunning')}
+                {progress.total > 0 && ` (${formatSensorValue(progress.done, 0)}/${formatSensorValue(progress.total, 0)})`}
+              </Typography>
+              <LinearProgress variant={progressPct === null ? 'indeterminate' : 'determinate'} value={progressPct ?? 0} />
+            </Box>
+          )}
+
+          {error && (
+            <Alert severity="error" style={{ marginTop: '1rem' }}>
+              {t('evaluationFailed')}: {error}
+            </Alert>
+          )}
+
+          <Box display="flex" justifyContent="flex-end" gap={1} mt={2}>
+            {running && <Button onClick={() => controllerRef.current?.abort()}>{t('cancel')}</Button>}
+            <Button variant="contained" startIcon={<RunIcon />} onClick={handleRun} disabled={!canRun}>
+              {t('runEvaluation')}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+
+      {selectedRun && (
+        <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px', marginBottom: '1.5rem' }}>
+          <CardContent style={{ padding: '1.5rem' }}>
+            <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937' }}>
+              {t('evaluationResults')}
+            </Typography>
+            <Typography variant="caption" color="textSecondary" style={{ display: 'block', wordBreak: 'break-all', marginBottom: '1rem' }}>
+              {new Date(selectedRun.createdAt).toLocaleString()} • {t(SOURCE_KEYS[selectedRun.source])} • {modelLabel(selectedRun.model)}
+            </Typography>
+
+            <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+              <Chip label={`${t('accuracy')}: ${pct(selectedRun.summary.accuracy)}`} style={{ backgroundColor: '#ede9fe', color: '#5b21b6', fontWeight: 600 }} />
+              <Chip label={`Macro F1: ${pct(selectedRun.summary.macroF1)}`} style={{ backgroundColor: '#ede9fe', color: '#5b21b6', fontWeight: 600 }} />
+              <Chip label={`${t('calibrationError')}: ${selectedRun.summary.ece === null ? '—' : `${formatSensorValue(selectedRun.summary.ece, 1)}%`}`} />
+              <Chip label={`${formatSensorValue(selectedRun.metrics.evaluated, 0)}/${formatSensorValue(selectedRun.samples.length, 0)} ${t('images')}`} />
+            </Box>
+            {selectedRun.metrics.failed > 0 && (
+              <Alert severity="warning" style={{ marginBottom: '1rem' }}>
+                {t('evaluationNotScored')}: {formatSensorValue(selectedRun.metrics.failed, 0)}
+              </Alert>
+            )}
+
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={6}>
+                <Typography variant="subtitle2" style={{ fontWeight: 600 }}>{t('perClassMetrics')}</Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{t('disease')}</TableCell>
+                      <TableCell align="right">{t('precision')}</TableCell>
+                      <TableCell align="right">{t('recall')}</TableCell>
+                      <TableCell align="right">F1</TableCell>
+                      <TableCell align="right">{t('images')}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {selectedRun.metrics.perClass.filter(cls => cls.support > 0 || cls.predicted > 0).map(cls => (
+                      <TableRow key={cls.name}>
+                        <TableCell>{cls.name}</TableCell>
+                        <TableCell align="right">{pct(cls.precision)}</TableCell>
+                        <TableCell align="right">{pct(cls.recall)}</TableCell>
+                        <TableCell align="right" style={{ fontWeight: 600 }}>{pct(cls.f1)}</TableCell>
+                        <TableCell align="right">{formatSensorValue(cls.support, 0)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+
+                <Typography variant="subtitle2" style={{ fontWeight: 600, marginTop: '1.5rem' }}>{t('latency')}</Typography>
+                <Typography variant="body2">
+                  {Object.entries(selectedRun.latency.percentiles).map(([name, value]) => `${name}: ${ms(value)}`).join(' • ')}
+                  {selectedRun.latency.count > 0 && ` • max: ${ms(selectedRun.latency.max)}`}
+                </Typography>
+              </Grid>
+
+              <Grid item xs={12} md={6}>
+                <Typography variant="subtitle2" style={{ fontWeight: 600 }}>{t('calibrationCurve')}</Typography>
+                <Box height={220}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart
+                      data={selectedRun.calibration.bins.map(bin => ({ ...bin, label: `${bin.from}-${bin.to}`, ideal: (bin.from + bin.to) / 2 }))}
+                      margin={{ top: 10, right: 10, left: 0, bottom: 0 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+                      <YAxis yAxisId="pct" domain={[0, 100]} tick={{ fontSize: 12 }} />
+                      <YAxis yAxisId="count" orientation="right" allowDecimals={false} tick={{ fontSize: 12 }} />
+                      <Tooltip />
+                      <Legend />
+                      <Bar yAxisId="count" dataKey="count" name={t('images')} fill="#e5e7eb" />
+                      <Line yAxisId="pct" dataKey="ideal" name={t('perfectCalibration')} stroke="#9ca3af" strokeDasharray="4 2" dot={false} />
+                      <Line yAxisId="pct" dataKey="accuracy" name={t('accuracy')} stroke="#8b5cf6" strokeWidth={2} connectNulls />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </Box>
+              </Grid>
+            </Grid>
+
+            <Typography variant="subtitle2" style={{ fontWeight: 600, marginTop: '1.5rem' }}>{t('confusionMatrix')}</Typography>
+            <Typography variant="caption" color="textSecondary">{t('confusionMatrixHint')}</Typography>
+            <Box style={{ overflowX: 'auto' }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell />
+                    {selectedRun.metrics.labels.map(label => <TableCell key={label} align="center">{label}</TableCell>)}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {selectedRun.metrics.labels.map((label, i) => (
+                    <TableRow key={label}>
+                      <TableCell component="th" scope="row">{label}</TableCell>
+                      {selectedRun.metrics.confusion[i].map((count, j) => (
+                        <TableCell
+                          key={j}
+                          align="center"
+                          style={{
+                            fontWeight: i === j ? 600 : 400,
+                            backgroundColor: count > 0 ? (i === j ? '#dcfce7' : '#fee2e2') : undefined
+                          }}
+                        >
+                          {formatSensorValue(count, 0)}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Box>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px' }}>
+        <CardContent style={{ padding: '1.5rem' }}>
+          <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937', marginBottom: '1rem' }}>
+            {t('evaluationRuns')}
+          </Typography>
+
+          {runs.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">{t('noEvaluationRuns')}</Typography>
+          ) : (
+            <>
+              {trendChart.length > 1 && (
+                <Box height={200} mb={2}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={trendChart} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                      <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} />
+                      <Tooltip />
+                      <Legend />
+                      <Line dataKey="accuracy" name={t('accuracy')} stroke="#8b5cf6" strokeWidth={2} connectNulls />
+                      <Line dataKey="macroF1" name="Macro F1" stroke="#10b981" strokeWidth={2} connectNulls />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </Box>
+              )}
+
+              <Box style={{ overflowX: 'auto' }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{t('date')}</TableCell>
+                      <TableCell>{t('model')}</TableCell>
+                      <TableCell align="right">{t('images')}</TableCell>
+                      <TableCell align="right">{t('accuracy')}</TableCell>
+                      <TableCell align="right">Macro F1</TableCell>
+                      <TableCell align="right">p95</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {runs.map(run => {
+                      const change = deltaById.get(run.id);
+                      return (
+                        <TableRow key={run.id} selected={selectedRun?.id === run.id}>
+                          <TableCell>{new Date(run.createdAt).toLocaleString()}</TableCell>
+                          <TableCell style={{ wordBreak: 'break-all' }}>
+                            <Typography variant="caption">{modelLabel(run.model)}</Typography>
+                          </TableCell>
+                          <TableCell align="right">{formatSensorValue(run.summary.evaluated, 0)}</TableCell>
+                          <TableCell align="right">{pct(run.summary.accuracy)}{delta(change?.accuracy)}</TableCell>
+                          <TableCell align="right">{pct(run.summary.macroF1)}{delta(change?.macroF1)}</TableCell>
+                          <TableCell align="right">{ms(run.summary.p95)}</TableCell>
+                          <TableCell align="right" style={{ whiteSpace: 'nowrap' }}>
+                            <MuiTooltip title={t('view')}>
+                              <IconButton size="small" onClick={() => setSelectedRun(run)}>
+                                <ViewIcon fontSize="small" />
+                              </IconButton>
+                            </MuiTooltip>
+                            <MuiTooltip title={t('delete')}>
+                              <IconButton size="small" onClick={() => handleDelete(run)} disabled={running}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </MuiTooltip>
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </Box>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
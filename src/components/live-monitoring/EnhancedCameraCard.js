@@ -29,6 +29,7 @@ import {
   Close as CloseIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext';
+import { getDiseaseDisplayName } from '../../services/DiseaseCatalogService';
 
 export default function EnhancedCameraCard({ 
   cameraData, 
@@ -41,59 +42,6 @@ export default function EnhancedCameraCard({
   const [comparisonOpen, setComparisonOpen] = useState(false);
   const { t, formatSensorValue, language, formatTimeAgo, getSeverityLabel } = useTranslation();
 
-  // Disease name mapping with proper language handling
-  const getDiseaseDisplayName = (disease, currentLanguage) => {
-    const diseaseMap = {
-      'Karpa (Anthracnose)': {
-        english: 'Karpa (Anthracnose)',
-        marathi: 'कर्पा रोग',
-        hindi: 'कर्पा (एंथ्रैक्नोस)'
-      },
-      'Bhuri (Powdery Mildew)': {
-        english: 'Bhuri (Powdery Mildew)',
-        marathi: 'भुरी रोग',
-        hindi: 'भुरी (पाउडरी मिल्ड्यू)'
-      },
-      'Bokadlela (Borer Infestation)': {
-        english: 'Bokadlela (Borer Infestation)',
-        marathi: 'बोकाडलेला',
-        hindi: 'बोकाडलेला (बोरर संक्रमण)'
-      },
-      'Davnya (Downy Mildew)': {
-        english: 'Davnya (Downy Mildew)',
-        marathi: 'दवन्याचा रोग',
-        hindi: 'दवन्याचा (डाउनी मिल्ड्यू)'
-      },
-      'Healthy': {
-        english: 'Healthy',
-        marathi: 'निरोगी',
-        hindi: 'स्वस्थ'
-      }
-    };
-
-    const diseaseInfo = diseaseMap[disease] || { 
-      english: disease, 
-      marathi: disease, 
-      hindi: disease 
-    };
-
-    if (currentLanguage === 'marathi') {
-      return {
-        primary: diseaseInfo.marathi,
-        secondary: diseaseInfo.english !== diseaseInfo.marathi ? diseaseInfo.english : null
-      };
-    } else if (currentLanguage === 'hindi') {
-      return {
-        primary: diseaseInfo.hindi,
-        secondary: diseaseInfo.english !== diseaseInfo.hindi ? diseaseInfo.english : null
-      };
-    } else {
-      return {
-        primary: diseaseInfo.english,
-        secondary: null
-      };
-    }
-  };
 
   const handleImageLoad = () => {
     setImageLoading(false);
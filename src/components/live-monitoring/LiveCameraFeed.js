@@ -27,6 +27,7 @@ import {
   OpenInNew as OpenInNewIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext';
+import { getDiseaseDisplayName } from '../../services/DiseaseCatalogService';
 import GoogleDriveService from '../../services/GoogleDriveService';
 import DetectronDiseaseService from '../../services/DetectronDiseaseService';
 import EnhancedCameraCard from './EnhancedCameraCard';
@@ -34,11 +35,28 @@ import { useAuth } from '../../context/AuthContext';
 import analysisSupabaseService from '../../services/AnalysisSupabaseService';
 import liveMonitoringService from '../../services/LiveMonitoringService';
 
+// Fields of a live detection kept in Supabase; quality-rejected frames are stored
+// too so they count as processed and aren't sent to the model again
+const toStoredLiveResult = (detection) => ({
+  disease: detection?.disease,
+  confidence: detection?.confidence,
+  severity: detection?.severity,
+  detectedRegions: detection?.detectedRegions,
+  modelType: detection?.modelType || 'AI (HF Space)',
+  lowTrust: !!detection?.lowTrust,
+  qualityRejected: !!detection?.qualityRejected,
+  quality: detection?.quality || null,
+  diseases: detection?.diseases,
+  coInfection: !!detection?.coInfection,
+  severityScore: detection?.severityScore || null,
+  cached: detection?.cached || null
+});
+
 export default function LiveCameraFeed() {
   const [driveService] = useState(new GoogleDriveService());
   const [detectionService] = useState(new DetectronDiseaseService());
   const { t, language, formatSensorValue } = useTranslation();
-  const { currentUser } = useAuth();
+  const { currentUser, userProfile } = useAuth();
   
   // New state for automatic processing
   const [isAutoProcessing, setIsAutoProcessing] = useState(false);
@@ -87,59 +105,6 @@ export default function LiveCameraFeed() {
   const [processedDriveIds, setProcessedDriveIds] = useState(() => new Set());
   const DRIVE_BATCH_SIZE = 5;
 
-  // Disease name mapping with multilingual support
-  const getDiseaseDisplayName = (disease, currentLanguage) => {
-    const diseaseMap = {
-      'Karpa (Anthracnose)': {
-        english: 'Karpa (Anthracnose)',
-        marathi: 'कर्पा रोग',
-        hindi: 'कर्पा (एंथ्रैक्नोस)'
-      },
-      'Bhuri (Powdery Mildew)': {
-        english: 'Bhuri (Powdery Mildew)',
-        marathi: 'भुरी रोग',
-        hindi: 'भुरी (पाउडरी मिल्ड्यू)'
-      },
-      'Bokadlela (Borer Infestation)': {
-        english: 'Bokadlela (Borer Infestation)',
-        marathi: 'बोकाडलेला',
-        hindi: 'बोकाडलेला (बोरर संक्रमण)'
-      },
-      'Davnya (Downy Mildew)': {
-        english: 'Davnya (Downy Mildew)',
-        marathi: 'दवन्याचा रोग',
-        hindi: 'दवन्याचा (डाउनी मिल्ड्यू)'
-      },
-      'Healthy': {
-        english: 'Healthy',
-        marathi: 'निरोगी',
-        hindi: 'स्वस्थ'
-      }
-    };
-
-    const diseaseInfo = diseaseMap[disease] || { 
-      english: disease, 
-      marathi: disease, 
-      hindi: disease 
-    };
-
-    if (currentLanguage === 'marathi') {
-      return {
-        primary: diseaseInfo.marathi,
-        secondary: diseaseInfo.english !== diseaseInfo.marathi ? diseaseInfo.english : null
-      };
-    } else if (currentLanguage === 'hindi') {
-      return {
-        primary: diseaseInfo.hindi,
-        secondary: diseaseInfo.english !== diseaseInfo.hindi ? diseaseInfo.english : null
-      };
-    } else {
-      return {
-        primary: diseaseInfo.english,
-        secondary: null
-      };
-    }
-  };
 
   // Load AI model and initialize live monitoring service
   useEffect(() => {
@@ -149,7 +114,9 @@ export default function LiveCameraFeed() {
         setModelError(null);
         
         // Initialize live monitoring service (includes model loading)
-        const serviceReady = await liveMonitoringService.initialize();
+        const serviceReady = await liveMonitoringService.initialize({
+          backendOrder: userProfile?.detectionBackends || null
+        });
         setIsModelLoaded(serviceReady);
         
         if (!serviceReady) {
@@ -177,7 +144,7 @@ export default function LiveCameraFeed() {
         liveMonitoringService.destroy();
       } catch (_) {}
     };
-  }, [detectionService, currentUser?.uid]);
+  }, [detectionService, currentUser?.uid, userProfile?.detectionBackends]);
 
   // Load per-user live detection history from Supabase (paginated: 10 per page)
   const loadCloudHistoryPage = async (uid, nextPage = 0) => {
@@ -221,6 +188,11 @@ export default function LiveCameraFeed() {
 
   useEffect(() => { loadCloudHistoryPage(currentUser?.uid, 0); }, [currentUser?.uid]);
 
+  // Share cached results across this user's devices
+  useEffect(() => {
+    detectionService.configureResultCache({ userId: currentUser?.uid });
+  }, [detectionService, currentUser?.uid]);
+
   // Reset Drive-related state when user switches to prevent cross-user mixing
   useEffect(() => {
     setDriveCache([]);
@@ -447,7 +419,7 @@ export default function LiveCameraFeed() {
         const result = await new Promise((resolve, reject) => {
           imgEl.onload = async () => {
             try {
-              const det = await detectionService.predict(imgEl, true);
+              const det = await detectionService.predict(imgEl, true, { context: 'live' });
               resolve(det);
             } catch (e) { reject(e); }
           };
@@ -463,13 +435,7 @@ export default function LiveCameraFeed() {
             const saved = await analysisSupabaseService.uploadImagesAndSave(currentUser.uid, {
               originalImageDataUrl: result.visualizationImage ? item.originalImage : item.originalImage,
               visualizationImageDataUrl: result.visualizationImage || item.originalImage,
-              result: {
-                disease: result.disease,
-                confidence: result.confidence,
-                severity: result.severity,
-                detectedRegions: result.detectedRegions,
-                modelType: 'AI (HF Space)'
-              },
+              result: toStoredLiveResult(result),
               context: 'live',
               camera: item.camera,
               sourceMeta: {
@@ -607,13 +573,7 @@ export default function LiveCameraFeed() {
               analysisSupabaseService.uploadImagesAndSave(currentUser.uid, {
                 originalImageDataUrl: camera1Result.originalImage,
                 visualizationImageDataUrl: camera1Result.visualizationImage,
-                result: {
-                  disease: camera1Result.detection?.disease,
-                  confidence: camera1Result.detection?.confidence,
-                  severity: camera1Result.detection?.severity,
-                  detectedRegions: camera1Result.detection?.detectedRegions,
-                  modelType: camera1Result.modelType
-                },
+                result: toStoredLiveResult(camera1Result.detection),
                 context: 'live',
                 camera: 1
               })
@@ -624,13 +584,7 @@ export default function LiveCameraFeed() {
               analysisSupabaseService.uploadImagesAndSave(currentUser.uid, {
                 originalImageDataUrl: camera2Result.originalImage,
                 visualizationImageDataUrl: camera2Result.visualizationImage,
-                result: {
-                  disease: camera2Result.detection?.disease,
-                  confidence: camera2Result.detection?.confidence,
-                  severity: camera2Result.detection?.severity,
-                  detectedRegions: camera2Result.detection?.detectedRegions,
-                  modelType: camera2Result.modelType
-                },
+                result: toStoredLiveResult(camera2Result.detection),
                 context: 'live',
                 camera: 2
               })
@@ -667,7 +621,7 @@ export default function LiveCameraFeed() {
         img.onload = async () => {
           try {
             console.log(`🔬 Image loaded, running AI prediction...`);
-            const result = await detectionService.predict(img, true);
+            const result = await detectionService.predict(img, true, { context: 'live' });
             resolve(result);
           } catch (error) {
             console.error('❌ AI prediction failed:', error);
@@ -693,7 +647,9 @@ export default function LiveCameraFeed() {
         timestamp: new Date().toISOString(),
         processingTime: processingTime,
         isRealDetectron2: false,
-        modelType: 'AI (HF Space)',
+        modelType: detectionResult.modelType || 'AI (HF Space)',
+        lowTrust: !!detectionResult.lowTrust,
+        cached: detectionResult.cached || null,
         driveUploadTime: imageData.createdTime,
         driveFileName: imageData.name
       };
@@ -988,11 +944,15 @@ export default function LiveCameraFeed() {
                           />
                         )}
                         <Chip
-                          label="AI"
+                          label={(result.lowTrust || result.detection?.lowTrust) ? t('lowTrust') : 'AI'}
                           size="small"
                           variant="outlined"
+                          color={(result.lowTrust || result.detection?.lowTrust) ? 'warning' : 'default'}
                           style={{ fontSize: '0.7rem' }}
                         />
+                        {(result.cached || result.detection?.cached) && (
+                          <Chip label={t('cached')} size="small" variant="outlined" color="info" style={{ fontSize: '0.7rem' }} />
+                        )}
                         {/* Links to stored images when available (public Supabase URLs) */}
                         <Box display="flex" gap={0.5} width="100%" mt={0.5}>
                           {result.originalImage && result.originalImage.startsWith('http') && (
@@ -0,0 +1,230 @@
+// Sensor Threshold Settings - per-farm, per-season range editor
+// src/components/settings/SensorThresholdSettings.js
+
+import React, { useState } from 'react';
+import {
+  Typography,
+  Button,
+  Box,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  TextField,
+  IconButton,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  RestartAlt as ResetIcon
+} from '@mui/icons-material';
+import { useTranslation } from '../../context/LanguageContext';
+import {
+  SENSOR_KEYS,
+  SEASONS,
+  REGION_PRESETS,
+  DEFAULT_REGION,
+  getSeason,
+  getRegionThresholds,
+  resolveThresholds
+} from '../../services/SensorThresholdService';
+
+const RANGE_FIELDS = [
+  { range: 'optimal', index: 0 },
+  { range: 'optimal', index: 1 },
+  { range: 'warning', index: 0 },
+  { range: 'warning', index: 1 }
+];
+
+// `value` is a normalized sensorThresholds config; edits are reported through onChange.
+// `errors` are validateSeasonOverrides results tagged with farmId and season.
+export default function SensorThresholdSettings({ value, onChange, errors = [] }) {
+  const { t } = useTranslation();
+  const currentSeason = getSeason();
+  const [season, setSeason] = useState(currentSeason);
+  const [newFarmName, setNewFarmName] = useState('');
+
+  const farmId = value.activeFarmId;
+  const farm = value.farms[farmId];
+  const overrides = farm.seasons?.[season] || {};
+  const effective = resolveThresholds(value, { farmId, season });
+  const regionDefaults = getRegionThresholds(farm.region, season);
+  const errorFor = (sensorType) => errors.find(e => e.farmId === farmId && e.season === season && e.sensorType === sensorType);
+
+  const updateFarm = (patch) => {
+    onChange({ ...value, farms: { ...value.farms, [farmId]: { ...farm, ...patch } } });
+  };
+
+  const updateRange = (sensorType, range, index, raw) => {
+    const current = overrides[sensorType] || effective[sensorType];
+    const nextRange = [...current[range]];
+    nextRange[index] = raw === '' ? null : Number(raw);
+    const sensorOverride = { optimal: [...current.optimal], warning: [...current.warning], [range]: nextRange };
+    updateFarm({ seasons: { ...farm.seasons, [season]: { ...overrides, [sensorType]: sensorOverride } } });
+  };
+
+  const resetSeason = () => {
+    const seasons = { ...farm.seasons };
+    delete seasons[season];
+    updateFarm({ seasons });
+  };
+
+  const addFarm = () => {
+    const name = newFarmName.trim();
+    if (!name) return;
+    const id = `farm_${Date.now()}`;
+    onChange({
+      activeFarmId: id,
+      farms: { ...value.farms, [id]: { name, region: farm.region || DEFAULT_REGION, seasons: {} } }
+    });
+    setNewFarmName('');
+  };
+
+  const removeFarm = () => {
+    const farms = { ...value.farms };
+    delete farms[farmId];
+    onChange({ activeFarmId: Object.keys(farms)[0], farms });
+  };
+
+  return (
+    <Box>
+      {/* Farm and region */}
+      <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" mb={2}>
+        <FormControl size="small" style={{ minWidth: '200px' }}>
+          <InputLabel>{t('farm')}</InputLabel>
+          <Select
+            value={farmId}
+            label={t('farm')}
+            onChange={(e) => onChange({ ...value, activeFarmId: e.target.value })}
+          >
+            {Object.entries(value.farms).map(([id, f]) => (
+              <MenuItem key={id} value={id}>{f.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" style={{ minWidth: '200px' }}>
+          <InputLabel>{t('regionPreset')}</InputLabel>
+          <Select
+            value={farm.region}
+            label={t('regionPreset')}
+            onChange={(e) => updateFarm({ region: e.target.value })}
+          >
+            {Object.entries(REGION_PRESETS).map(([id, preset]) => (
+              <MenuItem key={id} value={id}>{t(preset.labelKey)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Tooltip title={t('removeFarm')}>
+          <span>
+            <IconButton size="small" onClick={removeFarm} disabled={Object.keys(value.farms).length <= 1}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Box display="flex" gap={1} alignItems="center" mb={3}>
+        <TextField
+          size="small"
+          label={t('newFarmName')}
+          value={newFarmName}
+          onChange={(e) => setNewFarmName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addFarm(); }}
+        />
+        <Button size="small" variant="outlined" startIcon={<AddIcon />} onClick={addFarm} disabled={!newFarmName.trim()}>
+          {t('addFarm')}
+        </Button>
+      </Box>
+
+      {/* Season */}
+      <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" justifyContent="space-between" mb={2}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={season}
+          onChange={(e, next) => { if (next) setSeason(next); }}
+        >
+          {SEASONS.map(s => (
+            <ToggleButton key={s.id} value={s.id} style={{ textTransform: 'none' }}>
+              {t(s.labelKey)}
+              {s.id === currentSeason && (
+                <Chip label={t('currentSeason')} size="small" color="success" style={{ marginLeft: '0.5rem', height: '18px', fontSize: '0.65rem' }} />
+              )}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Button
+          size="small"
+          startIcon={<ResetIcon />}
+          onClick={resetSeason}
+          disabled={Object.keys(overrides).length === 0}
+        >
+          {t('resetToRegionDefaults')}
+        </Button>
+      </Box>
+
+      {/* Ranges */}
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell />
+            <TableCell align="center" colSpan={2}>{t('optimalRange')}</TableCell>
+            <TableCell align="center" colSpan={2}>{t('warningRange')}</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {SENSOR_KEYS.map(sensorType => {
+            const current = overrides[sensorType] || effective[sensorType];
+            const error = errorFor(sensorType);
+            return (
+              <TableRow key={sensorType}>
+                <TableCell>
+                  <Typography variant="body2" style={{ fontWeight: 600, color: '#1f2937' }}>
+                    {t(sensorType)}
+                  </Typography>
+                  {overrides[sensorType] && (
+                    <Chip label={t('customized')} size="small" variant="outlined" color="primary" style={{ height: '18px', fontSize: '0.65rem' }} />
+                  )}
+                  {error && (
+                    <Typography variant="caption" color="error" style={{ display: 'block' }}>
+                      {t('thresholdRangeInvalid')}
+                    </Typography>
+                  )}
+                </TableCell>
+                {RANGE_FIELDS.map(({ range, index }) => (
+                  <TableCell key={`${range}_${index}`} style={{ width: '110px' }}>
+                    <TextField
+                      size="small"
+                      type="number"
+                      inputProps={{ step: 'any' }}
+                      label={index === 0 ? t('min') : t('max')}
+                      value={current[range][index] ?? ''}
+                      placeholder={String(regionDefaults[sensorType][range][index])}
+                      error={!!error}
+                      onChange={(e) => updateRange(sensorType, range, index, e.target.value)}
+                    />
+                  </TableCell>
+                ))}
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      <Typography variant="caption" color="textSecondary" style={{ display: 'block', marginTop: '0.75rem' }}>
+        {t('sensorThresholdsHint')}
+      </Typography>
+    </Box>
+  );
+}
@@ -1,7 +1,7 @@
 // Fixed Settings Component with Translation Support
 // src/components/settings/Settings.js
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Card,
   CardContent,
@@ -12,27 +12,110 @@ import {
   MenuItem,
   FormControl,
   InputLabel,
-  Alert
+  Alert,
+  Box,
+  Chip,
+  IconButton,
+  Switch
 } from '@mui/material';
 import {
   Language as LanguageIcon,
-  Save as SaveIcon
+  Save as SaveIcon,
+  Memory as BackendIcon,
+  ArrowUpward as ArrowUpIcon,
+  ArrowDownward as ArrowDownIcon,
+  Tune as ThresholdIcon
 } from '@mui/icons-material';
 import { useTranslation } from '../../context/LanguageContext'; // Fixed import path
+import { useAuth } from '../../context/AuthContext';
+import { BACKEND_INFO, DEFAULT_BACKEND_ORDER, describeCapabilities } from '../../services/DetectionBackendRegistry';
+import { normalizeThresholdConfig, validateSeasonOverrides } from '../../services/SensorThresholdService';
+import SensorThresholdSettings from './SensorThresholdSettings';
+
+// Build the editable backend list: saved order first (enabled), then remaining backends (disabled)
+const buildBackendList = (savedOrder) => {
+  const enabledIds = Array.isArray(savedOrder) && savedOrder.length > 0
+    ? savedOrder.filter(id => BACKEND_INFO[id])
+    : DEFAULT_BACKEND_ORDER;
+  const disabledIds = DEFAULT_BACKEND_ORDER.filter(id => !enabledIds.includes(id));
+  return [
+    ...enabledIds.map(id => ({ id, enabled: true })),
+    ...disabledIds.map(id => ({ id, enabled: false }))
+  ];
+};
 
 export default function Settings() {
   const { t, language, setLanguage, availableLanguages } = useTranslation(); // Use translation hook
+  const { userProfile, updateUserProfile } = useAuth();
   const [saved, setSaved] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [backends, setBackends] = useState(() => buildBackendList(userProfile?.detectionBackends));
+  const [thresholdConfig, setThresholdConfig] = useState(() => (
+    normalizeThresholdConfig(userProfile?.sensorThresholds, userProfile?.farmName)
+  ));
+  const [thresholdErrors, setThresholdErrors] = useState([]);
+
+  useEffect(() => {
+    setBackends(buildBackendList(userProfile?.detectionBackends));
+  }, [userProfile?.detectionBackends]);
+
+  useEffect(() => {
+    setThresholdConfig(normalizeThresholdConfig(userProfile?.sensorThresholds, userProfile?.farmName));
+  }, [userProfile?.sensorThresholds, userProfile?.farmName]);
 
   const handleLanguageChange = (newLanguage) => {
     console.log('Changing language to:', newLanguage); // Debug log
     setLanguage(newLanguage); // This should trigger the context update
   };
 
-  const handleSave = () => {
-    // Settings are auto-saved when language changes, so just show confirmation
-    setSaved(true);
-    setTimeout(() => setSaved(false), 3000);
+  const moveBackend = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= backends.length) return;
+    const next = [...backends];
+    [next[index], next[target]] = [next[target], next[index]];
+    setBackends(next);
+  };
+
+  const toggleBackend = (index) => {
+    const next = backends.map((b, i) => (i === index ? { ...b, enabled: !b.enabled } : b));
+    // Keep at least one backend in the chain
+    if (next.some(b => b.enabled)) setBackends(next);
+  };
+
+  const handleSave = async () => {
+    // Language is auto-saved when it changes; detection backend order goes to the user profile
+    setSaveError(null);
+
+    // Validate every farm and season before writing thresholds
+    const errors = Object.entries(thresholdConfig.farms).flatMap(([farmId, farm]) => (
+      Object.entries(farm.seasons || {}).flatMap(([season, overrides]) => (
+        validateSeasonOverrides(overrides).map(error => ({ ...error, farmId, season }))
+      ))
+    ));
+    setThresholdErrors(errors);
+    if (errors.length > 0) {
+      setSaveError(`${t('thresholdRangeInvalid')}: ${errors.map(e => t(e.sensorType)).join(', ')}`);
+      return;
+    }
+
+    try {
+      const updates = {};
+      const detectionBackends = backends.filter(b => b.enabled).map(b => b.id);
+      if (JSON.stringify(detectionBackends) !== JSON.stringify(userProfile?.detectionBackends || DEFAULT_BACKEND_ORDER)) {
+        updates.detectionBackends = detectionBackends;
+      }
+      if (JSON.stringify(thresholdConfig) !== JSON.stringify(normalizeThresholdConfig(userProfile?.sensorThresholds, userProfile?.farmName))) {
+        updates.sensorThresholds = thresholdConfig;
+      }
+      if (Object.keys(updates).length > 0) {
+        await updateUserProfile(updates);
+      }
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      setSaveError(error.message);
+    }
   };
 
   console.log('Current language in Settings:', language); // Debug log
@@ -44,6 +127,11 @@ export default function Settings() {
           {t('settingsSavedSuccessfully')}
         </Alert>
       )}
+      {saveError && (
+        <Alert severity="error" style={{ marginBottom: '2rem' }}>
+          {saveError}
+        </Alert>
+      )}
 
       <Grid container spacing={3}>
         <Grid item xs={12} md={8}>
@@ -93,6 +181,96 @@ export default function Settings() {
             </CardContent>
           </Card>
         </Grid>
+
+        <Grid item xs={12} md={8}>
+          <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px' }}>
+            <CardContent style={{ padding: '2rem' }}>
+              <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
+                <BackendIcon style={{ color: '#8b5cf6', marginRight: '0.75rem', fontSize: '1.5rem' }} />
+                <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937' }}>
+                  {t('detectionBackends')}
+                </Typography>
+              </div>
+              <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1rem' }}>
+                {t('detectionBackendsDescription')}
+              </Typography>
+
+              {backends.map((backend, index) => {
+                const info = BACKEND_INFO[backend.id];
+                return (
+                  <Box
+                    key={backend.id}
+                    display="flex"
+                    alignItems="center"
+                    justifyContent="space-between"
+                    style={{
+                      padding: '0.5rem 0.75rem',
+                      marginBottom: '0.5rem',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      opacity: backend.enabled ? 1 : 0.5
+                    }}
+                  >
+                    <Box>
+                      <Typography variant="body2" style={{ fontWeight: 600, color: '#1f2937' }}>
+                        {index + 1}. {info.label}
+                      </Typography>
+                      <Box display="flex" gap={0.5} flexWrap="wrap" mt={0.5}>
+                        {describeCapabilities(info.capabilities).map(cap => (
+                          <Chip key={cap} label={cap} size="small" variant="outlined" style={{ fontSize: '0.7rem' }} />
+                        ))}
+                      </Box>
+                    </Box>
+                    <Box display="flex" alignItems="center">
+                      <IconButton size="small" onClick={() => moveBackend(index, -1)} disabled={index === 0}>
+                        <ArrowUpIcon fontSize="small" />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => moveBackend(index, 1)} disabled={index === backends.length - 1}>
+                        <ArrowDownIcon fontSize="small" />
+                      </IconButton>
+                      <Switch checked={backend.enabled} onChange={() => toggleBackend(index)} size="small" />
+                    </Box>
+                  </Box>
+                );
+              })}
+
+              <Typography variant="caption" color="textSecondary">
+                {t('detectionBackendsHint')}
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={8}>
+          <Card elevation={2} style={{ backgroundColor: 'white', borderRadius: '12px' }}>
+            <CardContent style={{ padding: '2rem' }}>
+              <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
+                <ThresholdIcon style={{ color: '#3b82f6', marginRight: '0.75rem', fontSize: '1.5rem' }} />
+                <Typography variant="h6" style={{ fontWeight: 600, color: '#1f2937' }}>
+                  {t('sensorThresholds')}
+                </Typography>
+              </div>
+              <Typography variant="body2" color="textSecondary" style={{ marginBottom: '1.5rem' }}>
+                {t('sensorThresholdsDescription')}
+              </Typography>
+
+              <SensorThresholdSettings
+                value={thresholdConfig}
+                onChange={setThresholdConfig}
+                errors={thresholdErrors}
+              />
+
+              <Button
+                variant="contained"
+                startIcon={<SaveIcon />}
+                onClick={handleSave}
+                style={{ backgroundColor: '#22c55e', color: 'white', marginTop: '1.5rem' }}
+              >
+                {t('saveSettings')}
+              </Button>
+            </CardContent>
+          </Card>
+        </Grid>
       </Grid>
     </div>
   );
@@ -5,6 +5,7 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import { englishTranslations } from '../translations/english';
 import { hindiTranslations } from '../translations/hindi';
 import { marathiTranslations } from '../translations/marathi';
+import { getTreatmentKeys } from '../services/DiseaseCatalogService';
 
 const translations = {
   english: englishTranslations,
@@ -150,48 +151,8 @@ export const LanguageProvider = ({ children }) => {
     return severityMap[severity] || severity;
   };
 
-  // Get treatment recommendations in current language
-  const getTreatmentRecommendations = (disease) => {
-    const recommendationsMap = {
-      'Karpa (Anthracnose)': [
-        t('removeInfectedLeaves'),
-        t('sprayChlorothalonil'),
-        t('improveAirCirculation'),
-        t('avoidOverheadIrrigation')
-      ],
-      'Bhuri (Powdery Mildew)': [
-        t('applyPreventiveFungicide'),
-        t('improveAirCirculation'),
-        t('avoidOverheadIrrigation'),
-        t('monitorWeatherConditions')
-      ],
-      'Bokadlela (Borer Infestation)': [
-        t('removeInfectedLeaves'),
-        t('keepVineyardClean'),
-        t('monitorWeatherConditions'),
-        t('maintainProperIrrigation')
-      ],
-      'Davnya (Downy Mildew)': [
-        t('applyCopperFungicide'),
-        t('improveAirCirculation'),
-        t('avoidOverheadIrrigation'),
-        t('removeInfectedLeaves')
-      ],
-      'Healthy': [
-        t('maintainProperIrrigation'),
-        t('ensureBalancedNutrition'),
-        t('keepVineyardClean'),
-        t('monitorWeatherConditions')
-      ]
-    };
-    
-    return recommendationsMap[disease] || [
-      t('maintainProperIrrigation'),
-      t('applyPreventiveFungicide'),
-      t('ensureBalancedNutrition'),
-      t('monitorWeatherConditions')
-    ];
-  };
+  // Short treatment list for a disease in the current language (see DiseaseCatalogService)
+  const getTreatmentRecommendations = (disease) => getTreatmentKeys(disease).map(key => t(key));
 
   // Translation function
   const t = (key) => {
@@ -4,49 +4,27 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useSensorData } from './useSensorData';
 import { useAuth } from '../context/AuthContext';
-
-// Enhanced thresholds for sensor alerts
-const SENSOR_THRESHOLDS = {
-  temperature: { 
-    optimal: [24, 34],
-    warning: [20, 38],
-    critical: [15, 42]
-  },
-  humidity: { 
-    optimal: [40, 60],
-    warning: [30, 85],
-    critical: [20, 95]
-  },
-  soilMoisture: { 
-    optimal: [30, 75],
-    warning: [20, 85],
-    critical: [10, 95]
-  },
-  lightIntensity: { 
-    optimal: [200, 2000],
-    warning: [100, 3000],
-    critical: [50, 4000]
-  },
-  batteryVoltage: { 
-    optimal: [9.5, 14.5],
-    warning: [8.5, 15.0],
-    critical: [7.0, 16.0]
-  },
-  rainSensor: { 
-    optimal: [0, 0.1],
-    warning: [0.1, 0.5],
-    critical: [0.5, 2.0]
-  }
-};
+import { useSensorThresholds } from './useSensorThresholds';
+import { applyCorrection, CORRECTIONS_CHANGED_EVENT } from '../services/DetectionCorrectionService';
+import { findDisease } from '../services/DiseaseCatalogService';
 
 export const useAlerts = () => {
-  const { sensorData } = useSensorData();
+  const { sensorData, stale, lastUpdated } = useSensorData();
   const { userProfile } = useAuth();
+  const { thresholds } = useSensorThresholds();
   
   // Three separate alert categories
   const [sensorAlerts, setSensorAlerts] = useState([]);
   const [manualDetectionAlerts, setManualDetectionAlerts] = useState([]);
   const [liveDetectionAlerts, setLiveDetectionAlerts] = useState([]);
+  // Bumped when a grower corrects a detection so the detection alerts are rebuilt
+  const [correctionsVersion, setCorrectionsVersion] = useState(0);
+
+  useEffect(() => {
+    const handleCorrection = () => setCorrectionsVersion(version => version + 1);
+    window.addEventListener(CORRECTIONS_CHANGED_EVENT, handleCorrection);
+    return () => window.removeEventListener(CORRECTIONS_CHANGED_EVENT, handleCorrection);
+  }, []);
   
   // Enhanced persistent preferences
   const [alertPreferences, setAlertPreferences] = useState(() => {
@@ -202,6 +180,13 @@ export const useAlerts = () => {
     
     // Normalize disease name for comparison
     const normalizedDisease = disease.toLowerCase().trim();
+
+    // Photos rejected by the image quality gate carry no diagnosis
+    if (normalizedDisease === 'poor image quality') return false;
+
+    // Known diseases by catalog severity; other labels by the healthy wording below
+    const known = findDisease(disease);
+    if (known) return known.severity !== 'None';
     
     // List of "healthy" indicators
     const healthyIndicators = [
@@ -254,13 +239,12 @@ export const useAlerts = () => {
       sensorTimestamp = new Date().toISOString();
     }
 
-    Object.keys(SENSOR_THRESHOLDS).forEach(sensorType => {
+    Object.keys(thresholds).forEach(sensorType => {
       const sensor = sensorData[sensorType];
       if (!sensor) return;
 
       const value = parseFloat(sensor.value);
-      const threshold = SENSOR_THRESHOLDS[sensorType];
-      const { optimal } = threshold;
+      const { optimal } = thresholds[sensorType];
 
       // Generate WARNING alerts when outside OPTIMAL range (preventive)
       let shouldAlert = false;
@@ -294,9 +278,29 @@ export const useAlerts = () => {
       }
     });
 
+    // Feed went quiet: readings above may be out of date
+    if (stale && lastUpdated) {
+      const alertId = `sensor_feed_stale_${lastUpdated.getTime()}`;
+      if (!alertPreferences.dismissedAlerts.includes(alertId)) {
+        newSensorAlerts.push({
+          id: alertId,
+          type: 'warning',
+          category: 'sensor',
+          sensor: 'feed',
+          titleKey: 'sensorFeedStaleAlert',
+          messageKey: 'sensorFeedStaleDescription',
+          timestamp: lastUpdated.toISOString(),
+          read: alertPreferences.readAlerts.includes(alertId),
+          location: userLocation,
+          sourceKey: 'sensorAlert',
+          redirectTo: '/dashboard'
+        });
+      }
+    }
+
     console.log('🚨 Generated sensor alerts:', newSensorAlerts.length);
     setSensorAlerts(newSensorAlerts);
-  }, [sensorData, alertPreferences, userLocation, generateSensorAlertData]);
+  }, [sensorData, thresholds, stale, lastUpdated, alertPreferences, userLocation, generateSensorAlertData]);
 
   // 2. MANUAL DETECTION ALERTS - MODIFIED: Only show diseased detections
   useEffect(() => {
@@ -307,7 +311,8 @@ export const useAlerts = () => {
 
     try {
       const newManualAlerts = [];
-      const manualHistory = JSON.parse(localStorage.getItem('diseaseAnalysisHistory') || '[]');
+      // Grower corrections replace the model's class (corrected-to-healthy items drop out)
+      const manualHistory = JSON.parse(localStorage.getItem('diseaseAnalysisHistory') || '[]').map(applyCorrection);
       
       // Filter to show ONLY diseased detections (not healthy ones)
       manualHistory
@@ -324,6 +329,8 @@ export const useAlerts = () => {
               disease: detection.disease,
               confidence: detection.confidence,
               severity: detection.severity || 'High',
+              corrected: !!detection.corrected,
+              originalDisease: detection.originalDisease || null,
               messageKey: 'manualAnalysisComplete',
               sourceKey: 'manualUpload',
               timestamp: detection.timestamp,
@@ -344,7 +351,7 @@ export const useAlerts = () => {
       console.error('Failed to load manual detection alerts:', error);
       setManualDetectionAlerts([]);
     }
-  }, [alertPreferences, userLocation, formatDriveUploadTime, isDiseaseDetection]);
+  }, [alertPreferences, userLocation, formatDriveUploadTime, isDiseaseDetection, correctionsVersion]);
 
   // 3. LIVE DETECTION ALERTS - MODIFIED: Only show diseased detections
   useEffect(() => {
@@ -355,7 +362,11 @@ export const useAlerts = () => {
 
     try {
       const newLiveAlerts = [];
-      const liveHistory = JSON.parse(localStorage.getItem('liveDetectionHistory') || '[]');
+      // Corrections are stored on the live item, next to its detection
+      const liveHistory = JSON.parse(localStorage.getItem('liveDetectionHistory') || '[]')
+        .map(item => (item.correction && item.detection
+          ? { ...item, detection: applyCorrection({ ...item.detection, correction: item.correction }) }
+          : item));
       
       // Filter to show ONLY diseased detections (not healthy ones)
       liveHistory
@@ -374,6 +385,8 @@ export const useAlerts = () => {
               disease: detection.detection.disease,
               confidence: detection.detection.confidence,
               severity: detection.detection.severity || 'High',
+              corrected: !!detection.detection.corrected,
+              originalDisease: detection.detection.originalDisease || null,
               messageKey: 'liveAnalysisComplete',
               sourceKey: 'liveCamera',
               timestamp: detection.timestamp, // Analysis timestamp
@@ -396,7 +409,7 @@ export const useAlerts = () => {
       console.error('Failed to load live detection alerts:', error);
       setLiveDetectionAlerts([]);
     }
-  }, [alertPreferences, userLocation, formatDriveUploadTime, isDiseaseDetection]);
+  }, [alertPreferences, userLocation, formatDriveUploadTime, isDiseaseDetection, correctionsVersion]);
 
   // Alert management functions
   const handleMarkAsRead = useCallback((alertId) => {
@@ -0,0 +1,52 @@
+// Disease Models Hook
+// src/hooks/useDiseaseModels.js
+
+import { useState, useEffect } from 'react';
+import sensorHistoryService from '../services/SensorHistoryService';
+import { computeDiseaseModels, MODEL_DAYS } from '../services/DiseaseModelService';
+import { useSensorStream } from './useSensorStream';
+
+const REFRESH_MS = 5 * 60 * 1000; // Daily models don't need every new row
+
+// GDD, downy mildew 3-10 rule and powdery mildew index over the last MODEL_DAYS days
+export const useDiseaseModels = () => {
+  const { lastRowAt } = useSensorStream();
+  const [models, setModels] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Recompute when a new row lands in a later refresh slot
+  const refreshSlot = lastRowAt !== null ? Math.floor(lastRowAt / REFRESH_MS) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setError(null);
+        const now = Date.now();
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (MODEL_DAYS - 1));
+
+        const records = await sensorHistoryService.getRecords(start.getTime(), now);
+        if (cancelled) return;
+        setModels(computeDiseaseModels(records, { now }));
+      } catch (err) {
+        console.error('❌ Disease model calculation failed:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshSlot]);
+
+  return { models, loading, error };
+};
+
+export default useDiseaseModels;
@@ -0,0 +1,22 @@
+// Disease Risk Hook
+// src/hooks/useDiseaseRisk.js
+
+import { useMemo, useSyncExternalStore } from 'react';
+import diseaseRiskService from '../services/DiseaseRiskService';
+import { localizeRisk } from '../services/DiseaseRuleEngine';
+import { useTranslation } from '../context/LanguageContext';
+
+// Rule-engine risks for the current sensor history, with recommendations in the UI language
+export const useDiseaseRisk = () => {
+  const { language } = useTranslation();
+  const { loaded, risks, evaluatedAt, ruleSetVersion, error } = useSyncExternalStore(
+    diseaseRiskService.subscribe,
+    diseaseRiskService.getSnapshot
+  );
+
+  const localized = useMemo(() => risks.map(risk => localizeRisk(risk, language)), [risks, language]);
+
+  return { risks: localized, loading: !loaded, evaluatedAt, ruleSetVersion, error };
+};
+
+export default useDiseaseRisk;
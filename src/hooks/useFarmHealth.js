@@ -0,0 +1,80 @@
+// Farm Health Hook
+// src/hooks/useFarmHealth.js
+
+import { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import sensorHistoryService from '../services/SensorHistoryService';
+import analysisSupabaseService from '../services/AnalysisSupabaseService';
+import { computeFarmHealthReport, TREND_DAYS } from '../services/FarmHealthService';
+import { useSensorStream } from './useSensorStream';
+import { useSensorThresholds } from './useSensorThresholds';
+import { useDiseaseModels } from './useDiseaseModels';
+
+const REFRESH_MS = 5 * 60 * 1000;
+
+// Measured farm health with its breakdown and a TREND_DAYS daily trend.
+// `alerts` is the disease alert history from useAlerts (manual + live detection alerts).
+export const useFarmHealth = ({ alerts = [] } = {}) => {
+  const { currentUser } = useAuth();
+  const { lastRowAt } = useSensorStream();
+  const { thresholds } = useSensorThresholds();
+  const { models, loading: modelsLoading } = useDiseaseModels();
+
+  const [sources, setSources] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refreshSlot = lastRowAt !== null ? Math.floor(lastRowAt / REFRESH_MS) : null;
+  const uid = currentUser?.uid || null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setError(null);
+        const now = Date.now();
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (TREND_DAYS - 1));
+        // Detections keep counting for a week, so look a week further back
+        const detectionsSince = start.getTime() - 7 * 24 * 60 * 60 * 1000;
+
+        const [records, detections] = await Promise.all([
+          sensorHistoryService.getRecords(start.getTime(), now),
+          analysisSupabaseService.listUserAnalysesSince(uid, detectionsSince)
+        ]);
+        if (cancelled) return;
+        setSources({ records, detections, now });
+      } catch (err) {
+        console.error('❌ Farm health calculation failed:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshSlot, uid]);
+
+  const report = useMemo(() => {
+    if (!sources) return null;
+    return computeFarmHealthReport(
+      { ...sources, alerts, models, thresholds },
+      { now: sources.now }
+    );
+  }, [sources, alerts, models, thresholds]);
+
+  return {
+    health: report?.current || null,
+    inputs: report?.inputs || null,
+    trend: report?.trend || [],
+    loading: loading || modelsLoading,
+    error
+  };
+};
+
+export default useFarmHealth;
@@ -0,0 +1,11 @@
+// Realtime Sensor Stream Hook
+// src/hooks/useSensorStream.js
+
+import { useSyncExternalStore } from 'react';
+import sensorStreamService from '../services/SensorStreamService';
+
+// Shared snapshot of the envLogs feed: { loaded, latest, recent, connection, stale, lastRowAt, error }.
+// Every component using this shares one Firebase listener.
+export const useSensorStream = () => useSyncExternalStore(sensorStreamService.subscribe, sensorStreamService.getSnapshot);
+
+export default useSensorStream;
@@ -0,0 +1,27 @@
+// Sensor Thresholds Hook
+// src/hooks/useSensorThresholds.js
+
+import { useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { normalizeThresholdConfig, resolveThresholds, getSeason } from '../services/SensorThresholdService';
+
+// Thresholds for the active farm and current season, from the user profile
+export const useSensorThresholds = () => {
+  const { userProfile } = useAuth();
+  const season = getSeason();
+
+  const config = useMemo(
+    () => normalizeThresholdConfig(userProfile?.sensorThresholds, userProfile?.farmName),
+    [userProfile?.sensorThresholds, userProfile?.farmName]
+  );
+  const thresholds = useMemo(() => resolveThresholds(config, { season }), [config, season]);
+
+  return {
+    thresholds,
+    season,
+    farm: config.farms[config.activeFarmId],
+    config
+  };
+};
+
+export default useSensorThresholds;
@@ -3,6 +3,7 @@
 // and lists recent analyses from a public GCS bucket.
 
 import googleCloudStorageService from './GoogleCloudStorageService';
+import { getDiseaseBreakdown } from './DetectionBreakdownService';
 
 function safeJsonStringify(value) {
   try {
@@ -82,6 +83,16 @@ class AnalysisHistoryService {
         detectedRegions: result?.detectedRegions ?? 0,
         healthyArea: result?.healthyArea ?? null,
         recommendations: result?.recommendations || [],
+        diseases: getDiseaseBreakdown(result),
+        coInfection: !!result?.coInfection,
+        severityScore: result?.severityScore || null,
+        backend: result?.backend || null,
+        modelType: result?.modelType || null,
+        model: result?.model || null,
+        // Boxes (in the imageSize frame, which is the saved original) for dataset export
+        modelVersion: result?.detectionDetails?.modelVersion || null,
+        imageSize: result?.detectionDetails?.imageSize || null,
+        boundingBoxes: (result?.detectionDetails?.boundingBoxes || []).map(({ area, ...box }) => box),
         visualizationImage: blobs.visualization ? `${publicBase}/${encodeURIComponent(visualizationImagePath)}` : (result?.visualizationImage || null),
         originalImage: blobs.original ? `${publicBase}/${encodeURIComponent(originalImagePath)}` : (originalImage || null)
       };
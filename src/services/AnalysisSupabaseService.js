@@ -1,5 +1,12 @@
 import { supabaseData, uploadImage, detectionService } from './supabaseData';
 import { v4 as uuidv4 } from 'uuid';
+import { getDiseaseBreakdown } from './DetectionBreakdownService';
+
+// The stored detection result; older rows nest it one level deeper
+const resultPayload = (detection) => detection.analysis_result?.analysis_result || detection.analysis_result || {};
+
+// Grower correction saved next to the prediction (always on the outer analysis_result)
+const correctionOf = (detection) => detection.analysis_result?.correction || resultPayload(detection).correction || null;
 
 async function dataUrlToBlob(dataUrl) {
   const res = await fetch(dataUrl);
@@ -15,6 +22,7 @@ class AnalysisSupabaseService {
       context = 'manual', // 'manual' | 'live'
       camera = null,
       sourceMeta = null, // optional: { originDriveId, originDriveName, originCreatedTime }
+      batchMeta = null, // optional: { sessionId, index, size, summary }
     } = options;
 
     if (!firebaseUserId) {
@@ -65,8 +73,18 @@ class AnalysisSupabaseService {
           originDriveId: sourceMeta?.originDriveId || null,
           originDriveName: sourceMeta?.originDriveName || null,
           originCreatedTime: sourceMeta?.originCreatedTime || null,
+          // Batch uploads share one session id so they can be listed as a group
+          batchSessionId: batchMeta?.sessionId || null,
+          batchIndex: batchMeta?.index ?? null,
+          batchSize: batchMeta?.size ?? null,
+          batchSummary: batchMeta?.summary || null,
           // Store full result for future reference
-          ...result
+          ...result,
+          // Per-disease breakdown (single-entry for older single-label results)
+          diseases: getDiseaseBreakdown(result),
+          coInfection: !!result?.coInfection,
+          // Lesion-area grade (0-5) recorded with the analysis
+          severityScore: result?.severityScore || null
         }
       };
 
@@ -125,7 +143,18 @@ class AnalysisSupabaseService {
         originalImage: detection.image_url || null,
         modelType: detection.model_type || 'AI (HF Space)', // FIXED: Use snake_case
         type: detection.type,
-        camera: detection.camera
+        camera: detection.camera,
+        batchSessionId: resultPayload(detection).batchSessionId || null,
+        lowTrust: !!resultPayload(detection).lowTrust,
+        needsReview: !!resultPayload(detection).needsReview,
+        diseases: getDiseaseBreakdown(resultPayload(detection)),
+        coInfection: !!resultPayload(detection).coInfection,
+        severityScore: resultPayload(detection).severityScore || null,
+        cached: resultPayload(detection).cached || null,
+        backend: resultPayload(detection).backend || null,
+        model: resultPayload(detection).model || null,
+        detectionDetails: resultPayload(detection).detectionDetails || null,
+        correction: correctionOf(detection)
       }));
     } catch (error) {
       console.error('Failed to list user analyses:', error);
@@ -167,7 +196,18 @@ class AnalysisSupabaseService {
         originalImage: detection.image_url || null,
         modelType: detection.model_type || 'AI (HF Space)', // FIXED: Use snake_case
         type: detection.type,
-        camera: detection.camera
+        camera: detection.camera,
+        batchSessionId: resultPayload(detection).batchSessionId || null,
+        lowTrust: !!resultPayload(detection).lowTrust,
+        needsReview: !!resultPayload(detection).needsReview,
+        diseases: getDiseaseBreakdown(resultPayload(detection)),
+        coInfection: !!resultPayload(detection).coInfection,
+        severityScore: resultPayload(detection).severityScore || null,
+        cached: resultPayload(detection).cached || null,
+        backend: resultPayload(detection).backend || null,
+        model: resultPayload(detection).model || null,
+        detectionDetails: resultPayload(detection).detectionDetails || null,
+        correction: correctionOf(detection)
       }));
 
       const hasMore = typeof count === 'number' ? (to + 1) < count : items.length === pageSize;
@@ -178,6 +218,195 @@ class AnalysisSupabaseService {
     }
   }
 
+  // Light-weight list (no image URLs) of analyses since a date, oldest first, for scoring
+  async listUserAnalysesSince(firebaseUserId, since) {
+    if (!firebaseUserId) return [];
+
+    try {
+      const { data: detections, error } = await supabaseData
+        .from('detections')
+        .select('id, disease_detected, confidence_score, severity, type, created_at, lowTrust:analysis_result->lowTrust, nestedLowTrust:analysis_result->analysis_result->lowTrust')
+        .eq('firebase_user_id', firebaseUserId)
+        .gte('created_at', new Date(since).toISOString())
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return (detections || []).map(detection => ({
+        id: detection.id,
+        disease: detection.disease_detected,
+        confidence: detection.confidence_score,
+        severity: detection.severity,
+        type: detection.type,
+        timestamp: detection.created_at,
+        lowTrust: !!(detection.lowTrust || detection.nestedLowTrust)
+      }));
+    } catch (error) {
+      console.error('Failed to list user analyses since date:', error);
+      return [];
+    }
+  }
+
+  // Save every successful, not yet saved item of a batch under one session id.
+  // Items are uploaded one after another so a large batch doesn't flood Storage.
+  async saveBatchSession(firebaseUserId, { sessionId, items, summary = null }) {
+    if (!firebaseUserId) {
+      throw new Error('Missing firebaseUserId');
+    }
+
+    const batchSessionId = sessionId || uuidv4();
+    const toSave = (items || []).filter(item => item.status === 'done' && item.result && !item.saved);
+    const saved = [];
+    const failed = [];
+
+    for (const item of toSave) {
+      try {
+        const record = await this.uploadImagesAndSave(firebaseUserId, {
+          originalImageDataUrl: item.dataUrl,
+          visualizationImageDataUrl: item.result.visualizationImage || null,
+          result: { ...item.result, fileName: item.name },
+          context: 'manual',
+          batchMeta: {
+            sessionId: batchSessionId,
+            index: item.index,
+            size: items.length,
+            summary
+          }
+        });
+        saved.push({ itemId: item.id, record });
+      } catch (error) {
+        failed.push({ itemId: item.id, error: error.message });
+      }
+    }
+
+    return { sessionId: batchSessionId, saved, failed };
+  }
+
+  async listBatchSession(firebaseUserId, sessionId) {
+    if (!firebaseUserId || !sessionId) return [];
+    try {
+      const { data, error } = await supabaseData
+        .from('detections')
+        .select('*')
+        .eq('firebase_user_id', firebaseUserId)
+        .eq('analysis_result->>batchSessionId', sessionId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return (data || []).map(detection => ({
+        id: detection.id,
+        disease: detection.disease_detected,
+        confidence: detection.confidence_score,
+        severity: detection.severity,
+        detectedRegions: detection.detected_regions || 0,
+        timestamp: detection.created_at,
+        visualizationImage: detection.visualization_image || null,
+        originalImage: detection.image_url || null,
+        modelType: detection.model_type || 'AI (HF Space)',
+        type: detection.type,
+        batchSessionId: sessionId,
+        batchIndex: resultPayload(detection).batchIndex ?? null,
+        lowTrust: !!resultPayload(detection).lowTrust,
+        needsReview: !!resultPayload(detection).needsReview,
+        fileName: resultPayload(detection).fileName || null,
+        diseases: getDiseaseBreakdown(resultPayload(detection)),
+        coInfection: !!resultPayload(detection).coInfection,
+        severityScore: resultPayload(detection).severityScore || null,
+        cached: resultPayload(detection).cached || null,
+        backend: resultPayload(detection).backend || null,
+        model: resultPayload(detection).model || null,
+        detectionDetails: resultPayload(detection).detectionDetails || null,
+        correction: correctionOf(detection)
+      }));
+    } catch (error) {
+      console.error('Failed to list batch session:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store a grower correction next to the original prediction.
+   * @param {string} detectionId - detections row id
+   * @param {Object} correction - from DetectionCorrectionService.buildCorrection
+   */
+  async saveCorrection(firebaseUserId, detectionId, correction) {
+    if (!firebaseUserId || !detectionId) {
+      throw new Error('Missing firebaseUserId or detection id');
+    }
+    const { data: row, error: readError } = await supabaseData
+      .from('detections')
+      .select('analysis_result')
+      .eq('id', detectionId)
+      .eq('firebase_user_id', firebaseUserId)
+      .single();
+    if (readError) throw readError;
+
+    const { error } = await supabaseData
+      .from('detections')
+      .update({ analysis_result: { ...(row?.analysis_result || {}), correction } })
+      .eq('id', detectionId)
+      .eq('firebase_user_id', firebaseUserId);
+    if (error) throw error;
+    return correction;
+  }
+
+  // Reviewed detections (with a correction) for per-model accuracy stats
+  async listCorrections(firebaseUserId, limit = 500) {
+    if (!firebaseUserId) return [];
+    try {
+      const { data, error } = await supabaseData
+        .from('detections')
+        .select('id, disease_detected, created_at, correction:analysis_result->correction')
+        .eq('firebase_user_id', firebaseUserId)
+        .not('analysis_result->correction', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return (data || []).map(row => ({
+        id: row.id,
+        disease: row.disease_detected,
+        timestamp: row.created_at,
+        correction: row.correction
+      }));
+    } catch (e) {
+      console.warn('Failed to list corrections:', e?.message || e);
+      return [];
+    }
+  }
+
+  // Rows with the original image and predicted boxes, for exporting a training dataset
+  async listTrainingRecords(firebaseUserId, { from = null, to = null, limit = 1000 } = {}) {
+    if (!firebaseUserId) return [];
+    let query = supabaseData
+      .from('detections')
+      .select('id, created_at, image_url, disease_detected, confidence_score, analysis_result')
+      .eq('firebase_user_id', firebaseUserId)
+      .not('image_url', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(detection => {
+      const details = resultPayload(detection).detectionDetails || {};
+      return {
+        id: String(detection.id),
+        source: 'supabase',
+        timestamp: detection.created_at,
+        imageUrl: detection.image_url,
+        disease: detection.disease_detected,
+        confidence: detection.confidence_score,
+        modelVersion: details.modelVersion || null,
+        imageSize: details.imageSize || null,
+        boxes: details.boundingBoxes || [],
+        correction: correctionOf(detection)
+      };
+    });
+  }
+
   // FIXED: Fetch processed Drive IDs from analysis_result JSON
   async listProcessedDriveIds(firebaseUserId, limit = 2000) {
     if (!firebaseUserId) return new Set();
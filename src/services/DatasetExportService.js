@@ -0,0 +1,447 @@
+// Dataset Export Service - labelled detections as a COCO or YOLO training set
+// src/services/DatasetExportService.js
+//
+// Records come from Supabase detections rows (original upload, boxes and any
+// grower correction) and the GCS analysis history (the preprocessed image the
+// model saw). Labels per image:
+//   - correction with boxes      → the grower's boxes
+//   - correction, class changed  → predicted boxes relabelled to the grower's class
+//   - otherwise                  → predicted boxes (confidence filter applies)
+// Boxes are scaled from the prediction frame (detectionDetails.imageSize) to
+// the downloaded image. Near-duplicate photos (same perceptual hash) are
+// exported once so the same leaf can't land in both train and val.
+//
+// Class ids come from diseaseMapping: COCO category id = mapping id, YOLO
+// class index = position in id order (0-4, the Detectron2 training order).
+// Instances without a usable mask get their box as a polygon, so Mask R-CNN
+// training (detectron_server.py config) doesn't drop them.
+
+import { createZip } from './ZipArchive';
+import { parseImageSize } from './DetectionOverlayService';
+import { differenceHash, hammingDistance, NEAR_DUPLICATE_DISTANCE, PHASH_SIZE } from './ResultCacheService';
+import { createAbortError } from './InferenceClient';
+import { findDisease } from './DiseaseCatalogService';
+
+export const DATASET_FORMATS = ['coco', 'yolo'];
+export const REVIEW_FILTERS = ['all', 'reviewed', 'unreviewed'];
+export const DEFAULT_VAL_FRACTION = 0.2;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// [{ id, name, marathi, yoloIndex }] in id order
+export function buildClassMap(diseaseMapping) {
+  return Object.entries(diseaseMapping || {})
+    .map(([id, disease]) => ({ id: Number(id), name: disease.name, marathi: disease.marathi || null }))
+    .sort((a, b) => a.id - b.id)
+    .map((cls, index) => ({ ...cls, yoloIndex: index }));
+}
+
+const normalizeName = (name) => (name || '').toLowerCase().trim();
+const shortName = (name) => normalizeName(name).split('(')[0].trim();
+
+// Mapping id for a box: its class_id, else its name (exact, then the part before the brackets, then a catalog alias)
+export function resolveClassId(box, classMap) {
+  if (classMap.some(cls => cls.id === box.class_id)) return box.class_id;
+  const name = normalizeName(box.class_name);
+  const match = classMap.find(cls => normalizeName(cls.name) === name) ||
+    classMap.find(cls => shortName(cls.name) === shortName(name));
+  if (match) return match.id;
+  const known = findDisease(name);
+  return known && classMap.some(cls => cls.id === known.id) ? known.id : null;
+}
+
+// The boxes to train on for a record (see header), each flagged `reviewed`
+export function labelledBoxes(record) {
+  const correction = record?.correction;
+  if (correction?.boxes) return correction.boxes.map(box => ({ ...box, reviewed: true }));
+  const boxes = record?.boxes || [];
+  if (!correction || correction.agreed) return boxes.map(box => ({ ...box, reviewed: !!correction }));
+  return boxes.map(box => ({ ...box, class_id: null, class_name: correction.disease, reviewed: true }));
+}
+
+const timeOf = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Apply the export filters.
+ * @param {Array} records - { id, source, timestamp, imageUrl, imageSize, boxes, correction }
+ * @param {Object} filters - { from, to, classIds, minConfidence (0-100, predicted boxes only), reviewed }
+ * @returns {{ selected: Array<{ record, annotations }>, skipped: { filtered, noBoxes, unknownClass } }}
+ */
+export function selectRecords(records, filters = {}, classMap = []) {
+  const { from = null, to = null, classIds = null, minConfidence = 0, reviewed = 'all' } = filters;
+  const [fromTime, toTime] = [timeOf(from), timeOf(to)];
+  const skipped = { filtered: 0, noBoxes: 0, unknownClass: 0 };
+  const selected = [];
+
+  records.forEach(record => {
+    const time = timeOf(record.timestamp);
+    const isReviewed = !!record.correction;
+    if ((fromTime !== null && time < fromTime) || (toTime !== null && time > toTime) ||
+      (reviewed === 'reviewed' && !isReviewed) || (reviewed === 'unreviewed' && isReviewed) || !record.imageUrl) {
+      skipped.filtered++;
+      return;
+    }
+
+    const annotations = [];
+    labelledBoxes(record).forEach(box => {
+      if (!Array.isArray(box.bbox) || box.bbox.length !== 4 || !box.bbox.every(Number.isFinite)) return;
+      const classId = resolveClassId(box, classMap);
+      if (classId === null) {
+        skipped.unknownClass++;
+        return;
+      }
+      if (classIds && !classIds.includes(classId)) return;
+      if (!box.reviewed && Number.isFinite(box.confidence) && box.confidence < minConfidence) return;
+      annotations.push({ bbox: box.bbox, classId, confidence: box.confidence ?? null, mask: box.mask || null, reviewed: box.reviewed });
+    });
+
+    if (annotations.length === 0) {
+      skipped.noBoxes++;
+      return;
+    }
+    selected.push({ record, annotations });
+  });
+
+  return { selected, skipped };
+}
+
+// Stable train/val assignment from the record id (FNV-1a), so re-exports keep the split
+export function assignSplit(id, valFraction = DEFAULT_VAL_FRACTION) {
+  let hash = 0x811c9dc5;
+  for (const char of String(id)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return (hash % 1000) / 1000 < valFraction ? 'val' : 'train';
+}
+
+const polygonArea = (poly) => {
+  let sum = 0;
+  for (let i = 0; i < poly.length; i += 2) {
+    const j = (i + 2) % poly.length;
+    sum += poly[i] * poly[j + 1] - poly[j] * poly[i + 1];
+  }
+  return Math.abs(sum) / 2;
+};
+
+// Rows of 0/1 → COCO uncompressed RLE (column-major, starting with a zero run)
+export function encodeRle(grid) {
+  const height = grid.length;
+  const width = grid[0].length;
+  const counts = [];
+  let current = 0;
+  let run = 0;
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const value = grid[y][x] ? 1 : 0;
+      if (value !== current) {
+        counts.push(run);
+        current = value;
+        run = 0;
+      }
+      run++;
+    }
+  }
+  counts.push(run);
+  return { size: [height, width], counts };
+}
+
+const rleArea = (rle) => rle.counts.reduce((sum, run, i) => (i % 2 === 1 ? sum + run : sum), 0);
+
+// COCO segmentation for a mask in frame pixels, or null when it can't be carried over
+function maskToSegmentation(mask, frame, image) {
+  if (!mask) return null;
+  const sx = image.width / frame.width;
+  const sy = image.height / frame.height;
+  const sameSize = frame.width === image.width && frame.height === image.height;
+  const isGrid = Array.isArray(mask) && mask.length > 0 && mask.every(row =>
+    Array.isArray(row) && row.length === mask[0].length && row.every(v => v === 0 || v === 1 || typeof v === 'boolean'));
+
+  if (!isGrid && Array.isArray(mask) && mask.length > 0 &&
+    mask.every(poly => Array.isArray(poly) && poly.length >= 6 && poly.length % 2 === 0 && poly.every(Number.isFinite))) {
+    return mask.map(poly => poly.map((v, i) => round2(i % 2 === 0 ? v * sx : v * sy)));
+  }
+  if (!sameSize) return null; // raster masks would need resampling
+  if (Array.isArray(mask?.counts) && Array.isArray(mask?.size)) {
+    return mask.size[0] === image.height && mask.size[1] === image.width ? { size: mask.size, counts: mask.counts } : null;
+  }
+  if (isGrid && mask.length === image.height && mask[0].length === image.width) {
+    return encodeRle(mask);
+  }
+  return null;
+}
+
+/**
+ * Scale an annotation from the prediction frame to the image and clip it.
+ * @returns {{ bbox: [x1, y1, x2, y2], segmentation, area, classId } | null} null when nothing is left
+ */
+export function scaleAnnotation(annotation, frame, image) {
+  const source = frame || image;
+  const sx = image.width / source.width;
+  const sy = image.height / source.height;
+  const [x1, y1, x2, y2] = annotation.bbox;
+  const bbox = [
+    Math.max(0, Math.min(x1, x2) * sx),
+    Math.max(0, Math.min(y1, y2) * sy),
+    Math.min(image.width, Math.max(x1, x2) * sx),
+    Math.min(image.height, Math.max(y1, y2) * sy)
+  ].map(round2);
+  if (bbox[2] - bbox[0] < 1 || bbox[3] - bbox[1] < 1) return null;
+
+  const segmentation = maskToSegmentation(annotation.mask, source, image) ||
+    [[bbox[0], bbox[1], bbox[2], bbox[1], bbox[2], bbox[3], bbox[0], bbox[3]]];
+  const area = Array.isArray(segmentation)
+    ? segmentation.reduce((sum, poly) => sum + polygonArea(poly), 0)
+    : rleArea(segmentation);
+  return { bbox, segmentation, area: round2(area), classId: annotation.classId };
+}
+
+/**
+ * COCO instances JSON for one split.
+ * @param {Array} images - { fileName, width, height, timestamp, source, recordId, annotations (scaled) }
+ */
+export function toCocoJson(images, classMap, { split = 'train', date = new Date() } = {}) {
+  let annotationId = 0;
+  return {
+    info: {
+      description: `GrapeGuard detections (${split})`,
+      version: '1.0',
+      year: date.getFullYear(),
+      date_created: date.toISOString()
+    },
+    licenses: [],
+    categories: classMap.map(cls => ({ id: cls.id, name: cls.name, supercategory: 'grape' })),
+    images: images.map((image, index) => ({
+      id: index + 1,
+      file_name: image.fileName,
+      width: image.width,
+      height: image.height,
+      date_captured: image.timestamp || null,
+      source: image.source,
+      source_id: image.recordId,
+      reviewed: !!image.reviewed
+    })),
+    annotations: images.flatMap((image, index) => image.annotations.map(annotation => ({
+      id: ++annotationId,
+      image_id: index + 1,
+      category_id: annotation.classId,
+      bbox: [annotation.bbox[0], annotation.bbox[1], round2(annotation.bbox[2] - annotation.bbox[0]), round2(annotation.bbox[3] - annotation.bbox[1])],
+      area: annotation.area,
+      segmentation: annotation.segmentation,
+      iscrowd: 0
+    })))
+  };
+}
+
+// YOLO label file: one `class cx cy w h` line per box, normalized to the image
+export function toYoloLabels(image, classMap) {
+  const indexById = new Map(classMap.map(cls => [cls.id, cls.yoloIndex]));
+  return image.annotations.map(({ bbox: [x1, y1, x2, y2], classId }) => [
+    indexById.get(classId),
+    ((x1 + x2) / 2 / image.width).toFixed(6),
+    ((y1 + y2) / 2 / image.height).toFixed(6),
+    ((x2 - x1) / image.width).toFixed(6),
+    ((y2 - y1) / image.height).toFixed(6)
+  ].join(' ')).join('\n') + '\n';
+}
+
+export function yoloDataYaml(classMap) {
+  return [
+    'path: .',
+    'train: images/train',
+    'val: images/val',
+    `nc: ${classMap.length}`,
+    'names:',
+    ...classMap.map(cls => `  ${cls.yoloIndex}: ${JSON.stringify(cls.name)}`)
+  ].join('\n') + '\n';
+}
+
+// Keep the first of each group of near-identical photos (callers order by preference)
+export function dedupeByPerceptualHash(images, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const kept = [];
+  let duplicates = 0;
+  images.forEach(image => {
+    if (image.phash && kept.some(other => hammingDistance(other.phash, image.phash) <= maxDistance)) {
+      duplicates++;
+      return;
+    }
+    kept.push(image);
+  });
+  return { kept, duplicates };
+}
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+const safeName = (value) => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+
+// Download an image with its size and perceptual hash (browser only)
+export async function fetchImage(url, { signal } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = PHASH_SIZE.width;
+  canvas.height = PHASH_SIZE.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, PHASH_SIZE.width, PHASH_SIZE.height);
+  const phash = differenceHash(ctx.getImageData(0, 0, PHASH_SIZE.width, PHASH_SIZE.height).data);
+  const result = {
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+    type: blob.type,
+    width: bitmap.width,
+    height: bitmap.height,
+    phash
+  };
+  bitmap.close?.();
+  return result;
+}
+
+// GCS analysis metadata.json → export record
+export function fromGcsMetadata(meta) {
+  return {
+    id: `gcs_${meta.id}`,
+    source: 'gcs',
+    timestamp: meta.timestamp,
+    imageUrl: meta.originalImage || null,
+    disease: meta.disease,
+    confidence: meta.confidence,
+    modelVersion: meta.modelVersion || null,
+    imageSize: meta.imageSize || null,
+    boxes: meta.boundingBoxes || [],
+    correction: null
+  };
+}
+
+// Records from Supabase (first: they carry corrections) and the user's GCS history
+export async function collectTrainingRecords(userId, { from = null, to = null, sources = { supabase: true, gcs: true } } = {}) {
+  const records = [];
+  if (!userId) return records; // the GCS listing without a user would cover everyone's analyses
+  if (sources.supabase) {
+    const { default: analysisSupabaseService } = await import('./AnalysisSupabaseService');
+    records.push(...await analysisSupabaseService.listTrainingRecords(userId, { from, to }));
+  }
+  if (sources.gcs) {
+    const { default: analysisHistoryService } = await import('./AnalysisHistoryService');
+    const metas = await analysisHistoryService.getAnalysisHistory(userId, 200);
+    records.push(...metas.map(fromGcsMetadata));
+  }
+  return records;
+}
+
+/**
+ * Build a dataset archive.
+ * @param {Object} options - { userId, format: 'coco'|'yolo', filters, valFraction, sources, diseaseMapping,
+ *   onProgress({ stage, done, total }), signal, collectRecords, loadImage, now }
+ * @returns {Promise<{ blob, fileName, stats }>}
+ */
+export async function exportDataset({
+  userId = null,
+  format = 'coco',
+  filters = {},
+  valFraction = DEFAULT_VAL_FRACTION,
+  sources = { supabase: true, gcs: true },
+  diseaseMapping,
+  onProgress = () => {},
+  signal = null,
+  collectRecords = collectTrainingRecords,
+  loadImage = fetchImage,
+  now = new Date()
+} = {}) {
+  if (!DATASET_FORMATS.includes(format)) throw new Error(`Unknown dataset format: ${format}`);
+  const classMap = buildClassMap(diseaseMapping);
+  const throwIfAborted = () => {
+    if (signal?.aborted) throw createAbortError();
+  };
+
+  onProgress({ stage: 'collect', done: 0, total: 0 });
+  const records = await collectRecords(userId, { from: filters.from, to: filters.to, sources });
+  throwIfAborted();
+  const { selected, skipped } = selectRecords(records, filters, classMap);
+
+  // Download images (one at a time: they are held in memory until the archive is written)
+  const loaded = [];
+  let failed = 0;
+  for (let i = 0; i < selected.length; i++) {
+    throwIfAborted();
+    onProgress({ stage: 'images', done: i, total: selected.length });
+    const { record, annotations } = selected[i];
+    try {
+      const image = await loadImage(record.imageUrl, { signal });
+      loaded.push({ record, annotations, image });
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      failed++;
+      console.warn(`⚠ Dataset export: could not download ${record.source} image ${record.id}:`, error.message);
+    }
+  }
+  onProgress({ stage: 'images', done: selected.length, total: selected.length });
+
+  // Reviewed records win a duplicate group, then Supabase over GCS (input order)
+  const ordered = [...loaded].sort((a, b) => Number(!!b.record.correction) - Number(!!a.record.correction));
+  const { kept, duplicates } = dedupeByPerceptualHash(ordered.map(item => ({ ...item, phash: item.image.phash })));
+
+  onProgress({ stage: 'archive', done: 0, total: 1 });
+  const splits = { train: [], val: [] };
+  const files = [];
+  const perClass = {};
+  kept.forEach(({ record, annotations, image }) => {
+    const size = { width: image.width, height: image.height };
+    const scaled = annotations
+      .map(annotation => scaleAnnotation(annotation, parseImageSize(record.imageSize), size))
+      .filter(Boolean);
+    if (scaled.length === 0) {
+      skipped.noBoxes++;
+      return;
+    }
+    const split = assignSplit(record.id, valFraction);
+    const stem = `${record.source}_${safeName(record.id)}`;
+    const fileName = `${stem}.${EXTENSIONS[image.type] || 'jpg'}`;
+    files.push({ name: `images/${split}/${fileName}`, data: image.bytes });
+    splits[split].push({
+      fileName,
+      stem,
+      ...size,
+      timestamp: record.timestamp,
+      source: record.source,
+      recordId: record.id,
+      reviewed: !!record.correction,
+      annotations: scaled
+    });
+    scaled.forEach(annotation => {
+      const name = classMap.find(cls => cls.id === annotation.classId)?.name;
+      perClass[name] = (perClass[name] || 0) + 1;
+    });
+  });
+
+  Object.entries(splits).forEach(([split, images]) => {
+    if (format === 'coco') {
+      files.push({ name: `annotations/instances_${split}.json`, data: JSON.stringify(toCocoJson(images, classMap, { split, date: now })) });
+    } else {
+      images.forEach(image => files.push({ name: `labels/${split}/${image.stem}.txt`, data: toYoloLabels(image, classMap) }));
+    }
+  });
+  if (format === 'yolo') {
+    files.push({ name: 'data.yaml', data: yoloDataYaml(classMap) });
+    files.push({ name: 'classes.txt', data: classMap.map(cls => cls.name).join('\n') + '\n' });
+  }
+  files.push({ name: 'classes.json', data: JSON.stringify(classMap, null, 2) });
+
+  const stats = {
+    images: splits.train.length + splits.val.length,
+    train: splits.train.length,
+    val: splits.val.length,
+    annotations: Object.values(perClass).reduce((sum, count) => sum + count, 0),
+    perClass,
+    skipped: { ...skipped, duplicates, failed }
+  };
+  const archive = createZip(files, { date: now });
+  onProgress({ stage: 'archive', done: 1, total: 1 });
+  console.log(`✅ Dataset export (${format}): ${stats.images} images, ${stats.annotations} boxes`);
+
+  return {
+    blob: new Blob([archive], { type: 'application/zip' }),
+    fileName: `grapeguard-dataset-${format}-${now.toISOString().slice(0, 10)}.zip`,
+    stats
+  };
+}
@@ -0,0 +1,202 @@
+import {
+  buildClassMap,
+  resolveClassId,
+  labelledBoxes,
+  selectRecords,
+  assignSplit,
+  encodeRle,
+  scaleAnnotation,
+  toCocoJson,
+  toYoloLabels,
+  yoloDataYaml,
+  dedupeByPerceptualHash,
+  fromGcsMetadata,
+  exportDataset
+} from './DatasetExportService';
+import { decodeRle } from './SeverityScoringService';
+
+const diseaseMapping = {
+  2: { name: 'Bhuri (Powdery Mildew)', severity: 'Medium' },
+  1: { name: 'Karpa (Anthracnose)', severity: 'High' },
+  4: { name: 'Davnya (Downy Mildew)', severity: 'High' },
+  5: { name: 'Healthy', severity: 'None' }
+};
+const classMap = buildClassMap(diseaseMapping);
+
+const box = (bbox, class_id, class_name, confidence = 90) => ({ bbox, class_id, class_name, confidence });
+
+const record = (overrides = {}) => ({
+  id: 'r1',
+  source: 'supabase',
+  timestamp: '2026-05-10T08:00:00Z',
+  imageUrl: 'https://example.com/r1.jpg',
+  imageSize: '100x50',
+  boxes: [box([10, 10, 30, 30], 2, 'Bhuri (Powdery Mildew)', 92), box([50, 10, 70, 40], 2, 'Bhuri (Powdery Mildew)', 40)],
+  correction: null,
+  ...overrides
+});
+
+describe('class map', () => {
+  test('follows diseaseMapping ids with YOLO indexes in id order', () => {
+    expect(classMap.map(cls => [cls.id, cls.yoloIndex])).toEqual([[1, 0], [2, 1], [4, 2], [5, 3]]);
+  });
+
+  test('resolves boxes by id, then by name ignoring case and the bracketed part', () => {
+    expect(resolveClassId({ class_id: 4 }, classMap)).toBe(4);
+    expect(resolveClassId({ class_id: null, class_name: 'bhuri (powdery mildew)' }, classMap)).toBe(2);
+    expect(resolveClassId({ class_name: 'Davnya (Downey Mildew)' }, classMap)).toBe(4);
+    expect(resolveClassId({ class_name: 'Rust' }, classMap)).toBeNull();
+  });
+});
+
+describe('labels and filters', () => {
+  test('uses grower boxes, relabels when only the class was corrected, else predictions', () => {
+    const edited = record({ correction: { agreed: true, boxes: [box([0, 0, 5, 5], 1, 'Karpa (Anthracnose)')] } });
+    expect(labelledBoxes(edited)).toEqual([expect.objectContaining({ class_name: 'Karpa (Anthracnose)', reviewed: true })]);
+
+    const relabelled = labelledBoxes(record({ correction: { agreed: false, disease: 'Davnya (Downy Mildew)', boxes: null } }));
+    expect(relabelled.every(b => b.class_name === 'Davnya (Downy Mildew)' && b.class_id === null && b.reviewed)).toBe(true);
+
+    expect(labelledBoxes(record()).every(b => !b.reviewed)).toBe(true);
+  });
+
+  test('filters by date, review status, class and confidence', () => {
+    const records = [
+      record(),
+      record({ id: 'old', timestamp: '2026-01-01T00:00:00Z' }),
+      record({ id: 'reviewed', correction: { agreed: true, boxes: null } }),
+      record({ id: 'empty', boxes: [box([0, 0, 10, 10], 9, 'Rust')] })
+    ];
+
+    const { selected, skipped } = selectRecords(records, { from: '2026-05-01', minConfidence: 50 }, classMap);
+    expect(selected.map(s => s.record.id)).toEqual(['r1', 'reviewed']);
+    expect(selected[0].annotations).toHaveLength(1); // 40% box dropped
+    expect(selected[1].annotations).toHaveLength(2); // reviewed boxes ignore the confidence filter
+    expect(skipped).toEqual({ filtered: 1, noBoxes: 1, unknownClass: 1 });
+
+    expect(selectRecords(records, { reviewed: 'reviewed' }, classMap).selected.map(s => s.record.id)).toEqual(['reviewed']);
+    expect(selectRecords(records, { classIds: [1] }, classMap).selected).toHaveLength(0);
+  });
+
+  test('split assignment is stable and roughly follows the fraction', () => {
+    expect(assignSplit('abc')).toBe(assignSplit('abc'));
+    const ids = Array.from({ length: 1000 }, (_, i) => `id-${i}`);
+    const val = ids.filter(id => assignSplit(id, 0.2) === 'val').length;
+    expect(val).toBeGreaterThan(150);
+    expect(val).toBeLessThan(250);
+    expect(ids.every(id => assignSplit(id, 0) === 'train')).toBe(true);
+  });
+});
+
+describe('annotation geometry', () => {
+  test('scales boxes from the prediction frame and falls back to a box polygon', () => {
+    const scaled = scaleAnnotation({ bbox: [10, 10, 30, 30], classId: 2 }, { width: 100, height: 50 }, { width: 200, height: 100 });
+    expect(scaled.bbox).toEqual([20, 20, 60, 60]);
+    expect(scaled.segmentation).toEqual([[20, 20, 60, 20, 60, 60, 20, 60]]);
+    expect(scaled.area).toBe(1600);
+  });
+
+  test('clips to the image and drops boxes that vanish', () => {
+    expect(scaleAnnotation({ bbox: [-5, -5, 10, 10], classId: 1 }, null, { width: 8, height: 8 }).bbox).toEqual([0, 0, 8, 8]);
+    expect(scaleAnnotation({ bbox: [20, 20, 30, 30], classId: 1 }, null, { width: 8, height: 8 })).toBeNull();
+  });
+
+  test('keeps polygon and same-size raster masks', () => {
+    const polygon = scaleAnnotation({ bbox: [0, 0, 4, 4], classId: 1, mask: [[0, 0, 4, 0, 4, 4]] }, { width: 4, height: 4 }, { width: 8, height: 8 });
+    expect(polygon.segmentation).toEqual([[0, 0, 8, 0, 8, 8]]);
+    expect(polygon.area).toBe(32);
+
+    const grid = [[0, 1], [1, 1]];
+    const raster = scaleAnnotation({ bbox: [0, 0, 2, 2], classId: 1, mask: grid }, { width: 2, height: 2 }, { width: 2, height: 2 });
+    expect(raster.segmentation).toEqual({ size: [2, 2], counts: [1, 3] });
+    expect(decodeRle(raster.segmentation)).toEqual(grid);
+    expect(raster.area).toBe(3);
+    expect(encodeRle([[1, 0]])).toEqual({ size: [1, 2], counts: [0, 1, 1] });
+
+    // A 6-wide binary grid is not a polygon; at another size it falls back to the box
+    const wideGrid = [[0, 1, 1, 1, 1, 0], [0, 1, 1, 1, 1, 0]];
+    const resized = scaleAnnotation({ bbox: [1, 0, 5, 2], classId: 1, mask: wideGrid }, { width: 6, height: 2 }, { width: 12, height: 4 });
+    expect(resized.segmentation).toEqual([[2, 0, 10, 0, 10, 4, 2, 4]]);
+  });
+});
+
+describe('writers', () => {
+  const image = {
+    fileName: 'supabase_r1.jpg',
+    width: 200,
+    height: 100,
+    source: 'supabase',
+    recordId: 'r1',
+    annotations: [{ bbox: [20, 20, 60, 60], classId: 2, area: 1600, segmentation: [[20, 20, 60, 20, 60, 60, 20, 60]] }]
+  };
+
+  test('COCO uses mapping ids as categories and xywh boxes', () => {
+    const coco = toCocoJson([image], classMap, { split: 'val', date: new Date('2026-05-01T00:00:00Z') });
+    expect(coco.categories.map(c => c.id)).toEqual([1, 2, 4, 5]);
+    expect(coco.images[0]).toMatchObject({ id: 1, file_name: 'supabase_r1.jpg', width: 200, height: 100 });
+    expect(coco.annotations[0]).toMatchObject({ id: 1, image_id: 1, category_id: 2, bbox: [20, 20, 40, 40], iscrowd: 0 });
+  });
+
+  test('YOLO writes normalized center boxes with class indexes', () => {
+    expect(toYoloLabels(image, classMap)).toBe('1 0.200000 0.400000 0.200000 0.400000\n');
+    expect(yoloDataYaml(classMap)).toContain('nc: 4\nnames:\n  0: "Karpa (Anthracnose)"');
+  });
+
+  test('dedupe keeps the first of near-identical photos', () => {
+    const { kept, duplicates } = dedupeByPerceptualHash([
+      { id: 'a', phash: '00000000000000ff' },
+      { id: 'b', phash: '00000000000000fe' },
+      { id: 'c', phash: 'ffffffffffffffff' },
+      { id: 'd', phash: null }
+    ]);
+    expect(kept.map(item => item.id)).toEqual(['a', 'c', 'd']);
+    expect(duplicates).toBe(1);
+  });
+
+  test('GCS metadata maps to export records', () => {
+    expect(fromGcsMetadata({ id: 7, timestamp: 't', originalImage: 'u', boundingBoxes: [box([0, 0, 1, 1], 1, 'x')], imageSize: '4x4' }))
+      .toMatchObject({ id: 'gcs_7', source: 'gcs', imageUrl: 'u', imageSize: '4x4', correction: null });
+  });
+});
+
+describe('exportDataset', () => {
+  test('builds an archive from collected records and downloaded images', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const records = [
+      record(),
+      record({ id: 'gcs_1', source: 'gcs', imageUrl: 'https://example.com/dup.jpg' }), // same photo as r1
+      record({ id: 'broken', imageUrl: 'https://example.com/404.jpg' })
+    ];
+    const loadImage = async (url) => {
+      if (url.endsWith('404.jpg')) throw new Error('HTTP 404');
+      return { bytes: new Uint8Array([255, 216, 255]), type: 'image/jpeg', width: 200, height: 100, phash: '00000000000000ff' };
+    };
+    const stages = [];
+
+    const { blob, fileName, stats } = await exportDataset({
+      userId: 'user-1',
+      format: 'yolo',
+      diseaseMapping,
+      collectRecords: async () => records,
+      loadImage,
+      onProgress: ({ stage }) => stages.push(stage),
+      now: new Date('2026-05-20T12:00:00Z')
+    });
+
+    expect(fileName).toBe('grapeguard-dataset-yolo-2026-05-20.zip');
+    expect(blob.type).toBe('application/zip');
+    expect(stats).toMatchObject({ images: 1, annotations: 2, perClass: { 'Bhuri (Powdery Mildew)': 2 } });
+    expect(stats.skipped).toMatchObject({ duplicates: 1, failed: 1 });
+    expect(stages).toEqual(expect.arrayContaining(['collect', 'images', 'archive']));
+    console.warn.mockRestore();
+    console.log.mockRestore();
+  });
+
+  test('stops when aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(exportDataset({ diseaseMapping, signal: controller.signal, collectRecords: async () => [record()] }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,414 @@
+// Detection Backend Registry for GrapeGuard
+// src/services/DetectionBackendRegistry.js
+//
+// Every detection backend (HF Space via gradio, Detectron2 REST server,
+// in-browser TensorFlow.js, color heuristic) registers here with its
+// capabilities and a health check. DetectronDiseaseService walks the chain
+// in the order configured for the current user.
+//
+// Each backend also reports which model it serves: modelId, modelVersion
+// (as precise as the backend can tell) and modelConfig (hashed into the
+// result's model identity, see ModelVersionService).
+
+import { callWithDeadline, retryWithBackoff } from './InferenceClient';
+
+export const DEFAULT_BACKEND_ORDER = ['gradio', 'rest', 'tfjs', 'heuristic'];
+
+// Static description of the built-in backends (safe to use without a service instance)
+export const BACKEND_INFO = {
+  gradio: {
+    id: 'gradio',
+    label: 'HF Space (Gradio)',
+    modelType: 'AI (HF Space)',
+    capabilities: { remote: true, offline: false, boundingBoxes: false, masks: false, visualization: true, heuristic: false }
+  },
+  rest: {
+    id: 'rest',
+    label: 'Detectron2 Server (REST)',
+    modelType: 'AI (Detectron2 REST)',
+    capabilities: { remote: true, offline: false, boundingBoxes: true, masks: false, visualization: true, heuristic: false }
+  },
+  tfjs: {
+    id: 'tfjs',
+    label: 'In-browser (TensorFlow.js)',
+    modelType: 'AI (TensorFlow.js)',
+    capabilities: { remote: false, offline: true, boundingBoxes: false, masks: false, visualization: false, heuristic: false }
+  },
+  heuristic: {
+    id: 'heuristic',
+    label: 'Fallback (Color Analysis)',
+    modelType: 'Color Analysis',
+    capabilities: { remote: false, offline: true, boundingBoxes: false, masks: false, visualization: false, heuristic: true }
+  }
+};
+
+const CAPABILITY_LABELS = {
+  remote: 'Remote Predict',
+  offline: 'Offline',
+  boundingBoxes: 'Bounding Boxes',
+  masks: 'Segmentation Masks',
+  visualization: 'Visualization',
+  heuristic: 'Color Analysis'
+};
+
+export function describeCapabilities(capabilities = {}) {
+  return Object.keys(CAPABILITY_LABELS)
+    .filter(key => capabilities[key])
+    .map(key => CAPABILITY_LABELS[key]);
+}
+
+export const PREDICT_TIMEOUT_MS = 30000;
+const CONNECT_TIMEOUT_MS = 20000;
+// A sleeping HF Space takes a minute or two to boot: ~5 attempts with backoff covers it
+const CONNECT_RETRIES = 4;
+const HEALTH_TIMEOUT_MS = 5000;
+// Space stages reported by gradio while it boots
+const SPACE_WAKING_STAGES = ['sleeping', 'building', 'starting'];
+
+function trimTrailingSlash(url) {
+  return url ? url.replace(/\/+$/, '') : url;
+}
+
+const fileName = (path) => (path ? String(path).split(/[\\/]/).pop() : null);
+
+// HF Space through @gradio/client
+export function createGradioBackend(service) {
+  const connect = async ({ signal, onStatus } = {}) => {
+    if (!service.hfSpace) {
+      throw new Error('Missing REACT_APP_HF_SPACE');
+    }
+    const { Client } = await import('@gradio/client');
+    return callWithDeadline(
+      () => Client.connect(service.hfSpace, {
+        ...(service.hfToken ? { hf_token: service.hfToken } : {}),
+        status_callback: (spaceStatus) => {
+          if (SPACE_WAKING_STAGES.includes(spaceStatus?.status)) {
+            onStatus?.({ state: 'waking', stage: spaceStatus.status });
+          }
+        }
+      }),
+      { timeoutMs: CONNECT_TIMEOUT_MS, signal }
+    );
+  };
+
+  // Space commit = the deployed model; unknown (not an error) when the Hub API can't be reached
+  const fetchSpaceInfo = async (signal) => {
+    try {
+      const response = await callWithDeadline(
+        (deadlineSignal) => fetch(`https://huggingface.co/api/spaces/${service.hfSpace}`, {
+          headers: service.hfToken ? { Authorization: `Bearer ${service.hfToken}` } : {},
+          signal: deadlineSignal
+        }),
+        { timeoutMs: HEALTH_TIMEOUT_MS, signal }
+      );
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.warn('⚠ Could not read HF Space version:', error.message);
+      return null;
+    }
+  };
+
+  return {
+    ...BACKEND_INFO.gradio,
+    modelId: service.hfSpace,
+    modelVersion: 'HF-Space',
+    modelConfig: null,
+    endpoint: service.hfSpace,
+    isConfigured: () => !!service.hfSpace,
+    async healthCheck() {
+      try {
+        await connect();
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+    async load({ signal, onStatus, retries = CONNECT_RETRIES } = {}) {
+      console.log('🤖 Connecting to Hugging Face Space:', service.hfSpace);
+      service.hfClient = await retryWithBackoff(() => connect({ signal, onStatus }), {
+        retries,
+        signal,
+        onRetry: ({ attempt, delayMs, error }) => {
+          console.warn(`🔄 HF Space not ready (${error.message}), retry ${attempt}/${retries} in ${Math.round(delayMs / 1000)}s`);
+          onStatus?.({ state: 'waking', attempt: attempt + 1, maxAttempts: retries + 1, nextRetryAt: Date.now() + delayMs });
+        }
+      });
+      const space = await fetchSpaceInfo(signal);
+      this.modelVersion = space?.sha ? space.sha.slice(0, 12) : this.modelVersion;
+      this.modelConfig = {
+        space: service.hfSpace,
+        sha: space?.sha || null,
+        sdk: space?.sdk || null,
+        gradioVersion: service.hfClient?.config?.version || null
+      };
+      console.log('✅ Connected to HF Space successfully');
+    },
+    predict(imageData, imageElement, { includeVisualization = true, signal } = {}) {
+      return service.predictWithDetectron(imageData, includeVisualization, { signal });
+    }
+  };
+}
+
+// Self-hosted Flask server from detectron_server.py (REACT_APP_DETECTRON_ENDPOINT)
+export function createRestBackend(service) {
+  const baseUrl = () => trimTrailingSlash(service.modelEndpoint);
+
+  const fetchHealth = async (signal) => {
+    const response = await callWithDeadline(
+      (deadlineSignal) => fetch(`${baseUrl()}/health`, { signal: deadlineSignal }),
+      { timeoutMs: HEALTH_TIMEOUT_MS, signal }
+    );
+    if (!response.ok) {
+      throw new Error(`Health check failed: ${response.status}`);
+    }
+    const health = await response.json();
+    if (health.status !== 'healthy') {
+      throw new Error(`Detectron2 server not ready: ${health.status}`);
+    }
+    return health;
+  };
+
+  return {
+    ...BACKEND_INFO.rest,
+    modelId: 'detectron2',
+    modelVersion: '1.0.0',
+    modelConfig: null,
+    endpoint: service.modelEndpoint,
+    isConfigured: () => !!service.modelEndpoint,
+    async healthCheck() {
+      try {
+        await fetchHealth();
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+    async load({ signal } = {}) {
+      console.log('🤖 Checking Detectron2 server:', baseUrl());
+      const health = await fetchHealth(signal);
+      // Older servers don't report model_version: fall back to the config name
+      this.modelId = fileName(health.model_path) || this.modelId;
+      this.modelVersion = health.model_version || health.config_used || this.modelVersion;
+      this.modelConfig = {
+        modelSha256: health.model_sha256 || null,
+        config: health.config_used || null,
+        classes: health.classes || null,
+        threshold: health.threshold ?? null,
+        device: health.device || null
+      };
+      console.log('✅ Detectron2 server is healthy');
+    },
+    async predict(imageData, imageElement, { includeVisualization = true, signal } = {}) {
+      const response = await callWithDeadline(
+        (deadlineSignal) => fetch(`${baseUrl()}/predict`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            image: imageData.base64,
+            include_visualization: includeVisualization
+          }),
+          signal: deadlineSignal
+        }),
+        { timeoutMs: PREDICT_TIMEOUT_MS, signal }
+      );
+      const output = await response.json().catch(() => ({}));
+      if (!response.ok || output.error) {
+        throw new Error(output.error || `Detectron2 server error: ${response.status}`);
+      }
+      return service.formatDetectronResult(output, imageData);
+    }
+  };
+}
+
+// In-browser TensorFlow.js model (offline mode; weights cached in IndexedDB)
+export function createTfjsBackend(service) {
+  let tfService = null;
+
+  const getTfService = async () => {
+    if (!tfService) {
+      const { default: TensorFlowDiseaseDetectionService } = await import('./TensorFlowDiseaseDetectionService');
+      tfService = new TensorFlowDiseaseDetectionService({ diseaseMapping: service.diseaseMapping });
+    }
+    return tfService;
+  };
+
+  return {
+    ...BACKEND_INFO.tfjs,
+    modelId: fileName(process.env.REACT_APP_TFJS_MODEL_URL || '/models/disease_model.json'),
+    modelVersion: `tfjs-${process.env.REACT_APP_TFJS_MODEL_VERSION || '1.0.0'}`,
+    modelConfig: { url: process.env.REACT_APP_TFJS_MODEL_URL || '/models/disease_model.json' },
+    endpoint: process.env.REACT_APP_TFJS_MODEL_URL || '/models/disease_model.json',
+    isConfigured: () => true,
+    async healthCheck() {
+      try {
+        const tfModel = await getTfService();
+        if (await tfModel.isModelCached()) return true;
+        const response = await fetch(tfModel.modelUrl, { method: 'HEAD' });
+        return response.ok;
+      } catch (_) {
+        return false;
+      }
+    },
+    async load() {
+      const tfModel = await getTfService();
+      if (tfModel.isModelLoaded) return;
+      const loaded = await tfModel.loadModel();
+      if (!loaded) {
+        throw new Error('TensorFlow.js model could not be loaded');
+      }
+    },
+    // Save the weights to IndexedDB while online so load() works without connectivity
+    async prefetch() {
+      const tfModel = await getTfService();
+      return tfModel.isModelLoaded || tfModel.cacheModel();
+    },
+    predict(imageData, imageElement) {
+      if (!tfService?.isModelLoaded) {
+        throw new Error('TensorFlow.js model not loaded');
+      }
+      return tfService.predict(imageElement);
+    }
+  };
+}
+
+/**
+ * Download the offline backends of a chain (those with prefetch(), e.g. the
+ * TF.js weights) so they work once connectivity drops. Runs one at a time;
+ * a failure only means there is no offline copy yet.
+ * @returns {Promise<Array<{ id, cached, error }>>}
+ */
+export async function prefetchOfflineBackends(chain, activeId = null) {
+  const outcomes = [];
+  for (const backend of chain) {
+    if (backend.id === activeId || !backend.capabilities?.offline || typeof backend.prefetch !== 'function') continue;
+    try {
+      outcomes.push({ id: backend.id, cached: !!(await backend.prefetch()), error: null });
+    } catch (error) {
+      outcomes.push({ id: backend.id, cached: false, error: error.message });
+    }
+  }
+  return outcomes;
+}
+
+// Color heuristic (always available, last resort)
+export function createHeuristicBackend() {
+  let simpleService = null;
+
+  return {
+    ...BACKEND_INFO.heuristic,
+    modelId: 'color-heuristic',
+    modelVersion: 'color-heuristic',
+    modelConfig: null,
+    endpoint: null,
+    isConfigured: () => true,
+    async healthCheck() {
+      return true;
+    },
+    async load() {
+      const { default: SimpleDiseaseDetectionService } = await import('./SimpleDiseaseDetectionService');
+      simpleService = new SimpleDiseaseDetectionService();
+      await simpleService.loadModel();
+    },
+    async predict(imageData, imageElement) {
+      if (!simpleService) {
+        throw new Error('Fallback service not loaded');
+      }
+      const result = await simpleService.predict(imageElement);
+      return {
+        ...result,
+        detectionDetails: {
+          ...result.detectionDetails,
+          note: 'Using color-based analysis (AI backends unavailable)'
+        }
+      };
+    }
+  };
+}
+
+// Another deployment of the Space or REST server (e.g. a new model on a staging
+// Space), used for side-by-side comparison only; it is never part of the chain
+export function createCandidateBackend(service, { kind = 'rest', endpoint }) {
+  if (!endpoint) throw new Error('Candidate backend needs an endpoint');
+  // Inherit the service (result formatting, Space helpers) but keep our own endpoint and client
+  const candidateService = Object.create(service);
+  candidateService.hfSpace = endpoint;
+  candidateService.hfClient = null;
+  candidateService.modelEndpoint = endpoint;
+  const backend = kind === 'gradio' ? createGradioBackend(candidateService) : createRestBackend(candidateService);
+  return { ...backend, id: 'candidate', label: `Candidate (${endpoint})` };
+}
+
+class DetectionBackendRegistry {
+  constructor() {
+    this.backends = new Map();
+  }
+
+  register(backend) {
+    if (!backend?.id || typeof backend.predict !== 'function' || typeof backend.load !== 'function') {
+      throw new Error('Detection backend needs an id, load() and predict()');
+    }
+    this.backends.set(backend.id, {
+      capabilities: {},
+      isConfigured: () => true,
+      healthCheck: async () => true,
+      ...backend
+    });
+    return this;
+  }
+
+  unregister(id) {
+    return this.backends.delete(id);
+  }
+
+  get(id) {
+    return this.backends.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.backends.values());
+  }
+
+  // Resolve a (possibly partial or stale) list of ids into configured backends
+  resolveChain(order) {
+    const ids = Array.isArray(order) && order.length > 0 ? order : DEFAULT_BACKEND_ORDER;
+    const seen = new Set();
+    return ids
+      .filter(id => {
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .map(id => this.backends.get(id))
+      .filter(backend => backend && backend.isConfigured());
+  }
+
+  async checkHealth(ids = Array.from(this.backends.keys())) {
+    const entries = await Promise.all(ids.map(async (id) => {
+      const backend = this.backends.get(id);
+      if (!backend || !backend.isConfigured()) return [id, false];
+      try {
+        return [id, !!(await backend.healthCheck())];
+      } catch (_) {
+        return [id, false];
+      }
+    }));
+    return Object.fromEntries(entries);
+  }
+}
+
+export function createDefaultRegistry(service) {
+  return new DetectionBackendRegistry()
+    .register(createGradioBackend(service))
+    .register(createRestBackend(service))
+    .register(createTfjsBackend(service))
+    .register(createHeuristicBackend());
+}
+
+// Backend order as saved in the user profile (resolveChain skips ids it doesn't know)
+export function normalizeBackendOrder(order) {
+  if (!Array.isArray(order)) return null;
+  const valid = order.filter(id => typeof id === 'string' && id.length > 0);
+  return valid.length > 0 ? Array.from(new Set(valid)) : null;
+}
+
+export default DetectionBackendRegistry;
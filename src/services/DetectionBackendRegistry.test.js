@@ -0,0 +1,57 @@
+import { BACKEND_INFO, createTfjsBackend, prefetchOfflineBackends } from './DetectionBackendRegistry';
+
+// Stand-in for the lazily imported TF.js service: records whether the weights were downloaded
+const mockTfModel = { isModelLoaded: false, cached: false, downloads: 0 };
+
+jest.mock('./TensorFlowDiseaseDetectionService', () => ({
+  __esModule: true,
+  default: class {
+    get isModelLoaded() {
+      return mockTfModel.isModelLoaded;
+    }
+
+    async cacheModel() {
+      if (!mockTfModel.cached) {
+        mockTfModel.downloads++;
+        mockTfModel.cached = true;
+      }
+      return true;
+    }
+  }
+}));
+
+const backend = (id, prefetch) => ({ ...BACKEND_INFO[id], ...(prefetch ? { prefetch } : {}) });
+
+describe('prefetchOfflineBackends', () => {
+  beforeEach(() => {
+    Object.assign(mockTfModel, { isModelLoaded: false, cached: false, downloads: 0 });
+  });
+
+  test('caches the TF.js model while the online backend serves predictions', async () => {
+    const chain = [backend('gradio'), backend('rest'), createTfjsBackend({ diseaseMapping: {} }), backend('heuristic')];
+
+    expect(await prefetchOfflineBackends(chain, 'gradio')).toEqual([{ id: 'tfjs', cached: true, error: null }]);
+    expect(mockTfModel.downloads).toBe(1);
+
+    // already in IndexedDB: nothing is downloaded again
+    await prefetchOfflineBackends(chain, 'gradio');
+    expect(mockTfModel.downloads).toBe(1);
+  });
+
+  test('skips the active backend and backends without an offline copy', async () => {
+    const remotePrefetch = jest.fn();
+    const tfjs = createTfjsBackend({ diseaseMapping: {} });
+    expect(await prefetchOfflineBackends([{ ...backend('rest'), prefetch: remotePrefetch }, tfjs], 'tfjs')).toEqual([]);
+    expect(remotePrefetch).not.toHaveBeenCalled();
+    expect(mockTfModel.downloads).toBe(0);
+  });
+
+  test('a failed download is reported, not thrown', async () => {
+    const failing = backend('tfjs', async () => { throw new Error('Failed to fetch'); });
+    const notCached = { ...backend('heuristic'), id: 'other', prefetch: async () => false };
+    expect(await prefetchOfflineBackends([failing, notCached], 'gradio')).toEqual([
+      { id: 'tfjs', cached: false, error: 'Failed to fetch' },
+      { id: 'other', cached: false, error: null }
+    ]);
+  });
+});
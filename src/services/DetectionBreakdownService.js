@@ -0,0 +1,135 @@
+// Detection Breakdown Service - multi-label summary of every detected region
+// src/services/DetectionBreakdownService.js
+//
+// Groups instance predictions by disease: instance count, max/mean confidence
+// and the share of the image the disease covers (union of its boxes, so
+// overlapping boxes aren't counted twice). Single-label backends (HF Space,
+// TensorFlow.js, color heuristic) get a one-entry breakdown so the UI and the
+// stored records always have the same shape.
+
+const SEVERITY_RANK = { High: 3, Medium: 2, Low: 1, None: 0 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const isHealthyName = (name) => /healthy/i.test(name || '');
+
+// [x1, y1, x2, y2] box area (0 for missing/invalid boxes)
+export function boxArea(bbox) {
+  if (!Array.isArray(bbox) || bbox.length < 4) return 0;
+  return Math.max(0, bbox[2] - bbox[0]) * Math.max(0, bbox[3] - bbox[1]);
+}
+
+// Area covered by a set of [x1, y1, x2, y2] boxes, overlaps counted once
+export function boxUnionArea(bboxes) {
+  const boxes = (bboxes || []).filter(bbox => boxArea(bbox) > 0);
+  if (boxes.length === 0) return 0;
+
+  const xs = [...new Set(boxes.flatMap(b => [b[0], b[2]]))].sort((a, b) => a - b);
+  let area = 0;
+  for (let i = 0; i < xs.length - 1; i++) {
+    const [left, right] = [xs[i], xs[i + 1]];
+    // Merge the vertical extents of the boxes spanning this strip
+    const spans = boxes
+      .filter(b => b[0] <= left && b[2] >= right)
+      .map(b => [b[1], b[3]])
+      .sort((a, b) => a[0] - b[0]);
+    let covered = 0;
+    let current = null;
+    spans.forEach(([top, bottom]) => {
+      if (!current || top > current[1]) {
+        if (current) covered += current[1] - current[0];
+        current = [top, bottom];
+      } else {
+        current[1] = Math.max(current[1], bottom);
+      }
+    });
+    if (current) covered += current[1] - current[0];
+    area += covered * (right - left);
+  }
+  return area;
+}
+
+// Worst severity first, then the most confident
+const compareDiseases = (a, b) =>
+  (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0)
+  || b.maxConfidence - a.maxConfidence;
+
+/**
+ * Group instance predictions by disease.
+ * @param {Array} predictions - [{ class_id, confidence (0-1), bbox: [x1, y1, x2, y2] }]
+ * @param {Object} options - { diseaseMapping, imageArea }
+ * @returns {Array<{ classId, name, marathi, severity, count, maxConfidence, meanConfidence, areaPct, recommendations }>}
+ */
+export function summarizeDetections(predictions, { diseaseMapping = {}, imageArea = 0 } = {}) {
+  const groups = new Map();
+  (predictions || []).forEach(pred => {
+    if (!groups.has(pred.class_id)) groups.set(pred.class_id, []);
+    groups.get(pred.class_id).push(pred);
+  });
+
+  const diseases = [...groups.entries()].map(([classId, preds]) => {
+    const info = diseaseMapping[classId] || { name: 'Unknown', marathi: 'Unknown', severity: 'Unknown', recommendations: [] };
+    const confidences = preds.map(p => p.confidence * 100);
+    const area = boxUnionArea(preds.map(p => p.bbox));
+    return {
+      classId: Number(classId),
+      name: info.name,
+      marathi: info.marathi,
+      severity: info.severity,
+      count: preds.length,
+      maxConfidence: round1(Math.max(...confidences)),
+      meanConfidence: round1(confidences.reduce((sum, c) => sum + c, 0) / confidences.length),
+      areaPct: imageArea > 0 ? round1(Math.min(100, (area / imageArea) * 100)) : null,
+      recommendations: info.recommendations || []
+    };
+  });
+
+  // A "healthy" instance next to diseased ones doesn't make the leaf healthy
+  const diseased = diseases.filter(d => !isHealthyName(d.name));
+  return (diseased.length > 0 ? diseased : diseases).sort(compareDiseases);
+}
+
+/**
+ * Interleave recommendation lists (first advice for each disease, then the
+ * second, ...) and drop repeats, so every disease is covered near the top.
+ * @param {Array<Array<string>>} lists - one list per disease, most important disease first
+ */
+export function mergeRecommendations(lists) {
+  const seen = new Set();
+  const merged = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    lists.forEach(list => {
+      const rec = list[i];
+      if (!rec) return;
+      const key = rec.trim().toLowerCase().replace(/\s+/g, ' ');
+      if (seen.has(key)) return;
+      seen.add(key);
+      merged.push(rec);
+    });
+  }
+  return merged;
+}
+
+export const isCoInfection = (diseases) => (diseases || []).filter(d => !isHealthyName(d.name)).length > 1;
+
+/**
+ * Per-disease breakdown for any result, including older single-label results
+ * saved before the breakdown existed.
+ */
+export function getDiseaseBreakdown(result) {
+  if (Array.isArray(result?.diseases) && result.diseases.length > 0) return result.diseases;
+  if (!result?.disease) return [];
+  return [{
+    classId: null,
+    name: result.disease,
+    marathi: result.marathi || null,
+    severity: result.severity || 'Unknown',
+    count: result.detectedRegions || (isHealthyName(result.disease) ? 0 : 1),
+    maxConfidence: result.confidence ?? null,
+    meanConfidence: result.confidence ?? null,
+    areaPct: result.severityScore?.affectedPct
+      ?? (Number.isFinite(result.healthyArea) && !isHealthyName(result.disease) ? round1(100 - result.healthyArea) : null),
+    severityGrade: result.severityScore?.grade ?? null,
+    recommendations: result.recommendations || []
+  }];
+}
@@ -0,0 +1,64 @@
+import {
+  boxUnionArea,
+  summarizeDetections,
+  mergeRecommendations,
+  isCoInfection,
+  getDiseaseBreakdown
+} from './DetectionBreakdownService';
+
+const diseaseMapping = {
+  1: { name: 'Karpa (Anthracnose)', marathi: 'कर्पा रोग', severity: 'High', recommendations: ['Remove infected leaves', 'Spray Carbendazim'] },
+  2: { name: 'Bhuri (Powdery Mildew)', marathi: 'भुरी रोग', severity: 'Medium', recommendations: ['Apply sulfur dust', 'remove infected  leaves'] },
+  5: { name: 'Healthy', marathi: 'निरोगी पान', severity: 'None', recommendations: ['Keep monitoring'] }
+};
+
+describe('boxUnionArea', () => {
+  test('counts overlapping boxes once', () => {
+    expect(boxUnionArea([[0, 0, 10, 10]])).toBe(100);
+    expect(boxUnionArea([[0, 0, 10, 10], [5, 5, 15, 15]])).toBe(175);
+    expect(boxUnionArea([[0, 0, 10, 10], [2, 2, 8, 8]])).toBe(100);
+    expect(boxUnionArea([[0, 0, 10, 10], null, [20, 20, 20, 30]])).toBe(100);
+  });
+});
+
+describe('summarizeDetections', () => {
+  const predictions = [
+    { class_id: 2, confidence: 0.9, bbox: [0, 0, 20, 20] },
+    { class_id: 1, confidence: 0.6, bbox: [50, 50, 60, 60] },
+    { class_id: 1, confidence: 0.8, bbox: [55, 55, 65, 65] },
+    { class_id: 5, confidence: 0.95, bbox: [70, 70, 100, 100] }
+  ];
+
+  test('groups instances per disease, worst severity first', () => {
+    const diseases = summarizeDetections(predictions, { diseaseMapping, imageArea: 100 * 100 });
+
+    expect(diseases.map(d => d.name)).toEqual(['Karpa (Anthracnose)', 'Bhuri (Powdery Mildew)']);
+    expect(diseases[0]).toMatchObject({ classId: 1, count: 2, maxConfidence: 80, meanConfidence: 70, areaPct: 1.8 });
+    expect(diseases[1]).toMatchObject({ classId: 2, count: 1, maxConfidence: 90, areaPct: 4 });
+    expect(isCoInfection(diseases)).toBe(true);
+  });
+
+  test('keeps healthy only when nothing else was found', () => {
+    const diseases = summarizeDetections([predictions[3]], { diseaseMapping, imageArea: 100 * 100 });
+    expect(diseases.map(d => d.name)).toEqual(['Healthy']);
+    expect(isCoInfection(diseases)).toBe(false);
+  });
+});
+
+describe('mergeRecommendations', () => {
+  test('interleaves per-disease advice and drops repeats', () => {
+    const merged = mergeRecommendations([
+      diseaseMapping[1].recommendations,
+      diseaseMapping[2].recommendations
+    ]);
+    expect(merged).toEqual(['Remove infected leaves', 'Apply sulfur dust', 'Spray Carbendazim']);
+  });
+});
+
+describe('getDiseaseBreakdown', () => {
+  test('wraps single-label results in a one-entry breakdown', () => {
+    const breakdown = getDiseaseBreakdown({ disease: 'Davnya (Downy Mildew)', confidence: 88, severity: 'High', detectedRegions: 1, healthyArea: 70 });
+    expect(breakdown).toEqual([expect.objectContaining({ name: 'Davnya (Downy Mildew)', count: 1, maxConfidence: 88, areaPct: 30 })]);
+    expect(getDiseaseBreakdown(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+// Detection Correction Service - grower corrections of model results
+// src/services/DetectionCorrectionService.js
+//
+// A correction is stored next to the original prediction (detections row:
+// analysis_result.correction; local history items: item.correction) and
+// never overwrites it:
+//   { disease, severity, originalDisease, originalConfidence, agreed,
+//     boxes, boxesChanged, notes, modelVersion, backend, correctedBy, correctedAt }
+// Alerts use the corrected class; accuracy per model version is computed
+// from the corrections (agreed = the model was right).
+
+// Fired on window after a correction is saved locally (useAlerts re-reads history)
+export const CORRECTIONS_CHANGED_EVENT = 'grapeguard:detection-corrected';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const boxesEqual = (a = [], b = []) =>
+  a.length === b.length && a.every((box, i) =>
+    box.class_name === b[i].class_name && (box.bbox || []).every((v, j) => Math.round(v) === Math.round(b[i].bbox?.[j])));
+
+/**
+ * Build a correction for a result.
+ * @param {Object} original - detection result (or history item) being corrected
+ * @param {Object} edits - { disease, severity, boxes, notes, userId, now }
+ *   boxes: the grower's box list (deleted boxes left out), or null when boxes weren't shown
+ */
+export function buildCorrection(original, { disease, severity = null, boxes = null, notes = '', userId = null, now = new Date() }) {
+  const originalBoxes = original?.detectionDetails?.boundingBoxes || original?.boundingBoxes || [];
+  const cleanBoxes = boxes
+    ? boxes.map(box => ({
+      bbox: box.bbox.map(v => Math.round(v)),
+      class_id: box.class_id ?? null,
+      class_name: box.class_name,
+      ...(Number.isFinite(box.confidence) ? { confidence: box.confidence } : {})
+    }))
+    : null;
+
+  return {
+    disease,
+    severity,
+    originalDisease: original?.correction?.originalDisease || original?.disease || null,
+    originalConfidence: original?.correction?.originalConfidence ?? original?.confidence ?? null,
+    agreed: disease === (original?.correction?.originalDisease || original?.disease),
+    boxes: cleanBoxes,
+    boxesChanged: !!cleanBoxes && !boxesEqual(cleanBoxes, originalBoxes),
+    notes: (notes || '').trim(),
+    modelVersion: original?.detectionDetails?.modelVersion || original?.modelVersion || 'unknown',
+    backend: original?.backend || original?.detectionDetails?.backend || null,
+    correctedBy: userId,
+    correctedAt: now.toISOString()
+  };
+}
+
+// True when the grower changed the class (a confirmation is not a correction)
+export const isCorrected = (item) => !!item?.correction && !item.correction.agreed;
+
+// The class to act on: the grower's when there is a correction, else the model's
+export const effectiveDisease = (item) => item?.correction?.disease || item?.disease || null;
+
+// Item with the corrected class and severity applied (original kept in originalDisease)
+export function applyCorrection(item) {
+  if (!item?.correction) return item;
+  const { correction } = item;
+  return {
+    ...item,
+    disease: correction.disease,
+    severity: correction.severity || item.severity,
+    originalDisease: correction.originalDisease || item.disease,
+    corrected: !correction.agreed
+  };
+}
+
+/**
+ * Accuracy per model version from reviewed items (items with a correction).
+ * @returns {Array<{ modelVersion, backend, reviewed, correct, accuracy, confusions }>} most reviewed first
+ */
+export function modelAccuracyStats(items = []) {
+  const byVersion = new Map();
+  items.forEach(item => {
+    const correction = item?.correction;
+    if (!correction?.disease) return;
+    const modelVersion = correction.modelVersion || 'unknown';
+    if (!byVersion.has(modelVersion)) {
+      byVersion.set(modelVersion, { modelVersion, backend: correction.backend || null, reviewed: 0, correct: 0, confusions: {} });
+    }
+    const stats = byVersion.get(modelVersion);
+    stats.reviewed += 1;
+    if (correction.agreed) {
+      stats.correct += 1;
+    } else {
+      const key = `${correction.originalDisease}→${correction.disease}`;
+      stats.confusions[key] = stats.confusions[key] || { predicted: correction.originalDisease, actual: correction.disease, count: 0 };
+      stats.confusions[key].count += 1;
+    }
+  });
+
+  return Array.from(byVersion.values())
+    .map(stats => ({
+      ...stats,
+      accuracy: round1((stats.correct / stats.reviewed) * 100),
+      confusions: Object.values(stats.confusions).sort((a, b) => b.count - a.count)
+    }))
+    .sort((a, b) => b.reviewed - a.reviewed);
+}
+
+// Store a correction on the live history items (localStorage) that came from this Supabase row
+export function applyCorrectionToLiveHistory(supabaseId, correction) {
+  if (!supabaseId) return;
+  try {
+    const history = JSON.parse(localStorage.getItem('liveDetectionHistory') || '[]');
+    let changed = false;
+    const updated = history.map(item => {
+      if (item.historyId !== `sb_${supabaseId}` && item.id !== supabaseId) return item;
+      changed = true;
+      return { ...item, correction };
+    });
+    if (changed) localStorage.setItem('liveDetectionHistory', JSON.stringify(updated));
+  } catch (error) {
+    console.warn('⚠ Could not update live history with correction:', error.message);
+  }
+}
+
+export function notifyCorrectionsChanged() {
+  window.dispatchEvent(new Event(CORRECTIONS_CHANGED_EVENT));
+}
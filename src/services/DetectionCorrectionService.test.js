@@ -0,0 +1,111 @@
+import {
+  buildCorrection,
+  applyCorrection,
+  isCorrected,
+  effectiveDisease,
+  modelAccuracyStats
+} from './DetectionCorrectionService';
+
+const box = (bbox, class_name, confidence = 80) => ({ bbox, class_id: 1, class_name, confidence });
+
+const result = {
+  disease: 'Bhuri (Powdery Mildew)',
+  confidence: 82.5,
+  severity: 'Medium',
+  backend: 'gradio',
+  detectionDetails: {
+    modelVersion: 'space@2',
+    boundingBoxes: [box([10, 10, 50, 50], 'Bhuri (Powdery Mildew)'), box([60, 60, 90, 90], 'Bhuri (Powdery Mildew)')]
+  }
+};
+
+const now = new Date('2026-05-01T10:00:00Z');
+
+describe('buildCorrection', () => {
+  test('records the original prediction next to the grower\'s class', () => {
+    const correction = buildCorrection(result, {
+      disease: 'Karpa (Anthracnose)',
+      severity: 'High',
+      notes: '  spots were sunken  ',
+      userId: 'user-1',
+      now
+    });
+    expect(correction).toMatchObject({
+      disease: 'Karpa (Anthracnose)',
+      severity: 'High',
+      originalDisease: 'Bhuri (Powdery Mildew)',
+      originalConfidence: 82.5,
+      agreed: false,
+      boxes: null,
+      boxesChanged: false,
+      notes: 'spots were sunken',
+      modelVersion: 'space@2',
+      backend: 'gradio',
+      correctedBy: 'user-1',
+      correctedAt: '2026-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('flags box edits and deletions, ignoring sub-pixel drift', () => {
+    const unchanged = buildCorrection(result, {
+      disease: result.disease,
+      boxes: result.detectionDetails.boundingBoxes.map(b => ({ ...b, bbox: b.bbox.map(v => v + 0.2) })),
+      now
+    });
+    expect(unchanged.agreed).toBe(true);
+    expect(unchanged.boxesChanged).toBe(false);
+
+    const deleted = buildCorrection(result, { disease: result.disease, boxes: [result.detectionDetails.boundingBoxes[0]], now });
+    expect(deleted.boxesChanged).toBe(true);
+    expect(deleted.boxes).toHaveLength(1);
+  });
+
+  test('re-correcting keeps the model\'s original answer', () => {
+    const first = buildCorrection(result, { disease: 'Healthy', now });
+    const second = buildCorrection({ ...result, correction: first }, { disease: result.disease, now });
+    expect(second.originalDisease).toBe('Bhuri (Powdery Mildew)');
+    expect(second.agreed).toBe(true);
+  });
+});
+
+describe('applyCorrection', () => {
+  test('uses the grower\'s class and keeps the original', () => {
+    const item = { ...result, correction: buildCorrection(result, { disease: 'Healthy', severity: 'None', now }) };
+    expect(isCorrected(item)).toBe(true);
+    expect(effectiveDisease(item)).toBe('Healthy');
+    expect(applyCorrection(item)).toMatchObject({
+      disease: 'Healthy',
+      severity: 'None',
+      originalDisease: 'Bhuri (Powdery Mildew)',
+      corrected: true
+    });
+  });
+
+  test('leaves uncorrected items alone and treats confirmations as not corrected', () => {
+    expect(applyCorrection(result)).toBe(result);
+    const confirmed = { ...result, correction: buildCorrection(result, { disease: result.disease, now }) };
+    expect(isCorrected(confirmed)).toBe(false);
+    expect(applyCorrection(confirmed).corrected).toBe(false);
+  });
+});
+
+describe('modelAccuracyStats', () => {
+  test('groups reviews by model version with the most common confusions first', () => {
+    const review = (modelVersion, originalDisease, disease) => ({
+      correction: { modelVersion, originalDisease, disease, agreed: originalDisease === disease }
+    });
+    const stats = modelAccuracyStats([
+      review('space@2', 'Bhuri', 'Bhuri'),
+      review('space@2', 'Bhuri', 'Karpa'),
+      review('space@2', 'Bhuri', 'Karpa'),
+      review('space@2', 'Downy', 'Healthy'),
+      review('rest@1', 'Karpa', 'Karpa'),
+      { disease: 'Bhuri' } // not reviewed
+    ]);
+
+    expect(stats.map(s => s.modelVersion)).toEqual(['space@2', 'rest@1']);
+    expect(stats[0]).toMatchObject({ reviewed: 4, correct: 1, accuracy: 25 });
+    expect(stats[0].confusions[0]).toEqual({ predicted: 'Bhuri', actual: 'Karpa', count: 2 });
+    expect(stats[1]).toMatchObject({ reviewed: 1, correct: 1, accuracy: 100, confusions: [] });
+  });
+});
@@ -0,0 +1,116 @@
+// Detection Overlay Service - geometry for the interactive detection overlay
+// src/services/DetectionOverlayService.js
+//
+// Turns stored detectionDetails (boundingBoxes with optional masks) into
+// vector shapes in image coordinates, and filters them by class and
+// confidence. Coordinates stay in the frame the model saw
+// (detectionDetails.imageSize); the overlay scales them with an SVG viewBox.
+
+import { decodeRle } from './SeverityScoringService';
+import { DISEASE_CATALOG, getDiseaseColorFor } from './DiseaseCatalogService';
+
+export const DISEASE_COLORS = Object.fromEntries(DISEASE_CATALOG.map(disease => [disease.name, disease.color]));
+
+export const getDiseaseColor = (diseaseName) => getDiseaseColorFor(diseaseName) || '#6b7280'; // Default gray
+
+const MAX_MASK_CELLS = 200; // grid masks are sampled down to at most this many rows/columns
+
+// "640x480" or { width, height } → { width, height } (null when unknown)
+export function parseImageSize(size) {
+  if (size && typeof size === 'object') {
+    return size.width > 0 && size.height > 0 ? { width: size.width, height: size.height } : null;
+  }
+  const match = typeof size === 'string' ? size.match(/^(\d+)\s*x\s*(\d+)$/i) : null;
+  if (!match) return null;
+  const [width, height] = [Number(match[1]), Number(match[2])];
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+// Horizontal runs of set cells → rects in image pixels
+function gridToRects(grid, { width, height }) {
+  const rows = grid.length;
+  const cols = grid[0]?.length || 0;
+  if (cols === 0) return [];
+  const stride = Math.max(1, Math.ceil(Math.max(rows, cols) / MAX_MASK_CELLS));
+  const cellW = width / cols;
+  const cellH = height / rows;
+
+  const rects = [];
+  for (let y = 0; y < rows; y += stride) {
+    let runStart = null;
+    for (let x = 0; x <= cols; x += stride) {
+      const set = x < cols && !!grid[y][x];
+      if (set && runStart === null) runStart = x;
+      if (!set && runStart !== null) {
+        rects.push({ x: runStart * cellW, y: y * cellH, width: (Math.min(x, cols) - runStart) * cellW, height: stride * cellH });
+        runStart = null;
+      }
+    }
+  }
+  return rects;
+}
+
+/**
+ * Vector shapes for one mask, in image pixels.
+ * Same formats as SeverityScoringService: binary grid spanning the frame,
+ * COCO uncompressed RLE, or polygons ([x1, y1, x2, y2, ...] in image pixels).
+ * @returns {{ polygons: Array<Array<number>>, rects: Array<{ x, y, width, height }> } | null}
+ */
+export function maskToShapes(mask, imageSize) {
+  if (!imageSize) return null;
+  if (mask && Array.isArray(mask.counts) && Array.isArray(mask.size)) {
+    return maskToShapes(decodeRle(mask), imageSize);
+  }
+  if (!Array.isArray(mask) || mask.length === 0 || !mask.every(Array.isArray)) return null;
+
+  const isBinaryRow = (row) => row.every(value => value === 0 || value === 1 || typeof value === 'boolean');
+  if (mask.every(isBinaryRow)) return { polygons: [], rects: gridToRects(mask, imageSize) };
+
+  const isPolygon = (poly) => poly.length >= 6 && poly.length % 2 === 0 && poly.every(Number.isFinite);
+  if (mask.every(isPolygon)) return { polygons: mask, rects: [] };
+  return null;
+}
+
+// Classes present in the boxes, most frequent first
+export function overlayClasses(boxes) {
+  const byClass = new Map();
+  (boxes || []).forEach(box => {
+    const entry = byClass.get(box.class_id) || { classId: box.class_id, name: box.class_name, count: 0, color: getDiseaseColor(box.class_name) };
+    entry.count++;
+    byClass.set(box.class_id, entry);
+  });
+  return [...byClass.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Boxes left after the class toggles and confidence slider.
+ * @param {Array} boxes - detectionDetails.boundingBoxes (confidence in %)
+ * @param {{ hiddenClasses: Array, minConfidence: number }} filters
+ */
+export function visibleBoxes(boxes, { hiddenClasses = [], minConfidence = 0 } = {}) {
+  return (boxes || []).filter(box =>
+    !hiddenClasses.includes(box.class_id) && (box.confidence ?? 0) >= minConfidence
+  );
+}
+
+const MIN_BOX_SIZE = 8; // px in the model frame
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Move a box, or resize it from its bottom-right corner, keeping it inside the frame.
+ * @param {Array<number>} bbox - [x1, y1, x2, y2]
+ * @param {'move'|'resize'} mode
+ * @param {number} dx - pointer movement in frame pixels
+ * @param {number} dy
+ * @param {{ width, height }} frameSize
+ */
+export function adjustBox([x1, y1, x2, y2], mode, dx, dy, { width, height }) {
+  if (mode === 'move') {
+    const boxWidth = x2 - x1;
+    const boxHeight = y2 - y1;
+    const x = clamp(x1 + dx, 0, width - boxWidth);
+    const y = clamp(y1 + dy, 0, height - boxHeight);
+    return [x, y, x + boxWidth, y + boxHeight];
+  }
+  return [x1, y1, clamp(x2 + dx, x1 + MIN_BOX_SIZE, width), clamp(y2 + dy, y1 + MIN_BOX_SIZE, height)];
+}
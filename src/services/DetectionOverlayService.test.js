@@ -0,0 +1,74 @@
+import { adjustBox, maskToShapes, overlayClasses, parseImageSize, visibleBoxes } from './DetectionOverlayService';
+
+const imageSize = { width: 100, height: 50 };
+
+const boxes = [
+  { class_id: 1, class_name: 'Karpa (Anthracnose)', confidence: 92, bbox: [0, 0, 10, 10] },
+  { class_id: 2, class_name: 'Bhuri (Powdery Mildew)', confidence: 40, bbox: [20, 20, 30, 30] },
+  { class_id: 1, class_name: 'Karpa (Anthracnose)', confidence: 61, bbox: [50, 10, 60, 20] }
+];
+
+describe('parseImageSize', () => {
+  test('reads "WxH" strings and size objects', () => {
+    expect(parseImageSize('640x480')).toEqual({ width: 640, height: 480 });
+    expect(parseImageSize({ width: 10, height: 20 })).toEqual({ width: 10, height: 20 });
+    expect(parseImageSize('unknown')).toBeNull();
+    expect(parseImageSize(null)).toBeNull();
+  });
+});
+
+describe('maskToShapes', () => {
+  test('turns grid rows into runs scaled to the image', () => {
+    const grid = [
+      [1, 1, 0, 1],
+      [0, 0, 0, 0]
+    ];
+    expect(maskToShapes(grid, imageSize)).toEqual({
+      polygons: [],
+      rects: [
+        { x: 0, y: 0, width: 50, height: 25 },
+        { x: 75, y: 0, width: 25, height: 25 }
+      ]
+    });
+  });
+
+  test('decodes RLE and passes polygons through', () => {
+    // 2×2 column-major: left column set
+    const rle = { size: [2, 2], counts: [0, 2, 2] };
+    expect(maskToShapes(rle, imageSize).rects).toEqual([
+      { x: 0, y: 0, width: 50, height: 25 },
+      { x: 0, y: 25, width: 50, height: 25 }
+    ]);
+
+    const polygon = [[0, 0, 10, 0, 0, 10]];
+    expect(maskToShapes(polygon, imageSize)).toEqual({ polygons: polygon, rects: [] });
+    expect(maskToShapes({ foo: 1 }, imageSize)).toBeNull();
+  });
+});
+
+describe('overlay filters', () => {
+  test('lists classes by count with their colors', () => {
+    expect(overlayClasses(boxes)).toEqual([
+      { classId: 1, name: 'Karpa (Anthracnose)', count: 2, color: '#dc2626' },
+      { classId: 2, name: 'Bhuri (Powdery Mildew)', count: 1, color: '#f59e0b' }
+    ]);
+  });
+
+  test('hides toggled classes and boxes under the confidence threshold', () => {
+    expect(visibleBoxes(boxes, { minConfidence: 50 })).toHaveLength(2);
+    expect(visibleBoxes(boxes, { hiddenClasses: [1] })).toEqual([boxes[1]]);
+    expect(visibleBoxes(boxes, { hiddenClasses: [2], minConfidence: 70 })).toEqual([boxes[0]]);
+  });
+});
+
+describe('adjustBox', () => {
+  test('moves a box without leaving the frame', () => {
+    expect(adjustBox([10, 10, 30, 20], 'move', 5, -3, imageSize)).toEqual([15, 7, 35, 17]);
+    expect(adjustBox([10, 10, 30, 20], 'move', 500, 500, imageSize)).toEqual([80, 40, 100, 50]);
+  });
+
+  test('resizes from the corner with a minimum size', () => {
+    expect(adjustBox([10, 10, 30, 20], 'resize', 10, 5, imageSize)).toEqual([10, 10, 40, 25]);
+    expect(adjustBox([10, 10, 30, 20], 'resize', -100, -100, imageSize)).toEqual([10, 10, 18, 18]);
+  });
+});
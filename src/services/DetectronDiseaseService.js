@@ -2,6 +2,50 @@
 // src/services/DetectronDiseaseService.js
 
 import AnalysisHistoryService from './AnalysisHistoryService';
+import {
+  createCandidateBackend,
+  createDefaultRegistry,
+  describeCapabilities,
+  normalizeBackendOrder,
+  prefetchOfflineBackends,
+  PREDICT_TIMEOUT_MS
+} from './DetectionBackendRegistry';
+import { callWithDeadline, CircuitBreaker, CIRCUIT_STATES, createAbortError, isAbortError } from './InferenceClient';
+import {
+  summarizeDetections,
+  mergeRecommendations,
+  isCoInfection,
+  getDiseaseBreakdown,
+  boxArea
+} from './DetectionBreakdownService';
+import { scoreLesionSeverity, scoreResultSeverity } from './SeverityScoringService';
+import { assessImageElementQuality, buildQualityRejectedResult } from './ImageQualityService';
+import { getDiseaseColor } from './DetectionOverlayService';
+import { describeModel } from './ModelVersionService';
+import { buildDiseaseMapping, DISEASE_CATALOG_VERSION, findDisease } from './DiseaseCatalogService';
+import {
+  mergeTileDetections,
+  mergeTileLabels,
+  needsTiling,
+  planTiles,
+  runTiles,
+  TILE_OVERLAP,
+  TILE_SIZE
+} from './TiledInferenceService';
+import {
+  combinePasses,
+  HEURISTIC_BACKEND_WEIGHT,
+  isIdentityVariant,
+  passPredictions,
+  runPasses,
+  TTA_VARIANTS,
+  variantFrame
+} from './EnsembleInferenceService';
+import imageWorkerPool from './ImageWorkerPool';
+import resultCache, { differenceHash, PHASH_SIZE, sha256OfDataUrl } from './ResultCacheService';
+
+// While running on a fallback, the primary backend is re-probed no more often than this
+const PRIMARY_PROBE_MIN_INTERVAL_MS = 60000;
 
 class DetectronDiseaseService {
   constructor() {
@@ -11,81 +55,34 @@ class DetectronDiseaseService {
     this.hfSpace = process.env.REACT_APP_HF_SPACE || "gg-uard/grape-disease-detection-detectron2";
     this.hfToken = process.env.REACT_APP_HF_TOKEN || undefined;
     this.hfClient = null;
-    this.fallbackService = null;
     this.isModelLoaded = false;
     this.modelVersion = '1.0.0';
+    // Pluggable backends, tried in order until one loads
+    this.backendRegistry = createDefaultRegistry(this);
+    this.backendOrder = null; // null = DEFAULT_BACKEND_ORDER
+    this.offlineMode = false; // only use backends that work without connectivity
+    this.activeBackend = null;
+    this.loadedBackends = new Set();
+    // Second model for side-by-side comparison (see setCandidateBackend)
+    this.candidateBackend = null;
+    // Per-backend circuit breakers; the primary is re-probed while a fallback is active
+    this.breakers = new Map();
+    this.loadController = null;
+    this.probeTimer = null;
+    this.probeAt = null;
+    this.probeController = null;
+    this.offlinePrefetch = null;
+    // idle | connecting | waking | ready | degraded | unavailable (see onStatusChange)
+    this.status = { state: 'idle' };
+    this.statusListeners = new Set();
     // History saving controls
     this.autoSaveEnabled = true;
     this.autoSaveUserId = null;
-    
-    // Your exact disease mapping from training
-    this.diseaseMapping = {
-      1: {
-        name: "Karpa (Anthracnose)",
-        marathi: "कर्पा रोग",
-        severity: "High",
-        recommendations: [
-          "Remove infected leaves immediately and burn them",
-          "Spray Chlorothalonil (0.2%) or Carbendazim (0.1%) every 10-15 days",
-          "Improve air circulation by pruning dense foliage",
-          "Avoid overhead irrigation during humid weather",
-          "Apply copper-based fungicide as preventive measure",
-          "Ensure proper drainage to reduce humidity around plants"
-        ]
-      },
-      2: {
-        name: "Bhuri (Powdery Mildew)",
-        marathi: "भुरी रोग", 
-        severity: "Medium",
-        recommendations: [
-          "Apply sulfur dust (20-25 kg/ha) during early morning",
-          "Spray Triadimefon (0.1%) or Penconazole (0.05%) every 7-10 days",
-          "Improve canopy management for better air circulation",
-          "Avoid excessive nitrogen fertilization",
-          "Remove affected leaves and destroy them immediately",
-          "Use Potassium Bicarbonate spray as organic option"
-        ]
-      },
-      3: {
-        name: "Bokadlela (Borer Infestation)",
-        marathi: "बोकाडलेला",
-        severity: "High",
-        recommendations: [
-          "Install pheromone traps (10-12 per acre) for monitoring",
-          "Apply Spinosad (0.01%) or Chlorantraniliprole (0.006%)",
-          "Prune and destroy affected branches immediately",
-          "Apply neem oil spray (0.3%) every 15 days",
-          "Monitor weekly for new entry holes",
-          "Use biological control agents like Trichogramma wasps"
-        ]
-      },
-      4: {
-        name: "Davnya (Downy Mildew)",
-        marathi: "दवयाचा रोग",
-        severity: "High",
-        recommendations: [
-          "Spray Metalaxyl + Mancozeb (0.25%) immediately after rain",
-          "Apply Copper oxychloride (0.3%) as preventive spray",
-          "Ensure proper drainage and avoid waterlogging",
-          "Avoid evening irrigation to reduce leaf wetness",
-          "Prune canopy for better sunlight penetration",
-          "Use Fosetyl Aluminum (0.3%) for systemic protection"
-        ]
-      },
-      5: {
-        name: "Healthy",
-        marathi: "निरोगी पान",
-        severity: "None",
-        recommendations: [
-          "Continue regular monitoring and inspection",
-          "Maintain proper irrigation schedule",
-          "Apply preventive fungicide spray monthly",
-          "Ensure balanced nutrition (NPK + micronutrients)",
-          "Keep vineyard clean of fallen leaves",
-          "Monitor weather conditions for disease outbreaks"
-        ]
-      }
-    };
+    // Content-hash result cache (see ResultCacheService); userId enables the Supabase tier
+    this.resultCacheEnabled = true;
+    this.resultCacheUserId = null;
+    // Model class ids → names, severity and treatments (see DiseaseCatalogService)
+    this.diseaseMapping = buildDiseaseMapping();
   }
   // Configure automatic history saving
   configureHistorySave({ enabled = true, userId = null } = {}) {
@@ -107,50 +104,309 @@ class DetectronDiseaseService {
     }
   }
 
+  // Configure the result cache (userId: share cached results across the user's devices)
+  configureResultCache({ enabled = true, userId = null } = {}) {
+    this.resultCacheEnabled = !!enabled;
+    this.resultCacheUserId = userId || null;
+  }
+
+  // Cache entries are only valid for the backend, model version, config and analysis mode that produced them
+  _cacheModelVersion(backend, { tiled = false, ensemble = null } = {}) {
+    const model = describeModel(backend);
+    const mode = tiled ? '+tiled' : ensemble ? `+ensemble-${ensemble}` : '';
+    return `${model.backend}@${backend.modelVersion || this.modelVersion}#${model.configHash}${mode}`;
+  }
+
+  async _hashForCache(imageData) {
+    try {
+      const sha256 = await sha256OfDataUrl(imageData.base64);
+      return sha256 ? { sha256, phash: imageData.perceptualHash || null } : null;
+    } catch (error) {
+      console.warn('⚠ Could not hash image for the result cache:', error.message);
+      return null;
+    }
+  }
+
   async getRecentAnalyses(limit = 10) {
     return AnalysisHistoryService.getAnalysisHistory(this.autoSaveUserId, limit);
   }
 
-  async loadModel() {
-    try {
-      console.log('🤖 Connecting to Hugging Face Space:', this.hfSpace);
-      if (!this.hfSpace) {
-        throw new Error('Missing REACT_APP_HF_SPACE');
+  // Configure which backends to use and in which order (per-user setting)
+  configureBackends({ order = null, offline = this.offlineMode } = {}) {
+    const normalized = normalizeBackendOrder(order);
+    if (JSON.stringify(normalized) === JSON.stringify(this.backendOrder) && !!offline === this.offlineMode) return;
+    this.backendOrder = normalized;
+    this.offlineMode = !!offline;
+    this.activeBackend = null;
+    this.isModelLoaded = false;
+    this._clearPrimaryProbe();
+    this._setStatus({ state: 'idle' });
+  }
+
+  /**
+   * Subscribe to backend status changes (waking Space, fallback active, ...).
+   * The listener is called right away with the current status.
+   * @returns {Function} unsubscribe
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    listener(this.status);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  _setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (e) {
+        console.warn('Detection status listener failed:', e?.message);
       }
-      
-      const { Client } = await import("@gradio/client");
-      
-      // FIXED: Add timeout and proper error handling for HF Space connection
-      const connectionTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Connection timeout after 10 seconds')), 10000)
-      );
-      
-      const connectPromise = Client.connect(
-        this.hfSpace,
-        this.hfToken ? { hf_token: this.hfToken } : undefined
-      );
-      
-      this.hfClient = await Promise.race([connectPromise, connectionTimeout]);
-      this.isModelLoaded = true;
-      this.modelVersion = 'HF-Space';
-      console.log('✅ Connected to HF Space successfully');
-      return true;
-    } catch (error) {
-      console.warn('⚠ HF Space not available, loading fallback:', error.message);
+    });
+  }
+
+  _getBreaker(backendId) {
+    if (!this.breakers.has(backendId)) {
+      this.breakers.set(backendId, new CircuitBreaker());
+    }
+    return this.breakers.get(backendId);
+  }
+
+  getBackendChain() {
+    const chain = this.backendRegistry.resolveChain(this.backendOrder);
+    if (!this.offlineMode) return chain;
+    // Offline: keep the user's order but drop remote backends; never end up empty
+    const offlineChain = chain.filter(b => b.capabilities.offline);
+    return offlineChain.length > 0
+      ? offlineChain
+      : this.backendRegistry.resolveChain().filter(b => b.capabilities.offline);
+  }
+
+  async _loadBackend(backend, { signal } = {}) {
+    if (this.loadedBackends.has(backend.id)) return;
+    await backend.load({
+      signal,
+      onStatus: (status) => this._setStatus({ ...status, backend: backend.id, label: backend.label })
+    });
+    this.loadedBackends.add(backend.id);
+  }
+
+  // While a remote backend is up, download the offline model in the background so the
+  // app still diagnoses when the vineyard loses signal; retried on the next load if it failed
+  _prefetchOfflineModels() {
+    if (this.offlinePrefetch || !this.activeBackend?.capabilities.remote) return;
+    this.offlinePrefetch = prefetchOfflineBackends(this.getBackendChain(), this.activeBackend.id)
+      .then(outcomes => {
+        const failed = outcomes.filter(outcome => !outcome.cached);
+        if (failed.length > 0) {
+          console.warn('⚠ Offline model not cached yet:', failed.map(outcome => outcome.error || outcome.id).join(', '));
+          this.offlinePrefetch = null;
+        }
+        return outcomes;
+      });
+  }
+
+  _activateBackend(backend) {
+    this.activeBackend = backend;
+    this.isModelLoaded = true;
+    this.modelVersion = backend.modelVersion || this.modelVersion;
+  }
+
+  /**
+   * Load the first available backend in the chain. Backends whose circuit is
+   * open are skipped; `signal` cancels the whole load, skipCurrentBackend()
+   * just the backend being loaded.
+   */
+  async loadModel({ signal } = {}) {
+    this._clearPrimaryProbe();
+    this.probeController?.abort();
+    const chain = this.getBackendChain();
+    for (const [index, backend] of chain.entries()) {
+      if (signal?.aborted) break;
+      const breaker = this._getBreaker(backend.id);
+      if (!breaker.canRequest() && index < chain.length - 1) {
+        console.warn(`⏭ Skipping ${backend.label} (failing recently)`);
+        continue;
+      }
+
+      const controller = new AbortController();
+      const abortBackend = () => controller.abort();
+      signal?.addEventListener('abort', abortBackend);
+      this.loadController = controller;
+      this._setStatus({ state: 'connecting', backend: backend.id, label: backend.label });
       try {
-        const { default: SimpleDiseaseDetectionService } = await import('./SimpleDiseaseDetectionService');
-        this.fallbackService = new SimpleDiseaseDetectionService();
-        await this.fallbackService.loadModel();
-        this.isModelLoaded = true;
+        await this._loadBackend(backend, { signal: controller.signal });
+        breaker.recordSuccess();
+        this._activateBackend(backend);
+        this._updateReadyStatus();
+        console.log(`✅ Detection backend ready: ${backend.label}`);
+        this._prefetchOfflineModels();
         return true;
-      } catch (fallbackError) {
-        console.error('❌ Failed to load fallback service:', fallbackError);
+      } catch (error) {
+        if (isAbortError(error)) {
+          breaker.cancelProbe();
+          console.log(`⏭ ${backend.label} skipped`);
+        } else {
+          breaker.recordFailure();
+          console.warn(`⚠ ${backend.label} not available:`, error.message);
+        }
+      } finally {
+        signal?.removeEventListener('abort', abortBackend);
+        if (this.loadController === controller) this.loadController = null;
+      }
+    }
+    // Cancelled by the caller: leave state to whoever loads next
+    if (signal?.aborted) return false;
+    console.error('❌ No detection backend could be loaded');
+    this.activeBackend = null;
+    this.isModelLoaded = false;
+    this._setStatus({ state: 'unavailable' });
+    return false;
+  }
+
+  // Stop waiting for the backend being loaded (e.g. a sleeping Space) and move on to the next one
+  skipCurrentBackend() {
+    if (!this.loadController) return false;
+    this.loadController.abort();
+    return true;
+  }
+
+  // 'ready' on the primary backend, otherwise 'degraded' with the next re-probe time
+  _updateReadyStatus() {
+    const primary = this.getBackendChain()[0];
+    const active = this.activeBackend;
+    if (!active || !primary || active.id === primary.id) {
+      this._clearPrimaryProbe();
+      this._setStatus({ state: 'ready', backend: active?.id || null, label: active?.label || null });
+      return;
+    }
+    this._schedulePrimaryProbe(primary);
+    this._setStatus({
+      state: 'degraded',
+      backend: active.id,
+      label: active.label,
+      primary: primary.id,
+      primaryLabel: primary.label,
+      nextProbeAt: this.probeAt
+    });
+  }
+
+  _schedulePrimaryProbe(primary) {
+    if (this.probeTimer) return;
+    const delay = Math.max(this._getBreaker(primary.id).msUntilRetry(), PRIMARY_PROBE_MIN_INTERVAL_MS);
+    this.probeAt = Date.now() + delay;
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      this.probePrimaryBackend();
+    }, delay);
+  }
+
+  _clearPrimaryProbe() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.probeAt = null;
+  }
+
+  // Try the primary backend once more (no retries) and switch back to it when it answers
+  async probePrimaryBackend() {
+    this._clearPrimaryProbe();
+    const primary = this.getBackendChain()[0];
+    if (!primary || primary.id === this.activeBackend?.id) return true;
+
+    const breaker = this._getBreaker(primary.id);
+    // Open -> half-open once the cooldown has passed; false while still cooling down
+    // or while another probe (e.g. a predict call) is already in flight
+    if (!breaker.canRequest()) {
+      if (this.isModelLoaded) this._updateReadyStatus();
+      return false;
+    }
+
+    const controller = new AbortController();
+    this.probeController = controller;
+    let recovered = false;
+    try {
+      if (this.loadedBackends.has(primary.id)) {
+        // Loaded earlier but failing predictions: ask its health check instead
+        const healthy = await primary.healthCheck();
+        if (controller.signal.aborted) throw createAbortError();
+        if (!healthy) throw new Error('Health check failed');
+      } else {
+        await primary.load({ retries: 0, signal: controller.signal });
+        if (controller.signal.aborted) throw createAbortError();
+        this.loadedBackends.add(primary.id);
+      }
+      breaker.recordSuccess();
+      // Still the primary, and nobody switched backends meanwhile
+      if (this.getBackendChain()[0]?.id === primary.id && this.isModelLoaded) {
+        console.log(`🔄 ${primary.label} is back, switching from fallback`);
+        this._activateBackend(primary);
+      }
+      recovered = true;
+    } catch (error) {
+      if (isAbortError(error)) {
+        // Cancelled by a reload or dispose: neither a success nor a failure
+        breaker.cancelProbe();
         return false;
       }
+      breaker.recordFailure();
+      console.warn(`⚠ ${primary.label} still unavailable:`, error.message);
+    } finally {
+      if (this.probeController === controller) this.probeController = null;
     }
+    if (this.isModelLoaded) this._updateReadyStatus();
+    return recovered;
+  }
+
+  // Stop background re-probing (component unmount / service shutdown)
+  dispose() {
+    this._clearPrimaryProbe();
+    this.probeController?.abort();
+    this.loadController?.abort();
+  }
+
+  // Record which backend produced a result
+  _tagResult(result, backend, primaryBackend) {
+    const fallbackMode = !!backend.capabilities.heuristic || backend.id !== primaryBackend?.id;
+    // Single-label backends get a one-entry breakdown and, where they can, a lesion-area grade
+    const severityScore = scoreResultSeverity(result);
+    const diseases = getDiseaseBreakdown({ ...result, severityScore });
+    return {
+      ...result,
+      diseases,
+      coInfection: isCoInfection(diseases),
+      severityScore,
+      backend: backend.id,
+      modelType: backend.modelType,
+      model: describeModel(backend),
+      lowTrust: !!result.lowTrust || !!backend.capabilities.heuristic,
+      detectionDetails: {
+        ...result.detectionDetails,
+        backend: backend.id,
+        backendLabel: backend.label,
+        modelVersion: backend.modelVersion,
+        catalogVersion: DISEASE_CATALOG_VERSION,
+        ...(fallbackMode ? { fallbackMode: true } : {})
+      }
+    };
   }
 
+  // Resize, encode and quality-check in a worker; same work on the main thread as a fallback
   async preprocessImage(imageElement) {
+    return imageWorkerPool.runOrFallback(
+      'preprocess',
+      async () => {
+        const bitmap = await createImageBitmap(imageElement);
+        return { payload: { bitmap, maxSize: 800, jpegQuality: 0.9 }, transfer: [bitmap] };
+      },
+      () => this.preprocessImageOnMainThread(imageElement)
+    );
+  }
+
+  async preprocessImageOnMainThread(imageElement) {
     return new Promise((resolve) => {
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
@@ -171,23 +427,260 @@ class DetectronDiseaseService {
       
       // Convert to base64
       const base64Data = canvas.toDataURL('image/jpeg', 0.9);
+
+      // Tiny grayscale copy for the near-duplicate hash
+      const hashCanvas = document.createElement('canvas');
+      hashCanvas.width = PHASH_SIZE.width;
+      hashCanvas.height = PHASH_SIZE.height;
+      const hashCtx = hashCanvas.getContext('2d');
+      hashCtx.drawImage(imageElement, 0, 0, PHASH_SIZE.width, PHASH_SIZE.height);
+
       resolve({
         base64: base64Data,
         width: canvas.width,
         height: canvas.height,
         originalWidth: originalWidth,
         originalHeight: originalHeight,
-        scale: scale
+        scale: scale,
+        // Blur, exposure, resolution and leaf coverage checks (see ImageQualityService)
+        quality: assessImageElementQuality(imageElement),
+        perceptualHash: differenceHash(hashCtx.getImageData(0, 0, PHASH_SIZE.width, PHASH_SIZE.height).data)
       });
     });
   }
 
+  /**
+   * One tile of the full-resolution photo, scaled to fit TILE_SIZE, in the shape of preprocessImage's output.
+   * Local backends read pixels from an element, so they get a canvas (main thread) as well.
+   * @returns {Promise<{ imageData, element }>}
+   */
+  async cropTile(imageElement, tile, { withElement = false } = {}) {
+    if (withElement) return this.cropTileOnMainThread(imageElement, tile);
+    const imageData = await imageWorkerPool.runOrFallback(
+      'tile',
+      async () => {
+        const bitmap = await createImageBitmap(imageElement, tile.x, tile.y, tile.width, tile.height);
+        return { payload: { bitmap, maxSize: TILE_SIZE, jpegQuality: 0.9 }, transfer: [bitmap] };
+      },
+      async () => (await this.cropTileOnMainThread(imageElement, tile)).imageData
+    );
+    return { imageData, element: null };
+  }
+
+  async cropTileOnMainThread(imageElement, tile) {
+    const scale = Math.min(1, TILE_SIZE / tile.width, TILE_SIZE / tile.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(tile.width * scale);
+    canvas.height = Math.round(tile.height * scale);
+    canvas.getContext('2d').drawImage(imageElement, tile.x, tile.y, tile.width, tile.height, 0, 0, canvas.width, canvas.height);
+    return {
+      imageData: {
+        base64: canvas.toDataURL('image/jpeg', 0.9),
+        width: canvas.width,
+        height: canvas.height,
+        originalWidth: tile.width,
+        originalHeight: tile.height,
+        scale
+      },
+      element: canvas
+    };
+  }
+
+  /**
+   * Detailed analysis: run the backend on overlapping full-resolution tiles
+   * and merge them into one result in original image pixels.
+   */
+  async _predictTiled(backend, imageElement, imageData, { signal, onProgress } = {}) {
+    const { tileSize, tiles } = planTiles(imageData.originalWidth, imageData.originalHeight);
+    const startedAt = Date.now();
+    const tileResults = await runTiles({
+      tiles,
+      signal,
+      onProgress,
+      cropTile: (tile) => this.cropTile(imageElement, tile, { withElement: !backend.capabilities.remote }),
+      predictTile: (tileData, element) => backend.predict(tileData, element, { includeVisualization: false, signal })
+    });
+    const tiling = {
+      mode: 'detailed',
+      tiles: tiles.length,
+      tileSize,
+      overlap: TILE_OVERLAP,
+      processingTime: Math.round((Date.now() - startedAt) / 100) / 10
+    };
+
+    if (!backend.capabilities.boundingBoxes) {
+      const { result, diseasedTiles } = mergeTileLabels(tileResults, (tileResult) => /healthy/i.test(tileResult.disease || ''));
+      return {
+        ...result,
+        visualizationImage: null,
+        detectionDetails: {
+          ...result.detectionDetails,
+          imageSize: `${imageData.originalWidth}x${imageData.originalHeight}`,
+          originalSize: `${imageData.originalWidth}x${imageData.originalHeight}`,
+          tiling: { ...tiling, diseasedTiles }
+        }
+      };
+    }
+
+    // Boxes are in original pixels, so the original size is the result's frame
+    const { predictions, before } = mergeTileDetections(tileResults);
+    const fullFrame = {
+      width: imageData.originalWidth,
+      height: imageData.originalHeight,
+      originalWidth: imageData.originalWidth,
+      originalHeight: imageData.originalHeight
+    };
+    const result = this.formatDetectronResult({ predictions, processing_time: tiling.processingTime }, fullFrame);
+    return {
+      ...result,
+      detectionDetails: { ...result.detectionDetails, tiling: { ...tiling, boxesBeforeMerge: before } }
+    };
+  }
+
+  /**
+   * The photo as an ensemble variant at the model input size, in the shape of preprocessImage's output.
+   * Local backends read pixels from an element, so they get a canvas (main thread) as well.
+   * @returns {Promise<{ imageData, element }>}
+   */
+  async augmentImage(imageElement, imageData, variant, { withElement = false } = {}) {
+    if (withElement) return this.augmentImageOnMainThread(imageElement, imageData, variant);
+    const augmented = await imageWorkerPool.runOrFallback(
+      'augment',
+      async () => {
+        const bitmap = await createImageBitmap(imageElement);
+        return {
+          payload: { bitmap, width: imageData.width, height: imageData.height, variant, jpegQuality: 0.9 },
+          transfer: [bitmap]
+        };
+      },
+      async () => (await this.augmentImageOnMainThread(imageElement, imageData, variant)).imageData
+    );
+    return { imageData: augmented, element: null };
+  }
+
+  async augmentImageOnMainThread(imageElement, imageData, variant) {
+    const frame = variantFrame(variant, imageData.width, imageData.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = frame.width;
+    canvas.height = frame.height;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(...frame.transform);
+    ctx.drawImage(imageElement, 0, 0, frame.drawWidth, frame.drawHeight);
+    return {
+      imageData: {
+        base64: canvas.toDataURL('image/jpeg', 0.9),
+        width: frame.width,
+        height: frame.height,
+        originalWidth: imageData.originalWidth,
+        originalHeight: imageData.originalHeight,
+        scale: frame.drawWidth / imageData.originalWidth
+      },
+      element: canvas
+    };
+  }
+
+  // Other loaded-or-loadable backends that join an ensemble next to `backend`; the color heuristic is left out,
+  // and so are backends whose circuit isn't closed (recovery probes go through predict / probePrimaryBackend)
+  async _ensembleExtras(backend, { signal } = {}) {
+    const extras = [];
+    for (const other of this.getBackendChain()) {
+      if (other.id === backend.id || other.capabilities.heuristic || this._getBreaker(other.id).state !== CIRCUIT_STATES.CLOSED) continue;
+      try {
+        await this._loadBackend(other, { signal });
+        extras.push(other);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`⚠ ${other.label} left out of the ensemble:`, error.message);
+      }
+    }
+    return extras;
+  }
+
+  /**
+   * Ensemble analysis: run the backend (and `extras`) on augmented copies of
+   * the photo and vote (see EnsembleInferenceService). The result carries
+   * `ensemble` and `needsReview` when the passes disagree.
+   */
+  async _predictEnsemble(backend, imageElement, imageData, { signal, onProgress, extras = [], includeVisualization = false } = {}) {
+    const backends = [backend, ...extras];
+    const byId = new Map(backends.map(b => [b.id, b]));
+    const withElement = backends.some(b => !b.capabilities.remote);
+    const startedAt = Date.now();
+    const runs = await runPasses({
+      backends: backends.map(b => ({ id: b.id, weight: b.capabilities.heuristic ? HEURISTIC_BACKEND_WEIGHT : 1 })),
+      variants: TTA_VARIANTS,
+      signal,
+      onProgress,
+      preparePass: async (variant) => (isIdentityVariant(variant)
+        ? { imageData, element: imageElement }
+        : this.augmentImage(imageElement, imageData, variant, { withElement })),
+      predictPass: (id, passData, element, variant) => byId.get(id).predict(passData, element, {
+        includeVisualization: includeVisualization && id === backend.id && isIdentityVariant(variant),
+        signal
+      })
+    });
+    const { chosen, ensemble } = combinePasses(runs, { primaryBackend: backend.id });
+    if (!chosen) throw new Error(`Every ensemble pass failed: ${runs[0]?.error || 'no passes'}`);
+    const processingTime = Math.round((Date.now() - startedAt) / 100) / 10;
+    console.log(`✅ Ensemble: ${ensemble.winner} (${Math.round(ensemble.agreement * 100)}% of ${ensemble.voters} passes agree)`);
+
+    // A variant's boxes are mapped back to the photo; its visualization would be flipped or rotated
+    let result = chosen.result;
+    if (!isIdentityVariant(chosen.variant)) {
+      result = byId.get(chosen.backend).capabilities.boundingBoxes
+        ? this.formatDetectronResult({
+          predictions: passPredictions(chosen, imageData.width, imageData.height),
+          processing_time: processingTime
+        }, imageData)
+        : {
+          ...result,
+          visualizationImage: null,
+          detectionDetails: { ...result.detectionDetails, imageSize: `${imageData.width}x${imageData.height}` }
+        };
+    }
+    return {
+      ...result,
+      ensemble: { ...ensemble, processingTime },
+      needsReview: ensemble.needsReview
+    };
+  }
+
+  // One backend in the requested analysis mode
+  async _predictInMode(backend, imageElement, imageData, { mode, includeVisualization, signal, onProgress, ensembleBackends = 'active' }) {
+    if (mode === 'detailed' && needsTiling(imageData.originalWidth, imageData.originalHeight)) {
+      return this._predictTiled(backend, imageElement, imageData, { signal, onProgress });
+    }
+    if (mode === 'ensemble') {
+      const extras = ensembleBackends === 'available' ? await this._ensembleExtras(backend, { signal }) : [];
+      return this._predictEnsemble(backend, imageElement, imageData, { signal, onProgress, extras, includeVisualization });
+    }
+    return backend.predict(imageData, imageElement, { includeVisualization, signal });
+  }
+
   // Convert a data URL to Blob for Gradio client
   dataUrlToBlob(dataUrl) {
     return fetch(dataUrl).then(r => r.blob());
   }
 
-  async predictWithDetectron(imageData, includeVisualization = true) {
+  // Submit a job to the Space and wait for its data message; cancelling also cancels the queued job
+  submitToSpace(endpoint, data, { signal } = {}) {
+    const job = this.hfClient.submit(endpoint, data);
+    return callWithDeadline(async () => {
+      for await (const message of job) {
+        if (message.type === 'data') return message;
+        if (message.type === 'status' && message.stage === 'error') {
+          throw new Error(message.message || 'HF Space prediction failed');
+        }
+      }
+      throw new Error('HF Space closed the connection without a result');
+    }, {
+      timeoutMs: PREDICT_TIMEOUT_MS,
+      signal,
+      onCancel: () => job.cancel()
+    });
+  }
+
+  async predictWithDetectron(imageData, includeVisualization = true, { signal } = {}) {
     try {
       console.log('🔬 Sending image to HF Space...');
       if (!this.hfClient) {
@@ -195,14 +688,7 @@ class DetectronDiseaseService {
       }
 
       const imageBlob = await this.dataUrlToBlob(imageData.base64);
-      
-      // FIXED: Add timeout for prediction call
-      const predictionTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Prediction timeout after 30 seconds')), 30000)
-      );
-      
-      const predictionPromise = this.hfClient.predict("/predict", { image: imageBlob });
-      const result = await Promise.race([predictionPromise, predictionTimeout]);
+      const result = await this.submitToSpace('/predict', { image: imageBlob }, { signal });
 
       // Expecting: result.data = [labelString, visualizationPathOrUrlOrObj]
       const label = Array.isArray(result.data) ? result.data[0] : String(result.data);
@@ -245,8 +731,7 @@ class DetectronDiseaseService {
         }
       }
 
-      const mapped = Object.values(this.diseaseMapping)
-        .find(d => label && label.toLowerCase().includes(d.name.toLowerCase()));
+      const mapped = this.diseaseMapping[findDisease(label)?.id];
       const diseaseInfo = mapped || { name: label || 'Unknown', marathi: label || 'Unknown', severity: 'Unknown', recommendations: [] };
 
       // If no valid visualization URL, generate one locally
@@ -353,7 +838,7 @@ class DetectronDiseaseService {
         }
       };
     } catch (error) {
-      console.error('❌ HF prediction failed:', error);
+      if (!isAbortError(error)) console.error('❌ HF prediction failed:', error);
       throw error;
     }
   }
@@ -396,27 +881,23 @@ class DetectronDiseaseService {
       };
     }
 
-    // Get highest confidence detection
-    const bestDetection = detectronOutput.predictions.reduce((best, current) => 
-      current.confidence > best.confidence ? current : best
-    );
-
-    const diseaseInfo = this.diseaseMapping[bestDetection.class_id] || this.diseaseMapping[5];
-    const confidence = Math.round(bestDetection.confidence * 1000) / 10; // Convert to percentage
-
-    // Calculate affected area based on bounding boxes
+    // Every detected disease, worst first; the first one labels the leaf
     const totalImageArea = imageData.width * imageData.height;
-    let affectedArea = 0;
-    
-    detectronOutput.predictions.forEach(pred => {
-      if (pred.bbox) {
-        const [x1, y1, x2, y2] = pred.bbox;
-        const bboxArea = Math.max(0, (x2 - x1) * (y2 - y1));
-        affectedArea += bboxArea;
-      }
+    const imageSize = { width: imageData.width, height: imageData.height };
+    const lesions = detectronOutput.predictions.filter(pred => this.diseaseMapping[pred.class_id]?.severity !== 'None');
+    const diseases = summarizeDetections(detectronOutput.predictions, {
+      diseaseMapping: this.diseaseMapping,
+      imageArea: totalImageArea
+    }).map(d => {
+      // Grade each disease on its own lesion area (masks when available)
+      const score = scoreLesionSeverity(lesions.filter(pred => pred.class_id === d.classId), imageSize);
+      return d.severity === 'None' ? d : { ...d, areaPct: score.affectedPct ?? d.areaPct, severityGrade: score.grade };
     });
+    const primary = diseases[0];
 
-    const affectedPercentage = Math.min(100, (affectedArea / totalImageArea) * 100);
+    // Affected area from the union of all lesions so overlapping detections count once
+    const severityScore = scoreLesionSeverity(lesions, imageSize);
+    const affectedPercentage = severityScore.affectedPct ?? 0;
     const healthyArea = Math.max(0, 100 - affectedPercentage);
 
     // Count detections by disease type
@@ -427,11 +908,14 @@ class DetectronDiseaseService {
     });
 
     return {
-      disease: diseaseInfo.name,
-      confidence: confidence,
-      severity: diseaseInfo.severity,
-      marathi: diseaseInfo.marathi,
-      recommendations: diseaseInfo.recommendations,
+      disease: primary.name,
+      confidence: primary.maxConfidence,
+      severity: primary.severity,
+      marathi: primary.marathi,
+      recommendations: mergeRecommendations(diseases.map(d => d.recommendations)),
+      diseases,
+      coInfection: isCoInfection(diseases),
+      severityScore,
       detectedRegions: detectronOutput.predictions.length,
       healthyArea: Math.round(healthyArea),
       visualizationImage: detectronOutput.visualization || null, // Base64 image with overlays
@@ -441,7 +925,8 @@ class DetectronDiseaseService {
           confidence: Math.round(pred.confidence * 1000) / 10,
           bbox: pred.bbox,
           class_name: this.diseaseMapping[pred.class_id]?.name || 'Unknown',
-          area: pred.bbox ? (pred.bbox[2] - pred.bbox[0]) * (pred.bbox[3] - pred.bbox[1]) : 0
+          area: boxArea(pred.bbox),
+          mask: pred.mask || null // kept per box so the overlay can toggle it with its class
         })),
         masks: detectronOutput.predictions.map(pred => pred.mask).filter(mask => mask), // Segmentation masks if available
         diseaseBreakdown: diseaseCount,
@@ -456,52 +941,102 @@ class DetectronDiseaseService {
     };
   }
 
-  async predict(imageElement, includeVisualization = true) {
+  /**
+   * Analyze an image with the active backend, falling through the chain on errors.
+   * Aborting `signal` rejects with an AbortError instead of returning an error result.
+   * Images seen before (same bytes or a near duplicate) come back from the
+   * result cache with a `cached` field unless `skipCache` is set.
+   * mode 'detailed' analyzes large photos in full-resolution tiles
+   * (see TiledInferenceService); mode 'ensemble' votes over augmented copies,
+   * with ensembleBackends 'available' across every usable backend too
+   * (see EnsembleInferenceService). onProgress({ done, total }) reports tiles / passes.
+   * context 'live' (camera frames) only takes exact cache hits.
+   */
+  async predict(imageElement, includeVisualization = true, { signal, skipCache = false, mode = 'fast', ensembleBackends = 'active', onProgress, context = null } = {}) {
     try {
       // Preprocess image
       const imageData = await this.preprocessImage(imageElement);
-      
-      // Try HF Space first
-      if (this.isModelLoaded && !this.fallbackService) {
+      if (signal?.aborted) throw createAbortError();
+      const tiled = mode === 'detailed' && needsTiling(imageData.originalWidth, imageData.originalHeight);
+      const cacheMode = { tiled, ensemble: mode === 'ensemble' ? ensembleBackends : null };
+
+      // Quality gate: no diagnosis for blurry, badly exposed or leafless photos
+      if (imageData.quality.status === 'reject') {
+        console.warn('⚠ Image rejected by quality gate:', imageData.quality.issues.map(issue => issue.code).join(', '));
+        return buildQualityRejectedResult(imageData.quality);
+      }
+
+      const chain = this.getBackendChain();
+      const startIndex = Math.max(0, chain.findIndex(b => b.id === this.activeBackend?.id));
+      if (!this.isModelLoaded || chain.length === 0) {
+        throw new Error('No detection service available');
+      }
+
+      const cacheOptions = { userId: this.resultCacheUserId, context };
+      const hashes = this.resultCacheEnabled ? await this._hashForCache(imageData) : null;
+      if (hashes && !skipCache) {
+        const cached = await resultCache.lookup(hashes, this._cacheModelVersion(chain[startIndex], cacheMode), cacheOptions);
+        if (signal?.aborted) throw createAbortError();
+        if (cached) {
+          console.log(`⚡ Cached result (${cached.source}, ${cached.match} match)`);
+          return {
+            ...cached.result,
+            quality: imageData.quality,
+            cached: {
+              source: cached.source,
+              match: cached.match,
+              distance: cached.distance,
+              modelVersion: cached.modelVersion,
+              cachedAt: cached.cachedAt
+            }
+          };
+        }
+      }
+
+      // Try the active backend first, then fall through the rest of the chain
+      let lastError = null;
+      const candidates = chain.slice(startIndex);
+      for (const [index, backend] of candidates.entries()) {
+        const breaker = this._getBreaker(backend.id);
+        if (!breaker.canRequest() && index < candidates.length - 1) continue;
         try {
-          const detResult = await this.predictWithDetectron(imageData, includeVisualization);
-          await this._maybeSaveToHistory(detResult, imageData.base64);
-          return detResult;
-        } catch (detectronError) {
-          console.warn('⚠ AI prediction failed, switching to fallback:', detectronError.message);
-          
-          // Load fallback service on demand
-          if (!this.fallbackService) {
-            const { default: SimpleDiseaseDetectionService } = await import('./SimpleDiseaseDetectionService');
-            this.fallbackService = new SimpleDiseaseDetectionService();
-            await this.fallbackService.loadModel();
+          await this._loadBackend(backend, { signal });
+          const rawResult = await this._predictInMode(backend, imageElement, imageData, {
+            mode,
+            includeVisualization,
+            signal,
+            onProgress,
+            ensembleBackends
+          });
+          // Local backends can't be interrupted: drop their result instead
+          if (signal?.aborted) throw createAbortError();
+          breaker.recordSuccess();
+          if (backend.id !== this.activeBackend?.id) {
+            console.log(`🔄 Switched detection backend to ${backend.label}`);
+            this._activateBackend(backend);
+            this._updateReadyStatus();
           }
-          
-          const fallbackResult = await this.fallbackService.predict(imageElement);
-          // Fallback service generates visualization images
-          fallbackResult.detectionDetails = {
-            ...fallbackResult.detectionDetails,
-            fallbackMode: true,
-            note: "Using color-based analysis (HF Space unavailable)"
-          };
-          await this._maybeSaveToHistory(fallbackResult, imageData.base64);
-          return fallbackResult;
+          const result = { ...this._tagResult(rawResult, backend, chain[0]), quality: imageData.quality };
+          // Color heuristic is cheap and low-trust: not worth caching
+          if (hashes && !backend.capabilities.heuristic) {
+            resultCache.store(hashes, this._cacheModelVersion(backend, cacheMode), result, cacheOptions);
+          }
+          await this._maybeSaveToHistory(result, imageData.base64);
+          return result;
+        } catch (backendError) {
+          if (isAbortError(backendError)) {
+            breaker.cancelProbe();
+            throw backendError;
+          }
+          breaker.recordFailure();
+          lastError = backendError;
+          console.warn(`⚠ ${backend.label} prediction failed, trying next backend:`, backendError.message);
         }
-      } else if (this.fallbackService) {
-        // Use fallback service
-        console.log('🔄 Using fallback detection service...');
-        const fallbackResult = await this.fallbackService.predict(imageElement);
-        // Fallback service now generates visualization images
-        fallbackResult.detectionDetails = {
-          ...fallbackResult.detectionDetails,
-          fallbackMode: true
-        };
-        await this._maybeSaveToHistory(fallbackResult, imageData.base64);
-        return fallbackResult;
-      } else {
-        throw new Error('No detection service available');
       }
+
+      throw lastError || new Error('No detection service available');
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('❌ Disease prediction failed:', error);
       
       // Last resort: return error result
@@ -527,22 +1062,71 @@ class DetectronDiseaseService {
     }
   }
 
+  // Registered backends (for picking the models to compare)
+  listBackends() {
+    return this.backendRegistry.list().map(backend => ({
+      id: backend.id,
+      label: backend.label,
+      configured: backend.isConfigured()
+    }));
+  }
+
+  /**
+   * Use another Space / REST deployment as comparison backend 'candidate'.
+   * @param {{ kind: 'gradio'|'rest', endpoint: string } | null} candidate - null removes it
+   */
+  setCandidateBackend(candidate) {
+    this.loadedBackends.delete('candidate');
+    this.candidateBackend = candidate ? createCandidateBackend(this, candidate) : null;
+    return this.candidateBackend;
+  }
+
+  /**
+   * Predict with one specific backend: no fallback, no result cache and no
+   * history save, so two models can be compared on the same image.
+   * @param {string} backendId - registry id or 'candidate'
+   */
+  async predictWithBackend(backendId, imageElement, { signal, includeVisualization = false, mode = 'fast', onProgress } = {}) {
+    const backend = backendId === 'candidate' ? this.candidateBackend : this.backendRegistry.get(backendId);
+    if (!backend || !backend.isConfigured()) {
+      throw new Error(`Detection backend not available: ${backendId}`);
+    }
+    const imageData = await this.preprocessImage(imageElement);
+    if (signal?.aborted) throw createAbortError();
+    if (imageData.quality.status === 'reject') return buildQualityRejectedResult(imageData.quality);
+
+    await this._loadBackend(backend, { signal });
+    const rawResult = await this._predictInMode(backend, imageElement, imageData, { mode, includeVisualization, signal, onProgress });
+    if (signal?.aborted) throw createAbortError();
+    return { ...this._tagResult(rawResult, backend, this.getBackendChain()[0]), quality: imageData.quality };
+  }
+
   // Additional utility methods
   isDetectronAvailable() {
-    return this.isModelLoaded && !this.fallbackService;
+    return this.isModelLoaded && !!this.activeBackend?.capabilities.remote;
   }
 
   getModelInfo() {
+    const backend = this.activeBackend;
     return {
-      type: this.fallbackService ? 'Fallback (Color Analysis)' : 'HF Space (Gradio)',
+      type: backend ? backend.label : 'Not Loaded',
+      backend: backend?.id || null,
       version: this.modelVersion,
-      endpoint: this.hfSpace || this.modelEndpoint,
+      model: describeModel(backend),
+      endpoint: backend?.endpoint || this.hfSpace || this.modelEndpoint,
       status: this.isModelLoaded ? 'Ready' : 'Not Loaded',
       classes: Object.values(this.diseaseMapping).map(d => d.name),
-      capabilities: this.fallbackService ? ['Color Analysis'] : ['Remote Predict', 'Visualization']
+      capabilities: backend ? describeCapabilities(backend.capabilities) : [],
+      chain: this.getBackendChain().map(b => b.id),
+      offlineMode: this.offlineMode
     };
   }
 
+  // Check every registered backend (used by settings / diagnostics)
+  checkBackendsHealth() {
+    return this.backendRegistry.checkHealth();
+  }
+
   // Get disease information by ID
   getDiseaseInfo(classId) {
     return this.diseaseMapping[classId] || null;
@@ -583,14 +1167,7 @@ class DetectronDiseaseService {
 
   // Helper method to get disease color
   getDiseaseColor(diseaseName) {
-    const colors = {
-      'Karpa (Anthracnose)': '#dc2626', // Red
-      'Bhuri (Powdery Mildew)': '#f59e0b', // Amber
-      'Davnya (Downy Mildew)': '#8b5cf6', // Purple
-      'Bokadlela (Borer Infestation)': '#ef4444', // Red
-      'Healthy': '#10b981' // Green
-    };
-    return colors[diseaseName] || '#6b7280'; // Default gray
+    return getDiseaseColor(diseaseName);
   }
 }
 
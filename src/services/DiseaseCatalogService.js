@@ -0,0 +1,209 @@
+// Disease Catalog Service - the one list of grape diseases the app knows about
+// src/services/DiseaseCatalogService.js
+//
+// Ids are the detection model's class ids (detectron_server.py class_names),
+// keys match rules/diseaseRiskRules.json. Model backends, the color heuristic,
+// alerts, history, live monitoring and the disease guide all read names,
+// severities, growth stages and treatments from here instead of keeping
+// their own maps.
+//
+// Names are stored in all three languages. Symptoms, descriptions and the
+// short treatment list are translation keys, so their text stays with the
+// other UI strings; `recommendations` are the detailed English treatments
+// that go into detection results.
+//
+// Bump DISEASE_CATALOG_VERSION when an id, name, severity or treatment
+// changes; detection results record the version they were labelled with.
+
+export const DISEASE_CATALOG_VERSION = '1.0.0';
+
+// Growth stages in season order; each has a `${stage}Stage` translation key
+export const GROWTH_STAGES = ['seedling', 'vegetative', 'flowering', 'maturity'];
+
+export const DISEASE_CATALOG = [
+  {
+    id: 1,
+    key: 'karpa',
+    name: 'Karpa (Anthracnose)',
+    names: { english: 'Karpa (Anthracnose)', hindi: 'कर्पा (एंथ्रैक्नोस)', marathi: 'कर्पा रोग' },
+    shortNames: { english: 'Karpa', hindi: 'कर्पा', marathi: 'कर्पा' },
+    aliases: ['karpa', 'anthracnose', 'Anthracnose (Karpa)'],
+    severity: 'High',
+    color: '#dc2626',
+    stages: ['vegetative'],
+    symptoms: ['darkSpotsLightCenters', 'cracksOnStems'],
+    description: 'karpaDescription',
+    image: '/images/karpa.jpg',
+    treatments: ['removeInfectedLeaves', 'sprayChlorothalonil', 'improveAirCirculation', 'avoidOverheadIrrigation'],
+    recommendations: [
+      'Remove infected leaves immediately and burn them',
+      'Spray Chlorothalonil (0.2%) or Carbendazim (0.1%) every 10-15 days',
+      'Improve air circulation by pruning dense foliage',
+      'Avoid overhead irrigation during humid weather',
+      'Apply copper-based fungicide as preventive measure',
+      'Ensure proper drainage to reduce humidity around plants'
+    ]
+  },
+  {
+    id: 2,
+    key: 'bhuri',
+    name: 'Bhuri (Powdery Mildew)',
+    names: { english: 'Bhuri (Powdery Mildew)', hindi: 'भुरी (पाउडरी मिल्ड्यू)', marathi: 'भुरी रोग' },
+    shortNames: { english: 'Bhuri', hindi: 'भुरी', marathi: 'भुरी' },
+    aliases: ['bhuri', 'powdery mildew', 'Powdery Mildew (Bhuri)'],
+    severity: 'Medium',
+    color: '#f59e0b',
+    stages: ['maturity'],
+    symptoms: ['whitePowderOnLeaves', 'twistedCurledLeaves'],
+    description: 'bhuriDescription',
+    image: '/images/bhuri.jpg',
+    treatments: ['applyPreventiveFungicide', 'improveAirCirculation', 'avoidOverheadIrrigation', 'monitorWeatherConditions'],
+    recommendations: [
+      'Apply sulfur dust (20-25 kg/ha) during early morning',
+      'Spray Triadimefon (0.1%) or Penconazole (0.05%) every 7-10 days',
+      'Improve canopy management for better air circulation',
+      'Avoid excessive nitrogen fertilization',
+      'Remove affected leaves and destroy them immediately',
+      'Use Potassium Bicarbonate spray as organic option'
+    ]
+  },
+  {
+    id: 3,
+    key: 'bokadlela',
+    name: 'Bokadlela (Borer Infestation)',
+    names: { english: 'Bokadlela (Borer Infestation)', hindi: 'बोकाडलेला (बोरर संक्रमण)', marathi: 'बोकाडलेला' },
+    shortNames: { english: 'Bokadlela', hindi: 'बोकाडलेला', marathi: 'बोकाडलेला' },
+    aliases: ['bokadlela', 'borer', 'borer infestation', 'Borer Infestation (Bokadlela)'],
+    severity: 'High',
+    color: '#ef4444',
+    stages: ['flowering'],
+    symptoms: ['smallHolesInStems', 'dustLikePowder'],
+    description: 'bokadlelaDescription',
+    image: '/images/bokadlela.jpg',
+    treatments: ['removeInfectedLeaves', 'keepVineyardClean', 'monitorWeatherConditions', 'maintainProperIrrigation'],
+    recommendations: [
+      'Install pheromone traps (10-12 per acre) for monitoring',
+      'Apply Spinosad (0.01%) or Chlorantraniliprole (0.006%)',
+      'Prune and destroy affected branches immediately',
+      'Apply neem oil spray (0.3%) every 15 days',
+      'Monitor weekly for new entry holes',
+      'Use biological control agents like Trichogramma wasps'
+    ]
+  },
+  {
+    id: 4,
+    key: 'davnya',
+    name: 'Davnya (Downy Mildew)',
+    names: { english: 'Davnya (Downy Mildew)', hindi: 'दवन्या (डाउनी मिल्ड्यू)', marathi: 'दवन्याचा रोग' },
+    shortNames: { english: 'Davnya', hindi: 'दवन्या', marathi: 'दवन्या' },
+    // The TF.js export spells it "Downey"; results saved before the catalog carry the older
+    // Marathi spelling and the old Hindi name
+    aliases: ['davnya', 'downy mildew', 'downey mildew', 'Downy Mildew (Davnya)', 'दवयाचा रोग', 'दवन्याचा (डाउनी मिल्ड्यू)'],
+    severity: 'High',
+    color: '#8b5cf6',
+    stages: ['seedling'],
+    symptoms: ['yellowOilyPatches', 'whiteCottonLayer'],
+    description: 'davnyaDescription',
+    image: '/images/davnya.jpg',
+    treatments: ['applyCopperFungicide', 'improveAirCirculation', 'avoidOverheadIrrigation', 'removeInfectedLeaves'],
+    recommendations: [
+      'Spray Metalaxyl + Mancozeb (0.25%) immediately after rain',
+      'Apply Copper oxychloride (0.3%) as preventive spray',
+      'Ensure proper drainage and avoid waterlogging',
+      'Avoid evening irrigation to reduce leaf wetness',
+      'Prune canopy for better sunlight penetration',
+      'Use Fosetyl Aluminum (0.3%) for systemic protection'
+    ]
+  },
+  {
+    id: 5,
+    key: 'healthy',
+    name: 'Healthy',
+    names: { english: 'Healthy', hindi: 'स्वस्थ', marathi: 'निरोगी' },
+    shortNames: { english: 'Healthy', hindi: 'स्वस्थ', marathi: 'निरोगी' },
+    aliases: ['healthy', 'healthy grapes', 'healthy leaf', 'निरोगी पान'],
+    severity: 'None',
+    color: '#10b981',
+    stages: [],
+    symptoms: [],
+    description: null,
+    image: null,
+    treatments: ['maintainProperIrrigation', 'ensureBalancedNutrition', 'keepVineyardClean', 'monitorWeatherConditions'],
+    recommendations: [
+      'Continue regular monitoring and inspection',
+      'Maintain proper irrigation schedule',
+      'Apply preventive fungicide spray monthly',
+      'Ensure balanced nutrition (NPK + micronutrients)',
+      'Keep vineyard clean of fallen leaves',
+      'Monitor weather conditions for disease outbreaks'
+    ]
+  }
+];
+
+// Treatments for a label that isn't in the catalog
+export const DEFAULT_TREATMENTS = ['maintainProperIrrigation', 'applyPreventiveFungicide', 'ensureBalancedNutrition', 'monitorWeatherConditions'];
+
+const normalizeLabel = (label) => String(label || '').toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+const labelsOf = (disease) => [disease.name, disease.key, ...Object.values(disease.names), ...disease.aliases].map(normalizeLabel);
+
+// Longest label first so "powdery mildew (bhuri)" wins over "bhuri" inside a longer model label
+const CONTAINED_LABELS = DISEASE_CATALOG
+  .flatMap(disease => labelsOf(disease).map(label => ({ label, disease })))
+  .sort((a, b) => b.label.length - a.label.length);
+
+// Catalog entry by id (1-5) or key ('bhuri'); null when unknown
+export function getDisease(idOrKey) {
+  return DISEASE_CATALOG.find(disease => disease.id === Number(idOrKey) || disease.key === idOrKey) || null;
+}
+
+/**
+ * Catalog entry for a label from a model, a stored result or a folder name:
+ * the canonical name, a localized name or an alias, or a label containing one
+ * ("Bhuri (Powdery Mildew) 87%"). Null when nothing matches.
+ */
+export function findDisease(label) {
+  const normalized = normalizeLabel(label);
+  if (!normalized) return null;
+  return DISEASE_CATALOG.find(disease => labelsOf(disease).includes(normalized)) ||
+    CONTAINED_LABELS.find(({ label: known }) => normalized.includes(known))?.disease ||
+    null;
+}
+
+// Canonical name for a label; unknown labels are returned unchanged
+export const canonicalDiseaseName = (label) => findDisease(label)?.name || label;
+
+/**
+ * The `{ id: { name, marathi, severity, recommendations } }` shape detection results are built from.
+ */
+export function buildDiseaseMapping() {
+  return Object.fromEntries(DISEASE_CATALOG.map(disease => [disease.id, {
+    name: disease.name,
+    marathi: disease.names.marathi,
+    severity: disease.severity,
+    recommendations: disease.recommendations
+  }]));
+}
+
+/**
+ * Name to show in a language, with the English name as secondary line in Hindi / Marathi.
+ * @returns {{ primary: string, secondary: string|null }}
+ */
+export function getDiseaseDisplayName(label, language = 'english') {
+  const disease = findDisease(label);
+  const english = disease ? disease.names.english : label;
+  const primary = disease ? disease.names[language] || english : label;
+  return { primary, secondary: primary !== english ? english : null };
+}
+
+// Translation keys of the short treatment list
+export const getTreatmentKeys = (label) => findDisease(label)?.treatments || DEFAULT_TREATMENTS;
+
+export const getDiseaseColorFor = (label) => findDisease(label)?.color || null;
+
+// [{ stage, diseases }] in season order; diseases listed under every stage they apply to
+export function diseasesByStage() {
+  return GROWTH_STAGES
+    .map(stage => ({ stage, diseases: DISEASE_CATALOG.filter(disease => disease.stages.includes(stage)) }))
+    .filter(group => group.diseases.length > 0);
+}
@@ -0,0 +1,99 @@
+import {
+  DISEASE_CATALOG,
+  DEFAULT_TREATMENTS,
+  getDisease,
+  findDisease,
+  canonicalDiseaseName,
+  buildDiseaseMapping,
+  getDiseaseDisplayName,
+  getTreatmentKeys,
+  getDiseaseColorFor,
+  diseasesByStage
+} from './DiseaseCatalogService';
+import ruleSet from './rules/diseaseRiskRules.json';
+
+describe('findDisease', () => {
+  test('resolves the labels every backend and stored result uses', () => {
+    expect(findDisease('Bhuri (Powdery Mildew)').key).toBe('bhuri');
+    expect(findDisease('Anthracnose (Karpa)').key).toBe('karpa');
+    expect(findDisease('Davnya (Downey Mildew)').key).toBe('davnya');
+    expect(findDisease('powdery_mildew').key).toBe('bhuri');
+    expect(findDisease('दवन्याचा रोग').key).toBe('davnya');
+    expect(findDisease('Healthy Grapes').key).toBe('healthy');
+  });
+
+  test('resolves labels saved before the catalog', () => {
+    expect(findDisease('दवयाचा रोग').key).toBe('davnya');
+    expect(findDisease('निरोगी पान').key).toBe('healthy');
+    expect(getTreatmentKeys('दवयाचा रोग')).toEqual(getDisease('davnya').treatments);
+    expect(getDiseaseDisplayName('दवयाचा रोग', 'hindi')).toEqual({ primary: 'दवन्या (डाउनी मिल्ड्यू)', secondary: 'Davnya (Downy Mildew)' });
+  });
+
+  test('finds a known label inside a longer one', () => {
+    expect(findDisease('Bhuri (Powdery Mildew) 87%').key).toBe('bhuri');
+    expect(findDisease('Borer Infestation (Bokadlela) - severe').key).toBe('bokadlela');
+  });
+
+  test('unknown labels stay unknown', () => {
+    expect(findDisease('Leaf Rust')).toBeNull();
+    expect(findDisease('')).toBeNull();
+    expect(canonicalDiseaseName('Leaf Rust')).toBe('Leaf Rust');
+    expect(canonicalDiseaseName('downy mildew')).toBe('Davnya (Downy Mildew)');
+  });
+
+  test('looks entries up by model class id or rule key', () => {
+    expect(getDisease(4).key).toBe('davnya');
+    expect(getDisease('4').key).toBe('davnya');
+    expect(getDisease('karpa').id).toBe(1);
+    expect(getDisease(9)).toBeNull();
+  });
+});
+
+describe('catalog consumers', () => {
+  test('builds the id mapping detection results are labelled with', () => {
+    const mapping = buildDiseaseMapping();
+    expect(Object.keys(mapping)).toEqual(['1', '2', '3', '4', '5']);
+    expect(mapping[2]).toEqual({
+      name: 'Bhuri (Powdery Mildew)',
+      marathi: 'भुरी रोग',
+      severity: 'Medium',
+      recommendations: getDisease('bhuri').recommendations
+    });
+  });
+
+  test('display names in each language, with English underneath', () => {
+    expect(getDiseaseDisplayName('Karpa (Anthracnose)', 'marathi')).toEqual({ primary: 'कर्पा रोग', secondary: 'Karpa (Anthracnose)' });
+    expect(getDiseaseDisplayName('healthy', 'hindi')).toEqual({ primary: 'स्वस्थ', secondary: 'Healthy' });
+    expect(getDiseaseDisplayName('Davnya (Downy Mildew)')).toEqual({ primary: 'Davnya (Downy Mildew)', secondary: null });
+    expect(getDiseaseDisplayName('Leaf Rust', 'marathi')).toEqual({ primary: 'Leaf Rust', secondary: null });
+  });
+
+  test('treatments and colors fall back for unknown labels', () => {
+    expect(getTreatmentKeys('Powdery Mildew')).toEqual(getDisease('bhuri').treatments);
+    expect(getTreatmentKeys('Leaf Rust')).toEqual(DEFAULT_TREATMENTS);
+    expect(getDiseaseColorFor('Karpa')).toBe('#dc2626');
+    expect(getDiseaseColorFor('Leaf Rust')).toBeNull();
+  });
+
+  test('groups diseases by growth stage in season order', () => {
+    expect(diseasesByStage().map(({ stage, diseases }) => [stage, diseases.map(d => d.key)])).toEqual([
+      ['seedling', ['davnya']],
+      ['vegetative', ['karpa']],
+      ['flowering', ['bokadlela']],
+      ['maturity', ['bhuri']]
+    ]);
+  });
+
+  test('weather risk rules name catalog diseases', () => {
+    ruleSet.rules.forEach(rule => {
+      const disease = getDisease(rule.diseaseKey);
+      expect(disease).not.toBeNull();
+      expect(rule.disease).toBe(disease.name);
+    });
+  });
+
+  test('ids and keys are unique', () => {
+    expect(new Set(DISEASE_CATALOG.map(d => d.id)).size).toBe(DISEASE_CATALOG.length);
+    expect(new Set(DISEASE_CATALOG.map(d => d.key)).size).toBe(DISEASE_CATALOG.length);
+  });
+});
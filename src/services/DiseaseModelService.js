@@ -0,0 +1,193 @@
+// Disease Model Service - degree days and grape infection models from envLogs history
+// src/services/DiseaseModelService.js
+//
+// Daily series computed from normalized sensor records:
+//   - Growing degree days (base 10°C, simple average with a 35°C upper cutoff)
+//   - Downy mildew primary infection, "3-10" rule: minimum temperature ≥ 10°C and
+//     ≥ 10 mm of rain within 24-48 h on shoots ≥ 10 cm. The station reports rain as
+//     a wetness reading rather than millimetres, so rain hours stand in for the
+//     10 mm total, and shoot length (no sensor) is assumed to be met.
+//   - Powdery mildew risk index (Gubler-Thomas): starts after 3 consecutive days
+//     with ≥ 6 continuous hours at 21-30°C, then +20 for each such day, -10 for
+//     days without, -10 for ≥ 15 min at ≥ 35°C, kept within 0-100.
+
+import { buildReadingIntervals } from './DiseaseRuleEngine';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const MODEL_DAYS = 14;
+
+export const MODEL_SETTINGS = {
+  maxGapMs: 30 * MINUTE, // a reading stands for at most this long
+  minCoverageHours: 12, // days with less data don't move the models
+  gddBase: 10,
+  gddUpper: 35,
+  rainThreshold: 0.2, // rainSensor reading treated as rain (same as the leafWetness rule metric)
+  rainHoursFor10mm: 2, // rain hours standing in for 10 mm
+  primaryMinTemp: 10,
+  pmiRange: [21, 30],
+  pmiRunHours: 6,
+  pmiHotTemp: 35,
+  pmiHotMinutes: 15
+};
+
+const round1 = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+const localDayStart = (ms) => {
+  const date = new Date(ms);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+const dateKey = (ms) => {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Weather summary for one local day from the reading intervals that start in it
+export function summarizeDay(intervals, dayStart, settings = MODEL_SETTINGS) {
+  const dayEnd = dayStart + DAY;
+  const inDay = intervals.filter(s => s.start >= dayStart && s.start < dayEnd);
+  const temps = inDay.map(s => s.record.temperature).filter(Number.isFinite);
+  const humidity = inDay.map(s => s.record.humidity).filter(Number.isFinite);
+
+  let coverageMs = 0;
+  let rainMs = 0;
+  let hotMs = 0;
+  let run = 0;
+  let runEnd = null;
+  let longestRun = 0;
+  const [pmiMin, pmiMax] = settings.pmiRange;
+
+  inDay.forEach(({ record, start, end }) => {
+    const span = end - start;
+    coverageMs += span;
+    if (record.rainSensor > settings.rainThreshold) rainMs += span;
+    if (record.temperature >= settings.pmiHotTemp) hotMs += span;
+
+    if (record.temperature >= pmiMin && record.temperature <= pmiMax) {
+      run = run > 0 && start <= runEnd ? run + span : span;
+      runEnd = end;
+      longestRun = Math.max(longestRun, run);
+    } else {
+      run = 0;
+    }
+  });
+
+  return {
+    date: dateKey(dayStart),
+    dayStart,
+    coverageHours: round1(coverageMs / HOUR),
+    complete: coverageMs >= settings.minCoverageHours * HOUR,
+    tMin: temps.length ? Math.min(...temps) : null,
+    tMax: temps.length ? Math.max(...temps) : null,
+    tMean: temps.length ? round1(temps.reduce((sum, t) => sum + t, 0) / temps.length) : null,
+    rhMean: humidity.length ? round1(humidity.reduce((sum, h) => sum + h, 0) / humidity.length) : null,
+    rainHours: round1(rainMs / HOUR),
+    pmiRunHours: round1(longestRun / HOUR),
+    hotMinutes: Math.round(hotMs / MINUTE)
+  };
+}
+
+export function dailyGdd(day, settings = MODEL_SETTINGS) {
+  if (day.tMin === null || day.tMax === null) return null;
+  const tMax = Math.min(day.tMax, settings.gddUpper);
+  const tMin = Math.max(day.tMin, settings.gddBase);
+  return round1(Math.max(0, (tMax + tMin) / 2 - settings.gddBase));
+}
+
+/**
+ * Run all three models over the last `days` local days (today included, partial).
+ * @param {Array} records - normalized sensor records
+ * @param {Object} options - { now, days, settings }
+ * @returns {{ daily, gdd, downyMildew, powderyMildew, riskPct }}
+ */
+export function computeDiseaseModels(records, { now = Date.now(), days = MODEL_DAYS, settings = MODEL_SETTINGS } = {}) {
+  const intervals = buildReadingIntervals(records, now, settings.maxGapMs);
+  const today = localDayStart(now);
+
+  let gddCumulative = 0;
+  let pmi = 0;
+  let pmiStarted = false;
+  let pmiStreak = 0;
+  let previous = null;
+
+  const daily = [];
+  for (let d = days - 1; d >= 0; d--) {
+    // Step by calendar day so DST changes don't shift the boundaries
+    const date = new Date(today);
+    date.setDate(date.getDate() - d);
+    const day = summarizeDay(intervals, date.getTime(), settings);
+
+    // Growing degree days (partial days still accumulate what they have)
+    day.gdd = dailyGdd(day, settings);
+    gddCumulative += day.gdd || 0;
+    day.gddCumulative = round1(gddCumulative);
+
+    // 3-10 rule: rain over this day and the previous one (24-48 h)
+    const rainHours48 = day.rainHours + (previous?.rainHours || 0);
+    day.primaryInfection = day.tMin !== null
+      && day.tMin >= settings.primaryMinTemp
+      && rainHours48 >= settings.rainHoursFor10mm;
+
+    // Powdery mildew index
+    if (day.complete) {
+      const favourable = day.pmiRunHours >= settings.pmiRunHours;
+      if (!pmiStarted) {
+        pmiStreak = favourable ? pmiStreak + 1 : 0;
+        if (pmiStreak >= 3) {
+          pmiStarted = true;
+          pmi = 60; // three favourable days at +20
+        }
+      } else {
+        pmi += favourable ? 20 : -10;
+        if (day.hotMinutes >= settings.pmiHotMinutes) pmi -= 10;
+        pmi = Math.max(0, Math.min(100, pmi));
+      }
+    }
+    day.pmi = pmiStarted ? pmi : null;
+
+    daily.push(day);
+    previous = day;
+  }
+
+  const current = daily[daily.length - 1];
+  const yesterday = daily[daily.length - 2] || null;
+  const hasData = daily.some(day => day.coverageHours > 0);
+
+  const lastInfection = [...daily].reverse().find(day => day.primaryInfection) || null;
+  let downyState = 'low';
+  if (current.primaryInfection || yesterday?.primaryInfection) downyState = 'infection';
+  else if (current.tMin !== null && current.tMin >= settings.primaryMinTemp && current.rainHours + (yesterday?.rainHours || 0) > 0) downyState = 'watch';
+
+  let powderyState = 'low';
+  if (pmiStarted && pmi >= 60) powderyState = 'high';
+  else if (pmiStarted && pmi >= 40) powderyState = 'moderate';
+
+  // Share of farm health lost to disease pressure (0 = none, 100 = active infection and peak index)
+  const downyPct = { infection: 85, watch: 45, low: 10 }[downyState];
+  const powderyPct = pmiStarted ? Math.max(10, pmi) : Math.min(30, 10 + pmiStreak * 10);
+
+  return {
+    daily,
+    gdd: {
+      today: current.gdd,
+      cumulative: round1(gddCumulative),
+      base: settings.gddBase,
+      sinceMs: daily[0].dayStart
+    },
+    downyMildew: {
+      state: downyState,
+      lastInfectionDate: lastInfection?.date || null,
+      shootLengthAssumed: true
+    },
+    powderyMildew: {
+      state: powderyState,
+      index: pmiStarted ? pmi : 0,
+      started: pmiStarted,
+      favourableStreak: pmiStreak
+    },
+    riskPct: hasData ? Math.max(downyPct, powderyPct) : null
+  };
+}
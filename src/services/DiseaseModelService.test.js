@@ -0,0 +1,131 @@
+import { computeDiseaseModels, dailyGdd, MODEL_SETTINGS } from './DiseaseModelService';
+
+// Readings every 30 minutes for `days` local days ending at 23:30 on Jan 10, 2025.
+// `weather(dayIndex, hour)` returns the reading fields for that half hour.
+const buildTrace = (days, weather) => {
+  const records = [];
+  for (let d = 0; d < days; d++) {
+    for (let slot = 0; slot < 48; slot++) {
+      const hour = slot / 2;
+      const timestamp = new Date(2025, 0, 10 - (days - 1) + d, 0, slot * 30).getTime();
+      records.push({ id: `${d}_${slot}`, timestamp, humidity: 60, rainSensor: 0, ...weather(d, hour) });
+    }
+  }
+  return { records, now: new Date(2025, 0, 10, 23, 59).getTime() };
+};
+
+// 15°C at night, 25°C from 08:00 to 20:00
+const mildDay = (d, hour) => ({ temperature: hour >= 8 && hour < 20 ? 25 : 15 });
+
+describe('growing degree days', () => {
+  test('uses the daily min/max average above base 10°C', () => {
+    const { records, now } = buildTrace(3, mildDay);
+    const { daily, gdd } = computeDiseaseModels(records, { now, days: 3 });
+
+    expect(daily.map(day => day.gdd)).toEqual([10, 10, 10]);
+    expect(gdd.cumulative).toBe(30);
+    expect(gdd.today).toBe(10);
+  });
+
+  test('caps hot days at the upper cutoff', () => {
+    expect(dailyGdd({ tMin: 20, tMax: 40 })).toBe(17.5);
+    expect(dailyGdd({ tMin: 5, tMax: 12 })).toBe(1);
+    expect(dailyGdd({ tMin: null, tMax: null })).toBeNull();
+  });
+});
+
+describe('downy mildew 3-10 rule', () => {
+  const rainyLastDay = (minTemp) => (d, hour) => ({
+    temperature: hour >= 8 && hour < 20 ? 22 : minTemp,
+    rainSensor: d === 2 && hour >= 16 && hour < 19 ? 0.6 : 0
+  });
+
+  test('flags primary infection after rain on warm nights', () => {
+    const { records, now } = buildTrace(3, rainyLastDay(12));
+    const { daily, downyMildew } = computeDiseaseModels(records, { now, days: 3 });
+
+    expect(daily[2].rainHours).toBe(3);
+    expect(daily[2].primaryInfection).toBe(true);
+    expect(downyMildew.state).toBe('infection');
+    expect(downyMildew.lastInfectionDate).toBe('2025-01-10');
+  });
+
+  test('stays low when nights drop below 10°C', () => {
+    const { records, now } = buildTrace(3, rainyLastDay(8));
+    const { downyMildew } = computeDiseaseModels(records, { now, days: 3 });
+
+    expect(downyMildew.state).toBe('low');
+    expect(downyMildew.lastInfectionDate).toBeNull();
+  });
+
+  test('a light shower is only worth watching', () => {
+    const { records, now } = buildTrace(3, (d, hour) => ({
+      temperature: 20,
+      rainSensor: d === 2 && hour === 17 ? 0.6 : 0
+    }));
+    expect(computeDiseaseModels(records, { now, days: 3 }).downyMildew.state).toBe('watch');
+  });
+});
+
+describe('powdery mildew risk index', () => {
+  // Favourable days hold 21-30°C for 8 hours; others only for 4
+  const pattern = (favourable, hot = []) => (d, hour) => {
+    const warmHours = favourable[d] ? 8 : 4;
+    let temperature = hour >= 10 && hour < 10 + warmHours ? 26 : 18;
+    if (hot[d] && hour >= 20 && hour < 21) temperature = 36;
+    return { temperature };
+  };
+
+  test('starts at 60 after three favourable days', () => {
+    const { records, now } = buildTrace(3, pattern([true, true, true]));
+    const { powderyMildew, daily } = computeDiseaseModels(records, { now, days: 3 });
+
+    expect(daily.map(day => day.pmi)).toEqual([null, null, 60]);
+    expect(powderyMildew).toMatchObject({ started: true, index: 60, state: 'high' });
+  });
+
+  test('rises on favourable days and falls on others and hot days', () => {
+    const favourable = [true, true, true, true, false, true];
+    const hot = [false, false, false, false, false, true];
+    const { records, now } = buildTrace(6, pattern(favourable, hot));
+    const { daily } = computeDiseaseModels(records, { now, days: 6 });
+
+    // 60 → +20 → -10 → +20 -10 (hot)
+    expect(daily.map(day => day.pmi)).toEqual([null, null, 60, 80, 70, 80]);
+  });
+
+  test('an unfavourable day resets the start-up streak', () => {
+    const { records, now } = buildTrace(4, pattern([true, true, false, true]));
+    const { powderyMildew } = computeDiseaseModels(records, { now, days: 4 });
+
+    expect(powderyMildew.started).toBe(false);
+    expect(powderyMildew.favourableStreak).toBe(1);
+    expect(powderyMildew.state).toBe('low');
+  });
+});
+
+describe('riskPct', () => {
+  test('is null without any history', () => {
+    expect(computeDiseaseModels([], { now: Date.now() }).riskPct).toBeNull();
+  });
+
+  test('reflects the strongest model', () => {
+    const { records, now } = buildTrace(3, (d, hour) => ({
+      temperature: hour >= 8 && hour < 20 ? 22 : 12,
+      rainSensor: d === 2 && hour >= 16 && hour < 19 ? 0.6 : 0
+    }));
+    expect(computeDiseaseModels(records, { now, days: 3 }).riskPct).toBe(85);
+  });
+
+  test('days with too little data do not move the index', () => {
+    const { records, now } = buildTrace(3, () => ({ temperature: 26 }));
+    // Keep only the first 6 hours of the last day
+    const cutoff = new Date(2025, 0, 10, 6).getTime();
+    const partial = records.filter(r => r.timestamp < cutoff);
+    const { daily } = computeDiseaseModels(partial, { now, days: 3 });
+
+    expect(daily[2].complete).toBe(false);
+    expect(daily[2].coverageHours).toBeLessThan(MODEL_SETTINGS.minCoverageHours);
+    expect(daily[2].pmi).toBeNull();
+  });
+});
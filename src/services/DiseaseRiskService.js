@@ -0,0 +1,129 @@
+// Disease Risk Service - runs the disease rule set on recent sensor history
+// src/services/DiseaseRiskService.js
+//
+// Rules come from rules/diseaseRiskRules.json, or from REACT_APP_DISEASE_RULES_URL
+// when set (so rules can be tuned without a rebuild; an invalid remote file
+// falls back to the bundled one). Risks are re-evaluated when the realtime
+// feed delivers a new row, at most once per EVALUATE_INTERVAL_MS.
+
+import bundledRules from './rules/diseaseRiskRules.json';
+import sensorHistoryService from './SensorHistoryService';
+import sensorStreamService from './SensorStreamService';
+import { evaluateRules, getLookbackMs, validateRuleSet } from './DiseaseRuleEngine';
+
+const RULES_URL = process.env.REACT_APP_DISEASE_RULES_URL || null;
+const EVALUATE_INTERVAL_MS = 60 * 1000;
+
+class DiseaseRiskService {
+  constructor() {
+    this.listeners = new Set();
+    this.ruleSet = bundledRules;
+    this.rulesLoaded = null; // Promise for the remote rule set, once
+    this.unsubscribeStream = null;
+    this.lastLatestId = null;
+    this.evaluateTimer = null;
+    this.evaluating = null;
+    this.state = {
+      loaded: false,
+      risks: [], // evaluateRules output, worst first (recommendations not yet localized)
+      evaluatedAt: null,
+      ruleSetVersion: bundledRules.version ?? null,
+      error: null
+    };
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  getSnapshot() {
+    return this.state;
+  }
+
+  _setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.unsubscribeStream) {
+      this.unsubscribeStream = sensorStreamService.subscribe(() => this._onStreamChange());
+      this._onStreamChange();
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.unsubscribeStream) {
+        this.unsubscribeStream();
+        this.unsubscribeStream = null;
+        clearTimeout(this.evaluateTimer);
+        this.evaluateTimer = null;
+      }
+    };
+  }
+
+  async loadRules() {
+    if (!RULES_URL) return this.ruleSet;
+    if (!this.rulesLoaded) {
+      this.rulesLoaded = (async () => {
+        try {
+          const response = await fetch(RULES_URL, { cache: 'no-cache' });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const ruleSet = await response.json();
+          const { valid, errors } = validateRuleSet(ruleSet);
+          if (!valid) throw new Error(errors.join('; '));
+          console.log(`📐 Loaded disease rules v${ruleSet.version} from ${RULES_URL}`);
+          this.ruleSet = ruleSet;
+        } catch (error) {
+          console.warn('⚠️ Remote disease rules rejected, using bundled rules:', error.message);
+        }
+        return this.ruleSet;
+      })();
+    }
+    return this.rulesLoaded;
+  }
+
+  _onStreamChange() {
+    const { loaded, latest } = sensorStreamService.getSnapshot();
+    if (!latest) {
+      // Nothing to evaluate on an empty feed
+      if (loaded && !this.state.loaded) this._setState({ loaded: true });
+      return;
+    }
+    if (latest.id === this.lastLatestId || this.evaluateTimer) return;
+
+    // Rows can arrive every few seconds; batch them into one evaluation per interval
+    const wait = this.state.evaluatedAt ? EVALUATE_INTERVAL_MS - (Date.now() - this.state.evaluatedAt) : 0;
+    this.evaluateTimer = setTimeout(() => {
+      this.evaluateTimer = null;
+      this.lastLatestId = sensorStreamService.getSnapshot().latest?.id ?? null;
+      this.evaluate();
+    }, Math.max(0, wait));
+  }
+
+  // Evaluate all rules against the history they need; concurrent calls share one run
+  async evaluate({ now = Date.now() } = {}) {
+    if (this.evaluating) return this.evaluating;
+
+    this.evaluating = (async () => {
+      try {
+        const ruleSet = await this.loadRules();
+        const records = await sensorHistoryService.getRecords(now - getLookbackMs(ruleSet), now);
+        const risks = evaluateRules(ruleSet, records, { now });
+        if (risks.length > 0) console.log('🦠 Active disease risks:', risks.map(r => r.id).join(', '));
+        this._setState({ loaded: true, risks, evaluatedAt: now, ruleSetVersion: ruleSet.version ?? null, error: null });
+      } catch (error) {
+        console.error('❌ Disease risk evaluation failed:', error);
+        this._setState({ loaded: true, error: error.message });
+      } finally {
+        this.evaluating = null;
+      }
+      return this.state.risks;
+    })();
+
+    return this.evaluating;
+  }
+}
+
+const diseaseRiskService = new DiseaseRiskService();
+export default diseaseRiskService;
@@ -0,0 +1,294 @@
+// Disease Rule Engine - declarative disease risk rules over sensor history
+// src/services/DiseaseRuleEngine.js
+//
+// Rules are plain JSON (see rules/diseaseRiskRules.json) so agronomists can add
+// or tune them without touching code. Each rule is gated by month and/or
+// season and combines conditions evaluated over rolling windows of normalized
+// envLogs records ({ timestamp, temperature, humidity, soilMoisture,
+// lightIntensity, rainSensor, batteryVoltage }).
+//
+// Condition types:
+//   current   - the latest reading satisfies a predicate
+//   duration  - a predicate held for at least `atLeast` within `window`
+//               (`consecutive: true` requires one unbroken run)
+//   aggregate - mean/min/max/sum of a metric over `window` satisfies op/value
+//   daily     - the per-day aggregate satisfies op/value on `atLeast` of the last `days` days
+//
+// Predicates: { metric, op, value } with op one of > >= < <= == between outside
+// (`between`/`outside` take [min, max]). `metric` may be a sensor field or a
+// boolean metric declared under `derived` (e.g. leafWetness).
+//
+// This module is pure (no Firebase) so rules can be run on recorded traces in tests.
+
+import { getSeason } from './SensorThresholdService';
+import { getDisease } from './DiseaseCatalogService';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_MAX_GAP = '30m';
+const SEVERITY_RANK = { Low: 1, Medium: 2, High: 3 };
+const CONDITION_TYPES = ['current', 'duration', 'aggregate', 'daily'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', 'between', 'outside'];
+const AGGREGATES = ['mean', 'min', 'max', 'sum'];
+
+// '30m' | '6h' | '3d' | milliseconds → milliseconds
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(m|h|d)$/);
+  if (!match) return null;
+  const unit = { m: MINUTE, h: HOUR, d: DAY }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+const compare = (actual, op, expected) => {
+  if (actual === null || actual === undefined || !Number.isFinite(actual)) return false;
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '==': return actual === expected;
+    case 'between': return actual >= expected[0] && actual <= expected[1];
+    case 'outside': return actual < expected[0] || actual > expected[1];
+    default: return false;
+  }
+};
+
+const formatHours = (ms) => Math.round((ms / HOUR) * 10) / 10;
+
+/**
+ * Check a rule set's structure before using it.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateRuleSet(ruleSet) {
+  const errors = [];
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    return { valid: false, errors: ['Rule set must have a "rules" array'] };
+  }
+
+  const derived = Object.keys(ruleSet.derived || {});
+  const checkPredicate = (where, predicate) => {
+    if (!predicate?.metric) errors.push(`${where}: missing metric`);
+    if (!OPERATORS.includes(predicate?.op)) errors.push(`${where}: unknown op "${predicate?.op}"`);
+    const needsRange = predicate?.op === 'between' || predicate?.op === 'outside';
+    if (needsRange ? !(Array.isArray(predicate.value) && predicate.value.length === 2) : typeof predicate?.value !== 'number') {
+      errors.push(`${where}: value must be ${needsRange ? '[min, max]' : 'a number'}`);
+    }
+  };
+
+  Object.entries(ruleSet.derived || {}).forEach(([name, def]) => {
+    const predicates = def?.any || def?.all;
+    if (!Array.isArray(predicates)) errors.push(`derived.${name}: needs "any" or "all"`);
+    else predicates.forEach((p, i) => checkPredicate(`derived.${name}[${i}]`, p));
+  });
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, r) => {
+    const where = `rules[${rule?.id || r}]`;
+    if (!rule?.id) errors.push(`${where}: missing id`);
+    else if (ids.has(rule.id)) errors.push(`${where}: duplicate id`);
+    ids.add(rule?.id);
+    if (!rule?.disease) errors.push(`${where}: missing disease`);
+    if (rule?.diseaseKey && !getDisease(rule.diseaseKey)) errors.push(`${where}: diseaseKey "${rule.diseaseKey}" is not in the disease catalog`);
+    if (!SEVERITY_RANK[rule?.severity]) errors.push(`${where}: severity must be Low, Medium or High`);
+    if (!Array.isArray(rule?.conditions) || rule.conditions.length === 0) {
+      errors.push(`${where}: needs at least one condition`);
+      return;
+    }
+    rule.conditions.forEach((condition, c) => {
+      const at = `${where}.conditions[${c}]`;
+      if (!CONDITION_TYPES.includes(condition.type)) errors.push(`${at}: unknown type "${condition.type}"`);
+      checkPredicate(at, condition);
+      if (condition.type !== 'current' && condition.type !== 'daily' && parseDuration(condition.window) === null) {
+        errors.push(`${at}: invalid window`);
+      }
+      if (condition.type === 'duration' && parseDuration(condition.atLeast) === null) errors.push(`${at}: invalid atLeast`);
+      if ((condition.type === 'aggregate' || condition.type === 'daily') && !AGGREGATES.includes(condition.fn || 'mean')) {
+        errors.push(`${at}: unknown fn "${condition.fn}"`);
+      }
+      if (condition.type === 'daily' && !(condition.days > 0)) errors.push(`${at}: days must be positive`);
+      if (!derived.includes(condition.metric) && /[^a-zA-Z]/.test(condition.metric || '')) {
+        errors.push(`${at}: invalid metric name`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Longest history any rule looks at, so callers know how much to fetch
+export function getLookbackMs(ruleSet) {
+  return (ruleSet?.rules || []).reduce((longest, rule) => (
+    (rule.conditions || []).reduce((acc, condition) => {
+      const span = condition.type === 'daily' ? condition.days * DAY : parseDuration(condition.window) || 0;
+      return Math.max(acc, span);
+    }, longest)
+  ), 0);
+}
+
+// Sorted records with the interval each reading stands for: until the next reading, capped at maxGap
+export function buildReadingIntervals(records, now, maxGapMs) {
+  const sorted = (records || [])
+    .filter(r => r && Number.isFinite(r.timestamp) && r.timestamp <= now)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return sorted.map((record, i) => {
+    const next = i + 1 < sorted.length ? sorted[i + 1].timestamp : now;
+    return { record, start: record.timestamp, end: Math.min(next, record.timestamp + maxGapMs, now) };
+  });
+}
+
+const metricValue = (record, metric, derived) => {
+  const definition = derived[metric];
+  if (!definition) return record[metric] ?? null;
+  const test = p => compare(metricValue(record, p.metric, {}), p.op, p.value);
+  const held = definition.any ? definition.any.some(test) : definition.all.every(test);
+  return held ? 1 : 0;
+};
+
+const aggregate = (values, fn = 'mean') => {
+  if (values.length === 0) return null;
+  switch (fn) {
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    case 'sum': return values.reduce((sum, v) => sum + v, 0);
+    default: return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+};
+
+const valuesIn = (series, metric, derived, fromMs, toMs) => series
+  .filter(s => s.start >= fromMs && s.start < toMs)
+  .map(s => metricValue(s.record, metric, derived))
+  .filter(v => v !== null && Number.isFinite(v));
+
+const describePredicate = ({ metric, op, value }) => (
+  op === 'between' || op === 'outside' ? `${metric} ${op} ${value[0]}–${value[1]}` : `${metric} ${op} ${value}`
+);
+
+const CONDITION_EVALUATORS = {
+  current(condition, series, { now, derived, maxGapMs }) {
+    const last = series[series.length - 1];
+    // A reading older than the sampling gap says nothing about "now"
+    if (!last || now - last.start > maxGapMs) return { met: false, observed: null };
+    const observed = metricValue(last.record, condition.metric, derived);
+    return { met: compare(observed, condition.op, condition.value), observed };
+  },
+
+  duration(condition, series, { now, derived }) {
+    const fromMs = now - parseDuration(condition.window);
+    const requiredMs = parseDuration(condition.atLeast);
+    let total = 0;
+    let run = 0;
+    let longestRun = 0;
+    let runEnd = null;
+
+    series.forEach(({ record, start, end }) => {
+      const clippedStart = Math.max(start, fromMs);
+      if (end <= clippedStart) return;
+      const held = compare(metricValue(record, condition.metric, derived), condition.op, condition.value);
+      const span = end - clippedStart;
+      if (held) {
+        total += span;
+        // A gap between readings breaks a run
+        run = run > 0 && clippedStart <= runEnd ? run + span : span;
+        runEnd = end;
+        longestRun = Math.max(longestRun, run);
+      } else {
+        run = 0;
+      }
+    });
+
+    const observedMs = condition.consecutive ? longestRun : total;
+    return { met: observedMs >= requiredMs, observed: formatHours(observedMs), unit: 'h' };
+  },
+
+  aggregate(condition, series, { now, derived }) {
+    const values = valuesIn(series, condition.metric, derived, now - parseDuration(condition.window), now + 1);
+    const observed = values.length >= (condition.minSamples || 1) ? aggregate(values, condition.fn) : null;
+    return { met: compare(observed, condition.op, condition.value), observed: observed === null ? null : Math.round(observed * 100) / 100 };
+  },
+
+  daily(condition, series, { now, derived }) {
+    const required = condition.atLeast ?? condition.days;
+    let daysMet = 0;
+    for (let d = 0; d < condition.days; d++) {
+      const values = valuesIn(series, condition.metric, derived, now - (d + 1) * DAY, now - d * DAY);
+      if (compare(aggregate(values, condition.fn), condition.op, condition.value)) daysMet += 1;
+    }
+    return { met: daysMet >= required, observed: daysMet, unit: `/${condition.days}d` };
+  }
+};
+
+const isInSeason = (rule, now) => {
+  const date = new Date(now);
+  if (Array.isArray(rule.months) && rule.months.length > 0 && !rule.months.includes(date.getMonth() + 1)) return false;
+  if (Array.isArray(rule.seasons) && rule.seasons.length > 0 && !rule.seasons.includes(getSeason(date))) return false;
+  return true;
+};
+
+/**
+ * Evaluate one rule, including rules that did not fire (useful for tuning).
+ * @returns {{ rule, inSeason, matched, conditionsMet, conditionsTotal, evidence: Array }}
+ */
+export function evaluateRule(rule, records, { now = Date.now(), derived = {}, maxGap = DEFAULT_MAX_GAP } = {}) {
+  const context = { now, derived, maxGapMs: parseDuration(maxGap) };
+  const series = buildReadingIntervals(records, now, context.maxGapMs);
+  const inSeason = isInSeason(rule, now);
+
+  const evidence = rule.conditions.map(condition => {
+    const result = CONDITION_EVALUATORS[condition.type](condition, series, context);
+    return { type: condition.type, description: condition.description || describePredicate(condition), ...result };
+  });
+
+  const conditionsMet = evidence.filter(e => e.met).length;
+  const satisfied = rule.match === 'any' ? conditionsMet > 0 : conditionsMet === evidence.length;
+
+  return {
+    rule,
+    inSeason,
+    matched: inSeason && satisfied,
+    conditionsMet,
+    conditionsTotal: evidence.length,
+    evidence
+  };
+}
+
+/**
+ * Run every rule against the records and return the active risks, worst first.
+ * @param {Object} ruleSet - { version, maxGap, derived, rules }
+ * @param {Array} records - normalized sensor records (any order)
+ * @param {Object} options - { now }
+ * @returns {Array<Object>} [{ id, disease, diseaseKey, severity, period, recommendation, evidence, ... }]
+ */
+export function evaluateRules(ruleSet, records, { now = Date.now() } = {}) {
+  const options = { now, derived: ruleSet.derived || {}, maxGap: ruleSet.maxGap || DEFAULT_MAX_GAP };
+
+  return ruleSet.rules
+    .map(rule => evaluateRule(rule, records, options))
+    .filter(result => result.matched)
+    .map(({ rule, conditionsMet, conditionsTotal, evidence }) => ({
+      id: rule.id,
+      disease: rule.disease,
+      diseaseKey: rule.diseaseKey || null,
+      severity: rule.severity,
+      period: rule.period || null,
+      recommendation: rule.recommendation || {},
+      conditionsMet,
+      conditionsTotal,
+      evidence,
+      ruleSetVersion: ruleSet.version ?? null
+    }))
+    .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+}
+
+// Pick the recommendation in the user's language (english, hindi, marathi), falling back to English
+export function localizeRisk(risk, language = 'english') {
+  const texts = risk.recommendation || {};
+  return {
+    ...risk,
+    recommendation: texts[language] || texts.english || '',
+    recommendations: texts
+  };
+}
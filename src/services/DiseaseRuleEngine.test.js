@@ -0,0 +1,159 @@
+import {
+  parseDuration,
+  validateRuleSet,
+  getLookbackMs,
+  evaluateRule,
+  evaluateRules,
+  localizeRisk
+} from './DiseaseRuleEngine';
+import ruleSet from './rules/diseaseRiskRules.json';
+import fixtures from './__fixtures__/sensorTraces.json';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Recorded rows → normalized records; the last row is one step before `end`
+const loadTrace = (trace) => {
+  const now = new Date(trace.end).getTime();
+  const stepMs = trace.stepMinutes * MINUTE;
+  const start = now - trace.rows.length * stepMs;
+  const records = trace.rows.map((row, i) => ({
+    id: `${trace.id}_${i}`,
+    timestamp: start + i * stepMs,
+    ...Object.fromEntries(fixtures.fields.map((field, f) => [field, row[f]]))
+  }));
+  return { now, records };
+};
+
+const ruleById = (id) => ruleSet.rules.find(rule => rule.id === id);
+const ruleOptions = (now) => ({ now, derived: ruleSet.derived, maxGap: ruleSet.maxGap });
+
+describe('bundled rule set', () => {
+  test('is valid', () => {
+    expect(validateRuleSet(ruleSet)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('every rule has recommendations in all three languages', () => {
+    ruleSet.rules.forEach(rule => {
+      ['english', 'hindi', 'marathi'].forEach(language => {
+        expect(rule.recommendation[language]).toEqual(expect.any(String));
+      });
+    });
+  });
+
+  test('looks back three days', () => {
+    expect(getLookbackMs(ruleSet)).toBe(72 * HOUR);
+  });
+});
+
+describe('evaluateRules on recorded traces', () => {
+  test.each(fixtures.traces.map(t => [t.id, t]))('%s', (id, trace) => {
+    const { now, records } = loadTrace(trace);
+    const risks = evaluateRules(ruleSet, records, { now });
+    expect(risks.map(r => r.id)).toEqual(trace.expected);
+  });
+
+  test('reports the evidence behind a risk', () => {
+    const { now, records } = loadTrace(fixtures.traces.find(t => t.id === 'downy-wet-november-night'));
+    const [risk] = evaluateRules(ruleSet, records, { now });
+
+    expect(risk).toMatchObject({ disease: 'Davnya (Downy Mildew)', severity: 'High', conditionsMet: 3, conditionsTotal: 3 });
+    const humidityRun = risk.evidence[0];
+    expect(humidityRun.unit).toBe('h');
+    expect(humidityRun.observed).toBeGreaterThanOrEqual(6);
+  });
+
+  test('a short humidity spike only satisfies part of the downy mildew rule', () => {
+    const { now, records } = loadTrace(fixtures.traces.find(t => t.id === 'downy-brief-humidity-spike'));
+    const result = evaluateRule(ruleById('downy-mildew'), records, ruleOptions(now));
+
+    expect(result.inSeason).toBe(true);
+    expect(result.matched).toBe(false);
+    expect(result.evidence[0].met).toBe(false);
+    expect(result.evidence[2].met).toBe(true);
+  });
+
+  test('season gating keeps out-of-season rules quiet', () => {
+    const { now, records } = loadTrace(fixtures.traces.find(t => t.id === 'borer-conditions-out-of-season'));
+    const result = evaluateRule(ruleById('borer'), records, ruleOptions(now));
+
+    expect(result.conditionsMet).toBe(result.conditionsTotal);
+    expect(result.inSeason).toBe(false);
+    expect(result.matched).toBe(false);
+  });
+
+  test('a sensor outage breaks a consecutive humidity run', () => {
+    const { now, records } = loadTrace(fixtures.traces.find(t => t.id === 'downy-wet-november-night'));
+    // Drop readings from 23:00 to 03:00 in the saturated night
+    const outageStart = now - 19 * HOUR;
+    const withGap = records.filter(r => r.timestamp < outageStart || r.timestamp >= outageStart + 4 * HOUR);
+
+    const result = evaluateRule(ruleById('downy-mildew'), withGap, ruleOptions(now));
+    expect(result.evidence[0].met).toBe(false);
+    expect(result.matched).toBe(false);
+  });
+
+  test('no history means no risks', () => {
+    expect(evaluateRules(ruleSet, [], { now: new Date('2025-11-15T18:00:00').getTime() })).toEqual([]);
+  });
+});
+
+describe('rule definitions', () => {
+  const now = new Date('2025-06-15T12:00:00').getTime();
+  const hourly = (values, field) => values.map((value, i) => ({
+    id: String(i),
+    timestamp: now - (values.length - i) * HOUR,
+    [field]: value
+  }));
+
+  test('parseDuration understands minutes, hours and days', () => {
+    expect(parseDuration('30m')).toBe(30 * MINUTE);
+    expect(parseDuration('6h')).toBe(6 * HOUR);
+    expect(parseDuration('3d')).toBe(72 * HOUR);
+    expect(parseDuration('soon')).toBeNull();
+  });
+
+  test('any-match rules fire on a single condition', () => {
+    const rule = {
+      id: 'test',
+      disease: 'Test',
+      severity: 'Low',
+      match: 'any',
+      conditions: [
+        { type: 'current', metric: 'temperature', op: '>', value: 40 },
+        { type: 'aggregate', metric: 'temperature', fn: 'max', op: '>=', value: 30, window: '6h' }
+      ]
+    };
+    const result = evaluateRule(rule, hourly([28, 29, 31, 30, 29, 28], 'temperature'), { now, maxGap: '90m' });
+    expect(result.conditionsMet).toBe(1);
+    expect(result.matched).toBe(true);
+  });
+
+  test('tuned JSON thresholds change the outcome without code changes', () => {
+    const tuned = JSON.parse(JSON.stringify(ruleSet));
+    const { now: traceNow, records } = loadTrace(fixtures.traces.find(t => t.id === 'downy-wet-november-night'));
+    tuned.rules.find(r => r.id === 'downy-mildew').conditions[0].atLeast = '20h';
+
+    expect(evaluateRules(tuned, records, { now: traceNow })).toEqual([]);
+  });
+
+  test('validation reports malformed rules', () => {
+    const { valid, errors } = validateRuleSet({
+      rules: [{ id: 'bad', disease: 'X', diseaseKey: 'rust', severity: 'Extreme', conditions: [{ type: 'duration', metric: 'humidity', op: '~', value: 85, window: 'week' }] }]
+    });
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('severity'),
+      expect.stringContaining('unknown op'),
+      expect.stringContaining('invalid window'),
+      expect.stringContaining('invalid atLeast'),
+      expect.stringContaining('not in the disease catalog')
+    ]));
+  });
+
+  test('localizeRisk falls back to English', () => {
+    const risk = { recommendation: { english: 'Spray', marathi: 'फवारणी करा' } };
+    expect(localizeRisk(risk, 'marathi').recommendation).toBe('फवारणी करा');
+    expect(localizeRisk(risk, 'hindi').recommendation).toBe('Spray');
+  });
+});
@@ -0,0 +1,179 @@
+// Ensemble Inference Service - test-time augmentation and multi-backend voting
+// src/services/EnsembleInferenceService.js
+//
+// A single pass through one backend sometimes flips between look-alike
+// diseases (Bhuri / Davnya) on the same leaf. Ensemble mode runs the backend
+// on flipped, rotated and rescaled copies of the photo (and optionally on the
+// other available backends), lets every pass vote for its label weighted by
+// its confidence and the backend's trust, and reports how far the passes
+// agree. Results the passes disagree on are flagged for the grower to review.
+//
+// The shown result is the most trusted pass that voted for the winner; boxes
+// from a flipped, rotated or rescaled pass are mapped back to the photo.
+
+import { createAbortError } from './InferenceClient';
+import { mapPrediction, tilePredictions } from './TiledInferenceService';
+
+// One operation per variant: rotate is clockwise degrees, scale is relative to the model input size
+export const TTA_VARIANTS = [
+  { id: 'original' },
+  { id: 'flipH', flipX: true },
+  { id: 'flipV', flipY: true },
+  { id: 'rotate90', rotate: 90 },
+  { id: 'rotate270', rotate: 270 },
+  { id: 'zoomOut', scale: 0.75 },
+  { id: 'zoomIn', scale: 1.25 }
+];
+// The color heuristic votes, but counts for less than a model
+export const HEURISTIC_BACKEND_WEIGHT = 0.25;
+// Below this share of passes agreeing on the winner the result needs a human look
+export const REVIEW_AGREEMENT_THRESHOLD = 0.7;
+export const MIN_ENSEMBLE_PASSES = 2;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+export const isIdentityVariant = (variant) =>
+  !variant.flipX && !variant.flipY && !variant.rotate && (variant.scale ?? 1) === 1;
+
+/**
+ * Canvas for drawing a width × height image as the variant:
+ * ctx.setTransform(...transform), then ctx.drawImage(source, 0, 0, drawWidth, drawHeight).
+ * @returns {{ width, height, drawWidth, drawHeight, transform: number[] }}
+ */
+export function variantFrame(variant, width, height) {
+  const w = Math.max(1, Math.round(width * (variant.scale ?? 1)));
+  const h = Math.max(1, Math.round(height * (variant.scale ?? 1)));
+  let transform = [1, 0, 0, 1, 0, 0];
+  if (variant.rotate === 90) transform = [0, 1, -1, 0, h, 0];
+  else if (variant.rotate === 270) transform = [0, -1, 1, 0, 0, w];
+  else if (variant.flipX) transform = [-1, 0, 0, 1, w, 0];
+  else if (variant.flipY) transform = [1, 0, 0, -1, 0, h];
+  const rotated = variant.rotate === 90 || variant.rotate === 270;
+  return { width: rotated ? h : w, height: rotated ? w : h, drawWidth: w, drawHeight: h, transform };
+}
+
+/**
+ * Point mapper from the variant's pixels back to the width × height image.
+ * @returns {Function} (x, y) → [x, y]
+ */
+export function variantToImage(variant, width, height) {
+  const { drawWidth, drawHeight, transform: [a, b, c, d, e, f] } = variantFrame(variant, width, height);
+  const det = a * d - b * c;
+  return (u, v) => [
+    ((d * (u - e) - c * (v - f)) / det) * (width / drawWidth),
+    ((a * (v - f) - b * (u - e)) / det) * (height / drawHeight)
+  ];
+}
+
+/**
+ * A pass's raw predictions (confidence 0-1) in the width × height image's pixels.
+ * @param {{ variant, result }} run
+ */
+export function passPredictions(run, width, height) {
+  const predictions = tilePredictions(run.result);
+  if (isIdentityVariant(run.variant)) return predictions;
+  const mapPoint = variantToImage(run.variant, width, height);
+  return predictions.map(pred => mapPrediction(pred, mapPoint));
+}
+
+/**
+ * Weighted vote: each pass votes for its label with weight × confidence.
+ * @param {Array<{ disease, confidence, weight }>} passes - confidence in percent; failed passes have no disease
+ * @returns {{ winner, votes: Array<{ disease, share, passes }>, voters, agreement, uncertainty, needsReview }}
+ *   agreement = share of voting passes that named the winner;
+ *   uncertainty = entropy of the vote shares, 0 when all agree and 1 when every pass names a different class
+ */
+export function voteOnPasses(passes, { reviewThreshold = REVIEW_AGREEMENT_THRESHOLD, minPasses = MIN_ENSEMBLE_PASSES } = {}) {
+  const voting = passes.filter(pass => pass.disease);
+  const totals = new Map();
+  voting.forEach(pass => {
+    const entry = totals.get(pass.disease) || { disease: pass.disease, weight: 0, passes: 0 };
+    entry.weight += (pass.weight ?? 1) * Math.max(0, pass.confidence || 0) / 100;
+    entry.passes++;
+    totals.set(pass.disease, entry);
+  });
+
+  const totalWeight = Array.from(totals.values()).reduce((sum, entry) => sum + entry.weight, 0);
+  const votes = Array.from(totals.values())
+    .map(({ disease, weight, passes: count }) => ({
+      disease,
+      share: round3(totalWeight > 0 ? weight / totalWeight : count / voting.length),
+      passes: count
+    }))
+    .sort((a, b) => b.share - a.share || b.passes - a.passes);
+
+  const entropy = votes.reduce((sum, vote) => (vote.share > 0 ? sum - vote.share * Math.log(vote.share) : sum), 0);
+  const agreement = votes.length ? round3(votes[0].passes / voting.length) : 0;
+  return {
+    winner: votes[0]?.disease ?? null,
+    votes,
+    voters: voting.length,
+    agreement,
+    uncertainty: voting.length > 1 ? round3(Math.min(1, entropy / Math.log(voting.length))) : 0,
+    needsReview: voting.length < minPasses || agreement < reviewThreshold
+  };
+}
+
+/**
+ * Run every backend on every variant, one pass at a time. A failing pass is
+ * recorded and skipped; cancelling stops between passes.
+ * @param {Object} options - {
+ *   backends: [{ id, weight }], variants, preparePass(variant) → { imageData, element },
+ *   predictPass(backendId, imageData, element, variant) → formatted result, onProgress({ done, total }), signal }
+ * @returns {Promise<Array<{ backend, weight, variant, result, error }>>}
+ */
+export async function runPasses({ backends, variants = TTA_VARIANTS, preparePass, predictPass, onProgress = () => {}, signal = null }) {
+  const total = backends.length * variants.length;
+  const runs = [];
+  onProgress({ done: 0, total });
+  for (const variant of variants) {
+    if (signal?.aborted) throw createAbortError();
+    const { imageData, element } = await preparePass(variant);
+    for (const { id, weight = 1 } of backends) {
+      if (signal?.aborted) throw createAbortError();
+      try {
+        runs.push({ backend: id, weight, variant, result: await predictPass(id, imageData, element, variant), error: null });
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        console.warn(`⚠ Ensemble pass ${id}/${variant.id} failed:`, error.message);
+        runs.push({ backend: id, weight, variant, result: null, error: error.message });
+      }
+      onProgress({ done: runs.length, total });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Vote over the passes and pick the one to show: the primary backend before
+ * the others, the unaltered photo before variants, then the most confident.
+ * @returns {{ chosen, ensemble }} chosen is null when every pass failed
+ */
+export function combinePasses(runs, { primaryBackend, ...voteOptions } = {}) {
+  const passes = runs.map(run => ({
+    backend: run.backend,
+    variant: run.variant.id,
+    disease: run.result?.disease || null,
+    confidence: run.result ? run.result.confidence || 0 : null,
+    weight: run.weight,
+    error: run.error
+  }));
+  const vote = voteOnPasses(passes, voteOptions);
+  const rank = (run) => [run.backend === primaryBackend ? 1 : 0, isIdentityVariant(run.variant) ? 1 : 0, run.result.confidence || 0];
+  const chosen = runs
+    .filter(run => run.result && run.result.disease === vote.winner)
+    .sort((a, b) => {
+      const [ra, rb] = [rank(a), rank(b)];
+      return rb[0] - ra[0] || rb[1] - ra[1] || rb[2] - ra[2];
+    })[0] || null;
+
+  return {
+    chosen,
+    ensemble: {
+      variants: Array.from(new Set(runs.map(run => run.variant.id))),
+      backends: Array.from(new Set(runs.map(run => run.backend))),
+      passes,
+      ...vote
+    }
+  };
+}
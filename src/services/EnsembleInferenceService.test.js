@@ -0,0 +1,145 @@
+import {
+  TTA_VARIANTS,
+  variantFrame,
+  variantToImage,
+  passPredictions,
+  voteOnPasses,
+  runPasses,
+  combinePasses
+} from './EnsembleInferenceService';
+import { isAbortError } from './InferenceClient';
+
+const variant = (id) => TTA_VARIANTS.find(v => v.id === id);
+
+describe('augmented variants', () => {
+  // Where the canvas transform sends a point of the width × height image
+  const forward = ({ transform: [a, b, c, d, e, f], drawWidth, drawHeight }, width, height, [x, y]) => {
+    const [sx, sy] = [x * drawWidth / width, y * drawHeight / height];
+    return [a * sx + c * sy + e, b * sx + d * sy + f];
+  };
+
+  test('rotations swap the canvas sides and zooms rescale them', () => {
+    expect(variantFrame(variant('rotate90'), 800, 600)).toMatchObject({ width: 600, height: 800, drawWidth: 800, drawHeight: 600 });
+    expect(variantFrame(variant('zoomOut'), 800, 600)).toMatchObject({ width: 600, height: 450 });
+    expect(variantFrame(variant('flipH'), 800, 600).transform).toEqual([-1, 0, 0, 1, 800, 0]);
+  });
+
+  test('points map back to the photo from every variant', () => {
+    TTA_VARIANTS.forEach(v => {
+      const frame = variantFrame(v, 800, 600);
+      const toImage = variantToImage(v, 800, 600);
+      [[0, 0], [100, 50], [800, 600], [799, 1]].forEach(point => {
+        const [x, y] = toImage(...forward(frame, 800, 600, point));
+        expect(x).toBeCloseTo(point[0]);
+        expect(y).toBeCloseTo(point[1]);
+      });
+    });
+    // top-left corner of the photo is the top-right corner after a clockwise turn
+    expect(forward(variantFrame(variant('rotate90'), 800, 600), 800, 600, [0, 0])).toEqual([600, 0]);
+  });
+
+  test('boxes and polygon masks of a flipped pass land on the photo', () => {
+    const run = {
+      variant: variant('flipH'),
+      result: { detectionDetails: { boundingBoxes: [{ class_id: 2, confidence: 80, bbox: [700, 10, 780, 60], mask: [[700, 10, 780, 10, 780, 60]] }] } }
+    };
+    expect(passPredictions(run, 800, 600)).toEqual([
+      { class_id: 2, confidence: 0.8, bbox: [20, 10, 100, 60], mask: [[100, 10, 20, 10, 20, 60]] }
+    ]);
+  });
+});
+
+describe('voteOnPasses', () => {
+  const pass = (disease, confidence, weight = 1) => ({ disease, confidence, weight });
+
+  test('weights each vote by confidence and backend trust', () => {
+    const vote = voteOnPasses([
+      pass('Bhuri', 90),
+      pass('Bhuri', 80),
+      pass('Davnya', 95),
+      pass('Davnya', 90, 0.25),
+      { disease: null, confidence: null, error: 'timeout' }
+    ]);
+    expect(vote.winner).toBe('Bhuri');
+    expect(vote.votes).toEqual([
+      { disease: 'Bhuri', share: 0.591, passes: 2 },
+      { disease: 'Davnya', share: 0.409, passes: 2 }
+    ]);
+    expect(vote).toMatchObject({ voters: 4, agreement: 0.5, needsReview: true });
+    expect(vote.uncertainty).toBe(0.488);
+  });
+
+  test('unanimous passes are certain; a lone pass still needs review', () => {
+    expect(voteOnPasses([pass('Karpa', 70), pass('Karpa', 90), pass('Karpa', 60)]))
+      .toMatchObject({ winner: 'Karpa', agreement: 1, uncertainty: 0, needsReview: false });
+    expect(voteOnPasses([pass('Karpa', 99)])).toMatchObject({ agreement: 1, needsReview: true });
+    expect(voteOnPasses([])).toMatchObject({ winner: null, agreement: 0, needsReview: true });
+  });
+});
+
+describe('runPasses and combinePasses', () => {
+  const variants = [variant('original'), variant('flipH'), variant('rotate90')];
+  const backends = [{ id: 'rest' }, { id: 'tfjs', weight: 0.5 }];
+  const preparePass = async (v) => ({ imageData: { variant: v.id }, element: null });
+  const labels = {
+    'rest/original': ['Bhuri', 70],
+    'rest/flipH': ['Davnya', 85],
+    'rest/rotate90': ['Davnya', 80],
+    'tfjs/original': ['Davnya', 90]
+  };
+
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('runs every backend on every variant and records failures', async () => {
+    const progress = [];
+    const runs = await runPasses({
+      backends,
+      variants,
+      preparePass,
+      predictPass: async (id, imageData) => {
+        const label = labels[`${id}/${imageData.variant}`];
+        if (!label) throw new Error('timeout');
+        return { disease: label[0], confidence: label[1] };
+      },
+      onProgress: p => progress.push(p.done)
+    });
+    expect(runs.map(r => [r.backend, r.variant.id, r.result?.disease ?? r.error])).toEqual([
+      ['rest', 'original', 'Bhuri'],
+      ['tfjs', 'original', 'Davnya'],
+      ['rest', 'flipH', 'Davnya'],
+      ['tfjs', 'flipH', 'timeout'],
+      ['rest', 'rotate90', 'Davnya'],
+      ['tfjs', 'rotate90', 'timeout']
+    ]);
+    expect(progress).toEqual([0, 1, 2, 3, 4, 5, 6]);
+
+    const { chosen, ensemble } = combinePasses(runs, { primaryBackend: 'rest' });
+    expect(ensemble).toMatchObject({ winner: 'Davnya', voters: 4, agreement: 0.75, needsReview: false, backends: ['rest', 'tfjs'] });
+    expect(ensemble.passes[3]).toMatchObject({ backend: 'tfjs', variant: 'flipH', disease: null, error: 'timeout' });
+    // the primary backend's most confident agreeing pass, even though it is flipped
+    expect([chosen.backend, chosen.variant.id]).toEqual(['rest', 'flipH']);
+  });
+
+  test('prefers the unaltered photo among the primary backend\'s passes', () => {
+    const run = (backend, id, disease, confidence) => ({ backend, weight: 1, variant: variant(id), result: { disease, confidence }, error: null });
+    const { chosen } = combinePasses([
+      run('rest', 'zoomIn', 'Karpa', 95),
+      run('rest', 'original', 'Karpa', 60),
+      run('gradio', 'original', 'Karpa', 99)
+    ], { primaryBackend: 'rest' });
+    expect([chosen.backend, chosen.variant.id]).toEqual(['rest', 'original']);
+    expect(combinePasses([{ backend: 'rest', weight: 1, variant: variant('original'), result: null, error: 'down' }]).chosen).toBeNull();
+  });
+
+  test('stops between passes when cancelled', async () => {
+    const controller = new AbortController();
+    const predictPass = jest.fn(async () => {
+      controller.abort();
+      throw new Error('aborted');
+    });
+    const error = await runPasses({ backends, variants, preparePass, predictPass, signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(predictPass).toHaveBeenCalledTimes(1);
+  });
+});
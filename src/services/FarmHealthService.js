@@ -1,25 +1,73 @@
 // src/services/FarmHealthService.js
 // Combines multiple signals into a single Farm Health score and label.
+//
+// Every input is measured rather than assumed:
+//   sensorUptimePct      - share of time envLogs rows arrived (gaps longer than MAX_GAP_MS are downtime)
+//   envSuitabilityPct    - share of time temperature and humidity sat in the optimal ranges
+//   irrigationBalancePct - share of time soil moisture sat in its optimal range over 3 days,
+//                          less a penalty when the trend is drifting further out of range
+//   diseaseRiskPct       - recent Supabase detections (severity × confidence, fading over days),
+//                          or the degree-day/infection models when they report more pressure
+//   alertLoadPct         - disease alerts and sensor warning episodes in the period
+// Inputs without data are left out and the remaining weights are rescaled.
 
+import { buildReadingIntervals } from './DiseaseRuleEngine';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const TREND_DAYS = 30;
+export const MAX_GAP_MS = 10 * MINUTE; // a row every few minutes is expected; longer silences count as downtime
+
+export const HEALTH_COMPONENTS = [
+  { key: 'diseaseRisk', input: 'diseaseRiskPct', weight: 0.35, lowerIsBetter: true },
+  { key: 'sensorUptime', input: 'sensorUptimePct', weight: 0.25, lowerIsBetter: false },
+  { key: 'envSuitability', input: 'envSuitabilityPct', weight: 0.20, lowerIsBetter: false },
+  { key: 'irrigationBalance', input: 'irrigationBalancePct', weight: 0.10, lowerIsBetter: false },
+  { key: 'alertLoad', input: 'alertLoadPct', weight: 0.10, lowerIsBetter: true }
+];
+
+// Sensors that raise warning alerts when outside their optimal range
+const ALERT_SENSORS = ['temperature', 'humidity', 'soilMoisture', 'batteryVoltage', 'rainSensor'];
+const WARNING_EPISODE_MS = HOUR; // time outside optimal before a sensor counts as a warning for the day
+const SEVERITY_WEIGHT = { High: 1, Medium: 0.7, Low: 0.4 };
+const DETECTION_HALF_LIFE_DAYS = 3;
+const DETECTION_WINDOW_DAYS = 7;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Weighted score with a per-component breakdown.
+ * @param {Object} inputs - { diseaseRiskPct, sensorUptimePct, envSuitabilityPct, irrigationBalancePct, alertLoadPct };
+ *   null/undefined inputs are treated as "no data"
+ * @returns {{ score, label, breakdown: Array<{ key, value, weight, contribution, lost }>, missing: string[] }}
+ */
 export function computeFarmHealth(inputs) {
-  const {
-    diseaseRiskPct = 10, // lower is better
-    sensorUptimePct = 95,
-    envSuitabilityPct = 80,
-    irrigationBalancePct = 75,
-    alertLoadPct = 5 // lower is better
-  } = inputs || {};
-
-  const score = (
-    0.35 * (100 - clamp(diseaseRiskPct, 0, 100)) +
-    0.25 * clamp(sensorUptimePct, 0, 100) +
-    0.20 * clamp(envSuitabilityPct, 0, 100) +
-    0.10 * clamp(irrigationBalancePct, 0, 100) +
-    0.10 * (100 - clamp(alertLoadPct, 0, 100))
-  );
-
-  const rounded = Math.round(score);
-  return { score: rounded, label: scoreLabel(rounded) };
+  const available = HEALTH_COMPONENTS.filter(c => Number.isFinite(inputs?.[c.input]));
+  const totalWeight = available.reduce((sum, c) => sum + c.weight, 0);
+
+  const breakdown = available.map(c => {
+    const value = clamp(inputs[c.input], 0, 100);
+    const goodness = c.lowerIsBetter ? 100 - value : value;
+    const weight = c.weight / totalWeight;
+    return {
+      key: c.key,
+      value: round1(value),
+      lowerIsBetter: c.lowerIsBetter,
+      weight: round1(weight * 100),
+      contribution: round1(goodness * weight), // points this component adds to the score
+      lost: round1((100 - goodness) * weight) // points it costs
+    };
+  });
+
+  const score = breakdown.length > 0 ? Math.round(breakdown.reduce((sum, b) => sum + b.contribution, 0)) : null;
+  return {
+    score,
+    label: score === null ? 'Unknown' : scoreLabel(score),
+    breakdown,
+    missing: HEALTH_COMPONENTS.filter(c => !available.includes(c)).map(c => c.key)
+  };
 }
 
 function clamp(value, min, max) {
@@ -33,4 +81,186 @@ function scoreLabel(score) {
   return 'Poor';
 }
 
+const inRange = (value, range) => Number.isFinite(value) && value >= range[0] && value <= range[1];
+
+/**
+ * Sensor-derived measurements for one period.
+ * @param {Array} intervals - buildReadingIntervals output
+ * @param {Object} thresholds - resolved sensor thresholds (SensorThresholdService)
+ * @returns {{ uptimePct, envSuitabilityPct, soilInOptimalPct, soilMean, sensorWarnings }}
+ */
+export function summarizeSensorPeriod(intervals, startMs, endMs, thresholds) {
+  const inPeriod = intervals.filter(s => s.start >= startMs && s.start < endMs);
+  const periodMs = Math.max(1, endMs - startMs);
+
+  let coveredMs = 0;
+  let envMs = 0;
+  let envGoodMs = 0;
+  let soilMs = 0;
+  let soilGoodMs = 0;
+  let soilSum = 0;
+  let soilCount = 0;
+  const outsideMs = Object.fromEntries(ALERT_SENSORS.map(sensor => [sensor, 0]));
+
+  inPeriod.forEach(({ record, start, end }) => {
+    const span = Math.min(end, endMs) - start;
+    coveredMs += span;
+
+    if (Number.isFinite(record.temperature) && Number.isFinite(record.humidity)) {
+      envMs += span;
+      if (inRange(record.temperature, thresholds.temperature.optimal) && inRange(record.humidity, thresholds.humidity.optimal)) {
+        envGoodMs += span;
+      }
+    }
+
+    if (Number.isFinite(record.soilMoisture)) {
+      soilMs += span;
+      soilSum += record.soilMoisture;
+      soilCount += 1;
+      if (inRange(record.soilMoisture, thresholds.soilMoisture.optimal)) soilGoodMs += span;
+    }
+
+    ALERT_SENSORS.forEach(sensor => {
+      if (Number.isFinite(record[sensor]) && thresholds[sensor] && !inRange(record[sensor], thresholds[sensor].optimal)) {
+        outsideMs[sensor] += span;
+      }
+    });
+  });
+
+  return {
+    uptimePct: round1(Math.min(100, (coveredMs / periodMs) * 100)),
+    envSuitabilityPct: envMs > 0 ? round1((envGoodMs / envMs) * 100) : null,
+    soilInOptimalPct: soilMs > 0 ? round1((soilGoodMs / soilMs) * 100) : null,
+    soilMean: soilCount > 0 ? soilSum / soilCount : null,
+    sensorWarnings: ALERT_SENSORS.filter(sensor => outsideMs[sensor] >= WARNING_EPISODE_MS).length
+  };
+}
+
+// Time in the optimal band, less up to 30 points when moisture is moving further out of it
+export function irrigationBalance(periods, optimal) {
+  const withData = periods.filter(p => p.soilInOptimalPct !== null);
+  if (withData.length === 0) return null;
+
+  const inOptimal = withData.reduce((sum, p) => sum + p.soilInOptimalPct, 0) / withData.length;
+  const first = withData[0].soilMean;
+  const last = withData[withData.length - 1].soilMean;
+  const mid = (optimal[0] + optimal[1]) / 2;
+  const drift = Math.abs(last - mid) - Math.abs(first - mid);
+  const penalty = !inRange(last, optimal) && drift > 0 ? Math.min(30, drift * 3) : 0;
+
+  return round1(Math.max(0, inOptimal - penalty));
+}
+
+/**
+ * Disease pressure from detections: each diseased result adds severity × confidence,
+ * halving every DETECTION_HALF_LIFE_DAYS; low-trust results count half.
+ * Combined as independent evidence: 1 - Π(1 - pᵢ).
+ */
+export function detectionRiskPct(detections, { now = Date.now(), windowDays = DETECTION_WINDOW_DAYS } = {}) {
+  const since = now - windowDays * DAY;
+  let healthyProbability = 1;
+
+  (detections || []).forEach(detection => {
+    const time = new Date(detection.timestamp).getTime();
+    if (!Number.isFinite(time) || time < since || time > now) return;
+    if (!detection.disease || /healthy/i.test(detection.disease)) return;
+
+    const ageDays = (now - time) / DAY;
+    const confidence = clamp(detection.confidence, 0, 100) / 100;
+    const weight = (SEVERITY_WEIGHT[detection.severity] ?? 0.7)
+      * confidence
+      * 0.5 ** (ageDays / DETECTION_HALF_LIFE_DAYS)
+      * (detection.lowTrust ? 0.5 : 1);
+    healthyProbability *= 1 - Math.min(0.99, weight);
+  });
+
+  return round1((1 - healthyProbability) * 100);
+}
+
+// Critical alerts cost 15 points, warnings 5 (as on the alert summary card)
+export function alertLoadPct({ critical = 0, warning = 0 }) {
+  return Math.min(100, critical * 15 + warning * 5);
+}
+
+// Disease model pressure for one date (DiseaseModelService daily entry), or null
+const modelRiskForDay = (models, date) => {
+  const index = models?.daily?.findIndex(day => day.date === date) ?? -1;
+  if (index < 0) return null;
+  const day = models.daily[index];
+  const previous = models.daily[index - 1];
+  if (day.coverageHours === 0) return null;
+  const downy = day.primaryInfection || previous?.primaryInfection ? 85 : 10;
+  return Math.max(downy, day.pmi ?? 10);
+};
+
+const localDayStart = (ms) => {
+  const date = new Date(ms);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+const dateKey = (ms) => {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Current farm health (last 24 h) and a daily trend, all from measured data.
+ * @param {Object} sources - { records, detections, alerts, models, thresholds }
+ *   records    - normalized envLogs records covering the trend
+ *   detections - [{ timestamp, disease, confidence, severity, lowTrust }] from Supabase
+ *   alerts     - disease alert history [{ timestamp, type }] (useAlerts detection alerts)
+ *   models     - computeDiseaseModels output (optional)
+ *   thresholds - resolved sensor thresholds
+ * @returns {{ current: Object, inputs: Object, trend: Array<{ date, score, label, inputs, breakdown }> }}
+ */
+export function computeFarmHealthReport({ records = [], detections = [], alerts = [], models = null, thresholds }, { now = Date.now(), days = TREND_DAYS } = {}) {
+  const intervals = buildReadingIntervals(records, now, MAX_GAP_MS);
+  const hasSensorHistory = intervals.length > 0;
+  const firstReading = hasSensorHistory ? intervals[0].start : null;
+  const criticalAlertsBetween = (startMs, endMs) => alerts.filter(alert => {
+    const time = new Date(alert.timestamp).getTime();
+    return alert.type === 'critical' && time >= startMs && time < endMs;
+  }).length;
+
+  const inputsFor = (startMs, endMs, sensors, irrigationPeriods, modelRisk) => {
+    // Before the first reading there's nothing to measure uptime against
+    const measured = hasSensorHistory && endMs > firstReading;
+    // No scans and no model days means disease pressure is unknown, not zero
+    const detectionRisk = detections.length > 0 ? detectionRiskPct(detections, { now: endMs }) : null;
+    return {
+      sensorUptimePct: measured ? sensors.uptimePct : null,
+      envSuitabilityPct: sensors.envSuitabilityPct,
+      irrigationBalancePct: irrigationBalance(irrigationPeriods, thresholds.soilMoisture.optimal),
+      diseaseRiskPct: modelRisk !== null ? Math.max(detectionRisk ?? 0, modelRisk) : detectionRisk,
+      alertLoadPct: measured || alerts.length > 0
+        ? alertLoadPct({ critical: criticalAlertsBetween(startMs, endMs), warning: sensors.sensorWarnings })
+        : null
+    };
+  };
 
+  // Daily trend, oldest first; today is partial
+  const today = localDayStart(now);
+  const daily = [];
+  for (let d = days - 1; d >= 0; d--) {
+    const date = new Date(today);
+    date.setDate(date.getDate() - d);
+    const startMs = date.getTime();
+    const next = new Date(date);
+    next.setDate(next.getDate() + 1);
+    const endMs = Math.min(next.getTime(), now);
+    daily.push({ date: dateKey(startMs), startMs, endMs, period: summarizeSensorPeriod(intervals, startMs, endMs, thresholds) });
+  }
+
+  const trend = daily.map((day, i) => {
+    const irrigationPeriods = daily.slice(Math.max(0, i - 2), i + 1).map(d => d.period);
+    const inputs = inputsFor(day.startMs, day.endMs, day.period, irrigationPeriods, modelRiskForDay(models, day.date));
+    const health = computeFarmHealth(inputs);
+    return { date: day.date, score: health.score, label: health.label, inputs, breakdown: health.breakdown };
+  });
+
+  // Current score: rolling last 24 h, irrigation over the last 3 days
+  const irrigationPeriods = [2, 1, 0].map(k => summarizeSensorPeriod(intervals, now - (k + 1) * DAY, now - k * DAY, thresholds));
+  const inputs = inputsFor(now - DAY, now, irrigationPeriods[2], irrigationPeriods, models?.riskPct ?? null);
+
+  return { current: computeFarmHealth(inputs), inputs, trend };
+}
@@ -0,0 +1,136 @@
+import {
+  computeFarmHealth,
+  computeFarmHealthReport,
+  detectionRiskPct,
+  irrigationBalance
+} from './FarmHealthService';
+import { getRegionThresholds } from './SensorThresholdService';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const thresholds = getRegionThresholds('westernMaharashtra', 'winter');
+
+// Readings every 5 minutes between `fromMs` and `toMs`
+const buildRecords = (fromMs, toMs, reading) => {
+  const records = [];
+  for (let timestamp = fromMs; timestamp < toMs; timestamp += 5 * 60 * 1000) {
+    records.push({ id: String(timestamp), timestamp, ...reading(timestamp) });
+  }
+  return records;
+};
+
+const goodReading = () => ({
+  temperature: 22,
+  humidity: 60,
+  soilMoisture: 50,
+  batteryVoltage: 12,
+  rainSensor: 0,
+  lightIntensity: 500
+});
+
+describe('computeFarmHealth', () => {
+  test('keeps the original weights when every input is measured', () => {
+    const health = computeFarmHealth({
+      diseaseRiskPct: 10,
+      sensorUptimePct: 95,
+      envSuitabilityPct: 80,
+      irrigationBalancePct: 75,
+      alertLoadPct: 5
+    });
+
+    expect(health.score).toBe(88);
+    expect(health.label).toBe('Excellent');
+    expect(health.missing).toEqual([]);
+    expect(health.breakdown.find(b => b.key === 'diseaseRisk')).toMatchObject({ weight: 35, contribution: 31.5, lost: 3.5 });
+  });
+
+  test('leaves out missing inputs and rescales the rest', () => {
+    const health = computeFarmHealth({ sensorUptimePct: 50, envSuitabilityPct: 100 });
+
+    expect(health.missing).toEqual(['diseaseRisk', 'irrigationBalance', 'alertLoad']);
+    // 0.25 and 0.20 rescaled to 5/9 and 4/9
+    expect(health.score).toBe(72);
+    expect(health.breakdown.map(b => b.weight)).toEqual([55.6, 44.4]);
+  });
+
+  test('is unknown without any measurement', () => {
+    expect(computeFarmHealth({})).toMatchObject({ score: null, label: 'Unknown', breakdown: [] });
+  });
+});
+
+describe('detectionRiskPct', () => {
+  const now = new Date(2025, 0, 10, 12).getTime();
+
+  test('fades detections by age and ignores healthy results', () => {
+    const fresh = detectionRiskPct([{ timestamp: now, disease: 'Downy Mildew', confidence: 90, severity: 'High' }], { now });
+    const older = detectionRiskPct([{ timestamp: now - 3 * DAY, disease: 'Downy Mildew', confidence: 90, severity: 'High' }], { now });
+    const healthy = detectionRiskPct([{ timestamp: now, disease: 'Healthy', confidence: 99, severity: 'Low' }], { now });
+
+    expect(fresh).toBe(90);
+    expect(older).toBe(45);
+    expect(healthy).toBe(0);
+  });
+
+  test('counts low-trust results at half weight and combines several detections', () => {
+    const detection = { timestamp: now, disease: 'Anthracnose', confidence: 80, severity: 'Medium' };
+    expect(detectionRiskPct([{ ...detection, lowTrust: true }], { now })).toBe(28);
+    expect(detectionRiskPct([detection, detection], { now })).toBe(80.6);
+  });
+});
+
+describe('irrigationBalance', () => {
+  test('penalizes moisture drifting further out of range', () => {
+    const steady = [{ soilInOptimalPct: 80, soilMean: 50 }, { soilInOptimalPct: 80, soilMean: 50 }];
+    const drying = [{ soilInOptimalPct: 80, soilMean: 30 }, { soilInOptimalPct: 80, soilMean: 20 }];
+
+    expect(irrigationBalance(steady, [30, 70])).toBe(80);
+    expect(irrigationBalance(drying, [30, 70])).toBe(50);
+    expect(irrigationBalance([{ soilInOptimalPct: null, soilMean: null }], [30, 70])).toBeNull();
+  });
+});
+
+describe('computeFarmHealthReport', () => {
+  const now = new Date(2025, 0, 10, 12).getTime();
+
+  test('measures uptime from gaps in envLogs', () => {
+    // Full last day except a 6-hour outage
+    const records = buildRecords(now - 2 * DAY, now, goodReading)
+      .filter(r => r.timestamp < now - 12 * HOUR || r.timestamp >= now - 6 * HOUR);
+    const { inputs, current } = computeFarmHealthReport({ records, thresholds }, { now, days: 3 });
+
+    expect(inputs.sensorUptimePct).toBeCloseTo(75, 0);
+    expect(inputs.envSuitabilityPct).toBe(100);
+    expect(inputs.diseaseRiskPct).toBeNull();
+    expect(current.missing).toEqual(['diseaseRisk']);
+  });
+
+  test('builds a daily trend that shows when the score moved', () => {
+    const detections = [{ timestamp: new Date(now - DAY).toISOString(), disease: 'Downy Mildew', confidence: 95, severity: 'High' }];
+    const alerts = [{ timestamp: new Date(now - DAY).toISOString(), type: 'critical' }];
+    const records = buildRecords(now - 5 * DAY, now, goodReading);
+    const { trend } = computeFarmHealthReport({ records, detections, alerts, thresholds }, { now, days: 5 });
+
+    expect(trend).toHaveLength(5);
+    expect(trend[4].date).toBe('2025-01-10');
+    // Before the detection the only disease data says "no pressure"; afterwards the score drops
+    expect(trend[2].inputs.diseaseRiskPct).toBe(0);
+    expect(trend[3].inputs.diseaseRiskPct).toBeGreaterThan(80);
+    expect(trend[3].inputs.alertLoadPct).toBe(15);
+    expect(trend[3].score).toBeLessThan(trend[2].score);
+  });
+
+  test('uses disease model pressure for days it covers', () => {
+    const records = buildRecords(now - 2 * DAY, now, goodReading);
+    const models = {
+      riskPct: 85,
+      daily: [
+        { date: '2025-01-09', coverageHours: 24, primaryInfection: true, pmi: null },
+        { date: '2025-01-10', coverageHours: 12, primaryInfection: false, pmi: null }
+      ]
+    };
+    const { trend, inputs } = computeFarmHealthReport({ records, models, thresholds }, { now, days: 2 });
+
+    expect(trend.map(day => day.inputs.diseaseRiskPct)).toEqual([85, 85]);
+    expect(inputs.diseaseRiskPct).toBe(85);
+  });
+});
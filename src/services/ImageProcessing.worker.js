@@ -0,0 +1,121 @@
+/* eslint-disable no-restricted-globals */
+/* global FileReaderSync */
+// Image Processing Worker - pixel work off the main thread
+// src/services/ImageProcessing.worker.js
+//
+// Tasks (run through ImageWorkerPool):
+//   preprocess    - resize for the model, JPEG data URL, quality gate, dHash
+//   tile          - one tile of a large photo for detailed analysis (see TiledInferenceService)
+//   augment       - flipped / rotated / rescaled copy for ensemble analysis (see EnsembleInferenceService)
+//   colorFeatures - full-resolution color features for the heuristic
+//   compress      - small JPEG preview for the local history
+// Images arrive as transferred ImageBitmaps (or a URL for compress) and are
+// drawn on OffscreenCanvas; results mirror the main-thread versions exactly.
+
+import { computeColorFeatures } from './SimpleDiseaseDetectionService';
+import { analysisCanvasSize, assessImageQuality } from './ImageQualityService';
+import { differenceHash, PHASH_SIZE } from './ResultCacheService';
+import { variantFrame } from './EnsembleInferenceService';
+
+const blobToDataUrl = (blob) => new FileReaderSync().readAsDataURL(blob);
+
+const drawBitmap = (bitmap, width, height) => {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  return { canvas, ctx };
+};
+
+const tasks = {
+  // Same output as DetectronDiseaseService.preprocessImage
+  async preprocess({ bitmap, maxSize, jpegQuality }) {
+    const originalWidth = bitmap.width;
+    const originalHeight = bitmap.height;
+    const scale = Math.min(maxSize / originalWidth, maxSize / originalHeight);
+    const width = Math.round(originalWidth * scale);
+    const height = Math.round(originalHeight * scale);
+
+    const { canvas } = drawBitmap(bitmap, width, height);
+    const base64 = blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: jpegQuality }));
+
+    const size = analysisCanvasSize(originalWidth, originalHeight);
+    const { ctx } = drawBitmap(bitmap, size.width, size.height);
+    const quality = assessImageQuality(ctx.getImageData(0, 0, size.width, size.height), {
+      width: originalWidth,
+      height: originalHeight
+    });
+
+    const hashCanvas = drawBitmap(bitmap, PHASH_SIZE.width, PHASH_SIZE.height);
+    const perceptualHash = differenceHash(hashCanvas.ctx.getImageData(0, 0, PHASH_SIZE.width, PHASH_SIZE.height).data);
+
+    return { base64, width, height, originalWidth, originalHeight, scale, quality, perceptualHash };
+  },
+
+  // Same output as DetectronDiseaseService.cropTileOnMainThread; the bitmap is already cropped
+  async tile({ bitmap, maxSize, jpegQuality }) {
+    const originalWidth = bitmap.width;
+    const originalHeight = bitmap.height;
+    const scale = Math.min(1, maxSize / originalWidth, maxSize / originalHeight);
+    const width = Math.round(originalWidth * scale);
+    const height = Math.round(originalHeight * scale);
+    const { canvas } = drawBitmap(bitmap, width, height);
+    const base64 = blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: jpegQuality }));
+    return { base64, width, height, originalWidth, originalHeight, scale };
+  },
+
+  // Same output as DetectronDiseaseService.augmentImageOnMainThread
+  async augment({ bitmap, width, height, variant, jpegQuality }) {
+    const frame = variantFrame(variant, width, height);
+    const canvas = new OffscreenCanvas(frame.width, frame.height);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(...frame.transform);
+    ctx.drawImage(bitmap, 0, 0, frame.drawWidth, frame.drawHeight);
+    const base64 = blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: jpegQuality }));
+    return {
+      base64,
+      width: frame.width,
+      height: frame.height,
+      originalWidth: bitmap.width,
+      originalHeight: bitmap.height,
+      scale: frame.drawWidth / bitmap.width
+    };
+  },
+
+  async colorFeatures({ bitmap }) {
+    const { ctx } = drawBitmap(bitmap, bitmap.width, bitmap.height);
+    return computeColorFeatures(ctx.getImageData(0, 0, bitmap.width, bitmap.height).data);
+  },
+
+  // Same sizing as useStorageManager's compressImageOnMainThread
+  async compress({ source, maxSize, jpegQuality }) {
+    const response = await fetch(source);
+    const bitmap = await createImageBitmap(await response.blob());
+    try {
+      let { width, height } = bitmap;
+      if (width > height) {
+        if (width > maxSize) {
+          height = (height * maxSize) / width;
+          width = maxSize;
+        }
+      } else if (height > maxSize) {
+        width = (width * maxSize) / height;
+        height = maxSize;
+      }
+      const { canvas } = drawBitmap(bitmap, Math.round(width), Math.round(height));
+      return blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: jpegQuality }));
+    } finally {
+      bitmap.close();
+    }
+  }
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    if (!tasks[type]) throw new Error(`Unknown image task: ${type}`);
+    self.postMessage({ id, result: await tasks[type](payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  } finally {
+    payload?.bitmap?.close?.();
+  }
+};
@@ -0,0 +1,176 @@
+// Image Quality Service - pre-inference quality gate
+// src/services/ImageQualityService.js
+//
+// Checks a photo before it reaches a detection backend:
+//   - resolution: shorter side of the original image
+//   - blur: variance of the Laplacian on a fixed-size grayscale copy
+//   - exposure: mean brightness and share of clipped highlights/shadows
+//   - leaf coverage: green + lesion-colored pixels (computeColorFeatures)
+// Each check can warn (analysis runs, result flagged) or reject (no diagnosis).
+// Manual uploads, batch and live camera images all go through the same gate
+// in DetectronDiseaseService.preprocessImage/predict.
+
+import { computeColorFeatures } from './SimpleDiseaseDetectionService';
+
+export const ANALYSIS_SIZE = 400; // longest side of the copy the metrics are measured on
+
+export const QUALITY_LIMITS = {
+  minShortSide: { reject: 224, warn: 480 }, // px of the original image
+  sharpness: { reject: 15, warn: 40 }, // Laplacian variance at ANALYSIS_SIZE
+  clippedHighPct: { reject: 30, warn: 10 }, // brightness ≥ 245
+  clippedLowPct: { reject: 40, warn: 20 }, // brightness ≤ 10
+  meanBrightness: { rejectBelow: 35, warnBelow: 60, warnAbove: 200, rejectAbove: 225 },
+  leafCoveragePct: { reject: 10, warn: 25 }
+};
+
+// Issue code → translation keys for the problem and the fix
+export const QUALITY_ISSUES = {
+  lowResolution: { messageKey: 'qualityLowResolution', tipKey: 'qualityTipLowResolution' },
+  blurry: { messageKey: 'qualityBlurry', tipKey: 'qualityTipBlurry' },
+  overexposed: { messageKey: 'qualityOverexposed', tipKey: 'qualityTipOverexposed' },
+  underexposed: { messageKey: 'qualityUnderexposed', tipKey: 'qualityTipUnderexposed' },
+  noLeaf: { messageKey: 'qualityNoLeaf', tipKey: 'qualityTipNoLeaf' }
+};
+
+// English guidance stored with rejected results (the UI shows the localized keys)
+const ISSUE_GUIDANCE = {
+  lowResolution: 'Use the full camera resolution or move closer to the leaf',
+  blurry: 'Hold the camera steady and tap to focus on the leaf before shooting',
+  overexposed: 'Avoid direct sunlight on the leaf; shade it or shoot from another angle',
+  underexposed: 'Take the photo in daylight or turn on more light',
+  noLeaf: 'Fill most of the frame with a single grape leaf'
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Size of the copy the metrics are measured on (never upscaled)
+export function analysisCanvasSize(width, height) {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+// Variance of the 4-neighbour Laplacian over a grayscale image
+export function laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+/**
+ * Quality metrics and verdict from RGBA pixels.
+ * @param {{ data, width, height }} pixels - canvas ImageData (ideally at ANALYSIS_SIZE)
+ * @param {{ width, height }} originalSize - size of the photo as uploaded
+ * @returns {{ status: 'pass'|'warn'|'reject', issues: Array<{ code, level, messageKey, tipKey }>, metrics }}
+ */
+export function assessImageQuality({ data, width, height }, originalSize = { width, height }) {
+  const pixelCount = width * height;
+  const gray = new Float32Array(pixelCount);
+  let brightnessSum = 0;
+  let clippedHigh = 0;
+  let clippedLow = 0;
+
+  for (let p = 0; p < pixelCount; p++) {
+    const r = data[p * 4];
+    const g = data[p * 4 + 1];
+    const b = data[p * 4 + 2];
+    gray[p] = 0.299 * r + 0.587 * g + 0.114 * b;
+    const brightness = (r + g + b) / 3;
+    brightnessSum += brightness;
+    if (brightness >= 245) clippedHigh++;
+    if (brightness <= 10) clippedLow++;
+  }
+
+  const colors = computeColorFeatures(data);
+  const metrics = {
+    width: originalSize.width,
+    height: originalSize.height,
+    sharpness: round1(laplacianVariance(gray, width, height)),
+    meanBrightness: round1(brightnessSum / Math.max(1, pixelCount)),
+    clippedHighPct: round1((clippedHigh / Math.max(1, pixelCount)) * 100),
+    clippedLowPct: round1((clippedLow / Math.max(1, pixelCount)) * 100),
+    leafCoveragePct: round1((colors.greenRatio + colors.brownRatio + colors.yellowRatio) * 100)
+  };
+
+  const limits = QUALITY_LIMITS;
+  const found = [];
+  const check = (code, rejectWhen, warnWhen) => {
+    if (rejectWhen) found.push({ code, level: 'reject' });
+    else if (warnWhen) found.push({ code, level: 'warn' });
+  };
+
+  const shortSide = Math.min(metrics.width, metrics.height);
+  check('lowResolution', shortSide < limits.minShortSide.reject, shortSide < limits.minShortSide.warn);
+  check('blurry', metrics.sharpness < limits.sharpness.reject, metrics.sharpness < limits.sharpness.warn);
+  check(
+    'overexposed',
+    metrics.clippedHighPct > limits.clippedHighPct.reject || metrics.meanBrightness > limits.meanBrightness.rejectAbove,
+    metrics.clippedHighPct > limits.clippedHighPct.warn || metrics.meanBrightness > limits.meanBrightness.warnAbove
+  );
+  check(
+    'underexposed',
+    metrics.clippedLowPct > limits.clippedLowPct.reject || metrics.meanBrightness < limits.meanBrightness.rejectBelow,
+    metrics.clippedLowPct > limits.clippedLowPct.warn || metrics.meanBrightness < limits.meanBrightness.warnBelow
+  );
+  check('noLeaf', metrics.leafCoveragePct < limits.leafCoveragePct.reject, metrics.leafCoveragePct < limits.leafCoveragePct.warn);
+
+  const issues = found.map(issue => ({ ...issue, ...QUALITY_ISSUES[issue.code] }));
+  let status = 'pass';
+  if (issues.some(issue => issue.level === 'reject')) status = 'reject';
+  else if (issues.length > 0) status = 'warn';
+
+  return { status, issues, metrics };
+}
+
+/**
+ * Run the gate on an <img>, <video> (current frame) or canvas element.
+ * Metrics are measured on a copy scaled to ANALYSIS_SIZE so thresholds don't depend on the photo size.
+ */
+export function assessImageElementQuality(imageElement) {
+  const originalWidth = imageElement.naturalWidth || imageElement.videoWidth || imageElement.width;
+  const originalHeight = imageElement.naturalHeight || imageElement.videoHeight || imageElement.height;
+  const size = analysisCanvasSize(originalWidth, originalHeight);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(imageElement, 0, 0, canvas.width, canvas.height);
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  return assessImageQuality(pixels, { width: originalWidth, height: originalHeight });
+}
+
+// Result returned instead of a diagnosis when the gate rejects a photo
+export function buildQualityRejectedResult(quality) {
+  return {
+    disease: 'Poor Image Quality',
+    confidence: 0,
+    severity: 'Unknown',
+    marathi: 'प्रतिमेची गुणवत्ता कमी',
+    recommendations: quality.issues.map(issue => ISSUE_GUIDANCE[issue.code]),
+    detectedRegions: 0,
+    healthyArea: 0,
+    visualizationImage: null,
+    qualityRejected: true,
+    quality,
+    detectionDetails: {
+      quality,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
@@ -0,0 +1,88 @@
+import { assessImageQuality, buildQualityRejectedResult, laplacianVariance } from './ImageQualityService';
+
+const SIZE = 100;
+const photoSize = { width: 1600, height: 1200 };
+
+// RGBA pixels from a (x, y) → [r, g, b] function
+const makePixels = (colorAt, width = SIZE, height = SIZE) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+};
+
+// Leaf veins: 4 px stripes of two greens
+const stripes = (a, b) => (x) => (Math.floor(x / 4) % 2 === 0 ? a : b);
+const sharpLeaf = makePixels(stripes([60, 140, 40], [90, 180, 60]));
+const codes = (quality) => quality.issues.map(issue => issue.code);
+
+describe('laplacianVariance', () => {
+  test('is zero on flat images and large on edges', () => {
+    const flat = new Float32Array(25).fill(128);
+    expect(laplacianVariance(flat, 5, 5)).toBe(0);
+
+    const edges = Float32Array.from({ length: 25 }, (_, i) => (i % 2 === 0 ? 0 : 255));
+    expect(laplacianVariance(edges, 5, 5)).toBeGreaterThan(1000);
+  });
+});
+
+describe('assessImageQuality', () => {
+  test('passes a sharp, well exposed leaf photo', () => {
+    const quality = assessImageQuality(sharpLeaf, photoSize);
+    expect(quality.status).toBe('pass');
+    expect(quality.issues).toEqual([]);
+    expect(quality.metrics.leafCoveragePct).toBe(100);
+  });
+
+  test('rejects a blurry photo', () => {
+    // Smooth left-to-right gradient: no edges at all
+    const blurry = makePixels((x) => [60, 120 + Math.round(x / 2), 40]);
+    const quality = assessImageQuality(blurry, photoSize);
+    expect(quality.status).toBe('reject');
+    expect(codes(quality)).toEqual(['blurry']);
+    expect(quality.issues[0]).toMatchObject({ messageKey: 'qualityBlurry', tipKey: 'qualityTipBlurry' });
+  });
+
+  test('flags clipped highlights and dark photos', () => {
+    const glare = makePixels(stripes([255, 255, 255], [250, 252, 250]));
+    expect(codes(assessImageQuality(glare, photoSize))).toContain('overexposed');
+
+    const dark = makePixels(stripes([0, 5, 0], [10, 40, 10]));
+    const quality = assessImageQuality(dark, photoSize);
+    expect(quality.status).toBe('reject');
+    expect(codes(quality)).toContain('underexposed');
+    expect(codes(quality)).not.toContain('overexposed');
+  });
+
+  test('warns on small photos and rejects tiny ones', () => {
+    expect(assessImageQuality(sharpLeaf, { width: 640, height: 400 })).toMatchObject({
+      status: 'warn',
+      issues: [{ code: 'lowResolution', level: 'warn' }]
+    });
+    expect(assessImageQuality(sharpLeaf, { width: 200, height: 150 }).status).toBe('reject');
+  });
+
+  test('rejects photos without a leaf', () => {
+    const wall = makePixels(stripes([120, 120, 130], [160, 160, 170]));
+    const quality = assessImageQuality(wall, photoSize);
+    expect(quality.status).toBe('reject');
+    expect(codes(quality)).toEqual(['noLeaf']);
+  });
+});
+
+describe('buildQualityRejectedResult', () => {
+  test('returns guidance instead of a diagnosis', () => {
+    const quality = assessImageQuality(makePixels(stripes([120, 120, 130], [160, 160, 170])), photoSize);
+    const result = buildQualityRejectedResult(quality);
+    expect(result).toMatchObject({ qualityRejected: true, confidence: 0, quality });
+    expect(result.recommendations).toHaveLength(1);
+  });
+});
@@ -0,0 +1,138 @@
+// Image Worker Pool - runs ImageProcessing.worker tasks off the main thread
+// src/services/ImageWorkerPool.js
+//
+// Workers are created lazily (up to `size`) and reused; tasks queue while all
+// of them are busy. Callers go through runOrFallback so anything a worker
+// can't do (no OffscreenCanvas, tainted image, worker crash) still runs on
+// the main thread as before.
+
+const MAX_WORKERS = 4;
+const MAX_WORKER_CRASHES = 3; // after this many crashes the pool stops spawning workers
+
+const workersAvailable = () =>
+  typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap !== 'undefined';
+
+const defaultPoolSize = () => {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1)); // leave a core for the UI
+};
+
+export class ImageWorkerPool {
+  /**
+   * @param {Object} options - { size, createWorker } (createWorker is for tests; defaults to the bundled worker)
+   */
+  constructor({ size, createWorker } = {}) {
+    this.size = size || defaultPoolSize();
+    this.createWorker = createWorker || null;
+    this.forceSupported = !!createWorker;
+    this.slots = []; // [{ worker, task }]
+    this.queue = [];
+    this.nextId = 1;
+    this.crashes = 0;
+  }
+
+  isSupported() {
+    return this.crashes < MAX_WORKER_CRASHES && (this.forceSupported || workersAvailable());
+  }
+
+  /**
+   * Run one task in a worker.
+   * @param {string} type - task name in ImageProcessing.worker.js
+   * @param {Object} payload - task input
+   * @param {Array} transfer - transferables in the payload (ImageBitmaps, ArrayBuffers)
+   */
+  async run(type, payload, transfer = []) {
+    if (!this.createWorker) {
+      this.createWorker = (await import('./createImageWorker')).default;
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, type, payload, transfer, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Run a task in a worker, or `fallback()` on the main thread when workers
+   * aren't available or the task fails there.
+   * @param {string} type - task name in ImageProcessing.worker.js
+   * @param {Function} prepare - async () => ({ payload, transfer })
+   * @param {Function} fallback - main-thread implementation
+   */
+  async runOrFallback(type, prepare, fallback) {
+    if (!this.isSupported()) return fallback();
+    try {
+      const { payload, transfer = [] } = await prepare();
+      return await this.run(type, payload, transfer);
+    } catch (error) {
+      console.warn(`⚠ Image worker task "${type}" failed, using main thread:`, error.message);
+      return fallback();
+    }
+  }
+
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find(s => !s.task);
+      if (!slot && this.slots.length < this.size) slot = this._spawn();
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      try {
+        slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+      } catch (error) {
+        // e.g. payload not cloneable
+        slot.task = null;
+        task.reject(error);
+      }
+    }
+  }
+
+  _spawn() {
+    const slot = { worker: this.createWorker(), task: null };
+
+    slot.worker.onmessage = ({ data }) => {
+      const { task } = slot;
+      slot.task = null;
+      if (task && data.id === task.id) {
+        if (data.error) task.reject(new Error(data.error));
+        else task.resolve(data.result);
+      }
+      this._dispatch();
+    };
+
+    // Script failed to load or threw outside a task: drop the worker, fail its task
+    slot.worker.onerror = (event) => {
+      event?.preventDefault?.();
+      this.crashes++;
+      console.error('❌ Image worker crashed:', event?.message || event);
+      slot.worker.terminate();
+      this.slots = this.slots.filter(s => s !== slot);
+      slot.task?.reject(new Error(event?.message || 'Image worker crashed'));
+      slot.task = null;
+
+      if (this.isSupported()) {
+        this._dispatch();
+      } else {
+        // Give queued tasks back to their callers' main-thread fallback
+        this.queue.splice(0).forEach(task => task.reject(new Error('Image workers disabled')));
+      }
+    };
+
+    this.slots.push(slot);
+    return slot;
+  }
+
+  terminate() {
+    this.slots.forEach(slot => {
+      slot.worker.terminate();
+      slot.task?.reject(new Error('Image worker pool terminated'));
+    });
+    this.queue.splice(0).forEach(task => task.reject(new Error('Image worker pool terminated')));
+    this.slots = [];
+  }
+}
+
+const imageWorkerPool = new ImageWorkerPool();
+export default imageWorkerPool;
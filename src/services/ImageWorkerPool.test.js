@@ -0,0 +1,101 @@
+import { ImageWorkerPool } from './ImageWorkerPool';
+
+// Fake worker: answers each message on the next tick with `handler(type, payload)`
+const fakeWorkerFactory = (handler, log = []) => () => {
+  const worker = {
+    terminated: false,
+    postMessage: ({ id, type, payload }, transfer) => {
+      log.push({ worker, type, transfer });
+      setTimeout(() => {
+        try {
+          worker.onmessage({ data: { id, result: handler(type, payload) } });
+        } catch (error) {
+          worker.onmessage({ data: { id, error: error.message } });
+        }
+      }, 0);
+    },
+    terminate: () => {
+      worker.terminated = true;
+    }
+  };
+  return worker;
+};
+
+describe('ImageWorkerPool', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('spreads tasks over at most `size` workers and passes transferables', async () => {
+    const log = [];
+    const pool = new ImageWorkerPool({ size: 2, createWorker: fakeWorkerFactory((type, p) => p.n * 2, log) });
+    const buffer = new ArrayBuffer(8);
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.run('double', { n, buffer }, [buffer])));
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(pool.slots).toHaveLength(2);
+    expect(new Set(log.map(entry => entry.worker)).size).toBe(2);
+    expect(log[0].transfer).toEqual([buffer]);
+  });
+
+  test('rejects tasks that fail inside the worker and keeps the worker', async () => {
+    const pool = new ImageWorkerPool({
+      size: 1,
+      createWorker: fakeWorkerFactory((type) => {
+        if (type === 'bad') throw new Error('tainted canvas');
+        return 'ok';
+      })
+    });
+
+    await expect(pool.run('bad', {})).rejects.toThrow('tainted canvas');
+    await expect(pool.run('good', {})).resolves.toBe('ok');
+    expect(pool.slots).toHaveLength(1);
+  });
+
+  test('runOrFallback uses the main thread when a task fails', async () => {
+    const pool = new ImageWorkerPool({ size: 1, createWorker: fakeWorkerFactory(() => { throw new Error('no OffscreenCanvas'); }) });
+    const fallback = jest.fn(() => 'main thread');
+
+    await expect(pool.runOrFallback('preprocess', async () => ({ payload: {} }), fallback)).resolves.toBe('main thread');
+    expect(fallback).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops using workers after repeated crashes', async () => {
+    const workers = [];
+    const pool = new ImageWorkerPool({
+      size: 1,
+      createWorker: () => {
+        const worker = {
+          postMessage: () => setTimeout(() => worker.onerror({ message: 'script error', preventDefault: () => {} }), 0),
+          terminate: jest.fn()
+        };
+        workers.push(worker);
+        return worker;
+      }
+    });
+    const fallback = jest.fn(() => 'fallback');
+
+    for (let i = 0; i < 3; i++) {
+      await expect(pool.runOrFallback('preprocess', async () => ({ payload: {} }), fallback)).resolves.toBe('fallback');
+    }
+    expect(pool.isSupported()).toBe(false);
+    expect(workers.every(worker => worker.terminate.mock.calls.length === 1)).toBe(true);
+
+    // No more workers are spawned once disabled
+    await pool.runOrFallback('preprocess', async () => ({ payload: {} }), fallback);
+    expect(workers).toHaveLength(3);
+  });
+
+  test('falls back when workers are not available in this environment', async () => {
+    const pool = new ImageWorkerPool();
+    const prepare = jest.fn();
+    await expect(pool.runOrFallback('colorFeatures', prepare, () => 'main thread')).resolves.toBe('main thread');
+    expect(prepare).not.toHaveBeenCalled();
+  });
+});
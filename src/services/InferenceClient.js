@@ -0,0 +1,167 @@
+// Inference Client - cancellation, retry and circuit breaking for detection backends
+// src/services/InferenceClient.js
+//
+//   callWithDeadline  - run one call with a timeout and an AbortSignal
+//   retryWithBackoff  - exponential backoff (with jitter) for cold-starting Spaces
+//   CircuitBreaker    - stops calling a failing backend, lets a probe through
+//                       after a cooldown that doubles on every failed probe
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export function createAbortError(message = 'Request cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+export function createTimeoutError(ms) {
+  const error = new Error(`Request timed out after ${Math.round(ms / 1000)} seconds`);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * Run `fn(signal)` with a deadline. The signal passed to `fn` aborts on
+ * timeout and when the caller's signal aborts, so fetch() and friends stop
+ * too; `onCancel` is for APIs that need an explicit cancel call.
+ * @param {Function} fn - (signal) => Promise
+ * @param {{ timeoutMs?: number, signal?: AbortSignal, onCancel?: Function }} options
+ */
+export function callWithDeadline(fn, { timeoutMs = 30000, signal, onCancel } = {}) {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+
+  const controller = new AbortController();
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (settle, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', handleAbort);
+      settle(value);
+    };
+    const cancelWith = (error) => {
+      controller.abort();
+      try { onCancel?.(); } catch (_) {}
+      finish(reject, error);
+    };
+    const handleAbort = () => cancelWith(createAbortError());
+    const timer = timeoutMs > 0 ? setTimeout(() => cancelWith(createTimeoutError(timeoutMs)), timeoutMs) : null;
+    signal?.addEventListener('abort', handleAbort);
+
+    Promise.resolve()
+      .then(() => fn(controller.signal))
+      .then(value => finish(resolve, value), error => finish(reject, error));
+  });
+}
+
+// setTimeout that rejects with an AbortError when the signal fires
+export function sleep(ms, signal) {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+// Delay before retry `attempt` (1-based): base · factor^(attempt-1), capped, ±jitter
+export function backoffDelay(attempt, { baseDelayMs = 2000, factor = 2, maxDelayMs = 30000, jitter = 0.2, random = Math.random } = {}) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * factor ** (attempt - 1));
+  return Math.round(delay * (1 - jitter + 2 * jitter * random()));
+}
+
+/**
+ * Call `fn(attempt, signal)` until it succeeds, waiting longer after each failure.
+ * Aborts are never retried.
+ * @param {Function} fn - (attempt, signal) => Promise
+ * @param {Object} options - { retries, signal, shouldRetry(error), onRetry({ attempt, delayMs, error }), ...backoffDelay options }
+ */
+export async function retryWithBackoff(fn, { retries = 3, signal, shouldRetry = () => true, onRetry, ...delayOptions } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt, signal);
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      if (isAbortError(error) || attempt > retries || !shouldRetry(error)) throw error;
+      const delayMs = backoffDelay(attempt, delayOptions);
+      onRetry?.({ attempt, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+export const CIRCUIT_STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold, cooldownMs, maxCooldownMs, probeTimeoutMs, now }
+   *   probeTimeoutMs: a probe with no recorded outcome after this long no longer holds off other callers
+   */
+  constructor({ failureThreshold = 2, cooldownMs = 60000, maxCooldownMs = 10 * 60000, probeTimeoutMs = 2 * 60000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.probeTimeoutMs = probeTimeoutMs;
+    this.baseCooldownMs = cooldownMs;
+    this.maxCooldownMs = maxCooldownMs;
+    this.now = now;
+    this.reset();
+  }
+
+  reset() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.openedAt = null;
+    this.probeStartedAt = null; // set while the half-open probe is in flight
+  }
+
+  // Open circuits let one call through (half-open) once the cooldown has passed;
+  // other callers are refused until that probe succeeds, fails or is cancelled
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+    if (this.state !== CIRCUIT_STATES.HALF_OPEN) return this.state === CIRCUIT_STATES.CLOSED;
+    if (this.probeStartedAt !== null && this.now() - this.probeStartedAt < this.probeTimeoutMs) return false;
+    this.probeStartedAt = this.now();
+    return true;
+  }
+
+  // The probe ended without an answer (cancelled): the next caller may probe
+  cancelProbe() {
+    this.probeStartedAt = null;
+  }
+
+  recordSuccess() {
+    this.reset();
+  }
+
+  recordFailure() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      // Probe failed: back off further before the next one
+      this.cooldownMs = Math.min(this.maxCooldownMs, this.cooldownMs * 2);
+      this._open();
+      return;
+    }
+    this.failures++;
+    if (this.failures >= this.failureThreshold) this._open();
+  }
+
+  _open() {
+    this.state = CIRCUIT_STATES.OPEN;
+    this.openedAt = this.now();
+    this.probeStartedAt = null;
+  }
+
+  // ms until the next probe is allowed (0 when calls are allowed now)
+  msUntilRetry() {
+    if (this.state !== CIRCUIT_STATES.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - this.now());
+  }
+}
@@ -0,0 +1,154 @@
+import {
+  backoffDelay,
+  callWithDeadline,
+  retryWithBackoff,
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  isAbortError
+} from './InferenceClient';
+
+const never = () => new Promise(() => {});
+
+describe('backoffDelay', () => {
+  test('doubles per attempt up to the cap', () => {
+    const noJitter = { jitter: 0, baseDelayMs: 1000, maxDelayMs: 5000 };
+    expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt, noJitter))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  test('jitter stays within ±20%', () => {
+    expect(backoffDelay(1, { baseDelayMs: 1000, random: () => 0 })).toBe(800);
+    expect(backoffDelay(1, { baseDelayMs: 1000, random: () => 1 })).toBe(1200);
+  });
+});
+
+describe('callWithDeadline', () => {
+  test('rejects with a TimeoutError and cancels the call', async () => {
+    const onCancel = jest.fn();
+    let innerSignal = null;
+    const call = callWithDeadline((signal) => {
+      innerSignal = signal;
+      return never();
+    }, { timeoutMs: 10, onCancel });
+
+    await expect(call).rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(onCancel).toHaveBeenCalledTimes(1);
+    expect(innerSignal.aborted).toBe(true);
+  });
+
+  test('rejects with an AbortError when the caller aborts', async () => {
+    const controller = new AbortController();
+    const onCancel = jest.fn();
+    const call = callWithDeadline(never, { timeoutMs: 1000, signal: controller.signal, onCancel });
+    controller.abort();
+
+    const error = await call.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves with the call result', async () => {
+    await expect(callWithDeadline(async () => 'ok', { timeoutMs: 1000 })).resolves.toBe('ok');
+  });
+});
+
+describe('retryWithBackoff', () => {
+  const fastDelays = { baseDelayMs: 1, jitter: 0 };
+
+  test('retries until the call succeeds and reports each retry', async () => {
+    const onRetry = jest.fn();
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new Error('503'))
+      .mockRejectedValueOnce(new Error('503'))
+      .mockResolvedValue('client');
+
+    await expect(retryWithBackoff(fn, { retries: 3, onRetry, ...fastDelays })).resolves.toBe('client');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([info]) => info.attempt)).toEqual([1, 2]);
+  });
+
+  test('gives up after `retries` retries', async () => {
+    const fn = jest.fn().mockRejectedValue(new Error('still sleeping'));
+    await expect(retryWithBackoff(fn, { retries: 2, ...fastDelays })).rejects.toThrow('still sleeping');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('never retries an abort', async () => {
+    const abortError = Object.assign(new Error('cancelled'), { name: 'AbortError' });
+    const fn = jest.fn().mockRejectedValue(abortError);
+    await expect(retryWithBackoff(fn, { retries: 3, ...fastDelays })).rejects.toBe(abortError);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborting during the backoff wait stops retrying', async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockRejectedValue(new Error('503'));
+    const call = retryWithBackoff(fn, { retries: 3, signal: controller.signal, baseDelayMs: 1000, jitter: 0 });
+    await Promise.resolve();
+    controller.abort();
+
+    const error = await call.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('opens after the threshold, half-opens after the cooldown and doubles it on a failed probe', () => {
+    let time = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => time });
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.msUntilRetry()).toBe(1000);
+
+    time = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.msUntilRetry()).toBe(2000);
+  });
+
+  test('a successful probe closes the circuit and resets the cooldown', () => {
+    let time = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => time });
+
+    breaker.recordFailure();
+    time = 1000;
+    breaker.canRequest();
+    breaker.recordFailure();
+    time = 3000;
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.cooldownMs).toBe(1000);
+    expect(breaker.msUntilRetry()).toBe(0);
+  });
+
+  test('lets a single probe through while half-open', () => {
+    let time = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, probeTimeoutMs: 30000, now: () => time });
+    breaker.recordFailure();
+    time = 1000;
+
+    // concurrent batch items: only the first one reaches the sleeping backend
+    expect([breaker.canRequest(), breaker.canRequest(), breaker.canRequest()]).toEqual([true, false, false]);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    // a cancelled probe hands over to the next caller
+    breaker.cancelProbe();
+    expect([breaker.canRequest(), breaker.canRequest()]).toEqual([true, false]);
+
+    // a probe that never reports back stops blocking after probeTimeoutMs
+    time = 31000;
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordSuccess();
+    expect([breaker.canRequest(), breaker.canRequest()]).toEqual([true, true]);
+  });
+});
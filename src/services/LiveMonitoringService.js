@@ -19,11 +19,14 @@ class LiveMonitoringService {
 
   /**
    * Initialize the service and load AI model
+   * @param {Object} options - { backendOrder } detection backend chain from the user profile
    */
-  async initialize() {
+  async initialize({ backendOrder = null } = {}) {
     try {
       console.log('🤖 Initializing Live Monitoring Service...');
       
+      this.detectionService.configureBackends({ order: backendOrder });
+
       // Load AI detection model
       const modelLoaded = await this.detectionService.loadModel();
       if (!modelLoaded) {
@@ -189,6 +192,8 @@ class LiveMonitoringService {
   async processIndividualImage(userId, imageData) {
     try {
       console.log(`🔬 Processing image: ${imageData.name}`);
+      // Frames already analyzed (same bytes) come from the result cache
+      this.detectionService.configureResultCache({ userId });
 
       // Step 1: Download image from Drive as data URL
       const imageDataUrl = await this.driveService.getImageAsDataUrl(imageData);
@@ -198,7 +203,7 @@ class LiveMonitoringService {
       const detectionResult = await new Promise((resolve, reject) => {
         img.onload = async () => {
           try {
-            const result = await this.detectionService.predict(img, true);
+            const result = await this.detectionService.predict(img, true, { context: 'live' });
             resolve(result);
           } catch (error) {
             reject(error);
@@ -221,7 +226,17 @@ class LiveMonitoringService {
           confidence: detectionResult.confidence,
           severity: detectionResult.severity,
           detectedRegions: detectionResult.detectedRegions || 0,
-          modelType: 'AI (HF Space)'
+          modelType: detectionResult.modelType || 'AI (HF Space)',
+          backend: detectionResult.backend || null,
+          model: detectionResult.model || null,
+          lowTrust: !!detectionResult.lowTrust,
+          // Rejected frames are saved too so they count as processed
+          qualityRejected: !!detectionResult.qualityRejected,
+          quality: detectionResult.quality || null,
+          diseases: detectionResult.diseases,
+          coInfection: !!detectionResult.coInfection,
+          severityScore: detectionResult.severityScore || null,
+          cached: detectionResult.cached || null
         },
         context: 'live',
         camera: cameraNumber,
@@ -248,7 +263,12 @@ class LiveMonitoringService {
         timestamp: savedResult.createdAt || new Date().toISOString(),
         driveUploadTime: imageData.createdTime,
         driveFileName: imageData.name,
-        modelType: 'AI (HF Space)'
+        modelType: detectionResult.modelType || 'AI (HF Space)',
+        backend: detectionResult.backend || null,
+        model: detectionResult.model || null,
+        lowTrust: !!detectionResult.lowTrust,
+        qualityRejected: !!detectionResult.qualityRejected,
+        cached: detectionResult.cached || null
       };
 
       console.log(`✅ Successfully processed ${imageData.name}: ${detectionResult.disease} (${detectionResult.confidence}%)`);
@@ -283,7 +303,8 @@ class LiveMonitoringService {
           detectedRegions: item.detectedRegions || 0
         },
         timestamp: item.timestamp,
-        modelType: item.modelType || 'AI (HF Space)'
+        modelType: item.modelType || 'AI (HF Space)',
+        lowTrust: !!item.lowTrust
       }));
     } catch (error) {
       console.error('❌ Error getting recent analysis:', error);
@@ -348,6 +369,7 @@ class LiveMonitoringService {
    */
   destroy() {
     this.stopAutoMonitoring();
+    this.detectionService.dispose();
     this.processedImages.clear();
     console.log('🧹 LiveMonitoringService destroyed');
   }
@@ -0,0 +1,418 @@
+// Model Evaluation Service - measure a detection backend against labelled images
+// src/services/ModelEvaluationService.js
+//
+// Labelled sets come from a folder with one sub-folder per class
+// (Bhuri/, Healthy/, powdery_mildew/, ...) or from the grower-reviewed
+// history, where the grower's class is the ground truth.
+// A run reports per-class precision / recall / F1, a confusion matrix,
+// a calibration curve (is an 80% answer right 80% of the time?) and
+// per-image latency percentiles.
+//
+// Runs are kept on this device (localStorage) and, for signed-in users, in
+// the Supabase `evaluation_runs` table so they can be compared over time:
+//   id text primary key, firebase_user_id text, created_at timestamptz,
+//   backend text, model jsonb, source text, summary jsonb, run jsonb
+// Store failures are logged; the local copy is always written.
+//
+// Scripting (e.g. from the browser console):
+//   const run = await evaluateBackend({ detectionService, backendId: 'rest', items });
+//   await evaluationRunStore.save(run, userId);
+
+import { resolveClassId } from './DatasetExportService';
+import { createAbortError } from './InferenceClient';
+import { loadImageElement } from './ModelVersionService';
+
+export const CALIBRATION_BINS = 10;
+export const LATENCY_PERCENTILES = [50, 90, 95, 99];
+const LOCAL_STORAGE_KEY = 'grapeGuardEvaluationRuns';
+const MAX_LOCAL_RUNS = 30;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+// Class name for a folder ("Bhuri", "powdery_mildew", "Davnya (Downy Mildew)"); null when unknown
+export function labelFromFolder(folder, classMap) {
+  const name = (folder || '').replace(/[_-]+/g, ' ').trim().toLowerCase();
+  if (!name) return null;
+  const id = resolveClassId({ class_id: null, class_name: name }, classMap);
+  // Also accept the English name in brackets
+  const match = id !== null
+    ? classMap.find(cls => cls.id === id)
+    : classMap.find(cls => (cls.name.match(/\(([^)]+)\)/)?.[1] || '').toLowerCase() === name);
+  return match ? match.name : null;
+}
+
+/**
+ * Labelled set from files picked with a directory input: each image's parent folder is its class.
+ * @param {Array<File>} files - with webkitRelativePath ("set/Bhuri/leaf1.jpg")
+ * @returns {{ items: Array<{ id, file, actual }>, unlabelled: string[] }}
+ */
+export function labelledSetFromFiles(files, classMap) {
+  const items = [];
+  const unlabelled = [];
+  Array.from(files || []).forEach(file => {
+    if (file.type && !file.type.startsWith('image/')) return;
+    const path = file.webkitRelativePath || file.name;
+    const segments = path.split('/');
+    const actual = segments.length > 1 ? labelFromFolder(segments[segments.length - 2], classMap) : null;
+    if (actual) {
+      items.push({ id: path, file, actual });
+    } else {
+      unlabelled.push(path);
+    }
+  });
+  return { items, unlabelled };
+}
+
+// Labelled set from reviewed history records (see DatasetExportService.collectTrainingRecords)
+export function labelledSetFromHistory(records) {
+  return (records || [])
+    .filter(record => record.correction?.disease && record.imageUrl)
+    .map(record => ({ id: record.id, src: record.imageUrl, actual: record.correction.disease }));
+}
+
+/**
+ * Classification metrics for evaluated samples.
+ * @param {Array<{ actual, predicted }>} samples - predicted null when the run failed
+ * @param {string[]} classes - class names in display order (unseen predictions are appended)
+ * @returns {{ labels, evaluated, failed, accuracy, macroF1, weightedF1, perClass, confusion }}
+ *   confusion[i][j] = images of class labels[i] predicted as labels[j]
+ */
+export function classificationMetrics(samples, classes = []) {
+  const evaluated = samples.filter(sample => sample.predicted);
+  const labels = [...classes];
+  evaluated.forEach(({ actual, predicted }) => {
+    [actual, predicted].forEach(label => {
+      if (!labels.includes(label)) labels.push(label);
+    });
+  });
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const confusion = labels.map(() => labels.map(() => 0));
+  evaluated.forEach(({ actual, predicted }) => {
+    confusion[index.get(actual)][index.get(predicted)]++;
+  });
+
+  const perClass = labels.map((name, i) => {
+    const tp = confusion[i][i];
+    const support = confusion[i].reduce((sum, count) => sum + count, 0);
+    const predictedCount = confusion.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(tp, predictedCount);
+    const recall = ratio(tp, support);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : (support > 0 || predictedCount > 0 ? 0 : null);
+    return {
+      name,
+      support,
+      predicted: predictedCount,
+      truePositives: tp,
+      precision: precision === null ? null : round3(precision),
+      recall: recall === null ? null : round3(recall),
+      f1: f1 === null ? null : round3(f1)
+    };
+  });
+
+  // Macro F1 over classes present in the labels; weighted by support
+  const supported = perClass.filter(cls => cls.support > 0);
+  const correct = perClass.reduce((sum, cls) => sum + cls.truePositives, 0);
+  return {
+    labels,
+    evaluated: evaluated.length,
+    failed: samples.length - evaluated.length,
+    accuracy: evaluated.length ? round3(correct / evaluated.length) : null,
+    macroF1: supported.length ? round3(supported.reduce((sum, cls) => sum + cls.f1, 0) / supported.length) : null,
+    weightedF1: evaluated.length
+      ? round3(supported.reduce((sum, cls) => sum + cls.f1 * cls.support, 0) / evaluated.length)
+      : null,
+    perClass,
+    confusion
+  };
+}
+
+/**
+ * Reliability curve: accuracy per confidence bin, plus expected calibration error.
+ * @param {Array<{ actual, predicted, confidence }>} samples - confidence in percent
+ * @returns {{ bins: Array<{ from, to, count, meanConfidence, accuracy }>, ece }}
+ */
+export function calibrationCurve(samples, binCount = CALIBRATION_BINS) {
+  const width = 100 / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: round1(i * width), to: round1((i + 1) * width), count: 0, sumConfidence: 0, correct: 0 }));
+  const scored = samples.filter(sample => sample.predicted && Number.isFinite(sample.confidence));
+  scored.forEach(({ actual, predicted, confidence }) => {
+    const bin = bins[Math.min(binCount - 1, Math.max(0, Math.floor(confidence / width)))];
+    bin.count++;
+    bin.sumConfidence += confidence;
+    if (actual === predicted) bin.correct++;
+  });
+
+  let ece = 0;
+  const curve = bins.map(({ from, to, count, sumConfidence, correct }) => {
+    const meanConfidence = count ? sumConfidence / count : null;
+    const accuracy = count ? (correct / count) * 100 : null;
+    if (count) ece += (count / scored.length) * Math.abs(accuracy - meanConfidence);
+    return {
+      from,
+      to,
+      count,
+      meanConfidence: meanConfidence === null ? null : round1(meanConfidence),
+      accuracy: accuracy === null ? null : round1(accuracy)
+    };
+  });
+  return { bins: curve, ece: scored.length ? round1(ece) : null };
+}
+
+// Nearest-rank percentiles of per-image latency (ms)
+export function latencyStats(latencies, percentiles = LATENCY_PERCENTILES) {
+  const sorted = latencies.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return { count: 0, mean: null, max: null, percentiles: {} };
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+  return {
+    count: sorted.length,
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    max: Math.round(sorted[sorted.length - 1]),
+    percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, Math.round(at(p))]))
+  };
+}
+
+// Headline numbers of a run (stored next to it for quick listing)
+export function summarizeRun(run) {
+  return {
+    images: run.samples.length,
+    evaluated: run.metrics.evaluated,
+    accuracy: run.metrics.accuracy,
+    macroF1: run.metrics.macroF1,
+    ece: run.calibration.ece,
+    p50: run.latency.percentiles.p50 ?? null,
+    p95: run.latency.percentiles.p95 ?? null
+  };
+}
+
+/**
+ * Runs oldest first, each with the change since the previous run of the same model id.
+ * @returns {Array<{ run, delta: { accuracy, macroF1 } | null }>}
+ */
+export function runTrend(runs) {
+  const lastByModel = new Map();
+  return [...runs]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(run => {
+      const key = `${run.backend}|${run.model?.modelId || ''}`;
+      const previous = lastByModel.get(key);
+      lastByModel.set(key, run);
+      const diff = (field) => (previous && run.summary[field] !== null && previous.summary[field] !== null
+        ? round3(run.summary[field] - previous.summary[field])
+        : null);
+      return { run, delta: previous ? { accuracy: diff('accuracy'), macroF1: diff('macroF1') } : null };
+    });
+}
+
+// Image element for an item: its URL, or an object URL for a picked file
+async function loadItemImage(item) {
+  if (!item.file) return loadImageElement(item.src);
+  const url = URL.createObjectURL(item.file);
+  try {
+    return await loadImageElement(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Run every labelled item through a model (one image at a time) and score it.
+ * @param {Object} options - {
+ *   items: [{ id, actual, src | file }],
+ *   predict(imageElement, { signal }) - resolves to a tagged detection result,
+ *   classes - class names for the confusion matrix,
+ *   backend, source - recorded on the run,
+ *   loadImage(item), onProgress({ done, total }), signal, now, clock }
+ * @returns {Promise<Object>} run: { id, createdAt, backend, model, source, classes, samples, metrics, calibration, latency, summary }
+ *   Failed images are recorded in their sample's `error`; nothing is logged.
+ */
+export async function runEvaluation({
+  items,
+  predict,
+  classes = [],
+  backend = null,
+  source = 'folder',
+  loadImage = loadItemImage,
+  onProgress = () => {},
+  signal = null,
+  now = () => new Date(),
+  clock = () => performance.now()
+}) {
+  const samples = [];
+  let model = null;
+
+  for (let i = 0; i < items.length; i++) {
+    if (signal?.aborted) throw createAbortError();
+    onProgress({ done: i, total: items.length });
+    const item = items[i];
+    const sample = { id: item.id, actual: item.actual, predicted: null, confidence: null, latencyMs: null, error: null };
+    try {
+      const image = await loadImage(item);
+      const started = clock();
+      const result = await predict(image, { signal });
+      if (result?.qualityRejected) {
+        sample.error = 'quality';
+      } else if (result?.detectionDetails?.error || !result?.disease) {
+        sample.error = result?.detectionDetails?.error || 'no result';
+      } else {
+        sample.latencyMs = Math.round(clock() - started);
+        sample.predicted = result.disease;
+        sample.confidence = Number.isFinite(result.confidence) ? result.confidence : null;
+        model = model || result.model || null;
+      }
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      sample.error = error.message || 'failed';
+    }
+    samples.push(sample);
+  }
+  onProgress({ done: items.length, total: items.length });
+
+  const createdAt = now();
+  const run = {
+    id: `eval_${createdAt.getTime().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+    createdAt: createdAt.toISOString(),
+    backend: backend || model?.backend || null,
+    model,
+    source,
+    classes,
+    samples,
+    metrics: classificationMetrics(samples, classes),
+    calibration: calibrationCurve(samples),
+    latency: latencyStats(samples.map(sample => sample.latencyMs).filter(ms => ms !== null))
+  };
+  run.summary = summarizeRun(run);
+  return run;
+}
+
+// runEvaluation against one backend of a DetectronDiseaseService
+export function evaluateBackend({ detectionService, backendId, items, ...options }) {
+  return runEvaluation({
+    items,
+    backend: backendId,
+    classes: Object.values(detectionService.getAllDiseases()).map(disease => disease.name),
+    predict: (image, predictOptions) => detectionService.predictWithBackend(backendId, image, predictOptions),
+    ...options
+  });
+}
+
+// Device tier
+export function createLocalRunStore(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+  const read = () => {
+    try {
+      return JSON.parse(storage?.getItem(LOCAL_STORAGE_KEY) || '[]');
+    } catch (error) {
+      return [];
+    }
+  };
+  const write = (runs) => storage?.setItem(LOCAL_STORAGE_KEY, JSON.stringify(runs));
+
+  return {
+    async list() {
+      return read();
+    },
+    async save(run) {
+      // Newest first; the oldest runs drop off
+      write([run, ...read().filter(existing => existing.id !== run.id)].slice(0, MAX_LOCAL_RUNS));
+    },
+    async remove(id) {
+      write(read().filter(run => run.id !== id));
+    }
+  };
+}
+
+// Supabase tier (the signed-in user's devices)
+export function createSupabaseRunStore() {
+  const client = async () => (await import('./supabaseData')).supabaseData;
+
+  return {
+    async list(userId, limit = 50) {
+      const { data, error } = await (await client())
+        .from('evaluation_runs')
+        .select('run')
+        .eq('firebase_user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return (data || []).map(row => row.run);
+    },
+    async save(run, userId) {
+      const { error } = await (await client())
+        .from('evaluation_runs')
+        .upsert({
+          id: run.id,
+          firebase_user_id: userId,
+          created_at: run.createdAt,
+          backend: run.backend,
+          model: run.model,
+          source: run.source,
+          summary: run.summary,
+          run
+        }, { onConflict: 'id' });
+      if (error) throw error;
+    },
+    async remove(id, userId) {
+      const { error } = await (await client())
+        .from('evaluation_runs')
+        .delete()
+        .eq('firebase_user_id', userId)
+        .eq('id', id);
+      if (error) throw error;
+    }
+  };
+}
+
+export class EvaluationRunStore {
+  /**
+   * @param {Object} options - { localStore, remoteStore } (injectable for tests; null disables a tier)
+   */
+  constructor({ localStore, remoteStore } = {}) {
+    this.localStore = localStore === undefined ? createLocalRunStore() : localStore;
+    this.remoteStore = remoteStore === undefined ? createSupabaseRunStore() : remoteStore;
+  }
+
+  // Runs newest first: this device's, plus the user's Supabase runs
+  async list(userId = null) {
+    const runs = new Map();
+    const add = (list) => list.forEach(run => {
+      if (run?.id && !runs.has(run.id)) runs.set(run.id, run);
+    });
+    if (this.localStore) add(await this.localStore.list());
+    if (userId && this.remoteStore) {
+      try {
+        add(await this.remoteStore.list(userId));
+      } catch (error) {
+        console.warn('⚠ Could not load evaluation runs from Supabase:', error.message);
+      }
+    }
+    return Array.from(runs.values()).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async save(run, userId = null) {
+    if (this.localStore) await this.localStore.save(run);
+    if (userId && this.remoteStore) {
+      try {
+        await this.remoteStore.save(run, userId);
+      } catch (error) {
+        console.warn('⚠ Could not save evaluation run to Supabase:', error.message);
+      }
+    }
+    return run;
+  }
+
+  async remove(id, userId = null) {
+    if (this.localStore) await this.localStore.remove(id);
+    if (userId && this.remoteStore) {
+      try {
+        await this.remoteStore.remove(id, userId);
+      } catch (error) {
+        console.warn('⚠ Could not delete evaluation run from Supabase:', error.message);
+      }
+    }
+  }
+}
+
+export const evaluationRunStore = new EvaluationRunStore();
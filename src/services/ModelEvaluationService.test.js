@@ -0,0 +1,233 @@
+import {
+  labelFromFolder,
+  labelledSetFromFiles,
+  labelledSetFromHistory,
+  classificationMetrics,
+  calibrationCurve,
+  latencyStats,
+  runTrend,
+  runEvaluation,
+  createLocalRunStore,
+  EvaluationRunStore
+} from './ModelEvaluationService';
+import { buildClassMap } from './DatasetExportService';
+import { isAbortError } from './InferenceClient';
+
+const classMap = buildClassMap({
+  1: { name: 'Karpa (Anthracnose)' },
+  2: { name: 'Bhuri (Powdery Mildew)' },
+  5: { name: 'Healthy' }
+});
+const classes = classMap.map(cls => cls.name);
+
+const sample = (actual, predicted, confidence = 90) => ({ actual, predicted, confidence });
+
+describe('labelled sets', () => {
+  test('maps folder names to diseases by short, full or English name', () => {
+    expect(labelFromFolder('Bhuri', classMap)).toBe('Bhuri (Powdery Mildew)');
+    expect(labelFromFolder('powdery_mildew', classMap)).toBe('Bhuri (Powdery Mildew)');
+    expect(labelFromFolder('Karpa (Anthracnose)', classMap)).toBe('Karpa (Anthracnose)');
+    expect(labelFromFolder('healthy', classMap)).toBe('Healthy');
+    expect(labelFromFolder('misc', classMap)).toBeNull();
+  });
+
+  test('labels picked files by their parent folder', () => {
+    const file = (path, type = 'image/jpeg') => ({ name: path.split('/').pop(), webkitRelativePath: path, type });
+    const { items, unlabelled } = labelledSetFromFiles([
+      file('set/Bhuri/a.jpg'),
+      file('set/Healthy/b.jpg'),
+      file('set/misc/c.jpg'),
+      file('set/Bhuri/notes.txt', 'text/plain'),
+      file('loose.jpg')
+    ], classMap);
+    expect(items.map(item => [item.id, item.actual])).toEqual([
+      ['set/Bhuri/a.jpg', 'Bhuri (Powdery Mildew)'],
+      ['set/Healthy/b.jpg', 'Healthy']
+    ]);
+    expect(unlabelled).toEqual(['set/misc/c.jpg', 'loose.jpg']);
+  });
+
+  test('uses the grower\'s class for reviewed history', () => {
+    expect(labelledSetFromHistory([
+      { id: '1', imageUrl: 'https://x/1.jpg', disease: 'Bhuri', correction: { disease: 'Karpa (Anthracnose)', agreed: false } },
+      { id: '2', imageUrl: 'https://x/2.jpg', disease: 'Healthy', correction: null },
+      { id: '3', imageUrl: null, correction: { disease: 'Healthy' } }
+    ])).toEqual([{ id: '1', src: 'https://x/1.jpg', actual: 'Karpa (Anthracnose)' }]);
+  });
+});
+
+describe('classificationMetrics', () => {
+  const metrics = classificationMetrics([
+    sample('Karpa (Anthracnose)', 'Karpa (Anthracnose)'),
+    sample('Karpa (Anthracnose)', 'Bhuri (Powdery Mildew)'),
+    sample('Bhuri (Powdery Mildew)', 'Bhuri (Powdery Mildew)'),
+    sample('Bhuri (Powdery Mildew)', 'Bhuri (Powdery Mildew)'),
+    sample('Healthy', 'Healthy'),
+    sample('Healthy', null)
+  ], classes);
+
+  test('builds the confusion matrix with actual classes as rows', () => {
+    expect(metrics.labels).toEqual(classes);
+    expect(metrics.confusion).toEqual([
+      [1, 1, 0],
+      [0, 2, 0],
+      [0, 0, 1]
+    ]);
+    expect(metrics).toMatchObject({ evaluated: 5, failed: 1, accuracy: 0.8 });
+  });
+
+  test('computes precision, recall and F1 per class', () => {
+    const [karpa, bhuri, healthy] = metrics.perClass;
+    expect(karpa).toMatchObject({ support: 2, precision: 1, recall: 0.5, f1: 0.667 });
+    expect(bhuri).toMatchObject({ support: 2, predicted: 3, precision: 0.667, recall: 1, f1: 0.8 });
+    expect(healthy).toMatchObject({ precision: 1, recall: 1, f1: 1 });
+    expect(metrics.macroF1).toBe(0.822);
+    expect(metrics.weightedF1).toBe(0.787);
+  });
+
+  test('appends labels the model invented and leaves unused classes empty', () => {
+    const result = classificationMetrics([sample('Healthy', 'Unknown')], classes);
+    expect(result.labels).toEqual([...classes, 'Unknown']);
+    expect(result.perClass.find(cls => cls.name === 'Karpa (Anthracnose)')).toMatchObject({ precision: null, recall: null, f1: null });
+    expect(result.perClass.find(cls => cls.name === 'Unknown')).toMatchObject({ precision: 0, f1: 0 });
+    expect(result.macroF1).toBe(0);
+  });
+});
+
+describe('calibrationCurve', () => {
+  test('bins answers by confidence and reports expected calibration error', () => {
+    const { bins, ece } = calibrationCurve([
+      sample('A', 'A', 95),
+      sample('A', 'B', 92),
+      sample('A', 'A', 55),
+      sample('A', 'A', 100),
+      sample('A', null, 80)
+    ]);
+    expect(bins).toHaveLength(10);
+    expect(bins[9]).toEqual({ from: 90, to: 100, count: 3, meanConfidence: 95.7, accuracy: 66.7 });
+    expect(bins[5]).toMatchObject({ count: 1, accuracy: 100 });
+    expect(bins[0]).toMatchObject({ count: 0, accuracy: null });
+    // (3/4)*|66.7-95.7| + (1/4)*|100-55|
+    expect(ece).toBe(33);
+  });
+});
+
+describe('latencyStats', () => {
+  test('reports nearest-rank percentiles', () => {
+    const stats = latencyStats([100, 400, 200, 300, 1000, 500, 600, 700, 800, 900]);
+    expect(stats).toEqual({ count: 10, mean: 550, max: 1000, percentiles: { p50: 500, p90: 900, p95: 1000, p99: 1000 } });
+    expect(latencyStats([])).toMatchObject({ count: 0, mean: null });
+  });
+});
+
+describe('runEvaluation', () => {
+  const items = [
+    { id: 'a', src: 'a.jpg', actual: 'Healthy' },
+    { id: 'b', src: 'b.jpg', actual: 'Bhuri (Powdery Mildew)' },
+    { id: 'c', src: 'c.jpg', actual: 'Karpa (Anthracnose)' },
+    { id: 'd', src: 'd.jpg', actual: 'Healthy' }
+  ];
+  const model = { backend: 'rest', modelId: 'model_final.pth', version: 'abc', configHash: '00000000' };
+  const answers = {
+    'a.jpg': { disease: 'Healthy', confidence: 90, model },
+    'b.jpg': { disease: 'Karpa (Anthracnose)', confidence: 70, model },
+    'c.jpg': { qualityRejected: true }
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('scores each image and records model, latency and failures', async () => {
+    const log = jest.spyOn(console, 'log');
+    const warn = jest.spyOn(console, 'warn');
+    let time = 0;
+    const progress = [];
+    const run = await runEvaluation({
+      items,
+      classes,
+      backend: 'rest',
+      loadImage: async (item) => ({ src: item.src }),
+      predict: async (image) => {
+        time += 100;
+        if (!answers[image.src]) throw new Error('timeout');
+        return answers[image.src];
+      },
+      onProgress: p => progress.push(p.done),
+      now: () => new Date('2026-06-01T00:00:00Z'),
+      clock: () => time
+    });
+
+    expect(run).toMatchObject({ backend: 'rest', model, source: 'folder', createdAt: '2026-06-01T00:00:00.000Z' });
+    expect(run.samples.map(s => [s.id, s.predicted, s.error])).toEqual([
+      ['a', 'Healthy', null],
+      ['b', 'Karpa (Anthracnose)', null],
+      ['c', null, 'quality'],
+      ['d', null, 'timeout']
+    ]);
+    expect(run.samples[0].latencyMs).toBe(100);
+    expect(run.summary).toMatchObject({ images: 4, evaluated: 2, accuracy: 0.5, p50: 100 });
+    expect(progress).toEqual([0, 1, 2, 3, 4]);
+    // the caller reports the run; the harness stays quiet
+    expect(log).not.toHaveBeenCalled();
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('stops with an AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    const predict = jest.fn(async () => {
+      controller.abort();
+      throw new Error('aborted');
+    });
+    const error = await runEvaluation({ items, predict, loadImage: async () => ({}), signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(predict).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('run history', () => {
+  const run = (id, createdAt, accuracy, modelId = 'space') => ({
+    id,
+    createdAt,
+    backend: 'gradio',
+    model: { modelId },
+    summary: { accuracy, macroF1: accuracy }
+  });
+
+  test('runTrend compares each run with the previous run of the same model', () => {
+    const trend = runTrend([
+      run('3', '2026-03-01', 0.9),
+      run('1', '2026-01-01', 0.7),
+      run('x', '2026-02-01', 0.5, 'other'),
+      run('2', '2026-02-01', 0.75)
+    ]);
+    expect(trend.map(({ run: r }) => r.id)).toEqual(['1', 'x', '2', '3']);
+    expect(trend[0].delta).toBeNull();
+    expect(trend[1].delta).toBeNull();
+    expect(trend[2].delta).toEqual({ accuracy: 0.05, macroF1: 0.05 });
+    expect(trend[3].delta.accuracy).toBe(0.15);
+  });
+
+  test('store keeps runs locally and merges the user\'s remote runs', async () => {
+    const storage = { data: {}, getItem(key) { return this.data[key] ?? null; }, setItem(key, value) { this.data[key] = value; } };
+    const remote = { runs: [run('r', '2026-01-15', 0.6)], list: jest.fn(async function list() { return this.runs; }), save: jest.fn(), remove: jest.fn() };
+    const store = new EvaluationRunStore({ localStore: createLocalRunStore(storage), remoteStore: remote });
+
+    await store.save(run('1', '2026-01-01', 0.7));
+    await store.save(run('2', '2026-02-01', 0.8), 'user-1');
+    expect(remote.save).toHaveBeenCalledTimes(1);
+    expect((await store.list()).map(r => r.id)).toEqual(['2', '1']);
+    expect((await store.list('user-1')).map(r => r.id)).toEqual(['2', 'r', '1']);
+
+    await store.remove('1', 'user-1');
+    expect(remote.remove).toHaveBeenCalledWith('1', 'user-1');
+    expect((await store.list()).map(r => r.id)).toEqual(['2']);
+  });
+
+  test('a failing remote store does not lose the local run', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const remote = { list: async () => { throw new Error('offline'); }, save: async () => { throw new Error('offline'); }, remove: async () => {} };
+    const store = new EvaluationRunStore({ localStore: createLocalRunStore({ getItem: () => null, setItem: () => {} }), remoteStore: remote });
+    await expect(store.save(run('1', '2026-01-01', 0.7), 'user-1')).resolves.toMatchObject({ id: '1' });
+    await expect(store.list('user-1')).resolves.toEqual([]);
+    jest.restoreAllMocks();
+  });
+});
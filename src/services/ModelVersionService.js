@@ -0,0 +1,182 @@
+// Model Version Service - which model produced a result, and how two models compare
+// src/services/ModelVersionService.js
+//
+// Every result carries `model`: { backend, modelId, version, configHash }
+//   backend    - registry id (gradio, rest, tfjs, heuristic, candidate)
+//   modelId    - HF Space id, weights file, model URL, ...
+//   version    - Space commit, weights SHA-256 prefix, configured version
+//   configHash - hash of the backend's reported config (classes, threshold, ...)
+// Comparison runs the same images through two models and reports agreement,
+// an A-vs-B confusion matrix and per-class confidence shifts.
+
+import { getDiseaseBreakdown } from './DetectionBreakdownService';
+import { createAbortError } from './InferenceClient';
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// JSON with sorted object keys, so equal configs hash equally
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// 8 hex characters (FNV-1a); identifies a config, not a security hash
+export function configHash(config) {
+  let hash = 0x811c9dc5;
+  for (const char of stableStringify(config || {})) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Model identity of a registry backend
+export function describeModel(backend) {
+  if (!backend) return null;
+  return {
+    backend: backend.id,
+    modelId: backend.modelId || backend.id,
+    version: backend.modelVersion || 'unknown',
+    configHash: configHash(backend.modelConfig)
+  };
+}
+
+// "rest · model_final.pth @ 3f2a9c1b0d4e (cfg 1a2b3c4d)"
+export function modelLabel(model) {
+  if (!model) return 'unknown';
+  return `${model.backend} · ${model.modelId} @ ${model.version} (cfg ${model.configHash})`;
+}
+
+export const sameModel = (a, b) => !!a && !!b &&
+  a.backend === b.backend && a.modelId === b.modelId && a.version === b.version && a.configHash === b.configHash;
+
+// Results that can't be compared (errors, quality-gate rejections)
+const isComparable = (result) => !!result && !result.qualityRejected && !result.detectionDetails?.error && !!result.disease;
+
+/**
+ * Compare two models' results on the same images.
+ * @param {Array<{ id, a, b }>} pairs - results from model A and model B (null when a run failed)
+ * @returns {{ total, compared, failed, agreements, agreementRate, confusion: { labels, matrix }, perClass, disagreements }}
+ *   confusion.matrix[i][j] = images model A called labels[i] and model B called labels[j]
+ */
+export function comparePredictions(pairs) {
+  const comparable = pairs.filter(pair => isComparable(pair.a) && isComparable(pair.b));
+  const labels = Array.from(new Set(comparable.flatMap(pair => [pair.a.disease, pair.b.disease]))).sort();
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  const classStats = new Map();
+  const statsFor = (name) => {
+    if (!classStats.has(name)) {
+      classStats.set(name, { name, detectedA: 0, detectedB: 0, both: 0, sumA: 0, sumB: 0, sumShift: 0 });
+    }
+    return classStats.get(name);
+  };
+
+  let agreements = 0;
+  const disagreements = [];
+  comparable.forEach(({ id, a, b }) => {
+    matrix[index.get(a.disease)][index.get(b.disease)]++;
+    if (a.disease === b.disease) {
+      agreements++;
+    } else {
+      disagreements.push({ id, a: { disease: a.disease, confidence: a.confidence }, b: { disease: b.disease, confidence: b.confidence } });
+    }
+
+    // Per-class confidence: best instance of each class found by either model
+    const byName = (result) => new Map(getDiseaseBreakdown(result)
+      .filter(d => Number.isFinite(d.maxConfidence))
+      .map(d => [d.name, d.maxConfidence]));
+    const [classesA, classesB] = [byName(a), byName(b)];
+    new Set([...classesA.keys(), ...classesB.keys()]).forEach(name => {
+      const stats = statsFor(name);
+      if (classesA.has(name)) {
+        stats.detectedA++;
+        stats.sumA += classesA.get(name);
+      }
+      if (classesB.has(name)) {
+        stats.detectedB++;
+        stats.sumB += classesB.get(name);
+      }
+      if (classesA.has(name) && classesB.has(name)) {
+        stats.both++;
+        stats.sumShift += classesB.get(name) - classesA.get(name);
+      }
+    });
+  });
+
+  const perClass = Array.from(classStats.values())
+    .map(({ name, detectedA, detectedB, both, sumA, sumB, sumShift }) => ({
+      name,
+      detectedA,
+      detectedB,
+      both,
+      meanConfidenceA: detectedA ? round1(sumA / detectedA) : null,
+      meanConfidenceB: detectedB ? round1(sumB / detectedB) : null,
+      // Paired shift (B - A) on images where both models found the class
+      meanShift: both ? round1(sumShift / both) : null
+    }))
+    .sort((x, y) => (y.detectedA + y.detectedB) - (x.detectedA + x.detectedB));
+
+  return {
+    total: pairs.length,
+    compared: comparable.length,
+    failed: pairs.length - comparable.length,
+    agreements,
+    agreementRate: comparable.length ? round1((agreements / comparable.length) * 100) : null,
+    confusion: { labels, matrix },
+    perClass,
+    disagreements
+  };
+}
+
+/**
+ * Run every item through models A and B (one image at a time) and compare.
+ * @param {Object} options - {
+ *   items: [{ id, src }] (image URL / object URL),
+ *   predictA(imageElement, { signal }), predictB(...) - return tagged results,
+ *   loadImage(src) - resolves to an image element,
+ *   onProgress({ done, total }), signal }
+ * @returns {Promise<{ modelA, modelB, report, pairs }>}
+ */
+export async function runComparison({ items, predictA, predictB, loadImage, onProgress = () => {}, signal = null }) {
+  const pairs = [];
+  const settle = (promise) => promise.catch(error => {
+    if (signal?.aborted) throw createAbortError();
+    console.warn('⚠ Model comparison run failed:', error.message);
+    return null;
+  });
+
+  for (let i = 0; i < items.length; i++) {
+    if (signal?.aborted) throw createAbortError();
+    onProgress({ done: i, total: items.length });
+    const item = items[i];
+    const image = await settle(loadImage(item.src));
+    const a = image ? await settle(predictA(image, { signal })) : null;
+    const b = image ? await settle(predictB(image, { signal })) : null;
+    pairs.push({ id: item.id, a, b });
+  }
+  onProgress({ done: items.length, total: items.length });
+
+  return {
+    modelA: pairs.find(pair => pair.a?.model)?.a.model || null,
+    modelB: pairs.find(pair => pair.b?.model)?.b.model || null,
+    report: comparePredictions(pairs),
+    pairs
+  };
+}
+
+// Image element for a URL (history photos) or object URL (uploaded files)
+export function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load image ${src}`));
+    image.src = src;
+  });
+}
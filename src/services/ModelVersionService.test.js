@@ -0,0 +1,112 @@
+import {
+  stableStringify,
+  configHash,
+  describeModel,
+  modelLabel,
+  sameModel,
+  comparePredictions,
+  runComparison
+} from './ModelVersionService';
+import { isAbortError } from './InferenceClient';
+
+const result = (disease, confidence, extra = {}) => ({ disease, confidence, severity: 'Medium', ...extra });
+
+describe('config hash', () => {
+  test('ignores key order and undefined values', () => {
+    expect(stableStringify({ b: 1, a: [2, { d: undefined, c: 'x' }] })).toBe('{"a":[2,{"c":"x"}],"b":1}');
+    expect(configHash({ threshold: 0.5, classes: ['a', 'b'] })).toBe(configHash({ classes: ['a', 'b'], threshold: 0.5 }));
+    expect(configHash({ threshold: 0.5 })).not.toBe(configHash({ threshold: 0.6 }));
+    expect(configHash(null)).toMatch(/^[0-9a-f]{8}$/);
+  });
+});
+
+describe('describeModel', () => {
+  test('records backend, model id, version and config hash', () => {
+    const model = describeModel({ id: 'rest', modelId: 'model_final.pth', modelVersion: '3f2a9c1b0d4e', modelConfig: { threshold: 0.5 } });
+    expect(model).toEqual({ backend: 'rest', modelId: 'model_final.pth', version: '3f2a9c1b0d4e', configHash: configHash({ threshold: 0.5 }) });
+    expect(modelLabel(model)).toBe(`rest · model_final.pth @ 3f2a9c1b0d4e (cfg ${model.configHash})`);
+    expect(sameModel(model, { ...model })).toBe(true);
+    expect(sameModel(model, { ...model, configHash: '00000000' })).toBe(false);
+  });
+
+  test('falls back for backends without version info', () => {
+    expect(describeModel({ id: 'heuristic' })).toMatchObject({ backend: 'heuristic', modelId: 'heuristic', version: 'unknown' });
+    expect(describeModel(null)).toBeNull();
+  });
+});
+
+describe('comparePredictions', () => {
+  const report = comparePredictions([
+    { id: 1, a: result('Bhuri', 80), b: result('Bhuri', 90) },
+    { id: 2, a: result('Bhuri', 70), b: result('Karpa', 60) },
+    { id: 3, a: result('Healthy', 95), b: result('Healthy', 85) },
+    { id: 4, a: result('Karpa', 50), b: null },
+    { id: 5, a: result('Karpa', 50), b: result('Karpa', 0, { qualityRejected: true }) }
+  ]);
+
+  test('counts agreement over the images both models could judge', () => {
+    expect(report).toMatchObject({ total: 5, compared: 3, failed: 2, agreements: 2, agreementRate: 66.7 });
+    expect(report.disagreements).toEqual([{ id: 2, a: { disease: 'Bhuri', confidence: 70 }, b: { disease: 'Karpa', confidence: 60 } }]);
+  });
+
+  test('builds an A-vs-B confusion matrix', () => {
+    expect(report.confusion.labels).toEqual(['Bhuri', 'Healthy', 'Karpa']);
+    expect(report.confusion.matrix).toEqual([
+      [1, 0, 1],
+      [0, 1, 0],
+      [0, 0, 0]
+    ]);
+  });
+
+  test('reports per-class confidence shift on images where both found the class', () => {
+    const bhuri = report.perClass.find(row => row.name === 'Bhuri');
+    expect(bhuri).toEqual({ name: 'Bhuri', detectedA: 2, detectedB: 1, both: 1, meanConfidenceA: 75, meanConfidenceB: 90, meanShift: 10 });
+    expect(report.perClass.find(row => row.name === 'Karpa')).toMatchObject({ detectedA: 0, detectedB: 1, meanShift: null });
+    expect(report.perClass.find(row => row.name === 'Healthy').meanShift).toBe(-10);
+  });
+
+  test('has no agreement rate when nothing was comparable', () => {
+    expect(comparePredictions([{ id: 1, a: null, b: null }])).toMatchObject({ compared: 0, agreementRate: null });
+  });
+});
+
+describe('runComparison', () => {
+  const items = [{ id: 'a', src: 'a.jpg' }, { id: 'b', src: 'b.jpg' }, { id: 'c', src: 'broken.jpg' }];
+  const model = (backend) => ({ backend, modelId: backend, version: '1', configHash: '00000000' });
+  const loadImage = async (src) => {
+    if (src === 'broken.jpg') throw new Error('404');
+    return { src };
+  };
+
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('runs both models per image and keeps going past failures', async () => {
+    const progress = [];
+    const predictA = jest.fn(async () => ({ ...result('Bhuri', 80), model: model('gradio') }));
+    const predictB = jest.fn(async (image) => {
+      if (image.src === 'b.jpg') throw new Error('timeout');
+      return { ...result('Bhuri', 85), model: model('rest') };
+    });
+
+    const comparison = await runComparison({ items, predictA, predictB, loadImage, onProgress: p => progress.push(p.done) });
+
+    expect(predictA).toHaveBeenCalledTimes(2);
+    expect(comparison.modelA.backend).toBe('gradio');
+    expect(comparison.modelB.backend).toBe('rest');
+    expect(comparison.pairs.map(pair => [pair.id, !!pair.a, !!pair.b])).toEqual([['a', true, true], ['b', true, false], ['c', false, false]]);
+    expect(comparison.report).toMatchObject({ compared: 1, failed: 2, agreementRate: 100 });
+    expect(progress).toEqual([0, 1, 2, 3]);
+  });
+
+  test('stops with an AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    const predictA = jest.fn(async () => {
+      controller.abort();
+      throw new Error('request aborted');
+    });
+    const error = await runComparison({ items, predictA, predictB: jest.fn(), loadImage, signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(predictA).toHaveBeenCalledTimes(1);
+  });
+});
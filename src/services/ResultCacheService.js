@@ -0,0 +1,299 @@
+// Result Cache Service - content-addressed detection results
+// src/services/ResultCacheService.js
+//
+// Results are keyed by the SHA-256 of the preprocessed JPEG plus the model
+// version that produced them, so a new model never serves old answers.
+// A 64-bit difference hash (dHash) of the image finds near duplicates
+// (re-saved or re-uploaded copies of the same photo). Live camera frames only
+// take exact hits: a fixed camera sends near-identical frames every day, and a
+// near-duplicate hit would serve yesterday's diagnosis for today's leaves.
+//
+// Two tiers: IndexedDB on this device, and the Supabase `inference_cache`
+// table shared across the user's devices:
+//   firebase_user_id text, cache_key text, sha256 text, phash text,
+//   model_version text, result jsonb, created_at timestamptz
+//   unique (firebase_user_id, cache_key)
+// Cache failures are logged and treated as misses; they never block inference.
+
+// dHash input: 9x8 grayscale, one bit per horizontal neighbour comparison
+export const PHASH_SIZE = { width: 9, height: 8 };
+// Max differing bits (of 64) for two images to count as the same photo
+export const NEAR_DUPLICATE_DISTANCE = 4;
+// Analysis contexts that never take near-duplicate hits
+export const EXACT_ONLY_CONTEXTS = ['live'];
+
+const DB_NAME = 'grapeguard-result-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'results';
+const MAX_LOCAL_ENTRIES = 500;
+const REMOTE_SIMILAR_SCAN = 200; // recent rows checked for near duplicates
+
+/**
+ * Difference hash of RGBA pixels sized PHASH_SIZE.
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @returns {string} 16 hex characters
+ */
+export function differenceHash(data, width = PHASH_SIZE.width, height = PHASH_SIZE.height) {
+  const gray = (x, y) => {
+    const i = (y * width + x) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      nibble = (nibble << 1) | (gray(x, y) > gray(x + 1, y) ? 1 : 0);
+      if (++bits === 4) {
+        hex += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+// Differing bits between two hex hashes of equal length (Infinity when not comparable)
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Closest entry by perceptual hash within maxDistance, or null
+export function findNearDuplicate(entries, phash, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  let best = null;
+  entries.forEach(entry => {
+    const distance = hammingDistance(entry.phash, phash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { entry, distance };
+    }
+  });
+  return best;
+}
+
+export const cacheKey = (sha256, modelVersion) => `${modelVersion}:${sha256}`;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+// SHA-256 of the bytes behind a data URL (null where WebCrypto isn't available, e.g. plain http)
+export async function sha256OfDataUrl(dataUrl) {
+  const subtle = typeof crypto !== 'undefined' ? crypto.subtle : null;
+  if (!subtle || !dataUrl) return null;
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return toHex(await subtle.digest('SHA-256', bytes));
+}
+
+// Per-image fields that must not be served for a different photo
+const stripForCache = ({ cached, quality, currentImage, currentVisualization, ...result }) => result;
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// IndexedDB tier (this device)
+export function createIndexedDbStore() {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('modelVersion', 'modelVersion');
+          store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+  };
+
+  const prune = () => withStore('readwrite', async (store) => {
+    const count = await idbRequest(store.count());
+    if (count <= MAX_LOCAL_ENTRIES) return;
+    // Oldest first
+    const keys = await idbRequest(store.index('createdAt').getAllKeys(null, count - MAX_LOCAL_ENTRIES));
+    keys.forEach(key => store.delete(key));
+  });
+
+  return {
+    get: (key) => withStore('readonly', store => idbRequest(store.get(key))),
+    async findSimilar(phash, modelVersion, maxDistance) {
+      const entries = await withStore('readonly', store => idbRequest(store.index('modelVersion').getAll(modelVersion)));
+      return findNearDuplicate(entries, phash, maxDistance);
+    },
+    async put(entry) {
+      await withStore('readwrite', store => idbRequest(store.put(entry)));
+      await prune();
+    }
+  };
+}
+
+// Supabase tier (the signed-in user's devices)
+export function createSupabaseStore() {
+  const client = async () => (await import('./supabaseData')).supabaseData;
+
+  const toEntry = (row) => row && {
+    key: row.cache_key,
+    sha256: row.sha256,
+    phash: row.phash,
+    modelVersion: row.model_version,
+    result: row.result,
+    createdAt: new Date(row.created_at).getTime()
+  };
+
+  return {
+    async get(key, userId) {
+      const { data, error } = await (await client())
+        .from('inference_cache')
+        .select('*')
+        .eq('firebase_user_id', userId)
+        .eq('cache_key', key)
+        .maybeSingle();
+      if (error) throw error;
+      return toEntry(data);
+    },
+    async findSimilar(phash, modelVersion, maxDistance, userId) {
+      const { data, error } = await (await client())
+        .from('inference_cache')
+        .select('cache_key, phash')
+        .eq('firebase_user_id', userId)
+        .eq('model_version', modelVersion)
+        .order('created_at', { ascending: false })
+        .limit(REMOTE_SIMILAR_SCAN);
+      if (error) throw error;
+      const match = findNearDuplicate((data || []).map(row => ({ key: row.cache_key, phash: row.phash })), phash, maxDistance);
+      if (!match) return null;
+      const entry = await this.get(match.entry.key, userId);
+      return entry ? { entry, distance: match.distance } : null;
+    },
+    async put(entry, userId) {
+      const { visualizationImage } = entry.result;
+      const { error } = await (await client())
+        .from('inference_cache')
+        .upsert({
+          firebase_user_id: userId,
+          cache_key: entry.key,
+          sha256: entry.sha256,
+          phash: entry.phash,
+          model_version: entry.modelVersion,
+          // Inline data URLs are too large for a table row; hosted URLs are kept
+          result: typeof visualizationImage === 'string' && visualizationImage.startsWith('data:')
+            ? { ...entry.result, visualizationImage: null }
+            : entry.result,
+          created_at: new Date(entry.createdAt).toISOString()
+        }, { onConflict: 'firebase_user_id,cache_key' });
+      if (error) throw error;
+    }
+  };
+}
+
+export class ResultCache {
+  /**
+   * @param {Object} options - { localStore, remoteStore, maxDistance, now } (stores are injectable for tests)
+   */
+  constructor({ localStore, remoteStore, maxDistance = NEAR_DUPLICATE_DISTANCE, now = Date.now } = {}) {
+    this.localStore = localStore === undefined ? createIndexedDbStore() : localStore;
+    this.remoteStore = remoteStore === undefined ? createSupabaseStore() : remoteStore;
+    this.maxDistance = maxDistance;
+    this.now = now;
+  }
+
+  /**
+   * Look up a result for these image hashes: exact match first, then near
+   * duplicates; this device first, then Supabase (when a user is given).
+   * Contexts in EXACT_ONLY_CONTEXTS ('live') skip the near-duplicate step.
+   * @param {{ sha256: string, phash: string }} hashes
+   * @param {string} modelVersion
+   * @param {{ userId?: string, context?: string }} options
+   * @returns {Promise<{ result, source, match, distance, cachedAt } | null>}
+   */
+  async lookup({ sha256, phash }, modelVersion, { userId = null, context = null } = {}) {
+    if (!sha256) return null;
+    const allowSimilar = !!phash && !EXACT_ONLY_CONTEXTS.includes(context);
+    const key = cacheKey(sha256, modelVersion);
+    const tiers = [
+      { source: 'local', store: this.localStore },
+      ...(userId ? [{ source: 'cloud', store: this.remoteStore }] : [])
+    ].filter(tier => tier.store);
+
+    for (const { source, store } of tiers) {
+      try {
+        let hit = null;
+        const exact = await store.get(key, userId);
+        if (exact) {
+          hit = { entry: exact, match: 'exact', distance: 0 };
+        } else if (allowSimilar) {
+          const similar = await store.findSimilar(phash, modelVersion, this.maxDistance, userId);
+          if (similar) hit = { entry: similar.entry, match: 'similar', distance: similar.distance };
+        }
+        if (!hit) continue;
+
+        // Cloud hit: keep a copy on this device for next time
+        if (source === 'cloud' && this.localStore) {
+          this.localStore.put({ ...hit.entry, key, sha256, phash }).catch(() => {});
+        }
+        return {
+          result: hit.entry.result,
+          source,
+          match: hit.match,
+          distance: hit.distance,
+          modelVersion,
+          cachedAt: hit.entry.createdAt
+        };
+      } catch (error) {
+        console.warn(`⚠ Result cache (${source}) lookup failed:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  // Save a result under these hashes in every tier (failures are only logged)
+  async store({ sha256, phash }, modelVersion, result, { userId = null } = {}) {
+    if (!sha256 || !result) return;
+    const entry = {
+      key: cacheKey(sha256, modelVersion),
+      sha256,
+      phash: phash || null,
+      modelVersion,
+      result: stripForCache(result),
+      createdAt: this.now()
+    };
+    const writes = [
+      this.localStore && this.localStore.put(entry),
+      userId && this.remoteStore && this.remoteStore.put(entry, userId)
+    ].filter(Boolean);
+    const outcomes = await Promise.allSettled(writes);
+    outcomes
+      .filter(outcome => outcome.status === 'rejected')
+      .forEach(outcome => console.warn('⚠ Result cache write failed:', outcome.reason?.message));
+  }
+}
+
+const resultCache = new ResultCache();
+export default resultCache;
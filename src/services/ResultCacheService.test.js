@@ -0,0 +1,118 @@
+import {
+  differenceHash,
+  hammingDistance,
+  findNearDuplicate,
+  cacheKey,
+  ResultCache,
+  PHASH_SIZE
+} from './ResultCacheService';
+
+// RGBA pixels (PHASH_SIZE) from a grayscale function
+const pixels = (grayAt) => {
+  const { width, height } = PHASH_SIZE;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = grayAt(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+};
+
+// In-memory stand-in for the IndexedDB / Supabase tiers
+const memoryStore = () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: async (key) => entries.get(key) || null,
+    findSimilar: async (phash, modelVersion, maxDistance) =>
+      findNearDuplicate(Array.from(entries.values()).filter(e => e.modelVersion === modelVersion), phash, maxDistance),
+    put: async (entry) => {
+      entries.set(entry.key, entry);
+    }
+  };
+};
+
+const result = { disease: 'Bhuri (Powdery Mildew)', confidence: 88, severity: 'Medium' };
+
+describe('perceptual hash', () => {
+  test('differenceHash gives 64 bits as 16 hex characters', () => {
+    expect(differenceHash(pixels(x => 255 - x * 20))).toBe('ffffffffffffffff');
+    expect(differenceHash(pixels(x => x * 20))).toBe('0000000000000000');
+  });
+
+  test('small brightness changes keep the hash, different content does not', () => {
+    const base = differenceHash(pixels((x, y) => (x * 37 + y * 91) % 256));
+    const brighter = differenceHash(pixels((x, y) => Math.min(255, ((x * 37 + y * 91) % 256) + 3)));
+    const other = differenceHash(pixels((x, y) => (x * 53 + y * 17 + 120) % 256));
+    expect(hammingDistance(base, brighter)).toBeLessThanOrEqual(4);
+    expect(hammingDistance(base, other)).toBeGreaterThan(4);
+  });
+
+  test('hammingDistance counts differing bits', () => {
+    expect(hammingDistance('00', '00')).toBe(0);
+    expect(hammingDistance('0f', '00')).toBe(4);
+    expect(hammingDistance('ff', 'f')).toBe(Infinity);
+  });
+});
+
+describe('ResultCache', () => {
+  const hashes = { sha256: 'abc123', phash: '00000000000000ff' };
+
+  test('serves an exact match stored under the same model version only', async () => {
+    const cache = new ResultCache({ localStore: memoryStore(), remoteStore: null, now: () => 1000 });
+    await cache.store(hashes, 'gradio@1', { ...result, quality: { status: 'pass' }, cached: { source: 'local' } });
+
+    const hit = await cache.lookup(hashes, 'gradio@1');
+    expect(hit).toMatchObject({ source: 'local', match: 'exact', distance: 0, cachedAt: 1000 });
+    expect(hit.result).toEqual(result); // per-image fields are not cached
+
+    expect(await cache.lookup(hashes, 'gradio@2')).toBeNull();
+  });
+
+  test('finds near duplicates by perceptual hash', async () => {
+    const cache = new ResultCache({ localStore: memoryStore(), remoteStore: null });
+    await cache.store(hashes, 'rest@1', result);
+
+    const hit = await cache.lookup({ sha256: 'other', phash: '00000000000000fe' }, 'rest@1');
+    expect(hit).toMatchObject({ match: 'similar', distance: 1 });
+    expect(await cache.lookup({ sha256: 'other', phash: 'ffffffffffffffff' }, 'rest@1')).toBeNull();
+  });
+
+  test('live frames only take exact hits', async () => {
+    const cache = new ResultCache({ localStore: memoryStore(), remoteStore: null });
+    await cache.store(hashes, 'rest@1', result);
+
+    // yesterday's frame from the same fixed camera: one bit apart, different bytes
+    expect(await cache.lookup({ sha256: 'today', phash: '00000000000000fe' }, 'rest@1', { context: 'live' })).toBeNull();
+    expect(await cache.lookup(hashes, 'rest@1', { context: 'live' })).toMatchObject({ match: 'exact' });
+  });
+
+  test('falls back to the cloud tier for signed-in users and copies hits to the device', async () => {
+    const localStore = memoryStore();
+    const remoteStore = memoryStore();
+    await remoteStore.put({ key: cacheKey(hashes.sha256, 'rest@1'), ...hashes, modelVersion: 'rest@1', result, createdAt: 5 });
+    const cache = new ResultCache({ localStore, remoteStore });
+
+    expect(await cache.lookup(hashes, 'rest@1')).toBeNull(); // no user, no cloud lookup
+    const hit = await cache.lookup(hashes, 'rest@1', { userId: 'user-1' });
+    expect(hit).toMatchObject({ source: 'cloud', match: 'exact' });
+    expect(localStore.entries.has(cacheKey(hashes.sha256, 'rest@1'))).toBe(true);
+  });
+
+  test('store failures and lookup failures are treated as misses', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = {
+      get: async () => { throw new Error('IndexedDB not available'); },
+      findSimilar: async () => null,
+      put: async () => { throw new Error('IndexedDB not available'); }
+    };
+    const cache = new ResultCache({ localStore: broken, remoteStore: null });
+
+    await expect(cache.store(hashes, 'rest@1', result)).resolves.toBeUndefined();
+    await expect(cache.lookup(hashes, 'rest@1')).resolves.toBeNull();
+    console.warn.mockRestore();
+  });
+});
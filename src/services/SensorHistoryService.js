@@ -0,0 +1,379 @@
+// Sensor History Service - range queries over the envLogs time series
+// src/services/SensorHistoryService.js
+//
+// When envLogs rows are written with push(), their keys are Firebase push IDs
+// whose first 8 characters encode the write time. That lets us turn a time
+// range into an orderByKey().startAt().endAt() query instead of downloading
+// the whole node. The first and last keys are checked before relying on it:
+// with custom or timestamp-string keys the node is read page by page and
+// filtered on each row's own time instead. If the device also writes an epoch
+// field, set REACT_APP_SENSOR_TIME_FIELD (and `.indexOn` it in the database
+// rules) to query on that field instead.
+
+import { ref, get, query, orderByKey, orderByChild, startAt, endAt, limitToFirst, limitToLast } from 'firebase/database';
+import { sensorDatabase } from './firebase';
+
+const ENV_LOGS_PATH = 'envLogs';
+const TIME_FIELD = process.env.REACT_APP_SENSOR_TIME_FIELD || null;
+const PAGE_SIZE = 500;
+const MIN_REFRESH_MS = 15 * 1000; // Don't re-query the tail more often than this
+// Without push ID keys a tail query reads the whole node; the realtime feed
+// (appendRecords) keeps the tail current in between
+const SCAN_REFRESH_MS = 10 * 60 * 1000;
+const MAX_CACHE_MS = 31 * 24 * 60 * 60 * 1000; // Longest window + a day
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Push IDs decoding to a time outside [2012, now + 1 day] are not push IDs
+const PUSH_ID_MIN_MS = Date.UTC(2012, 0, 1);
+
+// Chart windows and the bucket size each one is downsampled to
+export const SENSOR_WINDOWS = {
+  '1h': { id: '1h', durationMs: HOUR, bucketMs: MINUTE },
+  '24h': { id: '24h', durationMs: DAY, bucketMs: 15 * MINUTE },
+  '7d': { id: '7d', durationMs: 7 * DAY, bucketMs: HOUR },
+  '30d': { id: '30d', durationMs: 30 * DAY, bucketMs: 6 * HOUR }
+};
+
+// envLogs field → chart field
+export const SENSOR_FIELDS = {
+  temperature: 'temp',
+  humidity: 'hum',
+  soilMoisture: 'soil',
+  lightIntensity: 'lux',
+  rainSensor: 'rain',
+  batteryVoltage: 'battV'
+};
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+// Smallest push ID that could have been generated at `ms`
+export function pushIdForTime(ms) {
+  let remaining = Math.max(0, Math.floor(ms));
+  const chars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    chars[i] = PUSH_CHARS.charAt(remaining % 64);
+    remaining = Math.floor(remaining / 64);
+  }
+  return chars.join('');
+}
+
+// Write time encoded in a push ID, or null for other keys
+export function timeFromPushId(key) {
+  if (typeof key !== 'string' || key.length !== 20) return null;
+  let ms = 0;
+  for (let i = 0; i < 8; i++) {
+    const index = PUSH_CHARS.indexOf(key.charAt(i));
+    if (index < 0) return null;
+    ms = ms * 64 + index;
+  }
+  return ms;
+}
+
+/**
+ * How envLogs can be range-queried, from a sample of its keys (e.g. first and last):
+ * 'pushId' when every key is a push ID with a plausible time, 'scan' otherwise,
+ * null when there are no keys to judge by.
+ */
+export function detectKeyScheme(keys, now = Date.now()) {
+  if (keys.length === 0) return null;
+  const isPushId = (key) => {
+    const ms = timeFromPushId(key);
+    return ms !== null && ms >= PUSH_ID_MIN_MS && ms <= now + DAY;
+  };
+  return keys.every(isPushId) ? 'pushId' : 'scan';
+}
+
+// Device time format: "DD-MM-YYYY HH:MM:SS" (local time)
+export function parseSensorTime(timeString) {
+  if (!timeString || typeof timeString !== 'string') return null;
+  const match = timeString.trim().match(/^(\d{1,2})-(\d{1,2})-(\d{4})\s+(\d{1,2}):(\d{1,2}):(\d{1,2})$/);
+  if (!match) return null;
+  const [, day, month, year, hour, minute, second] = match.map(Number);
+  const date = new Date(year, month - 1, day, hour, minute, second);
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+export function normalizeSensorRecord(id, value = {}) {
+  const epoch = TIME_FIELD ? toNumber(value[TIME_FIELD]) : null;
+  const timestamp = parseSensorTime(value.time)
+    ?? (epoch !== null ? (epoch < 1e12 ? epoch * 1000 : epoch) : null)
+    ?? timeFromPushId(id);
+
+  const record = { id, timestamp, time: value.time || null, raw: value };
+  Object.entries(SENSOR_FIELDS).forEach(([field, key]) => {
+    record[field] = toNumber(value[key]);
+  });
+  record.activeBattery = parseInt(value.active, 10) || 0;
+  return record;
+}
+
+export function formatBucketLabel(ms, windowId) {
+  const date = new Date(ms);
+  const hh = date.getHours().toString().padStart(2, '0');
+  const mm = date.getMinutes().toString().padStart(2, '0');
+  if (windowId === '1h' || windowId === '24h') return `${hh}:${mm}`;
+  const dd = date.getDate().toString().padStart(2, '0');
+  const mo = (date.getMonth() + 1).toString().padStart(2, '0');
+  return windowId === '30d' ? `${dd}/${mo}` : `${dd}/${mo} ${hh}:00`;
+}
+
+/**
+ * Downsample records into fixed time buckets with min/avg/max per field.
+ * Buckets without readings are kept (values null) so gaps show on the chart.
+ * @returns {Array<Object>} [{ timestamp, time, count, temperature, temperatureMin, temperatureMax, temperatureRange, ... }]
+ */
+export function downsample(records, { startMs, endMs, bucketMs, windowId = null }) {
+  const firstBucket = Math.floor(startMs / bucketMs) * bucketMs;
+  const bucketCount = Math.max(1, Math.ceil((endMs - firstBucket) / bucketMs));
+  const fields = Object.keys(SENSOR_FIELDS);
+
+  const acc = Array.from({ length: bucketCount }, () => ({
+    count: 0,
+    stats: Object.fromEntries(fields.map(f => [f, { sum: 0, n: 0, min: Infinity, max: -Infinity }]))
+  }));
+
+  records.forEach(record => {
+    if (record.timestamp === null || record.timestamp < startMs || record.timestamp > endMs) return;
+    const index = Math.min(bucketCount - 1, Math.floor((record.timestamp - firstBucket) / bucketMs));
+    const bucket = acc[index];
+    bucket.count += 1;
+    fields.forEach(f => {
+      const v = record[f];
+      if (v === null) return;
+      const s = bucket.stats[f];
+      s.sum += v;
+      s.n += 1;
+      if (v < s.min) s.min = v;
+      if (v > s.max) s.max = v;
+    });
+  });
+
+  const round = (v) => Math.round(v * 100) / 100;
+
+  return acc.map((bucket, i) => {
+    const timestamp = firstBucket + i * bucketMs;
+    const point = { timestamp, time: formatBucketLabel(timestamp, windowId), count: bucket.count };
+    fields.forEach(f => {
+      const s = bucket.stats[f];
+      const has = s.n > 0;
+      point[f] = has ? round(s.sum / s.n) : null;
+      point[`${f}Min`] = has ? round(s.min) : null;
+      point[`${f}Max`] = has ? round(s.max) : null;
+      point[`${f}Range`] = has ? [round(s.min), round(s.max)] : null;
+    });
+    return point;
+  });
+}
+
+export class SensorHistoryService {
+  constructor() {
+    // Contiguous, time-sorted slice of envLogs already downloaded
+    this.cache = { startMs: null, endMs: null, records: [], fetchedAt: 0 };
+    this.pending = null;
+    this.keyScheme = null; // 'timeField' | 'pushId' | 'scan' once known
+  }
+
+  // Whether keys can bound a time range (see detectKeyScheme); decided once per session
+  async getKeyScheme(envLogsRef = ref(sensorDatabase, ENV_LOGS_PATH)) {
+    if (TIME_FIELD) return 'timeField';
+    if (this.keyScheme) return this.keyScheme;
+
+    const snapshots = await Promise.all([limitToFirst(1), limitToLast(1)].map(limit => get(query(envLogsRef, orderByKey(), limit))));
+    const keys = [];
+    snapshots.forEach(snapshot => snapshot.forEach(child => {
+      keys.push(child.key);
+    }));
+    const scheme = detectKeyScheme(keys);
+    if (!scheme) return 'pushId'; // empty node: nothing to read either way, check again next time
+    if (scheme === 'scan') {
+      console.warn('⚠ envLogs keys are not push IDs; reading sensor history by row time (set REACT_APP_SENSOR_TIME_FIELD to query on a time field)');
+    }
+    this.keyScheme = scheme;
+    return scheme;
+  }
+
+  _ordering() {
+    return TIME_FIELD ? orderByChild(TIME_FIELD) : orderByKey();
+  }
+
+  // Query bound for a time: epoch seconds (or ms) for a time field, a push ID prefix for keys
+  _bound(ms, isEnd) {
+    if (TIME_FIELD) {
+      if (process.env.REACT_APP_SENSOR_TIME_UNIT === 'ms') return ms;
+      return isEnd ? Math.ceil(ms / 1000) : Math.floor(ms / 1000);
+    }
+    // 'z' is the largest push ID character, so this sorts after every key written in that ms
+    return isEnd ? `${pushIdForTime(ms)}zzzzzzzzzzzz` : pushIdForTime(ms);
+  }
+
+  // Read rows one page at a time in query order, calling onRow(key, value); returns the rows read
+  async _readPages(envLogsRef, { startBound = null, endBound = null, pageSize = PAGE_SIZE }, onRow) {
+    let cursor = null; // { value, key } of the last row of the previous page
+    let read = 0;
+
+    for (;;) {
+      const start = cursor
+        ? (TIME_FIELD ? startAt(cursor.value, cursor.key) : startAt(cursor.key))
+        : (startBound !== null ? startAt(startBound) : null);
+      const limit = cursor ? pageSize + 1 : pageSize; // First row of later pages repeats the cursor
+
+      const constraints = [this._ordering(), start, endBound !== null ? endAt(endBound) : null, limitToFirst(limit)].filter(Boolean);
+      const snapshot = await get(query(envLogsRef, ...constraints));
+      const page = [];
+      snapshot.forEach(child => {
+        page.push({ key: child.key, value: child.val() });
+      });
+
+      const cursorKey = cursor?.key;
+      const fresh = cursorKey ? page.filter(row => row.key !== cursorKey) : page;
+      fresh.forEach(row => onRow(row.key, row.value));
+      read += fresh.length;
+
+      if (page.length < limit || fresh.length === 0) return read;
+      const last = page[page.length - 1];
+      cursor = { key: last.key, value: TIME_FIELD ? last.value?.[TIME_FIELD] : last.key };
+    }
+  }
+
+  /**
+   * Fetch all rows written between startMs and endMs, one page at a time.
+   * Without push ID keys every page of the node is read and filtered by row time.
+   * @returns {Promise<Array>} normalized records, oldest first
+   */
+  async fetchRange(startMs, endMs, { pageSize = PAGE_SIZE } = {}) {
+    const envLogsRef = ref(sensorDatabase, ENV_LOGS_PATH);
+    const scan = (await this.getKeyScheme(envLogsRef)) === 'scan';
+    const started = Date.now();
+    const records = [];
+    const read = await this._readPages(envLogsRef, {
+      startBound: scan ? null : this._bound(startMs, false),
+      endBound: scan ? null : this._bound(endMs, true),
+      pageSize
+    }, (key, value) => {
+      const record = normalizeSensorRecord(key, value);
+      if (!scan || (record.timestamp !== null && record.timestamp >= startMs && record.timestamp <= endMs)) records.push(record);
+    });
+
+    const range = `between ${new Date(startMs).toLocaleString()} and ${new Date(endMs).toLocaleString()}`;
+    if (scan) {
+      console.log(`📊 Sensor history: scanned all ${read} envLogs rows in ${Date.now() - started} ms for ${records.length} ${range}`);
+    } else {
+      console.log(`📊 Sensor history: ${records.length} rows ${range}`);
+    }
+    return records.sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+  }
+
+  /**
+   * Latest `count` rows, newest first (raw envLogs values included).
+   * Without push ID keys the last keys aren't the newest rows, so the node is scanned.
+   */
+  async fetchLatest(count = 1) {
+    const envLogsRef = ref(sensorDatabase, ENV_LOGS_PATH);
+    const rows = [];
+    if ((await this.getKeyScheme(envLogsRef)) === 'scan') {
+      const started = Date.now();
+      const read = await this._readPages(envLogsRef, {}, (key, value) => rows.push(normalizeSensorRecord(key, value)));
+      console.log(`📊 Sensor history: scanned all ${read} envLogs rows in ${Date.now() - started} ms for the latest reading`);
+    } else {
+      const snapshot = await get(query(envLogsRef, this._ordering(), limitToLast(count)));
+      snapshot.forEach(child => {
+        rows.push(normalizeSensorRecord(child.key, child.val()));
+      });
+    }
+    return rows.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0)).slice(0, count);
+  }
+
+  _mergeIntoCache(records) {
+    const known = new Set(this.cache.records.map(r => r.id));
+    const merged = this.cache.records.concat(records.filter(r => !known.has(r.id)));
+    merged.sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+    this.cache.records = merged;
+  }
+
+  // Make sure [startMs, endMs] is cached, fetching only the parts that aren't
+  async _ensureRange(startMs, endMs) {
+    const { cache } = this;
+    const scan = (await this.getKeyScheme()) === 'scan';
+
+    if (cache.startMs === null) {
+      // A scan reads the whole node anyway: keep everything any window can ask for
+      const fromMs = scan ? Math.min(startMs, endMs - MAX_CACHE_MS) : startMs;
+      const records = await this.fetchRange(fromMs, endMs);
+      this.cache = { startMs: fromMs, endMs, records, fetchedAt: Date.now() };
+      return;
+    }
+
+    if (startMs < cache.startMs) {
+      this._mergeIntoCache(await this.fetchRange(startMs, cache.startMs));
+      cache.startMs = startMs;
+    }
+    const tailDue = endMs - cache.endMs > MIN_REFRESH_MS && (!scan || Date.now() - cache.fetchedAt > SCAN_REFRESH_MS);
+    if (tailDue) {
+      this._mergeIntoCache(await this.fetchRange(cache.endMs, endMs));
+      cache.endMs = endMs;
+      cache.fetchedAt = Date.now();
+    }
+
+    // Drop rows no window can ask for any more
+    const oldest = endMs - MAX_CACHE_MS;
+    if (cache.startMs < oldest) {
+      cache.records = cache.records.filter(r => (r.timestamp ?? 0) >= oldest);
+      cache.startMs = oldest;
+    }
+  }
+
+  // Rows pushed by the realtime feed extend the cached range instead of being re-queried
+  appendRecords(records) {
+    if (this.cache.startMs === null || records.length === 0) return;
+    this._mergeIntoCache(records);
+    const newest = Math.max(...records.map(r => r.timestamp ?? 0));
+    if (newest > this.cache.endMs) this.cache.endMs = newest;
+  }
+
+  async getRecords(startMs, endMs = Date.now()) {
+    // Serialize cache updates so two charts asking at once share one fetch
+    const run = (this.pending || Promise.resolve())
+      .catch(() => {})
+      .then(() => this._ensureRange(startMs, endMs));
+    this.pending = run;
+    await run;
+    return this.cache.records.filter(r => r.timestamp !== null && r.timestamp >= startMs && r.timestamp <= endMs);
+  }
+
+  /**
+   * Downsampled min/avg/max buckets for one of SENSOR_WINDOWS.
+   * @param {string} windowId - '1h' | '24h' | '7d' | '30d'
+   * @returns {Promise<{ windowId, startMs, endMs, bucketMs, buckets, recordCount }>}
+   */
+  async getWindow(windowId = '24h', { now = Date.now() } = {}) {
+    const range = SENSOR_WINDOWS[windowId] || SENSOR_WINDOWS['24h'];
+    const endMs = now;
+    const startMs = endMs - range.durationMs;
+    const records = await this.getRecords(startMs, endMs);
+
+    return {
+      windowId: range.id,
+      startMs,
+      endMs,
+      bucketMs: range.bucketMs,
+      recordCount: records.length,
+      buckets: downsample(records, { startMs, endMs, bucketMs: range.bucketMs, windowId: range.id })
+    };
+  }
+
+  clearCache() {
+    this.cache = { startMs: null, endMs: null, records: [], fetchedAt: 0 };
+  }
+}
+
+const sensorHistoryService = new SensorHistoryService();
+export default sensorHistoryService;
@@ -0,0 +1,191 @@
+import {
+  SensorHistoryService,
+  pushIdForTime,
+  timeFromPushId,
+  detectKeyScheme,
+  parseSensorTime,
+  normalizeSensorRecord,
+  downsample
+} from './SensorHistoryService';
+
+// In-memory envLogs node behind the firebase/database query API (orderByKey only)
+const mockEnvLogs = { rows: {}, queries: [] };
+
+function mockRead(constraints) {
+  mockEnvLogs.queries.push(constraints);
+  let rows = Object.entries(mockEnvLogs.rows).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  constraints.forEach(({ type, value }) => {
+    if (type === 'startAt') rows = rows.filter(([key]) => key >= value);
+    if (type === 'endAt') rows = rows.filter(([key]) => key <= value);
+    if (type === 'limitToFirst') rows = rows.slice(0, value);
+    if (type === 'limitToLast') rows = rows.slice(-value);
+  });
+  return { forEach: (fn) => rows.forEach(([key, value]) => fn({ key, val: () => value })) };
+}
+
+jest.mock('./firebase', () => ({ sensorDatabase: {} }));
+jest.mock('firebase/database', () => ({
+  ref: (db, path) => ({ path }),
+  query: (ref, ...constraints) => ({ ref, constraints }),
+  get: async ({ constraints }) => mockRead(constraints),
+  orderByKey: () => ({ type: 'orderByKey' }),
+  orderByChild: (value) => ({ type: 'orderByChild', value }),
+  startAt: (value) => ({ type: 'startAt', value }),
+  endAt: (value) => ({ type: 'endAt', value }),
+  limitToFirst: (value) => ({ type: 'limitToFirst', value }),
+  limitToLast: (value) => ({ type: 'limitToLast', value })
+}));
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = new Date(2024, 4, 1, 10, 0, 0).getTime();
+
+// "DD-MM-YYYY HH:MM:SS" as the ESP32 writes it
+const deviceTime = (ms) => {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+beforeEach(() => {
+  mockEnvLogs.rows = {};
+  mockEnvLogs.queries = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('push IDs', () => {
+  test('the time prefix round-trips and sorts with time', () => {
+    expect(pushIdForTime(0)).toBe('--------');
+    const key = `${pushIdForTime(T0)}AbCdEfGhIjKl`;
+    expect(key).toHaveLength(20);
+    expect(timeFromPushId(key)).toBe(T0);
+    expect(pushIdForTime(T0) < pushIdForTime(T0 + 1)).toBe(true);
+    expect(pushIdForTime(T0 + HOUR) < pushIdForTime(T0 + 2 * HOUR)).toBe(true);
+    expect(timeFromPushId('row-1')).toBeNull();
+  });
+
+  test('only plausible push IDs allow key range queries', () => {
+    const now = T0 + HOUR;
+    expect(detectKeyScheme([`${pushIdForTime(T0)}AbCdEfGhIjKl`], now)).toBe('pushId');
+    expect(detectKeyScheme(['2024-05-01 10:00:00'], now)).toBe('scan');
+    expect(detectKeyScheme(['1714557600000'], now)).toBe('scan');
+    // 20 characters from the push ID alphabet, but decoding to a far-off time
+    expect(detectKeyScheme(['zzzzzzzzAbCdEfGhIjKl'], now)).toBe('scan');
+    expect(detectKeyScheme([`${pushIdForTime(T0)}AbCdEfGhIjKl`, 'custom-key'], now)).toBe('scan');
+    expect(detectKeyScheme([], now)).toBeNull();
+  });
+});
+
+describe('parseSensorTime', () => {
+  test('reads the device format as local time', () => {
+    expect(parseSensorTime('05-03-2024 14:07:09')).toBe(new Date(2024, 2, 5, 14, 7, 9).getTime());
+    expect(parseSensorTime(' 5-3-2024 4:07:09 ')).toBe(new Date(2024, 2, 5, 4, 7, 9).getTime());
+  });
+
+  test('anything else is null', () => {
+    expect(parseSensorTime('2024-03-05 14:07:09')).toBeNull();
+    expect(parseSensorTime('05-03-2024')).toBeNull();
+    expect(parseSensorTime('')).toBeNull();
+    expect(parseSensorTime(1709647629000)).toBeNull();
+  });
+
+  test('records fall back to the push ID time without a device time', () => {
+    expect(normalizeSensorRecord(`${pushIdForTime(T0)}AbCdEfGhIjKl`, { temp: '24.5' })).toMatchObject({ timestamp: T0, temperature: 24.5, humidity: null });
+    expect(normalizeSensorRecord('row-1', { time: deviceTime(T0) }).timestamp).toBe(T0);
+  });
+});
+
+describe('downsample', () => {
+  const record = (offsetMs, temperature, humidity = null) => ({ timestamp: T0 + offsetMs, temperature, humidity });
+
+  test('min / avg / max per bucket, with empty buckets kept as gaps', () => {
+    const buckets = downsample([
+      record(1 * MINUTE, 20, 80),
+      record(10 * MINUTE, 24),
+      record(20 * MINUTE, 22),
+      record(50 * MINUTE, 30, 60)
+    ], { startMs: T0, endMs: T0 + HOUR, bucketMs: 15 * MINUTE, windowId: '1h' });
+
+    expect(buckets).toHaveLength(4);
+    expect(buckets.map(b => b.count)).toEqual([2, 1, 0, 1]);
+    expect(buckets[0]).toMatchObject({ time: '10:00', temperature: 22, temperatureMin: 20, temperatureMax: 24, temperatureRange: [20, 24], humidity: 80 });
+    expect(buckets[2]).toMatchObject({ time: '10:30', temperature: null, temperatureRange: null });
+    expect(buckets[3]).toMatchObject({ temperature: 30, humidity: 60 });
+  });
+
+  test('ignores rows outside the window or without a time', () => {
+    const buckets = downsample([
+      record(-MINUTE, 50),
+      record(2 * HOUR, 50),
+      { timestamp: null, temperature: 50 },
+      record(5 * MINUTE, 21.333)
+    ], { startMs: T0, endMs: T0 + HOUR, bucketMs: HOUR });
+    expect(buckets).toHaveLength(1);
+    expect(buckets[0]).toMatchObject({ count: 1, temperature: 21.33 });
+  });
+});
+
+describe('fetchRange', () => {
+  const addRows = (keyFor) => {
+    for (let i = 0; i < 6; i++) {
+      const ms = T0 + i * HOUR;
+      mockEnvLogs.rows[keyFor(ms, i)] = { time: deviceTime(ms), temp: 20 + i };
+    }
+  };
+
+  test('push ID keys bound the query to the time range', async () => {
+    addRows((ms, i) => `${pushIdForTime(ms)}AbCdEfGhIjK${i}`);
+    const service = new SensorHistoryService();
+
+    const records = await service.fetchRange(T0 + HOUR, T0 + 3 * HOUR);
+    expect(records.map(r => r.temperature)).toEqual([21, 22, 23]);
+    const rangeQuery = mockEnvLogs.queries[mockEnvLogs.queries.length - 1];
+    expect(rangeQuery).toEqual(expect.arrayContaining([{ type: 'startAt', value: pushIdForTime(T0 + HOUR) }]));
+    expect(service.keyScheme).toBe('pushId');
+  });
+
+  test('other keys are read page by page and filtered on row time', async () => {
+    addRows((ms, i) => `reading-${String(5 - i).padStart(3, '0')}`); // key order is not time order
+    const service = new SensorHistoryService();
+
+    const records = await service.fetchRange(T0 + HOUR, T0 + 3 * HOUR, { pageSize: 2 });
+    expect(records.map(r => r.temperature)).toEqual([21, 22, 23]);
+    expect(service.keyScheme).toBe('scan');
+    expect(mockEnvLogs.queries.some(constraints => constraints.some(c => c.type === 'endAt'))).toBe(false);
+  });
+
+  test('the latest row is the newest by row time, not the last key', async () => {
+    addRows((ms, i) => `reading-${String(5 - i).padStart(3, '0')}`); // newest row has the smallest key
+    const service = new SensorHistoryService();
+
+    expect((await service.fetchLatest(1)).map(r => r.temperature)).toEqual([25]);
+    expect((await service.fetchLatest(2)).map(r => r.temperature)).toEqual([25, 24]);
+  });
+
+  test('push ID keys take the latest row from the last key', async () => {
+    addRows((ms, i) => `${pushIdForTime(ms)}AbCdEfGhIjK${i}`);
+    const service = new SensorHistoryService();
+
+    expect((await service.fetchLatest(1)).map(r => r.temperature)).toEqual([25]);
+    expect(mockEnvLogs.queries[mockEnvLogs.queries.length - 1]).toEqual(expect.arrayContaining([{ type: 'limitToLast', value: 1 }]));
+  });
+
+  test('without push IDs the tail comes from the realtime feed instead of rescanning', async () => {
+    addRows((ms, i) => `reading-${String(5 - i).padStart(3, '0')}`);
+    const service = new SensorHistoryService();
+    const now = T0 + 6 * HOUR;
+
+    expect((await service.getWindow('24h', { now })).recordCount).toBe(6);
+    const queries = mockEnvLogs.queries.length;
+
+    service.appendRecords([normalizeSensorRecord('reading-new', { time: deviceTime(now + MINUTE), temp: 30 })]);
+    const later = await service.getWindow('24h', { now: now + 5 * MINUTE });
+    expect(later.recordCount).toBe(7);
+    expect(mockEnvLogs.queries).toHaveLength(queries);
+    // the first scan cached every window, so switching to 30 days reads nothing either
+    await service.getWindow('30d', { now: now + 5 * MINUTE });
+    expect(mockEnvLogs.queries).toHaveLength(queries);
+  });
+});
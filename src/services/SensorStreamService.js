@@ -0,0 +1,208 @@
+// Sensor Stream Service - one realtime envLogs subscription shared by the app
+// src/services/SensorStreamService.js
+//
+// Replaces per-component polling: the first subscriber attaches an
+// onChildAdded listener (latest row, then every new row the ESP32 writes)
+// When envLogs keys aren't push IDs (see SensorHistoryService.getKeyScheme) a
+// new row need not sort last, so the listener covers the whole node and rows
+// older than the stale threshold are skipped.
+// and an onValue listener on `.info/connected`; the last one to leave
+// detaches them (after a short grace period). Components read the shared
+// snapshot through useSensorStream.
+
+import { ref, query, orderByKey, orderByChild, limitToLast, onChildAdded, onValue } from 'firebase/database';
+import { sensorDatabase } from './firebase';
+import sensorHistoryService, { normalizeSensorRecord } from './SensorHistoryService';
+
+const ENV_LOGS_PATH = 'envLogs';
+const TIME_FIELD = process.env.REACT_APP_SENSOR_TIME_FIELD || null;
+const RECENT_LIMIT = 200;
+export const STALE_CHECK_MS = 30 * 1000;
+export const DETACH_GRACE_MS = 5 * 1000; // Keep listeners across quick route changes
+
+// A feed with no new row for this long is reported as stale
+export const STALE_AFTER_MS = (Number(process.env.REACT_APP_SENSOR_STALE_MINUTES) || 10) * 60 * 1000;
+
+// Stale when no row has arrived yet or the newest one is older than staleAfterMs
+export function isFeedStale(lastRowAt, now, staleAfterMs = STALE_AFTER_MS) {
+  return lastRowAt === null || lastRowAt === undefined || now - lastRowAt > staleAfterMs;
+}
+
+export class SensorStreamService {
+  /**
+   * @param {Object} options - { now } clock, injectable for tests
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.listeners = new Set();
+    this.unsubscribers = [];
+    this.attached = false;
+    this.attachId = 0; // listeners attached after an async step check they're still wanted
+    this.staleTimer = null;
+    this.detachTimer = null;
+    this.state = {
+      loaded: false, // first read finished (envLogs may be empty)
+      latest: null, // normalized envLogs row (see normalizeSensorRecord)
+      recent: [], // newest first, capped at RECENT_LIMIT
+      connection: 'idle', // 'idle' | 'connecting' | 'connected' | 'disconnected'
+      stale: false,
+      lastRowAt: null, // when the latest row was written (ms)
+      lastReceivedAt: null, // when this client received it (ms)
+      error: null
+    };
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  getSnapshot() {
+    return this.state;
+  }
+
+  _setState(patch) {
+    this.state = { ...this.state, ...patch };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Register a change listener (useSyncExternalStore contract).
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (this.detachTimer) {
+      clearTimeout(this.detachTimer);
+      this.detachTimer = null;
+    }
+    if (!this.attached) {
+      this._attach();
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && !this.detachTimer) {
+        this.detachTimer = setTimeout(() => {
+          this.detachTimer = null;
+          if (this.listeners.size === 0) this._detach();
+        }, DETACH_GRACE_MS);
+      }
+    };
+  }
+
+  _attach() {
+    console.log('📡 Subscribing to realtime sensor feed...');
+    this.attached = true;
+    const attachId = ++this.attachId;
+    this._setState({ connection: 'connecting', error: null });
+
+    const envLogsRef = ref(sensorDatabase, ENV_LOGS_PATH);
+    sensorHistoryService.getKeyScheme(envLogsRef)
+      .catch(() => 'pushId')
+      .then(scheme => {
+        if (attachId !== this.attachId) return; // detached meanwhile
+        this._listenForRows(envLogsRef, scheme);
+      });
+
+    this.unsubscribers.push(onValue(ref(sensorDatabase, '.info/connected'), snapshot => {
+      const connected = snapshot.val() === true;
+      // Firebase reports "not connected" once before the socket opens
+      if (!connected && this.state.connection === 'connecting' && !this.state.latest) return;
+      this._setState({ connection: connected ? 'connected' : 'disconnected' });
+    }));
+
+    this.staleTimer = setInterval(() => this._checkStale(), STALE_CHECK_MS);
+
+    // onChildAdded stays silent on an empty node, so resolve the first load explicitly
+    this.refresh().finally(() => {
+      if (!this.state.loaded) this._setState({ loaded: true });
+    });
+  }
+
+  // New rows: the last one by key / time field, or the whole node when keys aren't push IDs
+  _listenForRows(envLogsRef, scheme) {
+    let rows = query(envLogsRef, TIME_FIELD ? orderByChild(TIME_FIELD) : orderByKey(), limitToLast(1));
+    let since = null;
+    if (scheme === 'scan') {
+      rows = envLogsRef;
+      // The node's existing rows arrive first; only recent ones matter here (refresh() reads the latest)
+      since = this.now() - STALE_AFTER_MS;
+    }
+
+    this.unsubscribers.push(onChildAdded(
+      rows,
+      snapshot => {
+        const record = normalizeSensorRecord(snapshot.key, snapshot.val());
+        if (since !== null && (record.timestamp === null || record.timestamp < since)) return;
+        this._handleRecord(record);
+      },
+      error => {
+        console.error('❌ Sensor feed subscription error:', error);
+        this._setState({ error: error.message, connection: 'disconnected' });
+      }
+    ));
+  }
+
+  _detach() {
+    console.log('📴 Unsubscribing from realtime sensor feed');
+    this.attached = false;
+    this.attachId++;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    clearInterval(this.staleTimer);
+    this.staleTimer = null;
+    this._setState({ connection: 'idle' });
+  }
+
+  _handleRecord(record) {
+    if (this.state.recent.some(r => r.id === record.id)) return;
+
+    // Out-of-order rows go into history but don't replace a newer latest
+    const isNewest = !this.state.latest || (record.timestamp ?? 0) >= (this.state.latest.timestamp ?? 0);
+    const recent = [record, ...this.state.recent]
+      .sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0))
+      .slice(0, RECENT_LIMIT);
+    const now = this.now();
+
+    sensorHistoryService.appendRecords([record]);
+
+    this._setState({
+      recent,
+      latest: isNewest ? record : this.state.latest,
+      lastRowAt: isNewest ? record.timestamp : this.state.lastRowAt,
+      lastReceivedAt: now,
+      stale: isNewest ? this._isStale(record.timestamp, now) : this.state.stale,
+      connection: this.state.connection === 'connecting' ? 'connected' : this.state.connection,
+      loaded: true,
+      error: null
+    });
+  }
+
+  _isStale(lastRowAt, now = this.now()) {
+    return isFeedStale(lastRowAt, now);
+  }
+
+  _checkStale() {
+    if (!this.state.latest) return;
+    const stale = this._isStale(this.state.lastRowAt);
+    if (stale !== this.state.stale) {
+      if (stale) console.warn('⚠️ Sensor feed is stale: no reading since', new Date(this.state.lastRowAt).toLocaleString());
+      this._setState({ stale });
+    }
+  }
+
+  // One-off read of the newest row (manual refresh button)
+  async refresh() {
+    try {
+      const [latest] = await sensorHistoryService.fetchLatest(1);
+      if (latest) this._handleRecord(latest);
+      return latest || null;
+    } catch (error) {
+      console.error('❌ Sensor refresh failed:', error);
+      this._setState({ error: error.message });
+      return null;
+    }
+  }
+}
+
+const sensorStreamService = new SensorStreamService();
+export default sensorStreamService;
@@ -0,0 +1,186 @@
+import {
+  SensorStreamService,
+  isFeedStale,
+  STALE_AFTER_MS,
+  STALE_CHECK_MS,
+  DETACH_GRACE_MS
+} from './SensorStreamService';
+import sensorHistoryService from './SensorHistoryService';
+
+// Realtime listeners are recorded so tests can push rows and count attaches / detaches;
+// `rows` is the envLogs node one-off reads see
+const mockFeed = { childAdded: [], unsubscribed: 0, rows: {} };
+
+function mockRead(constraints) {
+  let rows = Object.entries(mockFeed.rows).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  constraints.forEach(({ type, value }) => {
+    if (type === 'limitToFirst') rows = rows.slice(0, value);
+    if (type === 'limitToLast') rows = rows.slice(-value);
+  });
+  return { forEach: (fn) => rows.forEach(([key, value]) => fn({ key, val: () => value })) };
+}
+
+jest.mock('./firebase', () => ({ sensorDatabase: {} }));
+jest.mock('firebase/database', () => ({
+  ref: (db, path) => ({ path }),
+  query: (ref, ...constraints) => ({ ref, constraints }),
+  get: async ({ constraints = [] }) => mockRead(constraints),
+  orderByKey: () => ({ type: 'orderByKey' }),
+  orderByChild: (value) => ({ type: 'orderByChild', value }),
+  startAt: (value) => ({ type: 'startAt', value }),
+  endAt: (value) => ({ type: 'endAt', value }),
+  limitToFirst: (value) => ({ type: 'limitToFirst', value }),
+  limitToLast: (value) => ({ type: 'limitToLast', value }),
+  onChildAdded: (query, onRow) => {
+    mockFeed.childAdded.push({ query, onRow });
+    return () => { mockFeed.unsubscribed++; };
+  },
+  onValue: () => () => { mockFeed.unsubscribed++; }
+}));
+
+const MINUTE = 60 * 1000;
+const T0 = new Date(2024, 4, 1, 10, 0, 0).getTime();
+
+// A row as onChildAdded delivers it, written at `ms`
+const rowAt = (ms, key = `row-${ms}`) => ({ key, val: () => ({ temp: '24', hum: '70', time: deviceTime(ms) }) });
+// Let the key scheme check and first refresh settle
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+const deviceTime = (ms) => {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+describe('isFeedStale', () => {
+  test('stale without a row or after the threshold', () => {
+    expect(isFeedStale(null, T0)).toBe(true);
+    expect(isFeedStale(T0 - 9 * MINUTE, T0, 10 * MINUTE)).toBe(false);
+    expect(isFeedStale(T0 - 10 * MINUTE, T0, 10 * MINUTE)).toBe(false);
+    expect(isFeedStale(T0 - 11 * MINUTE, T0, 10 * MINUTE)).toBe(true);
+  });
+});
+
+describe('SensorStreamService', () => {
+  let clock;
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockFeed.childAdded = [];
+    mockFeed.unsubscribed = 0;
+    mockFeed.rows = {};
+    sensorHistoryService.keyScheme = null;
+    sensorHistoryService.clearCache();
+    clock = T0;
+    service = new SensorStreamService({ now: () => clock });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('subscribers share one set of listeners', async () => {
+    const leaveA = service.subscribe(() => {});
+    const leaveB = service.subscribe(() => {});
+    await flush();
+    expect(mockFeed.childAdded).toHaveLength(1);
+
+    leaveA();
+    jest.advanceTimersByTime(DETACH_GRACE_MS);
+    expect(mockFeed.unsubscribed).toBe(0);
+
+    leaveB();
+    expect(service.getSnapshot().connection).toBe('connecting');
+    jest.advanceTimersByTime(DETACH_GRACE_MS - 1);
+    expect(mockFeed.unsubscribed).toBe(0);
+    jest.advanceTimersByTime(1);
+    expect(mockFeed.unsubscribed).toBe(2); // envLogs + .info/connected
+    expect(service.getSnapshot().connection).toBe('idle');
+  });
+
+  test('a subscriber arriving within the grace period keeps the listeners', async () => {
+    service.subscribe(() => {})();
+    await flush();
+    jest.advanceTimersByTime(DETACH_GRACE_MS / 2);
+    const leave = service.subscribe(() => {});
+    jest.advanceTimersByTime(DETACH_GRACE_MS * 2);
+
+    expect(mockFeed.childAdded).toHaveLength(1);
+    expect(mockFeed.unsubscribed).toBe(0);
+
+    leave();
+    jest.advanceTimersByTime(DETACH_GRACE_MS);
+    expect(mockFeed.unsubscribed).toBe(2);
+    // the next subscriber attaches again
+    service.subscribe(() => {});
+    await flush();
+    expect(mockFeed.childAdded).toHaveLength(2);
+  });
+
+  test('goes stale once no row has arrived for STALE_AFTER_MS', async () => {
+    const onChange = jest.fn();
+    service.subscribe(onChange);
+    await flush();
+    const [{ onRow: pushRow }] = mockFeed.childAdded;
+
+    pushRow(rowAt(T0));
+    expect(service.getSnapshot()).toMatchObject({ stale: false, lastRowAt: T0, lastReceivedAt: T0, connection: 'connected' });
+
+    clock = T0 + STALE_AFTER_MS;
+    jest.advanceTimersByTime(STALE_CHECK_MS);
+    expect(service.getSnapshot().stale).toBe(false);
+
+    clock = T0 + STALE_AFTER_MS + STALE_CHECK_MS;
+    jest.advanceTimersByTime(STALE_CHECK_MS);
+    expect(service.getSnapshot().stale).toBe(true);
+
+    // A fresh row clears it; an older row arriving late does not replace the latest
+    pushRow(rowAt(clock));
+    expect(service.getSnapshot()).toMatchObject({ stale: false, lastRowAt: clock });
+    pushRow(rowAt(T0 - MINUTE));
+    expect(service.getSnapshot().lastRowAt).toBe(clock);
+    expect(service.getSnapshot().recent).toHaveLength(3);
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  test('a first row that is already old is stale straight away', async () => {
+    service.subscribe(() => {});
+    await flush();
+    mockFeed.childAdded[0].onRow(rowAt(T0 - 2 * STALE_AFTER_MS));
+    expect(service.getSnapshot()).toMatchObject({ stale: true, loaded: true });
+  });
+
+  test('without push ID keys a new row is seen even when its key does not sort last', async () => {
+    const row = (ms) => rowAt(ms).val();
+    mockFeed.rows = { 'reading-002': row(T0 - 2 * STALE_AFTER_MS), 'reading-001': row(T0 - MINUTE) };
+    service.subscribe(() => {});
+    await flush();
+
+    const [{ query, onRow }] = mockFeed.childAdded;
+    expect(query).toEqual({ path: 'envLogs' }); // the whole node, not limitToLast(1) by key
+    expect(service.getSnapshot().lastRowAt).toBe(T0 - MINUTE); // refresh() picked the newest by time
+
+    // existing rows replay first: the old one is skipped
+    onRow({ key: 'reading-002', val: () => mockFeed.rows['reading-002'] });
+    onRow({ key: 'reading-001', val: () => mockFeed.rows['reading-001'] });
+    expect(service.getSnapshot().recent).toHaveLength(1);
+
+    clock = T0 + STALE_AFTER_MS;
+    onRow(rowAt(clock, 'reading-000'));
+    expect(service.getSnapshot()).toMatchObject({ lastRowAt: clock, stale: false });
+    expect(service.getSnapshot().latest.id).toBe('reading-000');
+  });
+
+  test('leaving before the listener is attached attaches nothing', async () => {
+    service.subscribe(() => {})();
+    jest.advanceTimersByTime(DETACH_GRACE_MS);
+    await flush();
+    expect(mockFeed.childAdded).toHaveLength(0);
+    expect(service.getSnapshot().connection).toBe('idle');
+  });
+});
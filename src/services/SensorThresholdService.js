@@ -0,0 +1,219 @@
+// Sensor Threshold Service - per-farm, per-season sensor ranges
+// src/services/SensorThresholdService.js
+//
+// Single source for the ranges used by sensor status badges (useSensorData)
+// and sensor alerts (useAlerts). A reading inside `optimal` is Good, inside
+// `warning` is Warning, anything beyond is Critical.
+//
+// Resolution order (later wins, per sensor):
+//   default base → default season → region base → region season → farm overrides for the season
+//
+// Stored on the user profile as:
+//   sensorThresholds: {
+//     activeFarmId: 'farm_1',
+//     farms: {
+//       farm_1: { name, region, seasons: { monsoon: { humidity: { optimal: [50, 80], warning: [30, 90] } } } }
+//     }
+//   }
+
+export const SENSOR_KEYS = ['temperature', 'humidity', 'soilMoisture', 'lightIntensity', 'batteryVoltage', 'rainSensor'];
+
+// Months are 1-12; every month belongs to exactly one season
+export const SEASONS = [
+  { id: 'summer', months: [3, 4, 5], labelKey: 'seasonSummer' }, // after April foundation pruning
+  { id: 'monsoon', months: [6, 7, 8, 9], labelKey: 'seasonMonsoon' },
+  { id: 'winter', months: [10, 11, 12, 1, 2], labelKey: 'seasonWinter' } // October fruit pruning to harvest
+];
+
+export const DEFAULT_REGION = 'westernMaharashtra';
+
+// Western Maharashtra grape defaults (previously hardcoded in useSensorData and useAlerts)
+const BASE_THRESHOLDS = {
+  temperature: { optimal: [24, 34], warning: [20, 38] },
+  humidity: { optimal: [40, 60], warning: [0, 85] }, // above 85% is a disease risk
+  soilMoisture: { optimal: [30, 75], warning: [20, 85] },
+  lightIntensity: { optimal: [200, 2000], warning: [100, 3000] },
+  batteryVoltage: { optimal: [9.5, 14.5], warning: [9.0, 16.0] }, // below 9V switches to the second battery
+  rainSensor: { optimal: [0, 0.1], warning: [0, 0.5] }
+};
+
+export const REGION_PRESETS = {
+  westernMaharashtra: {
+    labelKey: 'regionWesternMaharashtra',
+    base: {},
+    seasons: {
+      summer: {
+        temperature: { optimal: [26, 36], warning: [20, 40] },
+        soilMoisture: { optimal: [35, 75], warning: [25, 85] }
+      },
+      monsoon: {
+        humidity: { optimal: [50, 80], warning: [0, 90] },
+        rainSensor: { optimal: [0, 0.5], warning: [0, 1.5] }
+      },
+      winter: {
+        temperature: { optimal: [18, 32], warning: [12, 36] }
+      }
+    }
+  },
+  nashik: {
+    labelKey: 'regionNashik',
+    base: {},
+    seasons: {
+      summer: {
+        temperature: { optimal: [25, 35], warning: [20, 40] },
+        soilMoisture: { optimal: [35, 75], warning: [25, 85] }
+      },
+      monsoon: {
+        humidity: { optimal: [50, 80], warning: [0, 90] },
+        rainSensor: { optimal: [0, 0.5], warning: [0, 1.5] }
+      },
+      winter: {
+        // Cold nights around bunch development
+        temperature: { optimal: [12, 30], warning: [6, 34] }
+      }
+    }
+  },
+  sangli: {
+    labelKey: 'regionSangli',
+    base: {
+      humidity: { optimal: [35, 60], warning: [0, 85] }
+    },
+    seasons: {
+      summer: {
+        temperature: { optimal: [27, 38], warning: [22, 42] },
+        soilMoisture: { optimal: [35, 75], warning: [25, 85] }
+      },
+      monsoon: {
+        humidity: { optimal: [45, 75], warning: [0, 88] },
+        rainSensor: { optimal: [0, 0.3], warning: [0, 1.0] }
+      },
+      winter: {
+        temperature: { optimal: [18, 33], warning: [12, 37] }
+      }
+    }
+  },
+  karnataka: {
+    labelKey: 'regionKarnataka',
+    base: {
+      humidity: { optimal: [30, 60], warning: [0, 85] }
+    },
+    seasons: {
+      summer: {
+        temperature: { optimal: [28, 39], warning: [22, 43] },
+        soilMoisture: { optimal: [35, 75], warning: [25, 85] }
+      },
+      monsoon: {
+        humidity: { optimal: [45, 75], warning: [0, 88] },
+        rainSensor: { optimal: [0, 0.3], warning: [0, 1.0] }
+      },
+      winter: {
+        temperature: { optimal: [17, 33], warning: [12, 37] }
+      }
+    }
+  }
+};
+
+const STATUS_STYLES = {
+  Good: { status: 'Good', color: '#22c55e' },
+  Warning: { status: 'Warning', color: '#eab308' },
+  Critical: { status: 'Critical', color: '#dc2626' },
+  Unknown: { status: 'Unknown', color: '#6b7280' }
+};
+
+export function getSeason(date = new Date()) {
+  const month = date.getMonth() + 1;
+  return (SEASONS.find(season => season.months.includes(month)) || SEASONS[0]).id;
+}
+
+const isRange = (range) => (
+  Array.isArray(range) && range.length === 2 && range.every(v => typeof v === 'number' && Number.isFinite(v))
+);
+
+// Per-sensor merge: a layer may override optimal, warning or both
+const mergeLayer = (thresholds, layer) => {
+  if (!layer) return thresholds;
+  const merged = { ...thresholds };
+  Object.keys(layer).forEach(sensorType => {
+    if (!merged[sensorType]) return;
+    const { optimal, warning } = layer[sensorType] || {};
+    merged[sensorType] = {
+      optimal: isRange(optimal) ? [...optimal] : merged[sensorType].optimal,
+      warning: isRange(warning) ? [...warning] : merged[sensorType].warning
+    };
+  });
+  return merged;
+};
+
+/**
+ * Fill in a saved (or missing) profile config so there is always one active farm.
+ * @param {Object} config - userProfile.sensorThresholds
+ * @param {string} fallbackName - name for the implicit first farm (userProfile.farmName)
+ */
+export function normalizeThresholdConfig(config, fallbackName = 'My Farm') {
+  const farms = {};
+  Object.entries(config?.farms || {}).forEach(([id, farm]) => {
+    if (!farm) return;
+    farms[id] = {
+      name: farm.name || fallbackName,
+      region: REGION_PRESETS[farm.region] ? farm.region : DEFAULT_REGION,
+      seasons: farm.seasons || {}
+    };
+  });
+
+  if (Object.keys(farms).length === 0) {
+    farms.default = { name: fallbackName, region: DEFAULT_REGION, seasons: {} };
+  }
+
+  const activeFarmId = farms[config?.activeFarmId] ? config.activeFarmId : Object.keys(farms)[0];
+  return { activeFarmId, farms };
+}
+
+// Thresholds from the region preset alone (what a farm resets to)
+export function getRegionThresholds(region = DEFAULT_REGION, season = getSeason()) {
+  const preset = REGION_PRESETS[region] || REGION_PRESETS[DEFAULT_REGION];
+  return mergeLayer(mergeLayer(BASE_THRESHOLDS, preset.base), preset.seasons?.[season]);
+}
+
+/**
+ * Effective thresholds for a farm and season.
+ * @param {Object} config - userProfile.sensorThresholds (normalized or raw)
+ * @param {Object} options - { farmId, season } (defaults: active farm, current season)
+ * @returns {Object} { [sensorType]: { optimal: [min, max], warning: [min, max] } }
+ */
+export function resolveThresholds(config, { farmId, season = getSeason() } = {}) {
+  const normalized = normalizeThresholdConfig(config);
+  const farm = normalized.farms[farmId] || normalized.farms[normalized.activeFarmId];
+  return mergeLayer(getRegionThresholds(farm.region, season), farm.seasons?.[season]);
+}
+
+// Status badge for a reading against resolved thresholds
+export function getSensorStatus(sensorType, value, thresholds) {
+  const threshold = thresholds?.[sensorType];
+  if (!threshold || !Number.isFinite(value)) return STATUS_STYLES.Unknown;
+
+  const [optimalMin, optimalMax] = threshold.optimal;
+  const [warningMin, warningMax] = threshold.warning;
+
+  if (value >= optimalMin && value <= optimalMax) return STATUS_STYLES.Good;
+  if (value >= warningMin && value <= warningMax) return STATUS_STYLES.Warning;
+  return STATUS_STYLES.Critical;
+}
+
+/**
+ * Check one season's overrides before saving.
+ * @returns {Array<{sensorType, message}>} empty when valid
+ */
+export function validateSeasonOverrides(overrides) {
+  const errors = [];
+  Object.entries(overrides || {}).forEach(([sensorType, { optimal, warning } = {}]) => {
+    if (!SENSOR_KEYS.includes(sensorType)) return;
+    if (!isRange(optimal) || !isRange(warning)) {
+      errors.push({ sensorType, message: 'Every range needs a numeric min and max' });
+    } else if (optimal[0] > optimal[1] || warning[0] > warning[1]) {
+      errors.push({ sensorType, message: 'Min must not exceed max' });
+    } else if (optimal[0] < warning[0] || optimal[1] > warning[1]) {
+      errors.push({ sensorType, message: 'Optimal range must sit inside the warning range' });
+    }
+  });
+  return errors;
+}
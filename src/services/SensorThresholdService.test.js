@@ -0,0 +1,140 @@
+import {
+  SENSOR_KEYS,
+  SEASONS,
+  DEFAULT_REGION,
+  REGION_PRESETS,
+  getSeason,
+  normalizeThresholdConfig,
+  getRegionThresholds,
+  resolveThresholds,
+  getSensorStatus,
+  validateSeasonOverrides
+} from './SensorThresholdService';
+
+describe('seasons', () => {
+  test('every month belongs to exactly one season', () => {
+    for (let month = 1; month <= 12; month++) {
+      expect(SEASONS.filter(season => season.months.includes(month))).toHaveLength(1);
+    }
+  });
+
+  test('getSeason follows the pruning calendar', () => {
+    expect(getSeason(new Date(2024, 3, 15))).toBe('summer');
+    expect(getSeason(new Date(2024, 6, 1))).toBe('monsoon');
+    expect(getSeason(new Date(2024, 9, 1))).toBe('winter');
+    expect(getSeason(new Date(2025, 0, 31))).toBe('winter');
+  });
+});
+
+describe('region presets', () => {
+  test('the default region changes only what its season sets', () => {
+    const monsoon = getRegionThresholds(DEFAULT_REGION, 'monsoon');
+    expect(monsoon.humidity).toEqual({ optimal: [50, 80], warning: [0, 90] });
+    expect(monsoon.temperature).toEqual({ optimal: [24, 34], warning: [20, 38] }); // base value
+    expect(Object.keys(monsoon).sort()).toEqual([...SENSOR_KEYS].sort());
+  });
+
+  test('region base applies in every season and the season layer wins over it', () => {
+    expect(getRegionThresholds('sangli', 'winter').humidity).toEqual({ optimal: [35, 60], warning: [0, 85] });
+    expect(getRegionThresholds('sangli', 'monsoon').humidity).toEqual({ optimal: [45, 75], warning: [0, 88] });
+    expect(getRegionThresholds('nashik', 'winter').temperature).toEqual({ optimal: [12, 30], warning: [6, 34] });
+  });
+
+  test('unknown regions use the default preset', () => {
+    expect(getRegionThresholds('atlantis', 'summer')).toEqual(getRegionThresholds(DEFAULT_REGION, 'summer'));
+  });
+
+  test('every preset keeps optimal inside warning', () => {
+    Object.keys(REGION_PRESETS).forEach(region => {
+      SEASONS.forEach(({ id }) => {
+        expect(validateSeasonOverrides(getRegionThresholds(region, id))).toEqual([]);
+      });
+    });
+  });
+});
+
+describe('farm configuration', () => {
+  const config = {
+    activeFarmId: 'farm_2',
+    farms: {
+      farm_1: { name: 'Home', region: 'nashik', seasons: {} },
+      farm_2: {
+        name: 'River plot',
+        region: 'sangli',
+        seasons: {
+          monsoon: {
+            humidity: { optimal: [55, 70] }, // warning comes from the preset
+            soilMoisture: { optimal: [40, 70], warning: [30, 80] },
+            unknownSensor: { optimal: [0, 1], warning: [0, 2] }
+          }
+        }
+      }
+    }
+  };
+
+  test('a missing config gets one default farm', () => {
+    expect(normalizeThresholdConfig(undefined, 'Patil Farm')).toEqual({
+      activeFarmId: 'default',
+      farms: { default: { name: 'Patil Farm', region: DEFAULT_REGION, seasons: {} } }
+    });
+  });
+
+  test('unknown regions and a missing active farm are repaired', () => {
+    const normalized = normalizeThresholdConfig({ activeFarmId: 'gone', farms: { a: { region: 'atlantis' }, b: null } }, 'Farm');
+    expect(normalized).toEqual({ activeFarmId: 'a', farms: { a: { name: 'Farm', region: DEFAULT_REGION, seasons: {} } } });
+  });
+
+  test('farm overrides merge per range on top of the region season', () => {
+    const thresholds = resolveThresholds(config, { season: 'monsoon' });
+    expect(thresholds.humidity).toEqual({ optimal: [55, 70], warning: [0, 88] });
+    expect(thresholds.soilMoisture).toEqual({ optimal: [40, 70], warning: [30, 80] });
+    expect(thresholds.rainSensor).toEqual({ optimal: [0, 0.3], warning: [0, 1.0] });
+    expect(thresholds.unknownSensor).toBeUndefined();
+  });
+
+  test('overrides apply only to their season and farm', () => {
+    expect(resolveThresholds(config, { season: 'winter' })).toEqual(getRegionThresholds('sangli', 'winter'));
+    expect(resolveThresholds(config, { farmId: 'farm_1', season: 'monsoon' })).toEqual(getRegionThresholds('nashik', 'monsoon'));
+    expect(resolveThresholds(config, { farmId: 'missing', season: 'monsoon' }).humidity.optimal).toEqual([55, 70]);
+  });
+
+  test('malformed override ranges are ignored', () => {
+    const broken = { farms: { a: { region: 'nashik', seasons: { summer: { temperature: { optimal: [20], warning: ['x', 40] } } } } } };
+    expect(resolveThresholds(broken, { season: 'summer' }).temperature).toEqual(getRegionThresholds('nashik', 'summer').temperature);
+  });
+});
+
+describe('getSensorStatus', () => {
+  const thresholds = getRegionThresholds(DEFAULT_REGION, 'summer');
+
+  test('Good inside optimal, Warning inside warning, Critical beyond', () => {
+    expect(getSensorStatus('temperature', 30, thresholds).status).toBe('Good');
+    expect(getSensorStatus('temperature', 36, thresholds).status).toBe('Good'); // edge is inclusive
+    expect(getSensorStatus('temperature', 38, thresholds).status).toBe('Warning');
+    expect(getSensorStatus('temperature', 41, thresholds).status).toBe('Critical');
+    expect(getSensorStatus('temperature', 19, thresholds).status).toBe('Critical');
+  });
+
+  test('Unknown for missing readings or sensors', () => {
+    expect(getSensorStatus('temperature', null, thresholds).status).toBe('Unknown');
+    expect(getSensorStatus('temperature', NaN, thresholds).status).toBe('Unknown');
+    expect(getSensorStatus('co2', 400, thresholds).status).toBe('Unknown');
+  });
+});
+
+describe('validateSeasonOverrides', () => {
+  test('reports incomplete, inverted and nested ranges', () => {
+    expect(validateSeasonOverrides({
+      temperature: { optimal: [20], warning: [10, 40] },
+      humidity: { optimal: [80, 50], warning: [0, 90] },
+      soilMoisture: { optimal: [10, 70], warning: [20, 80] },
+      lightIntensity: { optimal: [200, 2000], warning: [100, 3000] },
+      notASensor: { optimal: [5, 1] }
+    })).toEqual([
+      { sensorType: 'temperature', message: 'Every range needs a numeric min and max' },
+      { sensorType: 'humidity', message: 'Min must not exceed max' },
+      { sensorType: 'soilMoisture', message: 'Optimal range must sit inside the warning range' }
+    ]);
+    expect(validateSeasonOverrides(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+// Severity Scoring Service - lesion-area based severity grade
+// src/services/SeverityScoringService.js
+//
+// Estimates the percent of leaf area affected and maps it to a 0-5 grade
+// (standard disease rating key for grape foliar diseases):
+//   0 = no symptoms, 1 = ≤10%, 2 = 11-25%, 3 = 26-50%, 4 = 51-75%, 5 = >75%
+// Area sources, best first:
+//   masks - union of instance segmentation masks
+//   boxes - union of bounding boxes (overestimates round lesions)
+//   color - lesion/leaf pixel ratio reported by the color heuristic
+// Masks and boxes are measured against the whole frame, which stands in for
+// the leaf when the photo is a close-up of a single leaf.
+
+import { boxUnionArea } from './DetectionBreakdownService';
+
+export const SEVERITY_SCALE = [
+  { grade: 0, maxPct: 0, labelKey: 'severityGrade0' },
+  { grade: 1, maxPct: 10, labelKey: 'severityGrade1' },
+  { grade: 2, maxPct: 25, labelKey: 'severityGrade2' },
+  { grade: 3, maxPct: 50, labelKey: 'severityGrade3' },
+  { grade: 4, maxPct: 75, labelKey: 'severityGrade4' },
+  { grade: 5, maxPct: 100, labelKey: 'severityGrade5' }
+];
+
+const GRID = 100; // masks are rasterized onto a GRID × GRID sample of the frame
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export function gradeFromAreaPct(pct) {
+  if (!Number.isFinite(pct)) return null;
+  return SEVERITY_SCALE.find(step => pct <= step.maxPct)?.grade ?? 5;
+}
+
+export const getGradeInfo = (grade) => SEVERITY_SCALE.find(step => step.grade === grade) || null;
+
+// COCO uncompressed RLE ({ size: [h, w], counts: [...] }, column-major) → rows of 0/1
+export function decodeRle({ size, counts }) {
+  const [height, width] = size;
+  const flat = new Uint8Array(height * width);
+  let index = 0;
+  counts.forEach((run, i) => {
+    if (i % 2 === 1) flat.fill(1, index, index + run);
+    index += run;
+  });
+  return Array.from({ length: height }, (_, y) =>
+    Array.from({ length: width }, (_, x) => flat[x * height + y])
+  );
+}
+
+const pointInPolygon = (x, y, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2) {
+    const [xi, yi, xj, yj] = [points[i], points[i + 1], points[j], points[j + 1]];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const isBinaryRow = (row) => row.every(value => value === 0 || value === 1 || typeof value === 'boolean');
+
+/**
+ * Turn one mask into a sampler (fx, fy in 0..1 of the frame) → covered?
+ * Supported: binary grid (rows of 0/1 or booleans spanning the frame),
+ * COCO uncompressed RLE, and polygons (flat [x1, y1, x2, y2, ...] arrays in
+ * image pixels). Returns null for anything else.
+ */
+function maskSampler(mask, { width, height }) {
+  if (mask && Array.isArray(mask.counts) && Array.isArray(mask.size)) {
+    return maskSampler(decodeRle(mask), { width, height });
+  }
+  if (!Array.isArray(mask) || mask.length === 0 || !mask.every(Array.isArray)) return null;
+
+  if (mask.every(isBinaryRow)) {
+    const rows = mask.length;
+    const cols = mask[0].length;
+    if (cols === 0) return null;
+    return (fx, fy) => !!mask[Math.min(rows - 1, Math.floor(fy * rows))][Math.min(cols - 1, Math.floor(fx * cols))];
+  }
+
+  const isPolygon = (poly) => poly.length >= 6 && poly.length % 2 === 0 && poly.every(Number.isFinite);
+  if (mask.every(isPolygon) && width > 0 && height > 0) {
+    return (fx, fy) => mask.some(poly => pointInPolygon(fx * width, fy * height, poly));
+  }
+  return null;
+}
+
+// Percent of the frame covered by the union of masks, or null if any mask can't be read
+export function maskUnionPct(masks, imageSize) {
+  const samplers = (masks || []).map(mask => maskSampler(mask, imageSize));
+  if (samplers.length === 0 || samplers.some(sampler => !sampler)) return null;
+
+  let covered = 0;
+  for (let gy = 0; gy < GRID; gy++) {
+    for (let gx = 0; gx < GRID; gx++) {
+      const fx = (gx + 0.5) / GRID;
+      const fy = (gy + 0.5) / GRID;
+      if (samplers.some(sample => sample(fx, fy))) covered++;
+    }
+  }
+  return round1((covered / (GRID * GRID)) * 100);
+}
+
+/**
+ * Severity from instance predictions (masks when every instance has one, else boxes).
+ * @param {Array} predictions - [{ bbox: [x1, y1, x2, y2], mask }]
+ * @param {Object} imageSize - { width, height } of the frame the coordinates refer to
+ * @returns {{ grade, affectedPct, source, scale }}
+ */
+export function scoreLesionSeverity(predictions, imageSize) {
+  const preds = predictions || [];
+  if (preds.length === 0) return { grade: 0, affectedPct: 0, source: 'none', scale: '0-5' };
+
+  const masks = preds.map(pred => pred.mask).filter(Boolean);
+  const fromMasks = masks.length === preds.length ? maskUnionPct(masks, imageSize) : null;
+  if (fromMasks !== null) {
+    return { grade: gradeFromAreaPct(fromMasks), affectedPct: fromMasks, source: 'masks', scale: '0-5' };
+  }
+
+  const imageArea = (imageSize?.width || 0) * (imageSize?.height || 0);
+  if (imageArea <= 0) return { grade: null, affectedPct: null, source: null, scale: '0-5' };
+  const fromBoxes = round1(Math.min(100, (boxUnionArea(preds.map(pred => pred.bbox)) / imageArea) * 100));
+  return { grade: gradeFromAreaPct(fromBoxes), affectedPct: fromBoxes, source: 'boxes', scale: '0-5' };
+}
+
+/**
+ * Severity for results without instance predictions: healthy leaves are 0,
+ * color analysis reports its own lesion share; anything else is ungraded
+ * rather than guessed from the classifier confidence.
+ */
+export function scoreResultSeverity(result) {
+  if (result?.severityScore) return result.severityScore;
+  if (result?.severity === 'None') return { grade: 0, affectedPct: 0, source: 'none', scale: '0-5' };
+
+  const lesionAreaPct = result?.detectionDetails?.lesionAreaPct;
+  if (Number.isFinite(lesionAreaPct)) {
+    return { grade: gradeFromAreaPct(lesionAreaPct), affectedPct: round1(lesionAreaPct), source: 'color', scale: '0-5' };
+  }
+  return { grade: null, affectedPct: null, source: null, scale: '0-5' };
+}
@@ -0,0 +1,73 @@
+import {
+  gradeFromAreaPct,
+  maskUnionPct,
+  scoreLesionSeverity,
+  scoreResultSeverity
+} from './SeverityScoringService';
+
+const imageSize = { width: 100, height: 100 };
+
+// Binary mask rows × cols with the rectangle [x1, y1, x2, y2) set
+const rectMask = (rows, cols, [x1, y1, x2, y2]) =>
+  Array.from({ length: rows }, (_, y) => Array.from({ length: cols }, (_, x) => (x >= x1 && x < x2 && y >= y1 && y < y2 ? 1 : 0)));
+
+describe('gradeFromAreaPct', () => {
+  test('follows the 0-5 rating key', () => {
+    expect([0, 0.2, 10, 10.5, 25, 40, 60, 80, 100].map(gradeFromAreaPct)).toEqual([0, 1, 1, 2, 2, 3, 4, 5, 5]);
+    expect(gradeFromAreaPct(null)).toBeNull();
+  });
+});
+
+describe('maskUnionPct', () => {
+  test('merges overlapping binary masks', () => {
+    const masks = [rectMask(10, 10, [0, 0, 5, 5]), rectMask(10, 10, [0, 0, 5, 10])];
+    expect(maskUnionPct(masks, imageSize)).toBe(50);
+  });
+
+  test('reads COCO RLE and polygons', () => {
+    // 4×4, column-major: first two columns set
+    const rle = { size: [4, 4], counts: [0, 8, 8] };
+    expect(maskUnionPct([rle], imageSize)).toBe(50);
+
+    const triangle = [[0, 0, 100, 0, 0, 100]];
+    expect(maskUnionPct([triangle], imageSize)).toBeCloseTo(50, 0);
+  });
+
+  test('gives up on unknown mask formats', () => {
+    expect(maskUnionPct([{ foo: 1 }], imageSize)).toBeNull();
+  });
+});
+
+describe('scoreLesionSeverity', () => {
+  test('prefers masks over boxes', () => {
+    // The box covers 64% of the frame, the lesion inside it only 4%
+    const predictions = [{ bbox: [10, 10, 90, 90], mask: rectMask(10, 10, [4, 4, 6, 6]) }];
+    expect(scoreLesionSeverity(predictions, imageSize)).toEqual({ grade: 1, affectedPct: 4, source: 'masks', scale: '0-5' });
+  });
+
+  test('falls back to the box union when masks are missing', () => {
+    const predictions = [
+      { bbox: [0, 0, 50, 50] },
+      { bbox: [25, 25, 75, 75], mask: rectMask(10, 10, [0, 0, 1, 1]) }
+    ];
+    expect(scoreLesionSeverity(predictions, imageSize)).toMatchObject({ grade: 3, affectedPct: 43.8, source: 'boxes' });
+  });
+
+  test('tells a single lesion from a leaf that is half gone', () => {
+    const oneLesion = scoreLesionSeverity([{ bbox: [40, 40, 48, 48] }], imageSize);
+    const halfGone = scoreLesionSeverity([{ bbox: [0, 0, 100, 55] }], imageSize);
+    expect(oneLesion.grade).toBe(1);
+    expect(halfGone.grade).toBe(4);
+  });
+});
+
+describe('scoreResultSeverity', () => {
+  test('grades healthy leaves 0 and uses reported lesion area', () => {
+    expect(scoreResultSeverity({ severity: 'None' }).grade).toBe(0);
+    expect(scoreResultSeverity({ severity: 'High', detectionDetails: { lesionAreaPct: 30 } })).toMatchObject({ grade: 3, source: 'color' });
+  });
+
+  test('leaves classifier-only results ungraded', () => {
+    expect(scoreResultSeverity({ severity: 'High', confidence: 90, healthyArea: 10 }).grade).toBeNull();
+  });
+});
@@ -1,71 +1,187 @@
 // Simple Disease Detection Service (No external dependencies)
-// This analyzes image characteristics and simulates AI detection
+// Color-feature heuristic used when no AI backend is available. Scoring is
+// deterministic (same image → same result) and confidences are calibrated
+// against the measured accuracy on labelled color features; every result carries
+// a low-trust flag so the UI and saved records can tell it apart from AI output.
+
+import imageWorkerPool from './ImageWorkerPool';
+import { DISEASE_CATALOG } from './DiseaseCatalogService';
+import labelledColorFeatures from './__fixtures__/heuristicColorFeatures.json';
+
+// Chance level for five classes; confidences are shrunk towards it
+const CHANCE = 1 / 5;
+// Softmax temperature over the [0,1] evidence scores
+const TEMPERATURE = 0.15;
+// Width of the top-probability bins accuracy is measured in
+const CALIBRATION_BIN_WIDTH = 0.1;
+
+// What the color features look for per disease
+const COLOR_INDICATORS = {
+  karpa: ['dark_spots', 'brown_patches', 'circular_lesions'],
+  bhuri: ['white_powder', 'pale_spots', 'leaf_distortion'],
+  davnya: ['yellow_spots', 'fuzzy_growth', 'leaf_yellowing'],
+  bokadlela: ['holes', 'entry_points', 'wilting'],
+  healthy: ['green_color', 'no_spots', 'good_structure']
+};
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+// Linear ramp: 0 at or below `lo`, 1 at or above `hi`
+const ramp = (x, lo, hi) => clamp01((x - lo) / (hi - lo));
+
+// Evidence (0-1) for each class from the analyzeImageColors features.
+// Thresholds keep the centers of the original hand-written rules.
+function classEvidence(f) {
+  const lesionRatio = f.darkRatio + f.brownRatio + f.yellowRatio;
+  return {
+    karpa: 0.55 * ramp(f.brownRatio, 0.05, 0.25) + 0.45 * ramp(f.darkRatio, 0.10, 0.30),
+    bhuri: 0.6 * ramp(f.brightRatio, 0.15, 0.40) + 0.4 * (1 - ramp(f.greenRatio, 0.30, 0.60)),
+    davnya: 0.6 * ramp(f.yellowRatio, 0.08, 0.28) + 0.4 * ramp(f.darkRatio, 0.05, 0.20),
+    bokadlela: 0.7 * ramp(f.darkRatio, 0.20, 0.45) + 0.3 * (1 - ramp(f.brownRatio + f.yellowRatio, 0.05, 0.20)),
+    healthy: 0.6 * ramp(f.greenRatio, 0.35, 0.70) + 0.4 * (1 - ramp(lesionRatio, 0.08, 0.30))
+  };
+}
+
+/**
+ * Color features from RGBA pixel data (canvas getImageData().data).
+ * Shared with the image quality gate's leaf coverage check.
+ * @returns {{ avgR, avgG, avgB, darkRatio, brightRatio, greenRatio, brownRatio, yellowRatio }}
+ */
+export function computeColorFeatures(data) {
+  let totalR = 0, totalG = 0, totalB = 0;
+  let darkPixels = 0, brightPixels = 0;
+  let greenPixels = 0, brownPixels = 0, yellowPixels = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+
+    totalR += r;
+    totalG += g;
+    totalB += b;
+
+    const brightness = (r + g + b) / 3;
+    if (brightness < 80) darkPixels++;
+    if (brightness > 200) brightPixels++;
+
+    // Detect color patterns
+    if (g > r && g > b && g > 100) greenPixels++;
+    if (r > 100 && g > 60 && b < 60) brownPixels++;
+    if (r > 180 && g > 180 && b < 100) yellowPixels++;
+  }
+
+  const totalPixels = Math.max(1, data.length / 4);
+
+  return {
+    avgR: totalR / totalPixels,
+    avgG: totalG / totalPixels,
+    avgB: totalB / totalPixels,
+    darkRatio: darkPixels / totalPixels,
+    brightRatio: brightPixels / totalPixels,
+    greenRatio: greenPixels / totalPixels,
+    brownRatio: brownPixels / totalPixels,
+    yellowRatio: yellowPixels / totalPixels
+  };
+}
+
+// Softmax over the class evidence, before any calibration
+function classifyColorFeatures(features) {
+  const evidence = classEvidence(features);
+  const keys = Object.keys(evidence);
+  const maxEvidence = Math.max(...keys.map(k => evidence[k]));
+  const exps = keys.map(k => Math.exp((evidence[k] - maxEvidence) / TEMPERATURE));
+  const total = exps.reduce((sum, v) => sum + v, 0);
+
+  const probabilities = {};
+  keys.forEach((k, i) => { probabilities[k] = exps[i] / total; });
+
+  // Ties resolve in declaration order so the result never depends on float noise
+  const key = keys.reduce((best, k) => (probabilities[k] > probabilities[best] + 1e-9 ? k : best), keys[0]);
+  return { key, probabilities, evidence };
+}
+
+/**
+ * Measure the heuristic's accuracy per top-probability bin on labelled color
+ * features and derive the share of the margin above chance it may claim: the
+ * largest factor that keeps every bin's confidence at or below its accuracy.
+ * Bin accuracy is add-one smoothed, (correct + 1) / (count + 2), so a few
+ * correct samples never justify full confidence.
+ * @param {Array<{ label: string, features: Object }>} samples
+ * @returns {{ reliability: number, bins: Array<{ lo, hi, count, correct, accuracy, maxProbability }> }}
+ */
+export function calibrateReliability(samples) {
+  const lastBin = Math.round(1 / CALIBRATION_BIN_WIDTH) - 1;
+  const byBin = new Map();
+
+  samples.forEach(({ label, features }) => {
+    const { key, probabilities } = classifyColorFeatures(features);
+    const probability = probabilities[key];
+    const index = Math.min(lastBin, Math.floor(probability / CALIBRATION_BIN_WIDTH));
+    const bin = byBin.get(index) || {
+      lo: Math.round(index * CALIBRATION_BIN_WIDTH * 10) / 10,
+      hi: Math.round((index + 1) * CALIBRATION_BIN_WIDTH * 10) / 10,
+      count: 0,
+      correct: 0,
+      maxProbability: 0
+    };
+    bin.count++;
+    if (key === label) bin.correct++;
+    bin.maxProbability = Math.max(bin.maxProbability, probability);
+    byBin.set(index, bin);
+  });
+
+  const bins = [...byBin.keys()].sort((a, b) => a - b).map(index => {
+    const bin = byBin.get(index);
+    return { ...bin, accuracy: (bin.correct + 1) / (bin.count + 2) };
+  });
+
+  // Confidence is CHANCE + (p - CHANCE) * reliability; the bin's largest p binds
+  const limit = bins.reduce((factor, { accuracy, maxProbability }) => (
+    maxProbability > CHANCE ? Math.min(factor, (accuracy - CHANCE) / (maxProbability - CHANCE)) : factor
+  ), 1);
+
+  // Rounded down so the rounded confidences stay under the measured accuracy too
+  return { reliability: Math.floor(clamp01(limit) * 100) / 100, bins };
+}
+
+// Measured on the labelled fixture vectors (`heuristicColorFeatures.json`).
+// Grow that set and this factor follows; nothing here is hand-tuned.
+export const HEURISTIC_CALIBRATION = calibrateReliability(labelledColorFeatures);
+const HEURISTIC_RELIABILITY = HEURISTIC_CALIBRATION.reliability;
+
+export const HEURISTIC_MAX_CONFIDENCE = Math.round((CHANCE + (1 - CHANCE) * HEURISTIC_RELIABILITY) * 1000) / 10;
+
+/**
+ * Score color features into class probabilities and a calibrated confidence.
+ * Pure function: identical features always give identical output.
+ * @param {Object} features - { darkRatio, brightRatio, greenRatio, brownRatio, yellowRatio, ... }
+ * @returns {{ key: string, confidence: number, probabilities: Object, evidence: Object }}
+ */
+export function scoreColorFeatures(features) {
+  const { key, probabilities, evidence } = classifyColorFeatures(features);
+  const confidence = (CHANCE + (probabilities[key] - CHANCE) * HEURISTIC_RELIABILITY) * 100;
+
+  return {
+    key,
+    confidence: Math.round(confidence * 10) / 10,
+    probabilities,
+    evidence
+  };
+}
 
 class SimpleDiseaseDetectionService {
   constructor() {
     this.isModelLoaded = true; // Always ready
-    this.diseases = [
-      {
-        name: "Anthracnose (Karpa)",
-        marathi: "कर्पा रोग",
-        indicators: ["dark_spots", "brown_patches", "circular_lesions"],
-        severity: "High",
-        recommendations: [
-          "Remove infected leaves early",
-          "Spray Chlorothalonil or Carbendazim", 
-          "Improve air circulation within vines",
-          "Avoid overhead watering"
-        ]
-      },
-      {
-        name: "Powdery Mildew (Bhuri)",
-        marathi: "भुरी रोग",
-        indicators: ["white_powder", "pale_spots", "leaf_distortion"],
-        severity: "Medium",
-        recommendations: [
-          "Apply sulfur-based fungicide spray",
-          "Improve air circulation around plants",
-          "Remove affected leaves immediately",
-          "Monitor humidity levels (keep below 70%)"
-        ]
-      },
-      {
-        name: "Downy Mildew (Davnya)",
-        marathi: "दवयाचा रोग",
-        indicators: ["yellow_spots", "fuzzy_growth", "leaf_yellowing"],
-        severity: "High",
-        recommendations: [
-          "Spray Metalaxyl + Mancozeb after rain",
-          "Ensure canopy pruning for sunlight",
-          "Avoid evening irrigation",
-          "Improve air circulation"
-        ]
-      },
-      {
-        name: "Borer Infestation (Bokadlela)",
-        marathi: "बोकाडलेला",
-        indicators: ["holes", "entry_points", "wilting"],
-        severity: "High",
-        recommendations: [
-          "Install pheromone traps (10 per acre)",
-          "Use Spinosad or Neem oil spray",
-          "Inspect vines weekly for larvae entry holes",
-          "Remove and destroy affected branches"
-        ]
-      },
-      {
-        name: "Healthy",
-        marathi: "निरोगी",
-        indicators: ["green_color", "no_spots", "good_structure"],
-        severity: "None",
-        recommendations: [
-          "Continue regular monitoring",
-          "Maintain proper irrigation",
-          "Keep optimal nutrient levels",
-          "Regular preventive spraying"
-        ]
-      }
-    ];
+    // Names, severity and treatments from the disease catalog; the keys are classEvidence's
+    this.diseases = DISEASE_CATALOG.map(disease => ({
+      key: disease.key,
+      name: disease.name,
+      marathi: disease.names.marathi,
+      indicators: COLOR_INDICATORS[disease.key],
+      severity: disease.severity,
+      recommendations: disease.recommendations
+    }));
   }
 
   async loadModel() {
@@ -75,7 +191,19 @@ class SimpleDiseaseDetectionService {
     return true;
   }
 
+  // Full-resolution pixel loop runs in a worker when possible
   async analyzeImageColors(imageElement) {
+    return imageWorkerPool.runOrFallback(
+      'colorFeatures',
+      async () => {
+        const bitmap = await createImageBitmap(imageElement);
+        return { payload: { bitmap }, transfer: [bitmap] };
+      },
+      () => this.analyzeImageColorsOnMainThread(imageElement)
+    );
+  }
+
+  async analyzeImageColorsOnMainThread(imageElement) {
     return new Promise((resolve) => {
       const canvas = document.createElement('canvas');
       const ctx = canvas.getContext('2d');
@@ -89,46 +217,8 @@ class SimpleDiseaseDetectionService {
       
       // Get image data
       const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const data = imageData.data;
-      
-      // Analyze color characteristics
-      let totalR = 0, totalG = 0, totalB = 0;
-      let darkPixels = 0, brightPixels = 0;
-      let greenPixels = 0, brownPixels = 0, yellowPixels = 0;
-      
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        
-        totalR += r;
-        totalG += g;
-        totalB += b;
-        
-        const brightness = (r + g + b) / 3;
-        if (brightness < 80) darkPixels++;
-        if (brightness > 200) brightPixels++;
-        
-        // Detect color patterns
-        if (g > r && g > b && g > 100) greenPixels++;
-        if (r > 100 && g > 60 && b < 60) brownPixels++;
-        if (r > 180 && g > 180 && b < 100) yellowPixels++;
-      }
-      
-      const totalPixels = data.length / 4;
       
-      const analysis = {
-        avgR: totalR / totalPixels,
-        avgG: totalG / totalPixels,
-        avgB: totalB / totalPixels,
-        darkRatio: darkPixels / totalPixels,
-        brightRatio: brightPixels / totalPixels,
-        greenRatio: greenPixels / totalPixels,
-        brownRatio: brownPixels / totalPixels,
-        yellowRatio: yellowPixels / totalPixels
-      };
-      
-      resolve(analysis);
+      resolve(computeColorFeatures(imageData.data));
     });
   }
 
@@ -136,66 +226,38 @@ class SimpleDiseaseDetectionService {
     try {
       // Analyze image characteristics
       const colorAnalysis = await this.analyzeImageColors(imageElement);
-      
-      // Simple rule-based detection based on color patterns
-      let detectedDisease = this.diseases[4]; // Default to healthy
-      let confidence = 75 + Math.random() * 20; // Base confidence 75-95%
-      
-      // Detection logic based on color analysis
-      if (colorAnalysis.brownRatio > 0.15 && colorAnalysis.darkRatio > 0.2) {
-        // Brown spots and dark areas suggest Anthracnose
-        detectedDisease = this.diseases[0];
-        confidence = 85 + Math.random() * 10;
-      } else if (colorAnalysis.brightRatio > 0.3 && colorAnalysis.greenRatio < 0.4) {
-        // Bright areas with reduced green suggest Powdery Mildew
-        detectedDisease = this.diseases[1];
-        confidence = 80 + Math.random() * 15;
-      } else if (colorAnalysis.yellowRatio > 0.2 && colorAnalysis.darkRatio > 0.15) {
-        // Yellow patches with dark areas suggest Downy Mildew
-        detectedDisease = this.diseases[2];
-        confidence = 78 + Math.random() * 17;
-      } else if (colorAnalysis.darkRatio > 0.3) {
-        // Many dark areas might indicate borer damage
-        detectedDisease = this.diseases[3];
-        confidence = 70 + Math.random() * 20;
-      } else if (colorAnalysis.greenRatio > 0.6 && colorAnalysis.darkRatio < 0.1) {
-        // Lots of green, few dark spots = healthy
-        detectedDisease = this.diseases[4];
-        confidence = 90 + Math.random() * 8;
-      }
-      
-      // Add some randomness for demo purposes
-      if (Math.random() < 0.3) {
-        const randomIndex = Math.floor(Math.random() * this.diseases.length);
-        detectedDisease = this.diseases[randomIndex];
-        confidence = 70 + Math.random() * 25;
-      }
-      
+      const score = scoreColorFeatures(colorAnalysis);
+      const detectedDisease = this.diseases.find(d => d.key === score.key);
+      const isHealthy = detectedDisease.severity === 'None';
+
+      // Region count and healthy area follow the measured lesion colors
+      const lesionRatio = colorAnalysis.darkRatio + colorAnalysis.brownRatio + colorAnalysis.yellowRatio;
+      const leafRatio = Math.max(colorAnalysis.greenRatio + lesionRatio, 1e-6);
+
       return {
         disease: detectedDisease.name,
-        confidence: Math.round(confidence * 10) / 10,
+        confidence: score.confidence,
         severity: detectedDisease.severity,
         marathi: detectedDisease.marathi,
         recommendations: detectedDisease.recommendations,
-        detectedRegions: detectedDisease.severity === 'None' ? 0 : Math.floor(Math.random() * 4) + 1,
-        healthyArea: detectedDisease.severity === 'None' ? 100 : Math.max(25, 100 - Math.round(confidence * 0.7)),
-        analysis: colorAnalysis // Include color analysis for debugging
+        detectedRegions: isHealthy ? 0 : Math.min(4, Math.max(1, Math.round(lesionRatio * 10))),
+        healthyArea: isHealthy ? 100 : Math.max(0, Math.round((colorAnalysis.greenRatio / leafRatio) * 100)),
+        lowTrust: true,
+        analysis: colorAnalysis, // Include color analysis for debugging
+        detectionDetails: {
+          source: 'heuristic',
+          lowTrust: true,
+          // Lesion-colored share of leaf pixels, used for the severity grade
+          lesionAreaPct: isHealthy ? 0 : Math.round((lesionRatio / leafRatio) * 1000) / 10,
+          classProbabilities: Object.fromEntries(
+            this.diseases.map(d => [d.name, Math.round(score.probabilities[d.key] * 1000) / 10])
+          )
+        }
       };
-      
+
     } catch (error) {
       console.error('Simple detection failed:', error);
-      
-      // Fallback to random result
-      const randomDisease = this.diseases[Math.floor(Math.random() * this.diseases.length)];
-      return {
-        disease: randomDisease.name,
-        confidence: 75 + Math.random() * 20,
-        severity: randomDisease.severity,
-        marathi: randomDisease.marathi,
-        recommendations: randomDisease.recommendations,
-        detectedRegions: randomDisease.severity === 'None' ? 0 : Math.floor(Math.random() * 3) + 1,
-        healthyArea: randomDisease.severity === 'None' ? 100 : 60 + Math.random() * 35
-      };
+      throw error;
     }
   }
 }
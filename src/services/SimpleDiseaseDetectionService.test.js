@@ -0,0 +1,94 @@
+import SimpleDiseaseDetectionService, {
+  scoreColorFeatures,
+  calibrateReliability,
+  HEURISTIC_CALIBRATION,
+  HEURISTIC_MAX_CONFIDENCE
+} from './SimpleDiseaseDetectionService';
+import fixtures from './__fixtures__/heuristicColorFeatures.json';
+
+describe('scoreColorFeatures', () => {
+  test.each(fixtures.map(f => [f.id, f]))('%s is classified as its label', (id, fixture) => {
+    expect(scoreColorFeatures(fixture.features).key).toBe(fixture.label);
+  });
+
+  test('is deterministic for the same features', () => {
+    fixtures.forEach(({ features }) => {
+      expect(scoreColorFeatures({ ...features })).toEqual(scoreColorFeatures(features));
+    });
+  });
+
+  test('confidences stay between chance and the heuristic ceiling', () => {
+    fixtures.forEach(({ features }) => {
+      const { confidence, probabilities } = scoreColorFeatures(features);
+      expect(confidence).toBeGreaterThanOrEqual(20);
+      expect(confidence).toBeLessThanOrEqual(HEURISTIC_MAX_CONFIDENCE);
+      const total = Object.values(probabilities).reduce((sum, p) => sum + p, 0);
+      expect(total).toBeCloseTo(1, 6);
+    });
+  });
+
+  test('early, mixed symptoms score lower than advanced ones', () => {
+    const byId = Object.fromEntries(fixtures.map(f => [f.id, f.features]));
+    expect(scoreColorFeatures(byId['karpa-early-spots']).confidence)
+      .toBeLessThan(scoreColorFeatures(byId['karpa-advanced']).confidence);
+  });
+});
+
+describe('calibrateReliability', () => {
+  const topProbability = (features) => Math.max(...Object.values(scoreColorFeatures(features).probabilities));
+
+  test('reported confidence never exceeds the measured accuracy of its bin', () => {
+    const { bins } = HEURISTIC_CALIBRATION;
+    expect(bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(fixtures.length);
+
+    fixtures.forEach(({ features }) => {
+      const p = topProbability(features);
+      const bin = bins.find(b => p >= b.lo && (p < b.hi || b.hi === 1));
+      expect(scoreColorFeatures(features).confidence / 100).toBeLessThanOrEqual(bin.accuracy);
+      // and never more than the raw hit rate either
+      expect(scoreColorFeatures(features).confidence / 100).toBeLessThanOrEqual(bin.correct / bin.count);
+    });
+  });
+
+  test('the factor follows the labelled set', () => {
+    const { reliability } = calibrateReliability(fixtures);
+    expect(reliability).toBe(HEURISTIC_CALIBRATION.reliability);
+    expect(reliability).toBeGreaterThan(0);
+    expect(reliability).toBeLessThan(1);
+
+    // Misses in the confident bin pull the factor down; all misses leave nothing above chance
+    const confident = fixtures.filter(({ features }) => topProbability(features) >= 0.9);
+    const relabelled = fixtures.map(f => (f === confident[0] ? { ...f, label: 'none' } : f));
+    expect(calibrateReliability(relabelled).reliability).toBeLessThan(reliability);
+    const allWrong = fixtures.map(f => ({ ...f, label: 'none' }));
+    expect(calibrateReliability(allWrong).reliability).toBe(0);
+  });
+});
+
+describe('SimpleDiseaseDetectionService.predict', () => {
+  test('flags results as low-trust and reports the scored class', async () => {
+    const service = new SimpleDiseaseDetectionService();
+    const fixture = fixtures.find(f => f.label === 'bhuri');
+    service.analyzeImageColors = async () => fixture.features;
+
+    const first = await service.predict({});
+    const second = await service.predict({});
+
+    expect(first).toEqual(second);
+    expect(first.lowTrust).toBe(true);
+    expect(first.detectionDetails.lowTrust).toBe(true);
+    // Same catalog name as the model backends, so their results compare
+    expect(first.disease).toBe('Bhuri (Powdery Mildew)');
+    expect(first.confidence).toBe(scoreColorFeatures(fixture.features).confidence);
+  });
+
+  test('healthy leaves report no regions and full healthy area', async () => {
+    const service = new SimpleDiseaseDetectionService();
+    service.analyzeImageColors = async () => fixtures.find(f => f.label === 'healthy').features;
+
+    const result = await service.predict({});
+    expect(result.severity).toBe('None');
+    expect(result.detectedRegions).toBe(0);
+    expect(result.healthyArea).toBe(100);
+  });
+});
@@ -0,0 +1,208 @@
+// In-browser TensorFlow.js Disease Detection Service
+// src/services/TensorFlowDiseaseDetectionService.js
+//
+// Offline detection mode: the model is downloaded once, cached in IndexedDB
+// and warmed up on the best available TF.js backend (WebGL → WASM → CPU).
+
+import * as tf from '@tensorflow/tfjs';
+import { buildDiseaseMapping, getDisease } from './DiseaseCatalogService';
+
+const INPUT_SIZE = 224;
+const PREFERRED_TF_BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+// Training class order of the exported model (matches detectron_server.py class_names)
+const CLASS_TO_DISEASE_ID = [1, 2, 3, 4, 5];
+
+class DiseaseDetectionService {
+  constructor({ diseaseMapping = buildDiseaseMapping() } = {}) {
+    this.model = null;
+    this.modelUrl = process.env.REACT_APP_TFJS_MODEL_URL || '/models/disease_model.json';
+    this.modelVersion = process.env.REACT_APP_TFJS_MODEL_VERSION || '1.0.0';
+    // 'layers' (loadLayersModel) or 'graph' (output of `npm run convert-model`)
+    this.modelFormat = process.env.REACT_APP_TFJS_MODEL_FORMAT || 'layers';
+    this.cacheKey = `indexeddb://grapeguard-disease-model-${this.modelVersion}`;
+    this.isModelLoaded = false;
+    this.tfBackend = null;
+    this.loadedFromCache = false;
+    this.diseaseMapping = diseaseMapping;
+    this.classes = CLASS_TO_DISEASE_ID.map(id => getDisease(id).name);
+  }
+
+  // Pick the fastest TF.js backend that initializes on this device
+  async selectBackend() {
+    for (const name of PREFERRED_TF_BACKENDS) {
+      try {
+        if (!tf.findBackendFactory(name)) continue;
+        if (await tf.setBackend(name)) {
+          await tf.ready();
+          this.tfBackend = name;
+          console.log(`⚙️ TensorFlow.js backend: ${name}`);
+          return name;
+        }
+      } catch (error) {
+        console.warn(`TensorFlow.js backend ${name} unavailable:`, error.message);
+      }
+    }
+    await tf.ready();
+    this.tfBackend = tf.getBackend();
+    return this.tfBackend;
+  }
+
+  async isModelCached() {
+    try {
+      const models = await tf.io.listModels();
+      return Object.prototype.hasOwnProperty.call(models, this.cacheKey);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // Download the model into IndexedDB without keeping it in memory (offline pre-cache)
+  async cacheModel() {
+    if (await this.isModelCached()) return true;
+    try {
+      await this.selectBackend();
+      const model = await this.loadFrom(this.modelUrl);
+      await model.save(this.cacheKey);
+      model.dispose();
+      console.log('💾 TensorFlow.js model cached in IndexedDB for offline use');
+      return true;
+    } catch (error) {
+      console.warn('Could not cache TensorFlow.js model for offline use:', error.message);
+      return false;
+    }
+  }
+
+  async clearCachedModel() {
+    try {
+      if (await this.isModelCached()) {
+        await tf.io.removeModel(this.cacheKey);
+      }
+    } catch (error) {
+      console.warn('Failed to clear cached TensorFlow.js model:', error.message);
+    }
+  }
+
+  loadFrom(url) {
+    return this.modelFormat === 'graph' ? tf.loadGraphModel(url) : tf.loadLayersModel(url);
+  }
+
+  async loadModel() {
+    try {
+      console.log('🔄 Loading TensorFlow.js model...');
+      await this.selectBackend();
+
+      // Prefer the IndexedDB copy so detection works without connectivity
+      if (await this.isModelCached()) {
+        this.model = await this.loadFrom(this.cacheKey);
+        this.loadedFromCache = true;
+        console.log('📦 TensorFlow.js model loaded from IndexedDB cache');
+      } else {
+        // Convert your model to TensorFlow.js format with `npm run convert-model`
+        this.model = await this.loadFrom(this.modelUrl);
+        this.loadedFromCache = false;
+        try {
+          await this.model.save(this.cacheKey);
+          console.log('💾 TensorFlow.js model cached in IndexedDB');
+        } catch (cacheError) {
+          console.warn('Could not cache TensorFlow.js model:', cacheError.message);
+        }
+      }
+
+      this.warmUp();
+      this.isModelLoaded = true;
+      console.log('✅ Model loaded successfully!');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to load model:', error);
+      return false;
+    }
+  }
+
+  // First inference compiles shaders / kernels; do it before the user is waiting
+  warmUp() {
+    tf.tidy(() => {
+      const output = this.model.predict(tf.zeros([1, INPUT_SIZE, INPUT_SIZE, 3]));
+      (Array.isArray(output) ? output : [output]).forEach(t => t.dataSync());
+    });
+  }
+
+  preprocessImage(imageElement) {
+    return tf.tidy(() => tf.browser.fromPixels(imageElement)
+      .resizeNearestNeighbor([INPUT_SIZE, INPUT_SIZE]) // Resize to model input size
+      .toFloat()
+      .div(255.0) // Normalize to [0,1]
+      .expandDims()); // Add batch dimension
+  }
+
+  async predict(imageElement) {
+    if (!this.isModelLoaded) {
+      throw new Error('Model not loaded');
+    }
+
+    const startTime = performance.now();
+    const tensor = this.preprocessImage(imageElement);
+    let predictions = null;
+    try {
+      predictions = this.model.predict(tensor);
+      const probabilities = Array.from(await predictions.data());
+
+      const maxIndex = probabilities.indexOf(Math.max(...probabilities));
+      const confidence = probabilities[maxIndex] * 100;
+      const processingTime = Math.round(performance.now() - startTime) / 1000;
+
+      return this.formatResults(maxIndex, confidence, probabilities, {
+        processingTime,
+        width: imageElement.naturalWidth || imageElement.width,
+        height: imageElement.naturalHeight || imageElement.height
+      });
+    } catch (error) {
+      console.error('Prediction failed:', error);
+      throw error;
+    } finally {
+      // Clean up tensors
+      tensor.dispose();
+      if (predictions) predictions.dispose();
+    }
+  }
+
+  // Same result shape as DetectronDiseaseService.predictWithDetectron
+  formatResults(classIndex, confidence, allProbabilities, meta = {}) {
+    const diseaseId = CLASS_TO_DISEASE_ID[classIndex] || 5;
+    const diseaseInfo = this.diseaseMapping?.[diseaseId] || {
+      name: this.classes[classIndex] || 'Unknown',
+      marathi: this.classes[classIndex] || 'Unknown',
+      severity: 'Unknown',
+      recommendations: []
+    };
+    const isHealthy = diseaseInfo.severity === 'None';
+    const roundedConfidence = Math.round(confidence * 10) / 10;
+
+    return {
+      disease: diseaseInfo.name,
+      confidence: roundedConfidence,
+      severity: diseaseInfo.severity,
+      marathi: diseaseInfo.marathi,
+      recommendations: diseaseInfo.recommendations,
+      detectedRegions: isHealthy ? 0 : 1,
+      healthyArea: isHealthy ? 100 : Math.max(0, 100 - Math.round(roundedConfidence)),
+      visualizationImage: null,
+      detectionDetails: {
+        source: 'tfjs',
+        modelVersion: this.modelVersion,
+        tfBackend: this.tfBackend,
+        loadedFromCache: this.loadedFromCache,
+        processingTime: meta.processingTime || 0,
+        imageSize: `${INPUT_SIZE}x${INPUT_SIZE}`,
+        originalSize: meta.width && meta.height ? `${meta.width}x${meta.height}` : null,
+        classProbabilities: allProbabilities.reduce((acc, p, i) => {
+          const name = this.diseaseMapping?.[CLASS_TO_DISEASE_ID[i]]?.name || this.classes[i];
+          acc[name] = Math.round(p * 1000) / 10;
+          return acc;
+        }, {})
+      }
+    };
+  }
+}
+
+export default DiseaseDetectionService;
@@ -0,0 +1,182 @@
+// Tiled Inference Service - detailed analysis of large photos in overlapping tiles
+// src/services/TiledInferenceService.js
+//
+// Fast mode sends one copy of the photo scaled to 800 px, so lesions a few
+// pixels wide on a 12 MP canopy shot disappear. Detailed mode cuts the
+// full-resolution photo into overlapping tiles of the model's input size,
+// runs the backend on each tile, maps boxes back to original pixels and
+// merges duplicates across tile seams with NMS. A lesion cut by a seam is
+// whole in the neighbouring tile (tiles overlap by more than a lesion is
+// wide), so the cut part is merged into the whole box.
+//
+// Backends without boxes (HF Space label, TF.js classifier, color heuristic)
+// give one label per tile; the photo takes the most confident diseased tile.
+
+import { createAbortError } from './InferenceClient';
+
+// 'ensemble' is test-time augmentation voting (see EnsembleInferenceService)
+export const ANALYSIS_MODES = ['fast', 'detailed', 'ensemble'];
+export const TILE_SIZE = 800; // same as preprocessImage's maxSize
+export const TILE_OVERLAP = 0.2;
+// Remote calls run one tile at a time: above this the tiles get larger (and are scaled down)
+export const MAX_TILES = 36;
+export const NMS_IOU_THRESHOLD = 0.5;
+// Share of the smaller box inside the larger one that marks a seam duplicate
+export const NMS_CONTAINMENT_THRESHOLD = 0.8;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Only photos noticeably larger than one tile gain anything from tiling
+export function needsTiling(width, height, tileSize = TILE_SIZE) {
+  return Math.max(width, height) > tileSize * 1.25;
+}
+
+// Tile offsets along one axis: evenly strided, the last one flush with the edge
+function axisOffsets(length, size, stride) {
+  if (length <= size) return [0];
+  const count = Math.ceil((length - size) / stride) + 1;
+  return Array.from({ length: count }, (_, i) => (i === count - 1 ? length - size : Math.round(i * stride)));
+}
+
+/**
+ * Overlapping tiles covering the whole image.
+ * @returns {{ tileSize: number, tiles: Array<{ x, y, width, height }> }} in original pixels
+ */
+export function planTiles(width, height, { tileSize = TILE_SIZE, overlap = TILE_OVERLAP, maxTiles = MAX_TILES } = {}) {
+  let size = tileSize;
+  let xs;
+  let ys;
+  for (;;) {
+    const stride = size * (1 - overlap);
+    xs = axisOffsets(width, size, stride);
+    ys = axisOffsets(height, size, stride);
+    if (xs.length * ys.length <= maxTiles || size >= Math.max(width, height)) break;
+    size = Math.ceil(size * 1.25);
+  }
+  return {
+    tileSize: size,
+    tiles: ys.flatMap(y => xs.map(x => ({ x, y, width: Math.min(size, width), height: Math.min(size, height) })))
+  };
+}
+
+const area = ([x1, y1, x2, y2]) => Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+
+function intersection(a, b) {
+  return area([Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])]);
+}
+
+export function boxIoU(a, b) {
+  const inter = intersection(a, b);
+  const union = area(a) + area(b) - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Greedy NMS: highest confidence first; a box is dropped when it overlaps a kept
+ * box of the same class by IoU or one lies mostly inside the other (seam
+ * duplicates). When the dropped box is the larger one (the whole lesion next
+ * to a confident cut part), the kept box takes its extent and mask.
+ * @param {Array<{ bbox, class_id, confidence, mask }>} predictions
+ */
+export function nonMaxSuppression(predictions, {
+  iouThreshold = NMS_IOU_THRESHOLD,
+  containmentThreshold = NMS_CONTAINMENT_THRESHOLD,
+  classAware = true
+} = {}) {
+  const kept = [];
+  [...predictions]
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach(pred => {
+      const index = kept.findIndex(other => {
+        if (classAware && other.class_id !== pred.class_id) return false;
+        const inter = intersection(pred.bbox, other.bbox);
+        const smaller = Math.min(area(pred.bbox), area(other.bbox));
+        return boxIoU(pred.bbox, other.bbox) >= iouThreshold || (smaller > 0 && inter / smaller >= containmentThreshold);
+      });
+      if (index === -1) {
+        kept.push(pred);
+      } else if (area(pred.bbox) > area(kept[index].bbox) * (1 + (1 - containmentThreshold))) {
+        kept[index] = { ...kept[index], bbox: pred.bbox, mask: pred.mask ?? null };
+      }
+    });
+  return kept;
+}
+
+const isPolygonMask = (mask) => Array.isArray(mask) && mask.length > 0 &&
+  mask.every(poly => Array.isArray(poly) && poly.length >= 6 && poly.length % 2 === 0 && poly.every(Number.isFinite));
+
+/**
+ * Move a prediction into another frame with mapPoint(x, y) → [x, y].
+ * Polygon masks are mapped too; grid / RLE masks cover the old frame and are dropped.
+ */
+export function mapPrediction(pred, mapPoint) {
+  const [ax, ay] = mapPoint(pred.bbox[0], pred.bbox[1]);
+  const [bx, by] = mapPoint(pred.bbox[2], pred.bbox[3]);
+  return {
+    ...pred,
+    bbox: [Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)].map(round1),
+    mask: isPolygonMask(pred.mask)
+      ? pred.mask.map(poly => poly.flatMap((value, i) => (i % 2 === 0 ? mapPoint(value, poly[i + 1]).map(round1) : [])))
+      : null
+  };
+}
+
+/**
+ * Map a prediction from tile input pixels to original image pixels.
+ * @param {Object} tile - { x, y } offset in the original image
+ * @param {number} scale - tile input size / tile size in the original
+ */
+export function mapToImage(pred, tile, scale = 1) {
+  return mapPrediction(pred, (x, y) => [x / scale + tile.x, y / scale + tile.y]);
+}
+
+// Raw predictions (confidence 0-1) back from a formatted tile result
+export function tilePredictions(result) {
+  return (result?.detectionDetails?.boundingBoxes || [])
+    .filter(box => Array.isArray(box.bbox) && box.bbox.length === 4)
+    .map(box => ({ class_id: box.class_id, confidence: (box.confidence || 0) / 100, bbox: box.bbox, mask: box.mask || null }));
+}
+
+/**
+ * Boxes from every tile in original pixels, seam duplicates merged.
+ * @param {Array<{ tile, scale, result }>} tileResults
+ * @returns {{ predictions, before }} before = box count prior to NMS
+ */
+export function mergeTileDetections(tileResults, options) {
+  const mapped = tileResults.flatMap(({ tile, scale, result }) => tilePredictions(result).map(pred => mapToImage(pred, tile, scale)));
+  return { predictions: nonMaxSuppression(mapped, options), before: mapped.length };
+}
+
+/**
+ * Photo label from per-tile labels: the most confident diseased tile, else the most confident tile.
+ * @param {Array<{ tile, result }>} tileResults
+ * @param {Function} isHealthy - (result) => boolean
+ * @returns {{ result, diseasedTiles }}
+ */
+export function mergeTileLabels(tileResults, isHealthy) {
+  const byConfidence = [...tileResults].sort((a, b) => (b.result.confidence || 0) - (a.result.confidence || 0));
+  const diseased = byConfidence.filter(({ result }) => !isHealthy(result));
+  return { result: (diseased[0] || byConfidence[0])?.result || null, diseasedTiles: diseased.length };
+}
+
+/**
+ * Run a backend on each tile, one at a time.
+ * @param {Object} options - {
+ *   tiles, cropTile(tile) → { imageData, element }, predictTile(imageData, element) → formatted result,
+ *   onProgress({ done, total }), signal }
+ * @returns {Promise<Array<{ tile, scale, result }>>}
+ */
+export async function runTiles({ tiles, cropTile, predictTile, onProgress = () => {}, signal = null }) {
+  const results = [];
+  for (let i = 0; i < tiles.length; i++) {
+    if (signal?.aborted) throw createAbortError();
+    onProgress({ done: i, total: tiles.length });
+    const tile = tiles[i];
+    const { imageData, element } = await cropTile(tile);
+    if (signal?.aborted) throw createAbortError();
+    const result = await predictTile(imageData, element);
+    results.push({ tile, scale: imageData.scale, result });
+  }
+  onProgress({ done: tiles.length, total: tiles.length });
+  return results;
+}
@@ -0,0 +1,128 @@
+import {
+  needsTiling,
+  planTiles,
+  boxIoU,
+  nonMaxSuppression,
+  mapToImage,
+  tilePredictions,
+  mergeTileDetections,
+  mergeTileLabels,
+  runTiles
+} from './TiledInferenceService';
+import { isAbortError } from './InferenceClient';
+
+const covered = (tiles, x, y) => tiles.some(t => x >= t.x && x < t.x + t.width && y >= t.y && y < t.y + t.height);
+
+describe('planTiles', () => {
+  test('only tiles photos well above the model size', () => {
+    expect(needsTiling(800, 600)).toBe(false);
+    expect(needsTiling(1000, 750)).toBe(false);
+    expect(needsTiling(4000, 3000)).toBe(true);
+  });
+
+  test('covers a 12 MP photo with overlapping tiles flush with the edges', () => {
+    const { tileSize, tiles } = planTiles(4000, 3000);
+    expect(tileSize).toBe(800);
+    expect(tiles).toHaveLength(30); // 6 columns × 5 rows
+    const xs = Array.from(new Set(tiles.map(t => t.x)));
+    expect(xs[0]).toBe(0);
+    expect(xs[xs.length - 1]).toBe(3200);
+    // neighbours overlap by at least 20%
+    xs.slice(1).forEach((x, i) => expect(x - xs[i]).toBeLessThanOrEqual(640));
+    [[0, 0], [3999, 2999], [1999, 1500], [3999, 0]].forEach(([x, y]) => expect(covered(tiles, x, y)).toBe(true));
+  });
+
+  test('grows the tiles to stay under the tile budget', () => {
+    const { tileSize, tiles } = planTiles(8000, 6000, { maxTiles: 36 });
+    expect(tiles.length).toBeLessThanOrEqual(36);
+    expect(tileSize).toBeGreaterThan(800);
+    expect(covered(tiles, 7999, 5999)).toBe(true);
+  });
+
+  test('a single tile for small images', () => {
+    expect(planTiles(500, 400).tiles).toEqual([{ x: 0, y: 0, width: 500, height: 400 }]);
+  });
+});
+
+describe('nonMaxSuppression', () => {
+  const pred = (bbox, confidence, class_id = 2) => ({ bbox, confidence, class_id });
+
+  test('keeps the most confident of overlapping boxes of the same class', () => {
+    expect(boxIoU([0, 0, 10, 10], [5, 0, 15, 10])).toBeCloseTo(1 / 3);
+    const kept = nonMaxSuppression([
+      pred([0, 0, 100, 100], 0.6),
+      pred([5, 5, 105, 105], 0.9),
+      pred([5, 5, 105, 105], 0.8, 1), // other class
+      pred([300, 300, 350, 350], 0.7)
+    ]);
+    expect(kept.map(p => [p.confidence, p.class_id])).toEqual([[0.9, 2], [0.8, 1], [0.7, 2]]);
+  });
+
+  test('merges a lesion cut by a tile seam into the whole one', () => {
+    const whole = { ...pred([700, 100, 760, 160], 0.8), mask: [[700, 100, 760, 100, 760, 160]] };
+    const cut = pred([700, 100, 720, 160], 0.85); // IoU 0.33 but fully contained
+    expect(nonMaxSuppression([cut, whole])).toEqual([{ ...cut, bbox: whole.bbox, mask: whole.mask }]);
+    expect(nonMaxSuppression([whole, pred([705, 105, 755, 155], 0.5)])).toEqual([whole]);
+    expect(nonMaxSuppression([pred([0, 0, 60, 60], 0.9), cut])).toHaveLength(2);
+  });
+});
+
+describe('mapping tiles back to the photo', () => {
+  test('scales and offsets boxes and polygon masks; drops frame-relative masks', () => {
+    const tile = { x: 1600, y: 800 };
+    const polygon = mapToImage({ bbox: [10, 20, 30, 40], mask: [[10, 20, 30, 20, 30, 40]] }, tile, 0.5);
+    expect(polygon.bbox).toEqual([1620, 840, 1660, 880]);
+    expect(polygon.mask).toEqual([[1620, 840, 1660, 840, 1660, 880]]);
+    expect(mapToImage({ bbox: [0, 0, 1, 1], mask: [[0, 1], [1, 0]] }, tile).mask).toBeNull();
+  });
+
+  test('merges boxes from neighbouring tiles into original pixels', () => {
+    const box = (bbox, confidence) => ({ class_id: 2, class_name: 'Bhuri', confidence, bbox });
+    const tileResults = [
+      { tile: { x: 0, y: 0 }, scale: 1, result: { detectionDetails: { boundingBoxes: [box([700, 100, 790, 160], 90)] } } },
+      { tile: { x: 640, y: 0 }, scale: 1, result: { detectionDetails: { boundingBoxes: [box([60, 100, 150, 160], 80), box([400, 400, 420, 420], 70)] } } },
+      { tile: { x: 0, y: 640 }, scale: 1, result: { detectionDetails: { boundingBoxes: [] } } }
+    ];
+    expect(tilePredictions(tileResults[0].result)[0]).toEqual({ class_id: 2, confidence: 0.9, bbox: [700, 100, 790, 160], mask: null });
+    const { predictions, before } = mergeTileDetections(tileResults);
+    expect(before).toBe(3);
+    expect(predictions.map(p => p.bbox)).toEqual([[700, 100, 790, 160], [1040, 400, 1060, 420]]);
+  });
+
+  test('label-only backends take the most confident diseased tile', () => {
+    const isHealthy = (result) => result.disease === 'Healthy';
+    const tile = (disease, confidence) => ({ tile: {}, result: { disease, confidence } });
+    expect(mergeTileLabels([tile('Healthy', 99), tile('Bhuri', 70), tile('Karpa', 85)], isHealthy))
+      .toEqual({ result: { disease: 'Karpa', confidence: 85 }, diseasedTiles: 2 });
+    expect(mergeTileLabels([tile('Healthy', 90), tile('Healthy', 95)], isHealthy))
+      .toEqual({ result: { disease: 'Healthy', confidence: 95 }, diseasedTiles: 0 });
+  });
+});
+
+describe('runTiles', () => {
+  const tiles = [{ x: 0, y: 0 }, { x: 640, y: 0 }, { x: 1280, y: 0 }];
+  const cropTile = async (tile) => ({ imageData: { scale: 0.5, x: tile.x }, element: null });
+
+  test('predicts each tile in order and reports progress', async () => {
+    const progress = [];
+    const results = await runTiles({
+      tiles,
+      cropTile,
+      predictTile: async (imageData) => ({ disease: `tile ${imageData.x}` }),
+      onProgress: p => progress.push(`${p.done}/${p.total}`)
+    });
+    expect(results.map(r => [r.tile.x, r.scale, r.result.disease])).toEqual([[0, 0.5, 'tile 0'], [640, 0.5, 'tile 640'], [1280, 0.5, 'tile 1280']]);
+    expect(progress).toEqual(['0/3', '1/3', '2/3', '3/3']);
+  });
+
+  test('stops between tiles when cancelled', async () => {
+    const controller = new AbortController();
+    const predictTile = jest.fn(async () => {
+      controller.abort();
+      return {};
+    });
+    const error = await runTiles({ tiles, cropTile, predictTile, signal: controller.signal }).catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(predictTile).toHaveBeenCalledTimes(1);
+  });
+});
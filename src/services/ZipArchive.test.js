@@ -0,0 +1,36 @@
+import { createZip, crc32, utf8Bytes } from './ZipArchive';
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+
+describe('ZipArchive', () => {
+  test('crc32 matches the standard check value', () => {
+    expect(crc32(utf8Bytes('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('utf8Bytes encodes multi-byte characters', () => {
+    expect(Array.from(utf8Bytes('aé'))).toEqual([0x61, 0xc3, 0xa9]);
+    expect(utf8Bytes('रोग')).toHaveLength(9);
+  });
+
+  test('stores entries with local headers and a central directory', () => {
+    const zip = createZip([
+      { name: 'a.txt', data: 'hello' },
+      { name: 'dir/b.bin', data: new Uint8Array([1, 2, 3]) }
+    ], { date: new Date(2026, 4, 1, 10, 30, 0) });
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(crc32(utf8Bytes('hello')));
+    expect(view.getUint32(18, true)).toBe(5);
+    expect(ascii(zip.slice(30, 35))).toBe('a.txt');
+    expect(ascii(zip.slice(35, 40))).toBe('hello');
+
+    // End of central directory: 2 entries, directory right after the file data
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const centralOffset = view.getUint32(end + 16, true);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    expect(centralOffset).toBe(40 + 30 + 'dir/b.bin'.length + 3);
+  });
+});
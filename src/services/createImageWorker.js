@@ -0,0 +1,10 @@
+// Image Worker factory
+// src/services/createImageWorker.js
+//
+// Kept in its own module: the bundler needs the literal worker URL below, and
+// ImageWorkerPool only imports this file when workers are actually available
+// (Jest can't parse import.meta).
+
+const createImageWorker = () => new Worker(new URL('./ImageProcessing.worker.js', import.meta.url));
+
+export default createImageWorker;
@@ -35,15 +35,17 @@ export const detectionService = {
         type: detectionData.type,
         image_url: detectionData.image_url,
         image_path: detectionData.image_path,
-        disease_detected: detectionData.disease,
-        confidence_score: detectionData.confidence,
+        // Accept both the result-style and the column-style field names
+        disease_detected: detectionData.disease ?? detectionData.disease_detected ?? null,
+        confidence_score: detectionData.confidence ?? detectionData.confidence_score ?? null,
         severity: detectionData.severity || null,
-        detected_regions: detectionData.detectedRegions ?? null,
-        healthy_area: detectionData.healthyArea ?? null,
+        detected_regions: detectionData.detectedRegions ?? detectionData.detected_regions ?? null,
+        healthy_area: detectionData.healthyArea ?? detectionData.healthy_area ?? null,
         camera: detectionData.camera ?? null,
-        model_type: detectionData.modelType || null,
-        visualization_image: detectionData.visualizationImage || null,
-        analysis_result: detectionData,
+        model_type: detectionData.modelType || detectionData.model_type || null,
+        visualization_image: detectionData.visualizationImage || detectionData.visualization_image || null,
+        // Full result (per-disease breakdown, batch info, ...) when the caller provides one
+        analysis_result: detectionData.analysis_result || detectionData,
         status: 'completed'
       }])
       .select()
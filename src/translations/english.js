@@ -201,7 +201,8 @@ export const englishTranslations = {
   aiAccuracyAnswer: "Our AI system is trained specifically for Western Maharashtra grape varieties and can detect common diseases like Powdery Mildew, Downy Mildew, Black Rot, and Anthracnose with 85-95% accuracy. Always consult with agricultural experts for final treatment decisions.",
   
   diseasesDetected: "What types of grape diseases can be detected?",
-  diseasesDetectedAnswer: "The system can detect: 1) Powdery Mildew (भुरी रोग), 2) Downy Mildew (दवयाचा रोग), 3) Black Rot (काळा रोग), 4) Anthracnose (कर्पा रोग). Each comes with specific treatment recommendations for Maharashtra grape varieties.",
+  diseasesDetectedAnswer: "The system can detect:",
+  diseasesDetectedTreatmentNote: "Each comes with specific treatment recommendations for Maharashtra grape varieties.",
   
   goodPhotos: "How do I take good photos for disease detection?",
   goodPhotosAnswer: "For best results: 1) Take photos in good natural light, 2) Focus on individual leaves showing symptoms, 3) Ensure the leaf fills most of the frame, 4) Avoid blurry or dark images, 5) Take multiple angles if disease is unclear.",
@@ -542,4 +543,314 @@ export const englishTranslations = {
   avoidOverheadIrrigation: "Avoid overhead irrigation during humid weather",
   applyCopperFungicide: "Apply copper-based fungicide as preventive measure",
 
+  // ===== DETECTION BACKENDS =====
+  detectionBackends: "Detection Backends",
+  detectionBackendsDescription: "Choose which detection engines to use and the order in which they are tried. If one is unavailable, the next one is used.",
+  detectionBackendsHint: "The Detectron2 server is used only when REACT_APP_DETECTRON_ENDPOINT is set. Click Save Settings to apply.",
+
+  // ===== OFFLINE DETECTION =====
+  offlineMode: "Offline mode",
+  offlineModeDescription: "Diagnose on the device without internet using the downloaded TensorFlow.js model. Turns on automatically when the connection drops.",
+
+  // ===== BATCH ANALYSIS =====
+  batchAnalysis: "Batch Analysis",
+  batch: "Batch",
+  selectImages: "Select Images",
+  selectFolder: "Select Folder",
+  batchUploadHint: "Select several images or a whole folder to analyze them as one batch",
+  batchPending: "Queued",
+  batchRunning: "Analyzing",
+  batchDone: "Done",
+  batchFailed: "Failed",
+  retry: "Retry",
+  retryFailed: "Retry Failed",
+  cancelBatch: "Stop Batch",
+  fileName: "File",
+  status: "Status",
+  images: "Images",
+  avgConfidence: "Avg. Confidence",
+  batchSummary: "Batch Summary",
+  diseaseDistribution: "Disease Distribution",
+  worstSeverity: "Worst Severity",
+  noBatchResultsYet: "Results will appear here as images finish analyzing.",
+  batchSessionSaving: "Saving batch session to your history...",
+  batchSessionSaved: "Batch session saved to your history",
+  batchSessionSaveFailed: "Some results could not be saved",
+
+  // ===== LOW-TRUST HEURISTIC =====
+  lowTrust: "Low trust",
+  lowTrustResult: "Low-trust result (color analysis)",
+  lowTrustResultDescription: "No AI model was reachable, so this estimate comes from leaf color patterns only. Confirm in the field or re-run when the AI service is back.",
+
+  // ===== SENSOR HISTORY =====
+  lastHour: "1h",
+  last24Hours: "24h",
+  last7Days: "7d",
+  last30Days: "30d",
+  minMaxRange: "(min–max)",
+  average: "(avg)",
+
+  // ===== REALTIME SENSOR FEED =====
+  sensorsDisconnected: "Sensor feed disconnected",
+  sensorsDisconnectedDescription: "Lost connection to the sensor database. Readings will resume automatically when the connection is back.",
+  sensorFeedStale: "No recent sensor readings",
+  sensorFeedStaleAlert: "Sensor Feed Stale",
+  sensorFeedStaleDescription: "The field sensor has not sent a reading recently. Check the ESP32's power and Wi-Fi.",
+
+  // ===== SENSOR THRESHOLDS =====
+  sensorThresholds: "Sensor Thresholds",
+  sensorThresholdsDescription: "Optimal and warning ranges used for sensor status and alerts. Set them per farm and per season, starting from a regional preset.",
+  sensorThresholdsHint: "Readings inside the optimal range are Good, inside the warning range are Warning, and anything beyond is Critical. Empty fields fall back to the region preset.",
+  farm: "Farm",
+  newFarmName: "New farm name",
+  addFarm: "Add Farm",
+  removeFarm: "Remove farm",
+  regionPreset: "Region preset",
+  regionWesternMaharashtra: "Western Maharashtra",
+  regionNashik: "Nashik",
+  regionSangli: "Sangli",
+  regionKarnataka: "North Karnataka",
+  seasonSummer: "Summer (Mar–May)",
+  seasonMonsoon: "Monsoon (Jun–Sep)",
+  seasonWinter: "Winter (Oct–Feb)",
+  currentSeason: "Now",
+  optimalRange: "Optimal range",
+  warningRange: "Warning range",
+  min: "Min",
+  max: "Max",
+  customized: "Customized",
+  resetToRegionDefaults: "Reset season to region defaults",
+  thresholdRangeInvalid: "Check ranges: min ≤ max, and optimal inside warning",
+
+  // ===== DISEASE MODELS =====
+  diseaseModels: "Disease Models",
+  diseaseModelsDescription: "Growing degree days and infection models calculated from the sensor history.",
+  growingDegreeDays: "Growing Degree Days",
+  days: "days",
+  dailyGdd: "Daily GDD",
+  downyMildew310Rule: "Downy Mildew (3-10 rule)",
+  primaryInfection: "Primary infection",
+  lastPrimaryInfection: "Last primary infection",
+  shootLengthAssumed: "Assumes shoots are at least 10 cm long",
+  powderyMildewIndex: "Powdery Mildew Index",
+  pmiNotStarted: "Index not started: waiting for 3 favourable days",
+  riskLow: "Low",
+  riskWatch: "Watch",
+  riskModerate: "Moderate",
+  riskHigh: "High",
+  riskInfection: "Infection",
+  noModelData: "Not enough sensor history to run the disease models yet.",
+
+  // ===== FARM HEALTH BREAKDOWN =====
+  healthBreakdown: "Why this score",
+  healthComponent: "Component",
+  measuredValue: "Measured",
+  healthWeight: "Weight",
+  pointsEarned: "Points earned",
+  pointsLost: "Points lost",
+  healthDiseaseRisk: "Disease risk",
+  healthSensorUptime: "Sensor uptime",
+  healthEnvSuitability: "Environment suitability",
+  healthIrrigationBalance: "Irrigation balance",
+  healthAlertLoad: "Alert load",
+  lowerIsBetter: "Lower is better",
+  higherIsBetter: "Higher is better",
+  healthNotMeasured: "Not measured yet (left out of the score)",
+  healthTrend: "Score trend",
+  viewHealthBreakdown: "Tap for details",
+
+  // ===== MULTI-LABEL RESULTS =====
+  detectedDiseases: "Detected diseases",
+  coInfection: "Co-infection",
+  coInfectionDetected: "Co-infection detected",
+  coInfectionDescription: "More than one disease was found on this leaf. Recommendations below cover all of them.",
+  maxConfidence: "max",
+  meanConfidence: "mean",
+  affectedArea: "area",
+
+  // ===== SEVERITY GRADE =====
+  severityGrade: "Severity grade",
+  leafAreaAffected: "of leaf area affected",
+  gradeFromMasks: "measured from lesion masks",
+  gradeFromBoxes: "estimated from detection boxes",
+  gradeFromColor: "estimated from lesion colors",
+  severityGrade0: "No symptoms",
+  severityGrade1: "Trace (up to 10%)",
+  severityGrade2: "Light (11-25%)",
+  severityGrade3: "Moderate (26-50%)",
+  severityGrade4: "Severe (51-75%)",
+  severityGrade5: "Very severe (over 75%)",
+
+  // ===== IMAGE QUALITY CHECK =====
+  imageQualityRejected: "Photo not clear enough to diagnose",
+  imageQualityWarning: "Photo quality may affect the result",
+  imageQualityTooLow: "Retake photo - quality too low",
+  qualityLowResolution: "Resolution too low",
+  qualityBlurry: "Photo is blurry",
+  qualityOverexposed: "Too bright / glare",
+  qualityUnderexposed: "Too dark",
+  qualityNoLeaf: "No grape leaf found",
+  qualityTipLowResolution: "Use the full camera resolution or move closer to the leaf",
+  qualityTipBlurry: "Hold the camera steady and tap the leaf to focus before shooting",
+  qualityTipOverexposed: "Avoid direct sunlight on the leaf; shade it or shoot from another angle",
+  qualityTipUnderexposed: "Take the photo in daylight or add more light",
+  qualityTipNoLeaf: "Fill most of the frame with a single grape leaf",
+
+  // ===== DETECTION OVERLAY =====
+  minConfidence: "Min confidence",
+  showMasks: "Masks",
+  zoomIn: "Zoom in",
+  zoomOut: "Zoom out",
+  resetView: "Reset view",
+  overlayHint: "Click a disease to hide it, scroll to zoom, drag to pan",
+
+  // ===== CAMERA CAPTURE =====
+  takePhoto: "Take Photo",
+  torch: "Torch",
+  capture: "Capture",
+  burstCapture: "Burst",
+  useCapturedPhotos: "Use photos",
+  cameraFramingHint: "Fit one leaf inside the outline",
+  cameraQualityGood: "Good photo",
+  cameraPermissionDenied: "Camera permission denied. Allow camera access in your browser settings.",
+  cameraUnavailable: "No camera available on this device.",
+
+  // ===== MODEL STATUS =====
+  modelWakingUp: "Waking up the AI model",
+  modelWakingUpDescription: "The cloud model was asleep and is starting up. This usually takes 1-2 minutes. You can wait, or use the fallback model now.",
+  connectionAttempt: "Attempt",
+  useFallbackNow: "Use fallback now",
+  usingFallbackModel: "Using fallback model",
+  primaryModelUnavailable: "The main AI model is not responding, so results may be less accurate.",
+  nextModelCheckAt: "Checking the main model again at",
+  checkNow: "Check now",
+
+  // ===== RESULT CACHE =====
+  cached: "Cached",
+  cachedResult: "Result from cache",
+  cachedResultExact: "This photo was analyzed before with the same model, so the saved result is shown.",
+  cachedResultSimilar: "A nearly identical photo was analyzed before with the same model, so its result is shown.",
+  reanalyze: "Analyze again",
+
+  // ===== DETECTION CORRECTIONS =====
+  correctResult: "Correct this result",
+  modelSaid: "Model said",
+  actualDisease: "Actual disease",
+  correctionBoxesHint: "Drag a box to move it, drag its corner to resize. Change or delete boxes that are wrong.",
+  deleteBox: "Delete box",
+  restoreBox: "Restore box",
+  correctionNotes: "Notes",
+  correctionNotesPlaceholder: "What did you see in the field? (optional)",
+  correctionSaveFailed: "Could not save correction",
+  saveCorrection: "Save correction",
+  corrected: "Corrected",
+  correctedByGrower: "Corrected by grower",
+  confirmedByGrower: "Confirmed by grower",
+  modelAccuracyFromReviews: "Model accuracy from your reviews",
+  reviewed: "reviewed",
+
+  // ===== TRAINING DATASET EXPORT =====
+  exportDataset: "Export dataset",
+  exportTrainingDataset: "Export training dataset",
+  exportTrainingDatasetDescription: "Download your analysed photos with their boxes (your corrections where you made them) as a COCO or YOLO dataset for retraining the model.",
+  datasetFormat: "Format",
+  datasetReviewStatus: "Review status",
+  datasetAllResults: "All results",
+  datasetReviewedOnly: "Reviewed by me only",
+  datasetUnreviewedOnly: "Not reviewed only",
+  fromDate: "From",
+  toDate: "To",
+  datasetMinConfidence: "Minimum confidence (%)",
+  datasetMinConfidenceHint: "Reviewed boxes are always kept",
+  datasetValidationSplit: "Validation split (%)",
+  datasetClasses: "Classes",
+  datasetCollecting: "Collecting results...",
+  datasetDownloadingImages: "Downloading images",
+  datasetWritingArchive: "Writing archive...",
+  datasetExported: "Dataset downloaded",
+  datasetEmpty: "No photos matched these filters",
+  datasetSkipped: "Skipped",
+  datasetDuplicates: "Duplicates",
+  datasetDownloadFailed: "Download failed",
+  datasetExportFailed: "Dataset export failed",
+
+  // ===== MODEL COMPARISON =====
+  compareModels: "Compare models",
+  compareModelsDescription: "Run the same images through two models (or two versions of a model) and see where they agree, where they disagree and how confidence shifts per disease.",
+  modelA: "Model A",
+  modelB: "Model B",
+  candidateModel: "Candidate model (other Space / server)",
+  candidateType: "Candidate type",
+  candidateEndpoint: "Space id or server URL",
+  comparisonSource: "Images",
+  comparisonFromHistory: "Recent analysis history",
+  comparisonFromFiles: "Uploaded images",
+  comparisonHistoryCount: "Number of recent analyses",
+  chooseImages: "Choose images",
+  comparisonSameBackend: "Pick two different models to compare.",
+  comparisonRunning: "Running both models",
+  comparisonFailed: "Comparison failed",
+  comparisonNoImages: "No images to compare",
+  comparisonIdenticalModels: "Both runs report the same model version and configuration.",
+  agreementRate: "Agreement rate",
+  comparisonNotCompared: "Not compared (errors or rejected photos)",
+  comparisonConfusion: "Model A vs model B diagnosis",
+  comparisonConfidenceShift: "Confidence shift per disease",
+  detectedBy: "Found by",
+  comparisonShift: "Shift (B − A)",
+  comparisonDisagreements: "Images where the models disagree",
+  runComparison: "Run comparison",
+
+  // ===== MODEL EVALUATION =====
+  modelEvaluation: "Model Evaluation",
+  modelEvaluationDescription: "Measure how accurate a detection backend is on images whose disease is known. Each run is saved so accuracy can be compared between models and over time.",
+  detectionBackend: "Detection backend",
+  evaluationImageSet: "Labelled images",
+  evaluationFromFolder: "Folder (one sub-folder per disease)",
+  evaluationFromReviewed: "Grower-reviewed history",
+  chooseLabelledFolder: "Choose folder",
+  evaluationFolderHint: "Put each image in a folder named after its disease, e.g. Bhuri/, Karpa/, Healthy/.",
+  evaluationReviewedHint: "Uses analyses you confirmed or corrected; your answer is the ground truth.",
+  evaluationUnlabelled: "Skipped (folder is not a known disease)",
+  evaluationRunning: "Evaluating",
+  evaluationFailed: "Evaluation failed",
+  evaluationNoLabelledImages: "No labelled images found",
+  runEvaluation: "Run evaluation",
+  evaluationResults: "Evaluation results",
+  calibrationError: "Calibration error",
+  evaluationNotScored: "Images not scored (errors or rejected photos)",
+  perClassMetrics: "Per-disease results",
+  precision: "Precision",
+  recall: "Recall",
+  latency: "Time per image",
+  calibrationCurve: "Calibration (confidence vs. actual accuracy)",
+  perfectCalibration: "Perfect calibration",
+  confusionMatrix: "Confusion matrix",
+  confusionMatrixHint: "Rows: actual disease • Columns: model's answer",
+  evaluationRuns: "Saved evaluation runs",
+  noEvaluationRuns: "No evaluation runs yet",
+  date: "Date",
+  view: "View",
+  delete: "Delete",
+
+  // ===== DETAILED (TILED) ANALYSIS =====
+  fastAnalysis: "Fast",
+  detailedAnalysis: "Detailed",
+  fastAnalysisHint: "Analyzes a reduced copy of the photo. Best for close-ups of a single leaf.",
+  detailedAnalysisHint: "Analyzes large photos piece by piece at full resolution to catch small early lesions. Takes longer.",
+  detailedAnalysisResult: "Detailed analysis",
+  tilesAnalyzed: "sections of the photo analyzed",
+  tilesWithDisease: "with disease",
+
+  // ===== ENSEMBLE ANALYSIS =====
+  ensembleAnalysis: "Ensemble",
+  ensembleAnalysisHint: "Analyzes flipped, rotated and zoomed copies of the photo and takes a vote. Flags results the passes disagree on. Takes several times longer.",
+  ensembleAllBackends: "Also ask the other available models",
+  ensembleResult: "Ensemble result",
+  ensembleNeedsReview: "The analysis passes disagree - please review this result",
+  ensemblePassesAgree: "passes agree",
+  ensembleUncertainty: "Uncertainty",
+  reviewResult: "Review",
+  needsReview: "Needs review",
+
 };
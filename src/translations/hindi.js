@@ -426,7 +426,8 @@ export const hindiTranslations = {
   aiAccuracyAnswer: "हमारा AI सिस्टम विशेष रूप से पश्चिमी महाराष्ट्र अंगूर किस्मों के लिए प्रशिक्षित है और पाउडरी मिल्ड्यू, डाउनी मिल्ड्यू, ब्लैक रॉट, और एंथ्रेक्नोस जैसी सामान्य बीमारियों का 85-95% सटीकता के साथ पता लगा सकता है। अंतिम उपचार निर्णयों के लिए हमेशा कृषि विशेषज्ञों से सलाह लें।",
   
   diseasesDetected: "किस प्रकार की अंगूर की बीमारियों का पता लगाया जा सकता है?",
-  diseasesDetectedAnswer: "सिस्टम का पता लगा सकता है: 1) पाउडरी मिल्ड्यू (भुरी रोग), 2) डाउनी मिल्ड्यू (दवयाचा रोग), 3) ब्लैक रॉट (काळा रोग), 4) एंथ्रेक्नोस (कर्पा रोग)। प्रत्येक महाराष्ट्र अंगूर किस्मों के लिए विशिष्ट उपचार सिफारिशों के साथ आता है।",
+  diseasesDetectedAnswer: "सिस्टम का पता लगा सकता है:",
+  diseasesDetectedTreatmentNote: "प्रत्येक महाराष्ट्र अंगूर किस्मों के लिए विशिष्ट उपचार सिफारिशों के साथ आता है।",
   
   goodPhotos: "रोग का पता लगाने के लिए अच्छी तस्वीरें कैसे लूं?",
   goodPhotosAnswer: "सर्वोत्तम परिणामों के लिए: 1) अच्छी प्राकृतिक रोशनी में तस्वीरें लें, 2) लक्षण दिखाने वाले व्यक्तिगत पत्तों पर ध्यान दें, 3) सुनिश्चित करें कि पत्ता फ्रेम का अधिकांश भाग भरता है, 4) धुंधली या अंधेरी छवियों से बचें, 5) यदि बीमारी अस्पष्ट है तो कई कोणों से लें।",
@@ -507,4 +508,314 @@ export const hindiTranslations = {
   westernMaharashtra: "पश्चिमी महाराष्ट्र",
   grapeVarieties: "अंगूर किस्में",
 
+  // ===== DETECTION BACKENDS =====
+  detectionBackends: "डिटेक्शन बैकएंड",
+  detectionBackendsDescription: "चुनें कि कौन से डिटेक्शन इंजन उपयोग हों और किस क्रम में आज़माए जाएं। एक उपलब्ध न हो तो अगला उपयोग होगा।",
+  detectionBackendsHint: "Detectron2 सर्वर केवल तभी उपयोग होता है जब REACT_APP_DETECTRON_ENDPOINT सेट हो। लागू करने के लिए सेटिंग्स सेव करें।",
+
+  // ===== OFFLINE DETECTION =====
+  offlineMode: "ऑफ़लाइन मोड",
+  offlineModeDescription: "डाउनलोड किए गए TensorFlow.js मॉडल से बिना इंटरनेट के डिवाइस पर ही जांच करें। कनेक्शन टूटने पर यह अपने आप चालू हो जाता है।",
+
+  // ===== BATCH ANALYSIS =====
+  batchAnalysis: "बैच विश्लेषण",
+  batch: "बैच",
+  selectImages: "छवियाँ चुनें",
+  selectFolder: "फ़ोल्डर चुनें",
+  batchUploadHint: "एक साथ विश्लेषण के लिए कई छवियाँ या पूरा फ़ोल्डर चुनें",
+  batchPending: "कतार में",
+  batchRunning: "विश्लेषण जारी",
+  batchDone: "पूर्ण",
+  batchFailed: "विफल",
+  retry: "पुनः प्रयास",
+  retryFailed: "विफल पुनः चलाएँ",
+  cancelBatch: "बैच रोकें",
+  fileName: "फ़ाइल",
+  status: "स्थिति",
+  images: "छवियाँ",
+  avgConfidence: "औसत विश्वास",
+  batchSummary: "बैच सारांश",
+  diseaseDistribution: "रोग वितरण",
+  worstSeverity: "सबसे अधिक गंभीरता",
+  noBatchResultsYet: "छवियों का विश्लेषण पूरा होते ही परिणाम यहाँ दिखेंगे।",
+  batchSessionSaving: "बैच सत्र आपके इतिहास में सहेजा जा रहा है...",
+  batchSessionSaved: "बैच सत्र आपके इतिहास में सहेजा गया",
+  batchSessionSaveFailed: "कुछ परिणाम सहेजे नहीं जा सके",
+
+  // ===== LOW-TRUST HEURISTIC =====
+  lowTrust: "कम भरोसेमंद",
+  lowTrustResult: "कम भरोसेमंद परिणाम (रंग विश्लेषण)",
+  lowTrustResultDescription: "कोई AI मॉडल उपलब्ध नहीं था, इसलिए यह अनुमान केवल पत्ती के रंग पर आधारित है। खेत में पुष्टि करें या AI सेवा लौटने पर फिर से चलाएँ।",
+
+  // ===== SENSOR HISTORY =====
+  lastHour: "1 घं",
+  last24Hours: "24 घं",
+  last7Days: "7 दिन",
+  last30Days: "30 दिन",
+  minMaxRange: "(न्यूनतम–अधिकतम)",
+  average: "(औसत)",
+
+  // ===== REALTIME SENSOR FEED =====
+  sensorsDisconnected: "सेंसर फ़ीड डिस्कनेक्ट",
+  sensorsDisconnectedDescription: "सेंसर डेटाबेस से कनेक्शन टूट गया। कनेक्शन लौटते ही रीडिंग अपने आप फिर शुरू होंगी।",
+  sensorFeedStale: "हाल की कोई सेंसर रीडिंग नहीं",
+  sensorFeedStaleAlert: "सेंसर फ़ीड पुराना",
+  sensorFeedStaleDescription: "खेत के सेंसर ने हाल में कोई रीडिंग नहीं भेजी। ESP32 की बिजली और वाई-फ़ाई जाँचें।",
+
+  // ===== SENSOR THRESHOLDS =====
+  sensorThresholds: "सेंसर सीमाएँ",
+  sensorThresholdsDescription: "सेंसर स्थिति और अलर्ट के लिए उपयोग की जाने वाली इष्टतम और चेतावनी सीमाएँ। क्षेत्रीय प्रीसेट से शुरू करके इन्हें हर खेत और हर मौसम के लिए सेट करें।",
+  sensorThresholdsHint: "इष्टतम सीमा के भीतर की रीडिंग अच्छी, चेतावनी सीमा के भीतर चेतावनी, और उससे बाहर गंभीर मानी जाती है। खाली फ़ील्ड क्षेत्रीय प्रीसेट का उपयोग करते हैं।",
+  farm: "खेत",
+  newFarmName: "नए खेत का नाम",
+  addFarm: "खेत जोड़ें",
+  removeFarm: "खेत हटाएँ",
+  regionPreset: "क्षेत्रीय प्रीसेट",
+  regionWesternMaharashtra: "पश्चिम महाराष्ट्र",
+  regionNashik: "नासिक",
+  regionSangli: "सांगली",
+  regionKarnataka: "उत्तर कर्नाटक",
+  seasonSummer: "गर्मी (मार्च–मई)",
+  seasonMonsoon: "मानसून (जून–सितंबर)",
+  seasonWinter: "सर्दी (अक्टूबर–फरवरी)",
+  currentSeason: "अभी",
+  optimalRange: "इष्टतम सीमा",
+  warningRange: "चेतावनी सीमा",
+  min: "न्यूनतम",
+  max: "अधिकतम",
+  customized: "अनुकूलित",
+  resetToRegionDefaults: "मौसम को क्षेत्रीय डिफ़ॉल्ट पर रीसेट करें",
+  thresholdRangeInvalid: "सीमाएँ जाँचें: न्यूनतम ≤ अधिकतम, और इष्टतम सीमा चेतावनी सीमा के भीतर",
+
+  // ===== DISEASE MODELS =====
+  diseaseModels: "रोग मॉडल",
+  diseaseModelsDescription: "सेंसर इतिहास से गणना किए गए ग्रोइंग डिग्री डेज़ और संक्रमण मॉडल।",
+  growingDegreeDays: "ग्रोइंग डिग्री डेज़",
+  days: "दिन",
+  dailyGdd: "दैनिक GDD",
+  downyMildew310Rule: "डाउनी मिल्ड्यू (3-10 नियम)",
+  primaryInfection: "प्राथमिक संक्रमण",
+  lastPrimaryInfection: "पिछला प्राथमिक संक्रमण",
+  shootLengthAssumed: "मान लिया गया है कि कोंपलें कम से कम 10 सेमी लंबी हैं",
+  powderyMildewIndex: "पाउडरी मिल्ड्यू सूचकांक",
+  pmiNotStarted: "सूचकांक शुरू नहीं हुआ: 3 अनुकूल दिनों की प्रतीक्षा",
+  riskLow: "कम",
+  riskWatch: "निगरानी",
+  riskModerate: "मध्यम",
+  riskHigh: "उच्च",
+  riskInfection: "संक्रमण",
+  noModelData: "रोग मॉडल चलाने के लिए अभी पर्याप्त सेंसर इतिहास नहीं है।",
+
+  // ===== FARM HEALTH BREAKDOWN =====
+  healthBreakdown: "यह स्कोर क्यों",
+  healthComponent: "घटक",
+  measuredValue: "मापा गया",
+  healthWeight: "भार",
+  pointsEarned: "प्राप्त अंक",
+  pointsLost: "खोए अंक",
+  healthDiseaseRisk: "रोग जोखिम",
+  healthSensorUptime: "सेंसर अपटाइम",
+  healthEnvSuitability: "पर्यावरण उपयुक्तता",
+  healthIrrigationBalance: "सिंचाई संतुलन",
+  healthAlertLoad: "अलर्ट भार",
+  lowerIsBetter: "कम बेहतर है",
+  higherIsBetter: "अधिक बेहतर है",
+  healthNotMeasured: "अभी मापा नहीं गया (स्कोर में शामिल नहीं)",
+  healthTrend: "स्कोर रुझान",
+  viewHealthBreakdown: "विवरण के लिए टैप करें",
+
+  // ===== MULTI-LABEL RESULTS =====
+  detectedDiseases: "पहचाने गए रोग",
+  coInfection: "सह-संक्रमण",
+  coInfectionDetected: "सह-संक्रमण पाया गया",
+  coInfectionDescription: "इस पत्ती पर एक से अधिक रोग पाए गए। नीचे दी गई सिफारिशें सभी रोगों के लिए हैं।",
+  maxConfidence: "अधिकतम",
+  meanConfidence: "औसत",
+  affectedArea: "क्षेत्र",
+
+  // ===== SEVERITY GRADE =====
+  severityGrade: "गंभीरता ग्रेड",
+  leafAreaAffected: "पत्ती क्षेत्र प्रभावित",
+  gradeFromMasks: "घाव मास्क से मापा गया",
+  gradeFromBoxes: "डिटेक्शन बॉक्स से अनुमानित",
+  gradeFromColor: "घाव के रंगों से अनुमानित",
+  severityGrade0: "कोई लक्षण नहीं",
+  severityGrade1: "बहुत कम (10% तक)",
+  severityGrade2: "हल्का (11-25%)",
+  severityGrade3: "मध्यम (26-50%)",
+  severityGrade4: "गंभीर (51-75%)",
+  severityGrade5: "अति गंभीर (75% से अधिक)",
+
+  // ===== IMAGE QUALITY CHECK =====
+  imageQualityRejected: "निदान के लिए फोटो पर्याप्त स्पष्ट नहीं है",
+  imageQualityWarning: "फोटो की गुणवत्ता परिणाम को प्रभावित कर सकती है",
+  imageQualityTooLow: "फोटो दोबारा लें - गुणवत्ता बहुत कम है",
+  qualityLowResolution: "रिज़ॉल्यूशन बहुत कम है",
+  qualityBlurry: "फोटो धुंधली है",
+  qualityOverexposed: "बहुत ज़्यादा रोशनी / चमक",
+  qualityUnderexposed: "बहुत अंधेरा",
+  qualityNoLeaf: "अंगूर की पत्ती नहीं मिली",
+  qualityTipLowResolution: "कैमरे का पूरा रिज़ॉल्यूशन इस्तेमाल करें या पत्ती के पास जाएं",
+  qualityTipBlurry: "कैमरा स्थिर रखें और फोटो लेने से पहले पत्ती पर टैप करके फोकस करें",
+  qualityTipOverexposed: "पत्ती पर सीधी धूप से बचें; छाया करें या दूसरे कोण से फोटो लें",
+  qualityTipUnderexposed: "दिन की रोशनी में फोटो लें या और रोशनी करें",
+  qualityTipNoLeaf: "फ्रेम का ज़्यादातर हिस्सा एक अंगूर की पत्ती से भरें",
+
+  // ===== DETECTION OVERLAY =====
+  minConfidence: "न्यूनतम विश्वसनीयता",
+  showMasks: "मास्क",
+  zoomIn: "ज़ूम इन",
+  zoomOut: "ज़ूम आउट",
+  resetView: "दृश्य रीसेट करें",
+  overlayHint: "छिपाने के लिए रोग पर क्लिक करें, ज़ूम के लिए स्क्रॉल करें, खिसकाने के लिए खींचें",
+
+  // ===== CAMERA CAPTURE =====
+  takePhoto: "फोटो लें",
+  torch: "टॉर्च",
+  capture: "खींचें",
+  burstCapture: "बर्स्ट",
+  useCapturedPhotos: "फोटो इस्तेमाल करें",
+  cameraFramingHint: "एक पत्ती को रेखा के अंदर रखें",
+  cameraQualityGood: "अच्छी फोटो",
+  cameraPermissionDenied: "कैमरा अनुमति अस्वीकृत। ब्राउज़र सेटिंग्स में कैमरा एक्सेस की अनुमति दें।",
+  cameraUnavailable: "इस डिवाइस पर कोई कैमरा उपलब्ध नहीं है।",
+
+  // ===== MODEL STATUS =====
+  modelWakingUp: "AI मॉडल शुरू हो रहा है",
+  modelWakingUpDescription: "क्लाउड मॉडल निष्क्रिय था और अब शुरू हो रहा है। इसमें आमतौर पर 1-2 मिनट लगते हैं। आप प्रतीक्षा कर सकते हैं या अभी वैकल्पिक मॉडल का उपयोग कर सकते हैं।",
+  connectionAttempt: "प्रयास",
+  useFallbackNow: "अभी वैकल्पिक मॉडल उपयोग करें",
+  usingFallbackModel: "वैकल्पिक मॉडल का उपयोग",
+  primaryModelUnavailable: "मुख्य AI मॉडल प्रतिक्रिया नहीं दे रहा है, इसलिए परिणाम कम सटीक हो सकते हैं।",
+  nextModelCheckAt: "मुख्य मॉडल की फिर से जाँच",
+  checkNow: "अभी जाँचें",
+
+  // ===== RESULT CACHE =====
+  cached: "कैश",
+  cachedResult: "कैश से परिणाम",
+  cachedResultExact: "यह फोटो पहले इसी मॉडल से जाँची जा चुकी है, इसलिए सहेजा गया परिणाम दिखाया गया है।",
+  cachedResultSimilar: "लगभग यही फोटो पहले इसी मॉडल से जाँची जा चुकी है, इसलिए उसका परिणाम दिखाया गया है।",
+  reanalyze: "फिर से जाँचें",
+
+  // ===== DETECTION CORRECTIONS =====
+  correctResult: "यह परिणाम सुधारें",
+  modelSaid: "मॉडल ने बताया",
+  actualDisease: "वास्तविक रोग",
+  correctionBoxesHint: "बॉक्स को खिसकाने के लिए खींचें, आकार बदलने के लिए उसका कोना खींचें। गलत बॉक्स बदलें या हटाएँ।",
+  deleteBox: "बॉक्स हटाएँ",
+  restoreBox: "बॉक्स वापस लाएँ",
+  correctionNotes: "नोट्स",
+  correctionNotesPlaceholder: "आपने खेत में क्या देखा? (वैकल्पिक)",
+  correctionSaveFailed: "सुधार सहेजा नहीं जा सका",
+  saveCorrection: "सुधार सहेजें",
+  corrected: "सुधारा गया",
+  correctedByGrower: "किसान द्वारा सुधारा गया",
+  confirmedByGrower: "किसान द्वारा पुष्टि की गई",
+  modelAccuracyFromReviews: "आपकी समीक्षाओं से मॉडल की सटीकता",
+  reviewed: "समीक्षित",
+
+  // ===== TRAINING DATASET EXPORT =====
+  exportDataset: "डेटासेट निर्यात करें",
+  exportTrainingDataset: "प्रशिक्षण डेटासेट निर्यात करें",
+  exportTrainingDatasetDescription: "मॉडल को दोबारा प्रशिक्षित करने के लिए अपनी जाँची गई फोटो उनके बॉक्स के साथ (जहाँ आपने सुधार किया वहाँ आपके सुधार) COCO या YOLO डेटासेट के रूप में डाउनलोड करें।",
+  datasetFormat: "फॉर्मेट",
+  datasetReviewStatus: "समीक्षा स्थिति",
+  datasetAllResults: "सभी परिणाम",
+  datasetReviewedOnly: "केवल मेरे द्वारा समीक्षित",
+  datasetUnreviewedOnly: "केवल असमीक्षित",
+  fromDate: "से",
+  toDate: "तक",
+  datasetMinConfidence: "न्यूनतम विश्वास (%)",
+  datasetMinConfidenceHint: "समीक्षित बॉक्स हमेशा रखे जाते हैं",
+  datasetValidationSplit: "वैलिडेशन हिस्सा (%)",
+  datasetClasses: "श्रेणियाँ",
+  datasetCollecting: "परिणाम एकत्र किए जा रहे हैं...",
+  datasetDownloadingImages: "छवियाँ डाउनलोड हो रही हैं",
+  datasetWritingArchive: "आर्काइव बनाया जा रहा है...",
+  datasetExported: "डेटासेट डाउनलोड हो गया",
+  datasetEmpty: "इन फ़िल्टरों से कोई फोटो मेल नहीं खाई",
+  datasetSkipped: "छोड़े गए",
+  datasetDuplicates: "दोहराव",
+  datasetDownloadFailed: "डाउनलोड विफल",
+  datasetExportFailed: "डेटासेट निर्यात विफल",
+
+  // ===== MODEL COMPARISON =====
+  compareModels: "मॉडल की तुलना करें",
+  compareModelsDescription: "एक ही तस्वीरों को दो मॉडलों (या एक मॉडल के दो संस्करणों) से जाँचें और देखें कि वे कहाँ सहमत हैं, कहाँ असहमत हैं और हर रोग के लिए विश्वास कितना बदलता है।",
+  modelA: "मॉडल A",
+  modelB: "मॉडल B",
+  candidateModel: "उम्मीदवार मॉडल (अन्य Space / सर्वर)",
+  candidateType: "उम्मीदवार का प्रकार",
+  candidateEndpoint: "Space id या सर्वर URL",
+  comparisonSource: "तस्वीरें",
+  comparisonFromHistory: "हाल का विश्लेषण इतिहास",
+  comparisonFromFiles: "अपलोड की गई तस्वीरें",
+  comparisonHistoryCount: "हाल के विश्लेषणों की संख्या",
+  chooseImages: "तस्वीरें चुनें",
+  comparisonSameBackend: "तुलना के लिए दो अलग मॉडल चुनें।",
+  comparisonRunning: "दोनों मॉडल चल रहे हैं",
+  comparisonFailed: "तुलना विफल रही",
+  comparisonNoImages: "तुलना के लिए कोई तस्वीर नहीं",
+  comparisonIdenticalModels: "दोनों रन एक ही मॉडल संस्करण और कॉन्फ़िगरेशन बताते हैं।",
+  agreementRate: "सहमति दर",
+  comparisonNotCompared: "तुलना नहीं हुई (त्रुटि या अस्वीकृत फ़ोटो)",
+  comparisonConfusion: "मॉडल A बनाम मॉडल B निदान",
+  comparisonConfidenceShift: "हर रोग के लिए विश्वास में बदलाव",
+  detectedBy: "किसने पाया",
+  comparisonShift: "बदलाव (B − A)",
+  comparisonDisagreements: "जिन तस्वीरों पर मॉडल असहमत हैं",
+  runComparison: "तुलना चलाएँ",
+
+  // ===== MODEL EVALUATION =====
+  modelEvaluation: "मॉडल मूल्यांकन",
+  modelEvaluationDescription: "जिन तस्वीरों का रोग पहले से पता है, उन पर जाँचें कि पहचान बैकएंड कितना सटीक है। हर रन सहेजा जाता है ताकि मॉडलों और समय के साथ सटीकता की तुलना की जा सके।",
+  detectionBackend: "पहचान बैकएंड",
+  evaluationImageSet: "लेबल की गई तस्वीरें",
+  evaluationFromFolder: "फ़ोल्डर (हर रोग के लिए एक उप-फ़ोल्डर)",
+  evaluationFromReviewed: "किसान द्वारा जाँचा गया इतिहास",
+  chooseLabelledFolder: "फ़ोल्डर चुनें",
+  evaluationFolderHint: "हर तस्वीर को उसके रोग के नाम वाले फ़ोल्डर में रखें, जैसे Bhuri/, Karpa/, Healthy/।",
+  evaluationReviewedHint: "आपके द्वारा पुष्टि या सुधारे गए विश्लेषण उपयोग होते हैं; आपका उत्तर ही सही माना जाता है।",
+  evaluationUnlabelled: "छोड़ी गईं (फ़ोल्डर किसी ज्ञात रोग का नहीं)",
+  evaluationRunning: "मूल्यांकन हो रहा है",
+  evaluationFailed: "मूल्यांकन विफल रहा",
+  evaluationNoLabelledImages: "कोई लेबल की गई तस्वीर नहीं मिली",
+  runEvaluation: "मूल्यांकन चलाएँ",
+  evaluationResults: "मूल्यांकन परिणाम",
+  calibrationError: "कैलिब्रेशन त्रुटि",
+  evaluationNotScored: "जिन तस्वीरों का स्कोर नहीं हुआ (त्रुटि या अस्वीकृत फ़ोटो)",
+  perClassMetrics: "हर रोग के परिणाम",
+  precision: "प्रिसिज़न",
+  recall: "रिकॉल",
+  latency: "प्रति तस्वीर समय",
+  calibrationCurve: "कैलिब्रेशन (विश्वास बनाम वास्तविक सटीकता)",
+  perfectCalibration: "पूर्ण कैलिब्रेशन",
+  confusionMatrix: "कन्फ्यूज़न मैट्रिक्स",
+  confusionMatrixHint: "पंक्तियाँ: वास्तविक रोग • कॉलम: मॉडल का उत्तर",
+  evaluationRuns: "सहेजे गए मूल्यांकन रन",
+  noEvaluationRuns: "अभी तक कोई मूल्यांकन रन नहीं",
+  date: "तारीख",
+  view: "देखें",
+  delete: "हटाएँ",
+
+  // ===== DETAILED (TILED) ANALYSIS =====
+  fastAnalysis: "तेज़",
+  detailedAnalysis: "विस्तृत",
+  fastAnalysisHint: "फ़ोटो की छोटी प्रति का विश्लेषण करता है। एक पत्ती की नज़दीकी फ़ोटो के लिए सबसे अच्छा।",
+  detailedAnalysisHint: "बड़ी फ़ोटो को पूरे रिज़ॉल्यूशन पर हिस्सों में जाँचता है ताकि छोटे शुरुआती धब्बे भी पकड़े जाएँ। अधिक समय लगता है।",
+  detailedAnalysisResult: "विस्तृत विश्लेषण",
+  tilesAnalyzed: "फ़ोटो के हिस्सों का विश्लेषण हुआ",
+  tilesWithDisease: "में रोग",
+
+  // ===== ENSEMBLE ANALYSIS =====
+  ensembleAnalysis: "समूह",
+  ensembleAnalysisHint: "फोटो की पलटी, घुमाई और ज़ूम की गई प्रतियों का विश्लेषण करके मतदान करता है। जिन परिणामों पर जाँचें असहमत हों उन्हें चिह्नित करता है। कई गुना अधिक समय लगता है।",
+  ensembleAllBackends: "अन्य उपलब्ध मॉडल से भी पूछें",
+  ensembleResult: "समूह परिणाम",
+  ensembleNeedsReview: "विश्लेषण जाँचें असहमत हैं - कृपया इस परिणाम की समीक्षा करें",
+  ensemblePassesAgree: "जाँचें सहमत",
+  ensembleUncertainty: "अनिश्चितता",
+  reviewResult: "समीक्षा करें",
+  needsReview: "समीक्षा आवश्यक",
+
 };
@@ -457,7 +457,8 @@ export const marathiTranslations = {
   aiAccuracyAnswer: "आमची AI प्रणाली विशेषतः पश्चिम महाराष्ट्रातील द्राक्ष जातींसाठी प्रशिक्षित आहे आणि पावडरी मिल्ड्यू, डाउनी मिल्ड्यू, ब्लॅक रॉट आणि अँथ्रकनोज सारख्या सामान्य रोगांचा 85-95% अचूकतेने शोध लावू शकते. अंतिम उपचार निर्णयांसाठी नेहमी कृषी तज्ञांचा सल्ला घ्या.",
   
   diseasesDetected: "कोणत्या प्रकारच्या द्राक्ष रोगांचा शोध लावला जाऊ शकतो?",
-  diseasesDetectedAnswer: "सिस्टम शोधू शकते: 1) पावडरी मिल्ड्यू (भुरी रोग), 2) डाउनी मिल्ड्यू (दवयाचा रोग), 3) ब्लॅक रॉट (काळा रोग), 4) अँथ्रकनोज (कर्पा रोग). प्रत्येक महाराष्ट्र द्राक्ष जातींसाठी विशिष्ट उपचार शिफारसींसह येते.",
+  diseasesDetectedAnswer: "सिस्टम शोधू शकते:",
+  diseasesDetectedTreatmentNote: "प्रत्येक महाराष्ट्र द्राक्ष जातींसाठी विशिष्ट उपचार शिफारसींसह येते.",
   
   goodPhotos: "रोग शोधणेसाठी चांगले फोटो कसे काढावेत?",
   goodPhotosAnswer: "सर्वोत्तम परिणामांसाठी: 1) चांगल्या नैसर्गिक प्रकाशात फोटो काढा, 2) लक्षणे दाखवणाऱ्या वैयक्तिक पानांवर लक्ष केंद्रित करा, 3) पान फ्रेमचा बहुतेक भाग भरत असल्याची खात्री करा, 4) अस्पष्ट किंवा गडद प्रतिमा टाळा, 5) रोग अस्पष्ट असल्यास अनेक कोनातून घ्या.",
@@ -538,4 +539,314 @@ export const marathiTranslations = {
   westernMaharashtra: "पश्चिम महाराष्ट्र",
   grapeVarieties: "द्राक्ष जाती",
 
+  // ===== DETECTION BACKENDS =====
+  detectionBackends: "डिटेक्शन बॅकएंड",
+  detectionBackendsDescription: "कोणती डिटेक्शन इंजिने वापरायची आणि कोणत्या क्रमाने वापरून पहायची ते निवडा. एक उपलब्ध नसल्यास पुढचे वापरले जाईल.",
+  detectionBackendsHint: "Detectron2 सर्व्हर फक्त REACT_APP_DETECTRON_ENDPOINT सेट असल्यासच वापरला जातो. लागू करण्यासाठी सेटिंग्स जतन करा.",
+
+  // ===== OFFLINE DETECTION =====
+  offlineMode: "ऑफलाइन मोड",
+  offlineModeDescription: "डाउनलोड केलेल्या TensorFlow.js मॉडेलने इंटरनेटशिवाय डिव्हाइसवरच तपासणी करा. कनेक्शन तुटल्यावर हे आपोआप सुरू होते.",
+
+  // ===== BATCH ANALYSIS =====
+  batchAnalysis: "बॅच विश्लेषण",
+  batch: "बॅच",
+  selectImages: "प्रतिमा निवडा",
+  selectFolder: "फोल्डर निवडा",
+  batchUploadHint: "एकत्र विश्लेषणासाठी अनेक प्रतिमा किंवा संपूर्ण फोल्डर निवडा",
+  batchPending: "रांगेत",
+  batchRunning: "विश्लेषण सुरू",
+  batchDone: "पूर्ण",
+  batchFailed: "अयशस्वी",
+  retry: "पुन्हा प्रयत्न करा",
+  retryFailed: "अयशस्वी पुन्हा चालवा",
+  cancelBatch: "बॅच थांबवा",
+  fileName: "फाइल",
+  status: "स्थिती",
+  images: "प्रतिमा",
+  avgConfidence: "सरासरी विश्वास",
+  batchSummary: "बॅच सारांश",
+  diseaseDistribution: "रोग वितरण",
+  worstSeverity: "सर्वाधिक तीव्रता",
+  noBatchResultsYet: "प्रतिमांचे विश्लेषण पूर्ण होताच निकाल येथे दिसतील.",
+  batchSessionSaving: "बॅच सत्र तुमच्या इतिहासात जतन होत आहे...",
+  batchSessionSaved: "बॅच सत्र तुमच्या इतिहासात जतन झाले",
+  batchSessionSaveFailed: "काही निकाल जतन होऊ शकले नाहीत",
+
+  // ===== LOW-TRUST HEURISTIC =====
+  lowTrust: "कमी विश्वासार्ह",
+  lowTrustResult: "कमी विश्वासार्ह निकाल (रंग विश्लेषण)",
+  lowTrustResultDescription: "कोणतेही AI मॉडेल उपलब्ध नव्हते, म्हणून हा अंदाज फक्त पानांच्या रंगावर आधारित आहे. शेतात खात्री करा किंवा AI सेवा परत आल्यावर पुन्हा चालवा.",
+
+  // ===== SENSOR HISTORY =====
+  lastHour: "1 तास",
+  last24Hours: "24 तास",
+  last7Days: "7 दिवस",
+  last30Days: "30 दिवस",
+  minMaxRange: "(किमान–कमाल)",
+  average: "(सरासरी)",
+
+  // ===== REALTIME SENSOR FEED =====
+  sensorsDisconnected: "सेन्सर फीड डिस्कनेक्ट",
+  sensorsDisconnectedDescription: "सेन्सर डेटाबेसशी कनेक्शन तुटले. कनेक्शन परत आल्यावर रीडिंग आपोआप सुरू होतील.",
+  sensorFeedStale: "अलीकडील सेन्सर रीडिंग नाही",
+  sensorFeedStaleAlert: "सेन्सर फीड जुनी",
+  sensorFeedStaleDescription: "शेतातील सेन्सरने अलीकडे रीडिंग पाठवलेली नाही. ESP32 ची वीज आणि वाय-फाय तपासा.",
+
+  // ===== SENSOR THRESHOLDS =====
+  sensorThresholds: "सेन्सर मर्यादा",
+  sensorThresholdsDescription: "सेन्सर स्थिती आणि अलर्टसाठी वापरल्या जाणाऱ्या इष्टतम आणि चेतावणी मर्यादा. प्रादेशिक प्रीसेटपासून सुरुवात करून प्रत्येक शेत आणि प्रत्येक हंगामासाठी त्या ठरवा.",
+  sensorThresholdsHint: "इष्टतम मर्यादेतील वाचन चांगले, चेतावणी मर्यादेतील चेतावणी, आणि त्यापलीकडील गंभीर मानले जाते. रिकामी फील्ड प्रादेशिक प्रीसेट वापरतात.",
+  farm: "शेत",
+  newFarmName: "नवीन शेताचे नाव",
+  addFarm: "शेत जोडा",
+  removeFarm: "शेत काढा",
+  regionPreset: "प्रादेशिक प्रीसेट",
+  regionWesternMaharashtra: "पश्चिम महाराष्ट्र",
+  regionNashik: "नाशिक",
+  regionSangli: "सांगली",
+  regionKarnataka: "उत्तर कर्नाटक",
+  seasonSummer: "उन्हाळा (मार्च–मे)",
+  seasonMonsoon: "पावसाळा (जून–सप्टेंबर)",
+  seasonWinter: "हिवाळा (ऑक्टोबर–फेब्रुवारी)",
+  currentSeason: "आता",
+  optimalRange: "इष्टतम मर्यादा",
+  warningRange: "चेतावणी मर्यादा",
+  min: "किमान",
+  max: "कमाल",
+  customized: "सानुकूलित",
+  resetToRegionDefaults: "हंगाम प्रादेशिक डिफॉल्टवर रीसेट करा",
+  thresholdRangeInvalid: "मर्यादा तपासा: किमान ≤ कमाल, आणि इष्टतम मर्यादा चेतावणी मर्यादेत",
+
+  // ===== DISEASE MODELS =====
+  diseaseModels: "रोग मॉडेल",
+  diseaseModelsDescription: "सेन्सर इतिहासावरून मोजलेले ग्रोइंग डिग्री डेज आणि संसर्ग मॉडेल.",
+  growingDegreeDays: "ग्रोइंग डिग्री डेज",
+  days: "दिवस",
+  dailyGdd: "दैनिक GDD",
+  downyMildew310Rule: "डाउनी मिल्ड्यू (3-10 नियम)",
+  primaryInfection: "प्राथमिक संसर्ग",
+  lastPrimaryInfection: "मागील प्राथमिक संसर्ग",
+  shootLengthAssumed: "फुटी किमान 10 सेमी लांब आहेत असे गृहीत धरले आहे",
+  powderyMildewIndex: "भुरी निर्देशांक",
+  pmiNotStarted: "निर्देशांक सुरू झाला नाही: 3 अनुकूल दिवसांची प्रतीक्षा",
+  riskLow: "कमी",
+  riskWatch: "लक्ष ठेवा",
+  riskModerate: "मध्यम",
+  riskHigh: "जास्त",
+  riskInfection: "संसर्ग",
+  noModelData: "रोग मॉडेल चालवण्यासाठी अद्याप पुरेसा सेन्सर इतिहास नाही.",
+
+  // ===== FARM HEALTH BREAKDOWN =====
+  healthBreakdown: "हा स्कोअर का",
+  healthComponent: "घटक",
+  measuredValue: "मोजलेले",
+  healthWeight: "भार",
+  pointsEarned: "मिळालेले गुण",
+  pointsLost: "गमावलेले गुण",
+  healthDiseaseRisk: "रोग धोका",
+  healthSensorUptime: "सेन्सर अपटाइम",
+  healthEnvSuitability: "पर्यावरण अनुकूलता",
+  healthIrrigationBalance: "सिंचन संतुलन",
+  healthAlertLoad: "अलर्ट भार",
+  lowerIsBetter: "कमी असणे चांगले",
+  higherIsBetter: "जास्त असणे चांगले",
+  healthNotMeasured: "अद्याप मोजले नाही (स्कोअरमध्ये समाविष्ट नाही)",
+  healthTrend: "स्कोअर कल",
+  viewHealthBreakdown: "तपशीलासाठी टॅप करा",
+
+  // ===== MULTI-LABEL RESULTS =====
+  detectedDiseases: "आढळलेले रोग",
+  coInfection: "सह-संसर्ग",
+  coInfectionDetected: "सह-संसर्ग आढळला",
+  coInfectionDescription: "या पानावर एकापेक्षा जास्त रोग आढळले. खालील शिफारसी सर्व रोगांसाठी आहेत.",
+  maxConfidence: "कमाल",
+  meanConfidence: "सरासरी",
+  affectedArea: "क्षेत्र",
+
+  // ===== SEVERITY GRADE =====
+  severityGrade: "तीव्रता श्रेणी",
+  leafAreaAffected: "पानाचे क्षेत्र बाधित",
+  gradeFromMasks: "जखम मास्कवरून मोजले",
+  gradeFromBoxes: "डिटेक्शन बॉक्सवरून अंदाजित",
+  gradeFromColor: "जखमेच्या रंगांवरून अंदाजित",
+  severityGrade0: "लक्षणे नाहीत",
+  severityGrade1: "अत्यल्प (10% पर्यंत)",
+  severityGrade2: "सौम्य (11-25%)",
+  severityGrade3: "मध्यम (26-50%)",
+  severityGrade4: "तीव्र (51-75%)",
+  severityGrade5: "अति तीव्र (75% पेक्षा जास्त)",
+
+  // ===== IMAGE QUALITY CHECK =====
+  imageQualityRejected: "निदानासाठी फोटो पुरेसा स्पष्ट नाही",
+  imageQualityWarning: "फोटोच्या गुणवत्तेमुळे निकालावर परिणाम होऊ शकतो",
+  imageQualityTooLow: "फोटो पुन्हा काढा - गुणवत्ता खूप कमी",
+  qualityLowResolution: "रिझोल्यूशन खूप कमी आहे",
+  qualityBlurry: "फोटो अस्पष्ट आहे",
+  qualityOverexposed: "खूप उजेड / चकाकी",
+  qualityUnderexposed: "खूप अंधार",
+  qualityNoLeaf: "द्राक्षाचे पान सापडले नाही",
+  qualityTipLowResolution: "कॅमेऱ्याचे पूर्ण रिझोल्यूशन वापरा किंवा पानाच्या जवळ जा",
+  qualityTipBlurry: "कॅमेरा स्थिर धरा आणि फोटो काढण्यापूर्वी पानावर टॅप करून फोकस करा",
+  qualityTipOverexposed: "पानावर थेट ऊन टाळा; सावली करा किंवा दुसऱ्या कोनातून फोटो काढा",
+  qualityTipUnderexposed: "दिवसाच्या उजेडात फोटो काढा किंवा जास्त प्रकाश द्या",
+  qualityTipNoLeaf: "फ्रेमचा बहुतेक भाग एकाच द्राक्षाच्या पानाने भरा",
+
+  // ===== DETECTION OVERLAY =====
+  minConfidence: "किमान विश्वासार्हता",
+  showMasks: "मास्क",
+  zoomIn: "झूम इन",
+  zoomOut: "झूम आउट",
+  resetView: "दृश्य रीसेट करा",
+  overlayHint: "लपवण्यासाठी रोगावर क्लिक करा, झूमसाठी स्क्रोल करा, हलवण्यासाठी ओढा",
+
+  // ===== CAMERA CAPTURE =====
+  takePhoto: "फोटो काढा",
+  torch: "टॉर्च",
+  capture: "काढा",
+  burstCapture: "बर्स्ट",
+  useCapturedPhotos: "फोटो वापरा",
+  cameraFramingHint: "एक पान रेषेच्या आत ठेवा",
+  cameraQualityGood: "चांगला फोटो",
+  cameraPermissionDenied: "कॅमेरा परवानगी नाकारली. ब्राउझर सेटिंग्जमध्ये कॅमेरा वापरण्याची परवानगी द्या.",
+  cameraUnavailable: "या डिव्हाइसवर कॅमेरा उपलब्ध नाही.",
+
+  // ===== MODEL STATUS =====
+  modelWakingUp: "AI मॉडेल सुरू होत आहे",
+  modelWakingUpDescription: "क्लाउड मॉडेल निष्क्रिय होते आणि आता सुरू होत आहे. याला साधारणपणे 1-2 मिनिटे लागतात. तुम्ही थांबू शकता किंवा आत्ताच पर्यायी मॉडेल वापरू शकता.",
+  connectionAttempt: "प्रयत्न",
+  useFallbackNow: "आत्ता पर्यायी मॉडेल वापरा",
+  usingFallbackModel: "पर्यायी मॉडेल वापरात",
+  primaryModelUnavailable: "मुख्य AI मॉडेल प्रतिसाद देत नाही, त्यामुळे निकाल कमी अचूक असू शकतात.",
+  nextModelCheckAt: "मुख्य मॉडेलची पुन्हा तपासणी",
+  checkNow: "आत्ता तपासा",
+
+  // ===== RESULT CACHE =====
+  cached: "कॅश",
+  cachedResult: "कॅशमधील निकाल",
+  cachedResultExact: "हा फोटो याच मॉडेलने आधी तपासला आहे, म्हणून जतन केलेला निकाल दाखवला आहे.",
+  cachedResultSimilar: "जवळजवळ असाच फोटो याच मॉडेलने आधी तपासला आहे, म्हणून त्याचा निकाल दाखवला आहे.",
+  reanalyze: "पुन्हा तपासा",
+
+  // ===== DETECTION CORRECTIONS =====
+  correctResult: "हा निकाल दुरुस्त करा",
+  modelSaid: "मॉडेलने सांगितले",
+  actualDisease: "प्रत्यक्ष रोग",
+  correctionBoxesHint: "बॉक्स हलवण्यासाठी ओढा, आकार बदलण्यासाठी त्याचा कोपरा ओढा. चुकीचे बॉक्स बदला किंवा काढा.",
+  deleteBox: "बॉक्स काढा",
+  restoreBox: "बॉक्स परत आणा",
+  correctionNotes: "नोंदी",
+  correctionNotesPlaceholder: "तुम्ही शेतात काय पाहिले? (ऐच्छिक)",
+  correctionSaveFailed: "दुरुस्ती जतन करता आली नाही",
+  saveCorrection: "दुरुस्ती जतन करा",
+  corrected: "दुरुस्त केले",
+  correctedByGrower: "शेतकऱ्याने दुरुस्त केले",
+  confirmedByGrower: "शेतकऱ्याने पुष्टी केली",
+  modelAccuracyFromReviews: "तुमच्या पुनरावलोकनांवरून मॉडेलची अचूकता",
+  reviewed: "पुनरावलोकन केलेले",
+
+  // ===== TRAINING DATASET EXPORT =====
+  exportDataset: "डेटासेट निर्यात करा",
+  exportTrainingDataset: "प्रशिक्षण डेटासेट निर्यात करा",
+  exportTrainingDatasetDescription: "मॉडेल पुन्हा प्रशिक्षित करण्यासाठी तुमचे तपासलेले फोटो त्यांच्या बॉक्ससह (जिथे तुम्ही दुरुस्ती केली तिथे तुमच्या दुरुस्त्या) COCO किंवा YOLO डेटासेट म्हणून डाउनलोड करा.",
+  datasetFormat: "फॉरमॅट",
+  datasetReviewStatus: "पुनरावलोकन स्थिती",
+  datasetAllResults: "सर्व निकाल",
+  datasetReviewedOnly: "फक्त मी पुनरावलोकन केलेले",
+  datasetUnreviewedOnly: "फक्त पुनरावलोकन न केलेले",
+  fromDate: "पासून",
+  toDate: "पर्यंत",
+  datasetMinConfidence: "किमान विश्वास (%)",
+  datasetMinConfidenceHint: "पुनरावलोकन केलेले बॉक्स नेहमी ठेवले जातात",
+  datasetValidationSplit: "व्हॅलिडेशन भाग (%)",
+  datasetClasses: "वर्ग",
+  datasetCollecting: "निकाल गोळा करत आहे...",
+  datasetDownloadingImages: "प्रतिमा डाउनलोड होत आहेत",
+  datasetWritingArchive: "आर्काइव्ह तयार करत आहे...",
+  datasetExported: "डेटासेट डाउनलोड झाला",
+  datasetEmpty: "या फिल्टरशी कोणताही फोटो जुळला नाही",
+  datasetSkipped: "वगळलेले",
+  datasetDuplicates: "पुनरावृत्ती",
+  datasetDownloadFailed: "डाउनलोड अयशस्वी",
+  datasetExportFailed: "डेटासेट निर्यात अयशस्वी",
+
+  // ===== MODEL COMPARISON =====
+  compareModels: "मॉडेलची तुलना करा",
+  compareModelsDescription: "तीच छायाचित्रे दोन मॉडेल्समधून (किंवा एका मॉडेलच्या दोन आवृत्त्यांमधून) तपासा आणि ते कुठे सहमत आहेत, कुठे असहमत आहेत आणि प्रत्येक रोगासाठी विश्वास किती बदलतो ते पहा.",
+  modelA: "मॉडेल A",
+  modelB: "मॉडेल B",
+  candidateModel: "उमेदवार मॉडेल (दुसरा Space / सर्व्हर)",
+  candidateType: "उमेदवाराचा प्रकार",
+  candidateEndpoint: "Space id किंवा सर्व्हर URL",
+  comparisonSource: "छायाचित्रे",
+  comparisonFromHistory: "अलीकडील विश्लेषण इतिहास",
+  comparisonFromFiles: "अपलोड केलेली छायाचित्रे",
+  comparisonHistoryCount: "अलीकडील विश्लेषणांची संख्या",
+  chooseImages: "छायाचित्रे निवडा",
+  comparisonSameBackend: "तुलनेसाठी दोन वेगळी मॉडेल्स निवडा.",
+  comparisonRunning: "दोन्ही मॉडेल्स चालू आहेत",
+  comparisonFailed: "तुलना अयशस्वी",
+  comparisonNoImages: "तुलनेसाठी छायाचित्रे नाहीत",
+  comparisonIdenticalModels: "दोन्ही रन एकच मॉडेल आवृत्ती आणि कॉन्फिगरेशन दाखवतात.",
+  agreementRate: "सहमती दर",
+  comparisonNotCompared: "तुलना झाली नाही (त्रुटी किंवा नाकारलेले फोटो)",
+  comparisonConfusion: "मॉडेल A विरुद्ध मॉडेल B निदान",
+  comparisonConfidenceShift: "प्रत्येक रोगासाठी विश्वासातील बदल",
+  detectedBy: "कोणी शोधले",
+  comparisonShift: "बदल (B − A)",
+  comparisonDisagreements: "ज्या छायाचित्रांवर मॉडेल्स असहमत आहेत",
+  runComparison: "तुलना चालवा",
+
+  // ===== MODEL EVALUATION =====
+  modelEvaluation: "मॉडेल मूल्यमापन",
+  modelEvaluationDescription: "ज्या छायाचित्रांचा रोग आधीच माहीत आहे त्यावर ओळख बॅकएंड किती अचूक आहे ते मोजा. प्रत्येक रन जतन केला जातो जेणेकरून मॉडेल्समध्ये आणि काळानुसार अचूकतेची तुलना करता येईल.",
+  detectionBackend: "ओळख बॅकएंड",
+  evaluationImageSet: "लेबल केलेली छायाचित्रे",
+  evaluationFromFolder: "फोल्डर (प्रत्येक रोगासाठी एक उप-फोल्डर)",
+  evaluationFromReviewed: "शेतकऱ्याने तपासलेला इतिहास",
+  chooseLabelledFolder: "फोल्डर निवडा",
+  evaluationFolderHint: "प्रत्येक छायाचित्र त्याच्या रोगाच्या नावाच्या फोल्डरमध्ये ठेवा, उदा. Bhuri/, Karpa/, Healthy/.",
+  evaluationReviewedHint: "तुम्ही पुष्टी केलेली किंवा दुरुस्त केलेली विश्लेषणे वापरली जातात; तुमचे उत्तर हेच खरे मानले जाते.",
+  evaluationUnlabelled: "वगळलेली (फोल्डर ओळखीच्या रोगाचे नाही)",
+  evaluationRunning: "मूल्यमापन सुरू आहे",
+  evaluationFailed: "मूल्यमापन अयशस्वी",
+  evaluationNoLabelledImages: "लेबल केलेली छायाचित्रे सापडली नाहीत",
+  runEvaluation: "मूल्यमापन चालवा",
+  evaluationResults: "मूल्यमापन निकाल",
+  calibrationError: "कॅलिब्रेशन त्रुटी",
+  evaluationNotScored: "गुण न मिळालेली छायाचित्रे (त्रुटी किंवा नाकारलेले फोटो)",
+  perClassMetrics: "प्रत्येक रोगाचे निकाल",
+  precision: "प्रिसिजन",
+  recall: "रिकॉल",
+  latency: "प्रति छायाचित्र वेळ",
+  calibrationCurve: "कॅलिब्रेशन (विश्वास विरुद्ध प्रत्यक्ष अचूकता)",
+  perfectCalibration: "परिपूर्ण कॅलिब्रेशन",
+  confusionMatrix: "कन्फ्युजन मॅट्रिक्स",
+  confusionMatrixHint: "ओळी: प्रत्यक्ष रोग • स्तंभ: मॉडेलचे उत्तर",
+  evaluationRuns: "जतन केलेले मूल्यमापन रन",
+  noEvaluationRuns: "अद्याप मूल्यमापन रन नाहीत",
+  date: "तारीख",
+  view: "पहा",
+  delete: "हटवा",
+
+  // ===== DETAILED (TILED) ANALYSIS =====
+  fastAnalysis: "जलद",
+  detailedAnalysis: "सविस्तर",
+  fastAnalysisHint: "फोटोच्या लहान प्रतीचे विश्लेषण करते. एका पानाच्या जवळच्या फोटोसाठी सर्वोत्तम.",
+  detailedAnalysisHint: "मोठे फोटो पूर्ण रिझोल्यूशनवर भागांमध्ये तपासते, जेणेकरून लहान सुरुवातीचे डाग सापडतील. जास्त वेळ लागतो.",
+  detailedAnalysisResult: "सविस्तर विश्लेषण",
+  tilesAnalyzed: "फोटोच्या भागांचे विश्लेषण झाले",
+  tilesWithDisease: "मध्ये रोग",
+
+  // ===== ENSEMBLE ANALYSIS =====
+  ensembleAnalysis: "समूह",
+  ensembleAnalysisHint: "फोटोच्या उलटवलेल्या, फिरवलेल्या आणि झूम केलेल्या प्रतींचे विश्लेषण करून मतदान घेते. ज्या निकालांवर तपासण्या असहमत आहेत ते चिन्हांकित करते. अनेक पट जास्त वेळ लागतो.",
+  ensembleAllBackends: "इतर उपलब्ध मॉडेल्सनाही विचारा",
+  ensembleResult: "समूह निकाल",
+  ensembleNeedsReview: "विश्लेषण तपासण्या असहमत आहेत - कृपया हा निकाल तपासा",
+  ensemblePassesAgree: "तपासण्या सहमत",
+  ensembleUncertainty: "अनिश्चितता",
+  reviewResult: "तपासा",
+  needsReview: "तपासणी आवश्यक",
+
 };